@@ -0,0 +1,99 @@
+import { Request, Response, NextFunction } from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User, { UserRole } from '../models/User';
+import { LinkPermission } from '../models/StudentLink';
+import { isAccessTokenActive, AccessTokenPayload } from '../services/sessionService';
+import { studentAccessLevel, StudentAccessLevel } from '../services/studentLinks';
+import { logger, setRequestUser } from '../services/observability';
+
+dotenv.config();
+
+export const JWT_SECRET = process.env.JWT_SECRET || 'supersecretjwtkey'; // Fallback for JWT secret
+
+// --- Protected Route Middleware ---
+export interface AuthRequest extends Request {
+  user?: { id: string; sessionId?: string; jti?: string; exp?: number };
+  // Set by requireStudentAccess
+  studentAccess?: { studentId: string; level: StudentAccessLevel };
+}
+
+export const protect = async (req: AuthRequest, res: Response, next: NextFunction) => {
+  let token;
+  // Check if token is in Authorization header
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1]; // Get token from "Bearer TOKEN"
+  }
+
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  let decoded: AccessTokenPayload;
+  try {
+    // Verify token
+    decoded = jwt.verify(token, JWT_SECRET) as AccessTokenPayload;
+  } catch (error: any) {
+    const expired = error instanceof jwt.TokenExpiredError;
+    return res.status(401).json({
+      message: expired ? 'Token has expired' : 'Token is not valid',
+      code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+    });
+  }
+
+  try {
+    // Tokens from before sessions existed carry no session id and are no longer accepted
+    if (!decoded.sid || !decoded.jti || !(await isAccessTokenActive(decoded))) {
+      return res.status(401).json({ message: 'Token has been revoked', code: 'TOKEN_REVOKED' });
+    }
+    // Attach user and session to request object
+    req.user = { id: decoded.id, sessionId: decoded.sid, jti: decoded.jti, exp: decoded.exp };
+    setRequestUser(decoded.id);
+    next(); // Proceed to the next middleware/route handler
+  } catch (error: any) {
+    logger.error('Token revocation check failed', error);
+    res.status(500).json({ message: 'Server error during authorization', error: error.message });
+  }
+};
+
+// --- Role Middleware (use after protect) ---
+export const requireRole = (...roles: UserRole[]) =>
+  async (req: AuthRequest, res: Response, next: NextFunction) => {
+    try {
+      const user = await User.findById(req.user?.id).select('role');
+      if (!user || !roles.includes(user.role)) {
+        return res.status(403).json({ message: 'You do not have permission to perform this action' });
+      }
+      next();
+    } catch (error: any) {
+      logger.error('Role check failed', error);
+      res.status(500).json({ message: 'Server error during authorization', error: error.message });
+    }
+  };
+
+// --- Student Access Middleware (use after protect, on routes with :studentId) ---
+// Lets through the student themself, admins, and counselors or parents with an active link.
+// 'comment' additionally needs a link that allows comments.
+export const requireStudentAccess = (needed: LinkPermission) =>
+  async (req: AuthRequest, res: Response, next: NextFunction) => {
+    const { studentId } = req.params;
+    if (!mongoose.isValidObjectId(studentId)) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    try {
+      const level = await studentAccessLevel(req.user!.id, studentId);
+      if (!level) {
+        return res.status(404).json({ message: 'Student not found' });
+      }
+      if (needed === 'comment' && level === 'read') {
+        return res.status(403).json({ message: 'You do not have permission to perform this action' });
+      }
+      req.studentAccess = { studentId, level };
+      next();
+    } catch (error: any) {
+      logger.error('Student access check failed', error);
+      res.status(500).json({ message: 'Server error during authorization', error: error.message });
+    }
+  };
@@ -0,0 +1,59 @@
+import { Request, Response, NextFunction } from 'express';
+import {
+  REQUEST_ID_HEADER,
+  newRequestId,
+  runWithRequestContext,
+  RequestContext,
+  logger,
+  httpRequestDuration,
+  httpRequestErrors
+} from '../services/observability';
+
+// Route pattern for metrics labels, e.g. "/api/students/:studentId/essays/:essayId", so ids
+// don't create a label per document. Routers mounted on a path with parameters only know the
+// matched path, so their parameter values are put back as names. Requests no route matched
+// share one label.
+const routeLabel = (req: Request): string => {
+  if (!req.route) return 'unmatched';
+  const base = Object.entries(req.params).reduce(
+    (path, [name, value]) => path.split('/').map(segment => (segment === value ? `:${name}` : segment)).join('/'),
+    req.baseUrl
+  );
+  return `${base}${req.route.path === '/' ? '' : req.route.path}` || '/';
+};
+
+// --- Request Context Middleware (mount before the routes) ---
+// Gives every request an id (the caller's X-Request-Id if it sent a usable one), returns it
+// in the response headers, makes it available to every log line written while handling the
+// request, and records the request's latency and outcome.
+export const requestContext = (req: Request, res: Response, next: NextFunction) => {
+  const requestId = newRequestId(req.get(REQUEST_ID_HEADER));
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  const context: RequestContext = { requestId };
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+    const seconds = stopTimer(labels);
+    if (res.statusCode >= 500) {
+      httpRequestErrors.inc(labels);
+    }
+
+    runWithRequestContext(context, () => {
+      const fields = {
+        method: req.method,
+        // The pattern rather than the path: some paths carry secrets (calendar feed tokens)
+        route: labels.route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000)
+      };
+      if (res.statusCode >= 500) logger.warn('Request failed', fields);
+      // Scrapes arrive every few seconds and would drown out everything else
+      else if (labels.route === '/metrics') logger.debug('Request completed', fields);
+      else logger.info('Request completed', fields);
+    });
+  });
+
+  runWithRequestContext(context, next);
+};
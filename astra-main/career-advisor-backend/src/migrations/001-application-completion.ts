@@ -0,0 +1,54 @@
+import { Migration } from '../services/migrations/types';
+
+// Copied from models/User.ts as of this migration, so later changes there don't change
+// what this migration did
+const COMPLETE_STATES = ['done', 'waived'];
+const FINISHED_STATUSES = ['Submitted', 'Accepted', 'Rejected'];
+
+const applicationCompletion = (app: { status?: string; checklist?: Array<{ state?: string }> }): number => {
+  if (!app.checklist || app.checklist.length === 0) {
+    return FINISHED_STATUSES.includes(app.status || '') ? 100 : 0;
+  }
+  const complete = app.checklist.filter(item => COMPLETE_STATES.includes(item.state || '')).length;
+  return Math.round((complete / app.checklist.length) * 100);
+};
+
+// Application completion became derived from the checklist, but only on save: users who
+// haven't saved their profile since still have no per-application completion and a
+// hand-entered average.
+const migration: Migration = {
+  id: '001-application-completion',
+  description: 'Derive application completion and the average from checklists for every user',
+
+  up: async ({ updateEach }) => {
+    await updateEach('users', {}, user => {
+      const applications: any[] = user.universityApplications || [];
+      const completions = applications.map(applicationCompletion);
+      const average = applications.length > 0
+        ? Math.round(completions.reduce((sum, value) => sum + value, 0) / applications.length)
+        : 0;
+
+      const unchanged = applications.every((app, index) => app.completion === completions[index])
+        && user.applicationProgress?.averageCompletion === average;
+      if (unchanged) return null;
+
+      return {
+        $set: {
+          universityApplications: applications.map((app, index) => ({ ...app, completion: completions[index] })),
+          'applicationProgress.averageCompletion': average
+        }
+      };
+    });
+  },
+
+  // The hand-entered averages are gone, so the derived average stays
+  down: async ({ updateMany }) => {
+    await updateMany(
+      'users',
+      { 'universityApplications.completion': { $exists: true } },
+      { $unset: { 'universityApplications.$[].completion': '' } }
+    );
+  }
+};
+
+export default migration;
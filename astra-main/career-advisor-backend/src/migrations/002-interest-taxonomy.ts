@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+import { Migration } from '../services/migrations/types';
+import { INTEREST_TAXONOMY_SNAPSHOT } from './snapshots/interest-taxonomy';
+
+type Db = mongoose.mongo.Db;
+type ObjectId = mongoose.Types.ObjectId;
+
+// The categories interests had before the taxonomy, and the taxonomy entries that map back
+// onto them when reverting
+const LEGACY_CATEGORIES: Record<string, string> = {
+  robotics: 'Robotics',
+  'software-testing': 'AI Software Testing',
+  'artificial-intelligence': 'AI Software Testing',
+  'games-esports': 'Gaming',
+  'video-games': 'Gaming',
+  'game-design': 'Gaming',
+  esports: 'Gaming',
+  'chess-board-games': 'Gaming'
+};
+
+// Copied from services/catalog.ts and services/interestTaxonomy.ts as of this migration, so
+// later changes there don't change what this migration did
+const FALLBACK_CATEGORY = 'Other';
+
+const slugify = (text: string): string =>
+  text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const cleanSynonyms = (synonyms: unknown): string[] =>
+  Array.isArray(synonyms)
+    ? [...new Set(synonyms.filter(synonym => typeof synonym === 'string' && synonym.trim()).map(synonym => synonym.trim()))]
+    : [];
+
+interface TopicNode {
+  id: string;
+  name: string;
+  synonyms: string[];
+  category: TopicNode;
+}
+
+interface TopicTree {
+  categories: Array<TopicNode & { subcategories: TopicNode[] }>;
+  byId: Map<string, TopicNode>;
+}
+
+// Add or update the snapshot's entries by slug; their order becomes the display order.
+// The snapshot was checked when it was written, so it isn't validated again here.
+const importTaxonomy = async (db: Db, data: any): Promise<number> => {
+  const topics = db.collection('interesttopics');
+  let added = 0;
+  const upsert = async (fields: Record<string, unknown>): Promise<ObjectId> => {
+    const now = new Date();
+    const existing = await topics.findOne({ slug: fields.slug });
+    if (existing) {
+      await topics.updateOne({ _id: existing._id }, { $set: { ...fields, updatedAt: now } });
+      return existing._id;
+    }
+    added += 1;
+    const { insertedId } = await topics.insertOne({ ...fields, createdAt: now, updatedAt: now });
+    return insertedId;
+  };
+
+  const entries: any[] = Array.isArray(data) ? data : data.categories;
+  for (const [index, { subcategories = [], ...category }] of entries.entries()) {
+    const parent = await upsert({
+      slug: category.slug || slugify(category.name),
+      name: category.name.trim(),
+      synonyms: cleanSynonyms(category.synonyms),
+      color: category.color.toLowerCase(),
+      parent: null,
+      order: index
+    });
+    for (const [subIndex, subcategory] of (subcategories as any[]).entries()) {
+      await upsert({
+        slug: subcategory.slug || slugify(subcategory.name),
+        name: subcategory.name.trim(),
+        synonyms: cleanSynonyms(subcategory.synonyms),
+        parent,
+        order: subIndex
+      });
+    }
+  }
+  return added;
+};
+
+const loadTaxonomy = async (db: Db): Promise<TopicTree> => {
+  const topics = await db.collection('interesttopics').find().toArray();
+  const byId = new Map<string, TopicNode>();
+  const toNode = (topic: any) => ({ id: String(topic._id), name: topic.name, synonyms: topic.synonyms || [] });
+
+  const categories = topics.filter(topic => !topic.parent).map(topic => {
+    const category = { ...toNode(topic), subcategories: [] } as unknown as TopicTree['categories'][number];
+    category.category = category;
+    byId.set(category.id, category);
+    return category;
+  });
+  topics.filter(topic => topic.parent).forEach(topic => {
+    const category = byId.get(String(topic.parent)) as TopicTree['categories'][number] | undefined;
+    if (!category || category.category !== category) return;
+    const node: TopicNode = { ...toNode(topic), category };
+    category.subcategories.push(node);
+    byId.set(node.id, node);
+  });
+  return { categories, byId };
+};
+
+const matchKey = (text: string): string => slugify(text)
+  .split('-')
+  .filter(Boolean)
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+  .join(' ');
+
+// An exact name or synonym wins, otherwise the longest one found as whole words in the
+// text; subcategories win ties over categories
+const matchInterest = (taxonomy: TopicTree, text: string): TopicNode | null => {
+  const key = matchKey(text);
+  if (!key) return null;
+  const padded = ` ${key} `;
+
+  let best: { node: TopicNode; exact: boolean; length: number } | null = null;
+  const consider = (node: TopicNode) => {
+    [node.name, ...node.synonyms].forEach(term => {
+      const termKey = matchKey(term);
+      if (!termKey) return;
+      const exact = termKey === key;
+      if (!exact && !padded.includes(` ${termKey} `)) return;
+      if (!best || (exact && !best.exact) || (exact === best.exact && termKey.length > best.length)) {
+        best = { node, exact, length: termKey.length };
+      }
+    });
+  };
+  taxonomy.categories.forEach(category => category.subcategories.forEach(consider));
+  taxonomy.categories.forEach(consider);
+  return (best as { node: TopicNode } | null)?.node ?? null;
+};
+
+// Interests on an existing entry pick up its category name; the rest are matched by name,
+// then by their old category. Returns null if nothing changed.
+const remapInterests = (taxonomy: TopicTree, interests: any[]): any[] | null => {
+  let changed = false;
+  const remapped = interests.map(({ _id, name, category, topic }) => {
+    const match = (topic ? taxonomy.byId.get(String(topic)) : undefined)
+      || matchInterest(taxonomy, name)
+      || (category && category !== FALLBACK_CATEGORY ? matchInterest(taxonomy, category) : null);
+
+    const next = {
+      _id,
+      name,
+      category: match?.category.name ?? FALLBACK_CATEGORY,
+      ...(match ? { topic: new mongoose.Types.ObjectId(match.id) } : {})
+    };
+    if (next.category !== category || String(next.topic ?? '') !== String(topic ?? '')) {
+      changed = true;
+    }
+    return next;
+  });
+  return changed ? remapped : null;
+};
+
+// Interests used to be limited to four fixed categories. File each one under the interest
+// taxonomy instead, seeding the taxonomy first if it is empty.
+const migration: Migration = {
+  id: '002-interest-taxonomy',
+  description: 'Match users\' interests onto the interest taxonomy',
+
+  up: async ({ db, dryRun, log, updateEach }) => {
+    const topics = await db.collection('interesttopics').countDocuments();
+    if (topics === 0) {
+      if (dryRun) {
+        log('would import the interest taxonomy snapshot, then match interests against it');
+        const users = await db.collection('users').countDocuments({ 'interests.0': { $exists: true } });
+        log(`would update up to ${users} users`);
+        return;
+      }
+      const added = await importTaxonomy(db, INTEREST_TAXONOMY_SNAPSHOT);
+      log(`imported ${added} interest taxonomy entries`);
+    }
+
+    const taxonomy = await loadTaxonomy(db);
+    await updateEach('users', { 'interests.0': { $exists: true } }, user => {
+      const interests = remapInterests(taxonomy, user.interests);
+      return interests ? { $set: { interests } } : null;
+    });
+  },
+
+  // Back to the fixed categories; the taxonomy itself is kept
+  down: async ({ db, updateEach }) => {
+    const topics = await db.collection('interesttopics').find({}, { projection: { slug: 1 } }).toArray();
+    const slugs = new Map(topics.map(topic => [String(topic._id), topic.slug as string]));
+
+    await updateEach('users', { 'interests.0': { $exists: true } }, user => ({
+      $set: {
+        interests: (user.interests as any[]).map(({ topic, ...interest }) => ({
+          ...interest,
+          category: LEGACY_CATEGORIES[slugs.get(String(topic)) || ''] || 'Other'
+        }))
+      }
+    }));
+  }
+};
+
+export default migration;
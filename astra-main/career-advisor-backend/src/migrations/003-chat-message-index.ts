@@ -0,0 +1,36 @@
+import { Migration } from '../services/migrations/types';
+
+const OLD_INDEX = 'conversation_1_createdAt_-1';
+
+// Messages are paged by _id, so the index on createdAt was never used for it. The model now
+// declares { conversation: 1, _id: -1 }, which Mongoose builds on startup; drop the old one.
+const migration: Migration = {
+  id: '003-chat-message-index',
+  description: 'Drop the unused conversation/createdAt index on chat messages',
+
+  up: async ({ db, dryRun, log }) => {
+    const collection = db.collection('chatmessages');
+    const exists = await collection.indexExists(OLD_INDEX).catch(() => false);
+    if (!exists) {
+      log(`no ${OLD_INDEX} index to drop`);
+      return;
+    }
+    if (dryRun) {
+      log(`would drop index ${OLD_INDEX}`);
+      return;
+    }
+    await collection.dropIndex(OLD_INDEX);
+    log(`dropped index ${OLD_INDEX}`);
+  },
+
+  down: async ({ db, dryRun, log }) => {
+    if (dryRun) {
+      log(`would create index ${OLD_INDEX}`);
+      return;
+    }
+    await db.collection('chatmessages').createIndex({ conversation: 1, createdAt: -1 }, { name: OLD_INDEX });
+    log(`created index ${OLD_INDEX}`);
+  }
+};
+
+export default migration;
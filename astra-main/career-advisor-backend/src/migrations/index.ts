@@ -0,0 +1,12 @@
+import { Migration } from '../services/migrations/types';
+import applicationCompletion from './001-application-completion';
+import interestTaxonomy from './002-interest-taxonomy';
+import chatMessageIndex from './003-chat-message-index';
+
+// Every migration, oldest first. Add new ones at the end with the next number; never
+// renumber or edit one that has been applied somewhere.
+export const MIGRATIONS: Migration[] = [
+  applicationCompletion,
+  interestTaxonomy,
+  chatMessageIndex
+];
@@ -0,0 +1,167 @@
+// Copy of taxonomy/interests.json as of migration 002, so editing the seed file later
+// doesn't change what that migration imports on a fresh database
+export const INTEREST_TAXONOMY_SNAPSHOT = {
+  categories: [
+    {
+      name: 'Technology & Computing',
+      color: '#6366f1',
+      synonyms: ['technology', 'tech', 'computers', 'computing'],
+      subcategories: [
+        { name: 'Computer Science', synonyms: ['coding', 'programming', 'software', 'software development', 'computer programming'] },
+        { name: 'Artificial Intelligence', synonyms: ['ai', 'machine learning', 'deep learning', 'neural networks'] },
+        { name: 'Software Testing', synonyms: ['qa', 'quality assurance', 'testing', 'ai software testing', 'test automation'] },
+        { name: 'Robotics', synonyms: ['robot', 'robots', 'mechatronics', 'first robotics', 'vex'] },
+        { name: 'Cybersecurity', synonyms: ['security', 'hacking', 'ethical hacking', 'capture the flag', 'ctf'] },
+        { name: 'Web & App Development', synonyms: ['web development', 'web design', 'app development', 'apps', 'websites'] }
+      ]
+    },
+    {
+      name: 'Engineering',
+      color: '#0ea5e9',
+      synonyms: ['engineer'],
+      subcategories: [
+        { name: 'Mechanical Engineering', synonyms: ['mechanics', 'cars', 'automotive'] },
+        { name: 'Electrical Engineering', synonyms: ['electronics', 'circuits', 'arduino', 'raspberry pi'] },
+        { name: 'Civil Engineering', synonyms: ['construction', 'bridges', 'infrastructure'] },
+        { name: 'Aerospace Engineering', synonyms: ['aerospace', 'aviation', 'rockets', 'drones', 'planes'] },
+        { name: 'Chemical Engineering', synonyms: [] }
+      ]
+    },
+    {
+      name: 'Natural Sciences',
+      color: '#14b8a6',
+      synonyms: ['science', 'sciences'],
+      subcategories: [
+        { name: 'Biology', synonyms: ['life sciences', 'genetics', 'biotechnology', 'marine biology', 'zoology'] },
+        { name: 'Chemistry', synonyms: ['chem', 'biochemistry'] },
+        { name: 'Physics', synonyms: ['quantum', 'astrophysics'] },
+        { name: 'Astronomy', synonyms: ['space', 'stars', 'planets', 'stargazing'] },
+        { name: 'Environmental Science', synonyms: ['environment', 'ecology', 'climate', 'sustainability', 'nature', 'conservation'] }
+      ]
+    },
+    {
+      name: 'Mathematics & Data',
+      color: '#8b5cf6',
+      synonyms: ['math', 'maths'],
+      subcategories: [
+        { name: 'Mathematics', synonyms: ['math', 'maths', 'math olympiad', 'algebra', 'geometry', 'calculus'] },
+        { name: 'Statistics', synonyms: ['probability'] },
+        { name: 'Data Science', synonyms: ['data analysis', 'data analytics', 'big data'] }
+      ]
+    },
+    {
+      name: 'Health & Medicine',
+      color: '#ef4444',
+      synonyms: ['health', 'healthcare', 'medical'],
+      subcategories: [
+        { name: 'Medicine', synonyms: ['doctor', 'physician', 'med school', 'pre med', 'premed', 'surgery'] },
+        { name: 'Nursing', synonyms: ['nurse'] },
+        { name: 'Dentistry', synonyms: ['dentist', 'dental'] },
+        { name: 'Pharmacy', synonyms: ['pharmacist', 'pharmacology'] },
+        { name: 'Public Health', synonyms: ['epidemiology', 'global health'] },
+        { name: 'Veterinary Medicine', synonyms: ['vet', 'veterinarian', 'animal care', 'animals'] }
+      ]
+    },
+    {
+      name: 'Law & Government',
+      color: '#64748b',
+      synonyms: ['law', 'government'],
+      subcategories: [
+        { name: 'Law', synonyms: ['lawyer', 'legal', 'attorney', 'justice', 'mock trial'] },
+        { name: 'Politics', synonyms: ['political science', 'elections', 'student council', 'policy'] },
+        { name: 'International Relations', synonyms: ['diplomacy', 'model un', 'mun', 'global affairs'] },
+        { name: 'Debate', synonyms: ['debating', 'public speaking', 'speech'] }
+      ]
+    },
+    {
+      name: 'Business & Economics',
+      color: '#f59e0b',
+      synonyms: ['business'],
+      subcategories: [
+        { name: 'Entrepreneurship', synonyms: ['startups', 'startup', 'small business', 'deca'] },
+        { name: 'Finance', synonyms: ['investing', 'stocks', 'stock market', 'banking'] },
+        { name: 'Economics', synonyms: ['econ'] },
+        { name: 'Marketing', synonyms: ['advertising', 'social media marketing', 'branding'] },
+        { name: 'Accounting', synonyms: ['bookkeeping'] }
+      ]
+    },
+    {
+      name: 'Arts & Design',
+      color: '#ec4899',
+      synonyms: ['art', 'arts', 'design'],
+      subcategories: [
+        { name: 'Visual Arts', synonyms: ['painting', 'drawing', 'sketching', 'sculpture', 'illustration'] },
+        { name: 'Graphic Design', synonyms: ['digital art', 'ui design', 'ux design'] },
+        { name: 'Photography', synonyms: ['photos'] },
+        { name: 'Film', synonyms: ['filmmaking', 'movies', 'cinema', 'video editing', 'animation'] },
+        { name: 'Architecture', synonyms: ['architect', 'interior design'] },
+        { name: 'Fashion', synonyms: ['fashion design', 'clothing', 'sewing'] }
+      ]
+    },
+    {
+      name: 'Music & Performing Arts',
+      color: '#d946ef',
+      synonyms: ['performing arts'],
+      subcategories: [
+        { name: 'Music', synonyms: ['piano', 'guitar', 'violin', 'drums', 'singing', 'choir', 'band', 'orchestra', 'music production'] },
+        { name: 'Theatre', synonyms: ['theater', 'drama', 'acting', 'musical theatre'] },
+        { name: 'Dance', synonyms: ['ballet', 'hip hop'] }
+      ]
+    },
+    {
+      name: 'Humanities & Languages',
+      color: '#a16207',
+      synonyms: ['humanities'],
+      subcategories: [
+        { name: 'Literature', synonyms: ['reading', 'books', 'english literature', 'poetry'] },
+        { name: 'Creative Writing', synonyms: ['writing', 'journalism', 'blogging', 'school newspaper'] },
+        { name: 'History', synonyms: ['archaeology'] },
+        { name: 'Philosophy', synonyms: ['ethics'] },
+        { name: 'Languages', synonyms: ['foreign languages', 'linguistics', 'spanish', 'french', 'german', 'chinese', 'japanese'] }
+      ]
+    },
+    {
+      name: 'Social Sciences & Education',
+      color: '#10b981',
+      synonyms: ['social sciences'],
+      subcategories: [
+        { name: 'Psychology', synonyms: ['psych', 'neuroscience', 'mental health'] },
+        { name: 'Sociology', synonyms: ['anthropology'] },
+        { name: 'Education', synonyms: ['teaching', 'tutoring', 'teacher'] },
+        { name: 'Community Service', synonyms: ['volunteering', 'volunteer', 'charity', 'social work', 'nonprofit'] }
+      ]
+    },
+    {
+      name: 'Sports & Fitness',
+      color: '#22c55e',
+      synonyms: ['sports', 'sport', 'athletics', 'fitness'],
+      subcategories: [
+        { name: 'Soccer', synonyms: ['football'] },
+        { name: 'Basketball', synonyms: [] },
+        { name: 'Swimming', synonyms: ['swim', 'water polo'] },
+        { name: 'Track & Field', synonyms: ['running', 'cross country', 'marathon'] },
+        { name: 'Martial Arts', synonyms: ['karate', 'judo', 'taekwondo', 'boxing'] },
+        { name: 'Tennis', synonyms: ['badminton', 'table tennis'] },
+        { name: 'Fitness & Training', synonyms: ['gym', 'weightlifting', 'yoga', 'workout'] },
+        { name: 'Sports Science', synonyms: ['kinesiology', 'sports medicine', 'physiotherapy'] }
+      ]
+    },
+    {
+      name: 'Games & Esports',
+      color: '#f97316',
+      synonyms: ['gaming', 'games'],
+      subcategories: [
+        { name: 'Video Games', synonyms: ['gaming', 'video gaming', 'minecraft'] },
+        { name: 'Game Design', synonyms: ['game development', 'game dev', 'unity', 'unreal engine'] },
+        { name: 'Esports', synonyms: ['competitive gaming'] },
+        { name: 'Chess & Board Games', synonyms: ['chess', 'board games', 'puzzles'] }
+      ]
+    },
+    {
+      name: 'Other',
+      color: '#9ca3af',
+      synonyms: [],
+      subcategories: []
+    }
+  ]
+};
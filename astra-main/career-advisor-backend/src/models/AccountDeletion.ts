@@ -0,0 +1,70 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+import { USER_ROLES, UserRole } from './User';
+
+export const DELETION_STATUSES = ['scheduled', 'cancelled', 'completed'] as const;
+export type DeletionStatus = typeof DELETION_STATUSES[number];
+
+// Define the interface for the audit record of an account deletion request. It outlives
+// the account, so it keeps no personal data: only the id and a hash of the email address,
+// enough to answer "was this account deleted, and when?".
+export interface IAccountDeletion extends Document {
+  user: Types.ObjectId;
+  // SHA-256 of the lowercased email address
+  emailHash: string;
+  role: UserRole;
+  status: DeletionStatus;
+  requestedAt: Date;
+  scheduledFor: Date;
+  cancelledAt?: Date;
+  completedAt?: Date;
+  // Documents removed per collection
+  removed?: Map<string, number>;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const AccountDeletionSchema: Schema<IAccountDeletion> = new Schema<IAccountDeletion>({
+  user: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  emailHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELETION_STATUSES,
+    default: 'scheduled'
+  },
+  requestedAt: {
+    type: Date,
+    required: true
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  cancelledAt: Date,
+  completedAt: Date,
+  removed: {
+    type: Map,
+    of: Number
+  }
+}, {
+  timestamps: true
+});
+
+AccountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+
+const AccountDeletion = mongoose.model<IAccountDeletion>('AccountDeletion', AccountDeletionSchema);
+export default AccountDeletion;
@@ -0,0 +1,46 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// 'default' applies to every user without an override, 'global' to all users combined
+export const QUOTA_SCOPES = ['default', 'global', 'user'] as const;
+export type QuotaScope = typeof QUOTA_SCOPES[number];
+
+// Define the interface for an admin-set AI quota. Unset limits fall back to the environment.
+export interface IAiQuota extends Document {
+  scope: QuotaScope;
+  user?: Types.ObjectId;
+  requestsPerMinute?: number;
+  tokensPerHour?: number;
+  updatedBy?: Types.ObjectId;
+}
+
+const AiQuotaSchema: Schema<IAiQuota> = new Schema<IAiQuota>({
+  scope: {
+    type: String,
+    enum: QUOTA_SCOPES,
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function(this: IAiQuota) { return this.scope === 'user'; }, 'User is required for a user quota']
+  },
+  requestsPerMinute: {
+    type: Number,
+    min: [0, 'Requests per minute cannot be negative']
+  },
+  tokensPerHour: {
+    type: Number,
+    min: [0, 'Tokens per hour cannot be negative']
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+AiQuotaSchema.index({ scope: 1, user: 1 }, { unique: true });
+
+const AiQuota = mongoose.model<IAiQuota>('AiQuota', AiQuotaSchema);
+export default AiQuota;
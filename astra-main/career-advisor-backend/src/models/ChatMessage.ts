@@ -0,0 +1,67 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+export type ChatRole = 'user' | 'assistant';
+
+// Define the interface for a single turn in a Conversation
+export interface IChatMessage extends Document {
+  conversation: Types.ObjectId;
+  user: Types.ObjectId;
+  role: ChatRole;
+  content: string;
+  // Set when a streamed reply was cancelled or failed part-way through
+  interrupted?: boolean;
+  // Knowledge base documents the reply drew on, in [n] citation order
+  sources?: Array<{
+    ref: number;
+    documentId: string;
+    title: string;
+    section?: string;
+    source?: string;
+  }>;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const ChatMessageSchema: Schema<IChatMessage> = new Schema<IChatMessage>({
+  conversation: {
+    type: Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  interrupted: {
+    type: Boolean,
+    default: false
+  },
+  sources: [{
+    _id: false,
+    ref: { type: Number, required: true },
+    documentId: { type: String, required: true },
+    title: { type: String, required: true },
+    section: String,
+    source: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Messages are paged newest-first within a conversation, ordered by _id
+ChatMessageSchema.index({ conversation: 1, _id: -1 });
+
+const ChatMessage = mongoose.model<IChatMessage>('ChatMessage', ChatMessageSchema);
+export default ChatMessage;
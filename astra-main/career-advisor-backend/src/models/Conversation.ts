@@ -0,0 +1,50 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// Define the interface for a Conversation (a named advisor chat thread)
+export interface IConversation extends Document {
+  user: Types.ObjectId;
+  title: string;
+  messageCount: number;
+  lastMessageAt?: Date;
+
+  // Running summary of turns that no longer fit the model's context budget
+  summary?: string;
+  summarizedThrough?: Types.ObjectId;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const ConversationSchema: Schema<IConversation> = new Schema<IConversation>({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [120, 'Title must be at most 120 characters long']
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: Date,
+  summary: String,
+  summarizedThrough: {
+    type: Schema.Types.ObjectId,
+    ref: 'ChatMessage'
+  }
+}, {
+  timestamps: true
+});
+
+// Thread lists are always shown most recently active first
+ConversationSchema.index({ user: 1, lastMessageAt: -1 });
+
+const Conversation = mongoose.model<IConversation>('Conversation', ConversationSchema);
+export default Conversation;
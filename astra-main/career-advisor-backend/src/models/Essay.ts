@@ -0,0 +1,72 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// Define the interface for an essay draft (personal statement, supplement, ...). The latest
+// text lives here; every saved state is kept as an EssayVersion.
+export interface IEssay extends Document {
+  student: Types.ObjectId;
+  // The universityApplications entry the essay is for; unset for general drafts
+  application?: Types.ObjectId;
+  title: string;
+  // The question the essay answers, as given by the university
+  prompt?: string;
+  wordLimit?: number;
+  // Rubric the AI review scores against (see services/essays/rubrics.ts)
+  rubric: string;
+  content: string;
+  wordCount: number;
+  // Number of the latest EssayVersion (0 before the first save)
+  currentVersion: number;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const EssaySchema: Schema<IEssay> = new Schema<IEssay>({
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  application: Schema.Types.ObjectId,
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be longer than 200 characters']
+  },
+  prompt: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Prompt cannot be longer than 2000 characters']
+  },
+  wordLimit: {
+    type: Number,
+    min: [1, 'Word limit must be at least 1'],
+    max: [10000, 'Word limit cannot exceed 10000']
+  },
+  rubric: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    default: '',
+    maxlength: [100000, 'Essay cannot be longer than 100000 characters']
+  },
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  currentVersion: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+EssaySchema.index({ student: 1, updatedAt: -1 });
+
+const Essay = mongoose.model<IEssay>('Essay', EssaySchema);
+export default Essay;
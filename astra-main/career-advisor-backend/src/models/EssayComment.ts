@@ -0,0 +1,62 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// Define the interface for a comment a counselor (or the student) leaves on one paragraph
+// of an essay. The quoted paragraph start lets the comment follow its paragraph as the
+// essay is edited (see services/essays).
+export interface IEssayComment extends Document {
+  essay: Types.ObjectId;
+  author: Types.ObjectId;
+  // Version the comment was written against, and the paragraph's index in it (0-based)
+  version: number;
+  paragraph: number;
+  quote: string;
+  body: string;
+  resolved: boolean;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const EssayCommentSchema: Schema<IEssayComment> = new Schema<IEssayComment>({
+  essay: {
+    type: Schema.Types.ObjectId,
+    ref: 'Essay',
+    required: true
+  },
+  author: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  paragraph: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quote: {
+    type: String,
+    default: ''
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot be longer than 2000 characters']
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+EssayCommentSchema.index({ essay: 1, createdAt: 1 });
+
+const EssayComment = mongoose.model<IEssayComment>('EssayComment', EssayCommentSchema);
+export default EssayComment;
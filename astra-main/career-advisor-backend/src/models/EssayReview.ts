@@ -0,0 +1,70 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// Define the interface for an AI review of one essay version against a rubric
+export interface IEssayReview extends Document {
+  essay: Types.ObjectId;
+  version: number;
+  rubric: string;
+  summary: string;
+  scores: Array<{
+    criterion: string;
+    score: number;
+    comment: string;
+  }>;
+  // Inline comments, anchored like EssayComment
+  comments: Array<{
+    paragraph: number;
+    quote: string;
+    criterion?: string;
+    body: string;
+  }>;
+  // LLM that wrote the review
+  provider: string;
+  modelName: string;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const EssayReviewSchema: Schema<IEssayReview> = new Schema<IEssayReview>({
+  essay: {
+    type: Schema.Types.ObjectId,
+    ref: 'Essay',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  rubric: {
+    type: String,
+    required: true
+  },
+  summary: {
+    type: String,
+    default: ''
+  },
+  scores: [{
+    _id: false,
+    criterion: { type: String, required: true },
+    score: { type: Number, required: true },
+    comment: { type: String, default: '' }
+  }],
+  comments: [{
+    _id: false,
+    paragraph: { type: Number, required: true, min: 0 },
+    quote: { type: String, default: '' },
+    criterion: String,
+    body: { type: String, required: true }
+  }],
+  provider: String,
+  modelName: String
+}, {
+  timestamps: true
+});
+
+EssayReviewSchema.index({ essay: 1, createdAt: -1 });
+
+const EssayReview = mongoose.model<IEssayReview>('EssayReview', EssayReviewSchema);
+export default EssayReview;
@@ -0,0 +1,50 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+export const VERSION_SOURCES = ['autosave', 'manual', 'restore'] as const;
+export type VersionSource = typeof VERSION_SOURCES[number];
+
+// Define the interface for one saved state of an essay
+export interface IEssayVersion extends Document {
+  essay: Types.ObjectId;
+  // 1, 2, 3... within the essay
+  number: number;
+  content: string;
+  wordCount: number;
+  source: VersionSource;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const EssayVersionSchema: Schema<IEssayVersion> = new Schema<IEssayVersion>({
+  essay: {
+    type: Schema.Types.ObjectId,
+    ref: 'Essay',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  source: {
+    type: String,
+    enum: VERSION_SOURCES,
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+EssayVersionSchema.index({ essay: 1, number: -1 }, { unique: true });
+
+const EssayVersion = mongoose.model<IEssayVersion>('EssayVersion', EssayVersionSchema);
+export default EssayVersion;
@@ -0,0 +1,83 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+import { RiasecScores } from '../services/riasec';
+
+export const ASSESSMENT_STATUSES = ['in_progress', 'completed'] as const;
+export type AssessmentStatus = typeof ASSESSMENT_STATUSES[number];
+
+// Define the interface for one attempt at the RIASEC interest assessment. Answers are saved
+// as the student goes, so an attempt can be finished in a later session.
+export interface IInterestAssessment extends Document {
+  user: Types.ObjectId;
+  // Question bank the answers belong to (see services/riasec.ts)
+  version: string;
+  status: AssessmentStatus;
+  answers: Array<{
+    questionId: string;
+    value: number;
+  }>;
+  // Set on completion
+  scores?: RiasecScores;
+  code?: string;
+  completedAt?: Date;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const dimensionScore = { type: Number, min: 0, max: 100 };
+
+const InterestAssessmentSchema: Schema<IInterestAssessment> = new Schema<IInterestAssessment>({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ASSESSMENT_STATUSES,
+    default: 'in_progress'
+  },
+  answers: [{
+    _id: false,
+    questionId: {
+      type: String,
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5
+    }
+  }],
+  scores: {
+    type: new Schema({
+      R: dimensionScore,
+      I: dimensionScore,
+      A: dimensionScore,
+      S: dimensionScore,
+      E: dimensionScore,
+      C: dimensionScore
+    }, { _id: false }),
+    default: undefined
+  },
+  code: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// At most one unfinished attempt per student
+InterestAssessmentSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+InterestAssessmentSchema.index({ user: 1, completedAt: -1 });
+
+const InterestAssessment = mongoose.model<IInterestAssessment>('InterestAssessment', InterestAssessmentSchema);
+export default InterestAssessment;
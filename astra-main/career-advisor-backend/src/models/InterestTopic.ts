@@ -0,0 +1,62 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// Define the interface for an entry of the interest taxonomy: a top-level category
+// ("Health & Medicine") or a subcategory under one ("Nursing"). Students' interests point
+// at the entry they were matched to.
+export interface IInterestTopic extends Document {
+  // Stable key used by the taxonomy import, derived from the name unless given
+  slug: string;
+  name: string;
+  // Category this subcategory belongs to; null for categories
+  parent: Types.ObjectId | null;
+  // Other words students use for it ("med school", "doctor")
+  synonyms: string[];
+  // Display color as #rrggbb. Categories have one; subcategories use their category's.
+  color?: string;
+  // Sort position among its siblings
+  order: number;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const InterestTopicSchema: Schema<IInterestTopic> = new Schema<IInterestTopic>({
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain letters, numbers and dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [80, 'Name cannot be more than 80 characters']
+  },
+  parent: {
+    type: Schema.Types.ObjectId,
+    ref: 'InterestTopic',
+    default: null
+  },
+  synonyms: [{ type: String, trim: true }],
+  color: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^#[0-9a-f]{6}$/, 'Color must be a hex value like #f97316']
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+InterestTopicSchema.index({ parent: 1, order: 1 });
+
+const InterestTopic = mongoose.model<IInterestTopic>('InterestTopic', InterestTopicSchema);
+export default InterestTopic;
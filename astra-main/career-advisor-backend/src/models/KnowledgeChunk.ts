@@ -0,0 +1,60 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+// One embedded piece of a knowledge base document (see services/knowledge)
+export interface IKnowledgeChunk extends Document {
+  documentId: string;
+  documentHash: string;
+  title: string;
+  type?: string;
+  source?: string;
+  section?: string;
+  position: number;
+  text: string;
+  embedding: number[];
+  embeddingModel: string;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const KnowledgeChunkSchema: Schema<IKnowledgeChunk> = new Schema<IKnowledgeChunk>({
+  documentId: {
+    type: String,
+    required: true
+  },
+  documentHash: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  type: String,
+  source: String,
+  section: String,
+  position: {
+    type: Number,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    required: true
+  },
+  embeddingModel: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+KnowledgeChunkSchema.index({ documentId: 1, position: 1 }, { unique: true });
+
+const KnowledgeChunk = mongoose.model<IKnowledgeChunk>('KnowledgeChunk', KnowledgeChunkSchema);
+export default KnowledgeChunk;
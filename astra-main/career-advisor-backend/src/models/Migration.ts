@@ -0,0 +1,33 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+// Define the interface for an applied schema migration (see src/migrations)
+export interface IMigration extends Document {
+  // File name without extension, e.g. "001-application-completion"
+  migrationId: string;
+  description: string;
+  appliedAt: Date;
+  durationMs: number;
+}
+
+const MigrationSchema: Schema<IMigration> = new Schema<IMigration>({
+  migrationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  appliedAt: {
+    type: Date,
+    required: true
+  },
+  durationMs: {
+    type: Number,
+    default: 0
+  }
+});
+
+const Migration = mongoose.model<IMigration>('Migration', MigrationSchema);
+export default Migration;
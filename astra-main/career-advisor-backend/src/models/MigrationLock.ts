@@ -0,0 +1,35 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+// Define the interface for the lock held while migrations run, so that two server
+// instances (or a server and the CLI) never migrate at the same time
+export interface IMigrationLock extends Document {
+  name: string;
+  // host:pid of the process holding it
+  owner: string;
+  acquiredAt: Date;
+  // A crashed holder's lock can be taken over after this
+  expiresAt: Date;
+}
+
+const MigrationLockSchema: Schema<IMigrationLock> = new Schema<IMigrationLock>({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  acquiredAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+const MigrationLock = mongoose.model<IMigrationLock>('MigrationLock', MigrationLockSchema);
+export default MigrationLock;
@@ -0,0 +1,59 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+export const NOTIFICATION_TYPES = ['deadline', 'checklist', 'link', 'comment'] as const;
+export type NotificationType = typeof NOTIFICATION_TYPES[number];
+
+// Define the interface for an in-app Notification
+export interface INotification extends Document {
+  user: Types.ObjectId;
+  type: NotificationType;
+  title: string;
+  body: string;
+  // When the thing being reminded about is due
+  dueAt?: Date;
+  // Identifies what triggered the notification, so a scan never creates it twice
+  dedupeKey: string;
+  readAt?: Date;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const NotificationSchema: Schema<INotification> = new Schema<INotification>({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  dueAt: Date,
+  dedupeKey: {
+    type: String,
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ user: 1, dedupeKey: 1 }, { unique: true });
+NotificationSchema.index({ user: 1, createdAt: -1 });
+
+const Notification = mongoose.model<INotification>('Notification', NotificationSchema);
+export default Notification;
@@ -0,0 +1,102 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+import { Tuition, AdmissionRequirements, TuitionSchema, RequirementsSchema } from './University';
+
+export const DEGREE_LEVELS = ['certificate', 'associate', 'bachelor', 'master', 'doctorate'] as const;
+export type DegreeLevel = typeof DEGREE_LEVELS[number];
+
+// One application round, e.g. "Early Decision" on 1 November
+export interface ProgramDeadline {
+  label: string;
+  date: Date;
+}
+
+// Define the interface for a program offered by a catalog university. Location, tuition and
+// requirements are copied from the university by the catalog import (unless the program
+// sets its own) so that programs can be searched and filtered without a join.
+export interface IProgram extends Document {
+  university: Types.ObjectId;
+  universityName: string;
+  // Unique within the university
+  slug: string;
+  name: string;
+  degree: DegreeLevel;
+  subjectAreas: string[];
+  description?: string;
+  durationYears?: number;
+  country: string;
+  city?: string;
+  tuition?: Tuition;
+  requirements?: AdmissionRequirements;
+  deadlines: ProgramDeadline[];
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const ProgramSchema: Schema<IProgram> = new Schema<IProgram>({
+  university: {
+    type: Schema.Types.ObjectId,
+    ref: 'University',
+    required: true
+  },
+  universityName: {
+    type: String,
+    required: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  degree: {
+    type: String,
+    enum: DEGREE_LEVELS,
+    default: 'bachelor'
+  },
+  subjectAreas: [{ type: String, trim: true }],
+  description: String,
+  durationYears: {
+    type: Number,
+    min: [0.5, 'Duration must be at least half a year'],
+    max: [10, 'Duration cannot exceed 10 years']
+  },
+  country: {
+    type: String,
+    required: true
+  },
+  city: String,
+  tuition: TuitionSchema,
+  requirements: RequirementsSchema,
+  deadlines: [{
+    _id: false,
+    label: {
+      type: String,
+      required: [true, 'Deadline label is required'],
+      trim: true
+    },
+    date: {
+      type: Date,
+      required: [true, 'Deadline date is required']
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+ProgramSchema.index({ university: 1, slug: 1 }, { unique: true });
+ProgramSchema.index(
+  { name: 'text', universityName: 'text', subjectAreas: 'text', description: 'text' },
+  { weights: { name: 10, universityName: 6, subjectAreas: 4 } }
+);
+ProgramSchema.index({ country: 1, subjectAreas: 1 });
+ProgramSchema.index({ 'tuition.amount': 1 });
+
+const Program = mongoose.model<IProgram>('Program', ProgramSchema);
+export default Program;
@@ -0,0 +1,25 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+// Define the interface for a revoked access token (the server-side revocation list)
+export interface IRevokedToken extends Document {
+  jti: string;
+  // When the token would have expired anyway; the entry is dropped after that
+  expiresAt: Date;
+}
+
+const RevokedTokenSchema: Schema<IRevokedToken> = new Schema<IRevokedToken>({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model<IRevokedToken>('RevokedToken', RevokedTokenSchema);
+export default RevokedToken;
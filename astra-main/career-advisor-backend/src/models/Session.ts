@@ -0,0 +1,58 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// Define the interface for a Session (one signed-in device or browser)
+export interface ISession extends Document {
+  user: Types.ObjectId;
+  // SHA-256 of the refresh token currently valid for this session
+  refreshTokenHash: string;
+  // Hashes of refresh tokens already rotated out; presenting one again means it was stolen
+  previousTokenHashes: string[];
+  expiresAt: Date;
+  lastUsedAt: Date;
+  revokedAt?: Date;
+  revokedReason?: string;
+  userAgent?: string;
+  ip?: string;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const SessionSchema: Schema<ISession> = new Schema<ISession>({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  userAgent: String,
+  ip: String
+}, {
+  timestamps: true
+});
+
+// Let Mongo clean up sessions a while after they can no longer be refreshed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Session = mongoose.model<ISession>('Session', SessionSchema);
+export default Session;
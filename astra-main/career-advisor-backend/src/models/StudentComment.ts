@@ -0,0 +1,47 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+export const COMMENT_SECTIONS = ['general', 'academics', 'interests', 'achievements', 'applications'] as const;
+export type CommentSection = typeof COMMENT_SECTIONS[number];
+
+// Define the interface for a comment a counselor or parent leaves on a student's dashboard
+export interface IStudentComment extends Document {
+  student: Types.ObjectId;
+  author: Types.ObjectId;
+  section: CommentSection;
+  body: string;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const StudentCommentSchema: Schema<IStudentComment> = new Schema<IStudentComment>({
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  author: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  section: {
+    type: String,
+    enum: COMMENT_SECTIONS,
+    default: 'general'
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot be longer than 2000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+StudentCommentSchema.index({ student: 1, createdAt: -1 });
+
+const StudentComment = mongoose.model<IStudentComment>('StudentComment', StudentCommentSchema);
+export default StudentComment;
@@ -0,0 +1,82 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+import { SUPPORTER_ROLES, SupporterRole } from './User';
+
+// 'read' sees the student's dashboard; 'comment' may also leave comments on it
+export const LINK_PERMISSIONS = ['read', 'comment'] as const;
+export type LinkPermission = typeof LINK_PERMISSIONS[number];
+
+export const LINK_STATUSES = ['pending', 'active', 'declined', 'revoked'] as const;
+export type LinkStatus = typeof LINK_STATUSES[number];
+
+// Define the interface for a link between a student and a counselor or parent.
+// Either side may invite; the link only grants access once the other side accepts.
+export interface IStudentLink extends Document {
+  // Unset until the invited side accepts, if they had no account when invited
+  student?: Types.ObjectId;
+  supporter?: Types.ObjectId;
+  relationship: SupporterRole;
+  permission: LinkPermission;
+  status: LinkStatus;
+  invitedBy: Types.ObjectId;
+  inviteeEmail: string;
+  respondedAt?: Date;
+  revokedAt?: Date;
+  revokedBy?: Types.ObjectId;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const StudentLinkSchema: Schema<IStudentLink> = new Schema<IStudentLink>({
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  supporter: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  relationship: {
+    type: String,
+    enum: SUPPORTER_ROLES,
+    required: [true, 'Relationship is required']
+  },
+  permission: {
+    type: String,
+    enum: LINK_PERMISSIONS,
+    default: 'read'
+  },
+  status: {
+    type: String,
+    enum: LINK_STATUSES,
+    default: 'pending'
+  },
+  invitedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  inviteeEmail: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/.+@.+\..+/, 'Please enter a valid email address']
+  },
+  respondedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+StudentLinkSchema.index({ supporter: 1, status: 1 });
+StudentLinkSchema.index({ student: 1, status: 1 });
+StudentLinkSchema.index({ inviteeEmail: 1, status: 1 });
+
+const StudentLink = mongoose.model<IStudentLink>('StudentLink', StudentLinkSchema);
+export default StudentLink;
@@ -0,0 +1,110 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+// Annual tuition in one currency
+export interface Tuition {
+  amount: number;
+  currency: string;
+}
+
+// Admission requirements, checked against a student's profile for "requirement fit"
+export interface AdmissionRequirements {
+  // Unweighted GPA on the 4.0 scale (see services/grading.ts)
+  minGpa?: number;
+  // Secondary school subjects applicants must have taken, e.g. "Chemistry"
+  requiredSubjects: string[];
+  tests: string[];
+  language?: string;
+  notes?: string;
+}
+
+export const TuitionSchema = new Schema<Tuition>({
+  amount: {
+    type: Number,
+    required: [true, 'Tuition amount is required'],
+    min: [0, 'Tuition cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: 'USD'
+  }
+}, { _id: false });
+
+export const RequirementsSchema = new Schema<AdmissionRequirements>({
+  minGpa: {
+    type: Number,
+    min: [0, 'Minimum GPA must be between 0 and 4'],
+    max: [4, 'Minimum GPA must be between 0 and 4']
+  },
+  requiredSubjects: [{ type: String, trim: true }],
+  tests: [{ type: String, trim: true }],
+  language: { type: String, trim: true },
+  notes: { type: String, trim: true }
+}, { _id: false });
+
+// Define the interface for a catalog university. Tuition and requirements here are the
+// defaults for its programs; a program may override either.
+export interface IUniversity extends Document {
+  // Stable key used by the catalog import, derived from the name unless given
+  slug: string;
+  name: string;
+  // Other names students use for it ("MIT", "Massachusetts Inst. of Technology")
+  aliases: string[];
+  country: string;
+  city?: string;
+  website?: string;
+  description?: string;
+  subjectAreas: string[];
+  tuition?: Tuition;
+  requirements?: AdmissionRequirements;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const UniversitySchema: Schema<IUniversity> = new Schema<IUniversity>({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  aliases: [{ type: String, trim: true }],
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  description: String,
+  subjectAreas: [{ type: String, trim: true }],
+  tuition: TuitionSchema,
+  requirements: RequirementsSchema
+}, {
+  timestamps: true
+});
+
+UniversitySchema.index(
+  { name: 'text', aliases: 'text', city: 'text', subjectAreas: 'text', description: 'text' },
+  { weights: { name: 10, aliases: 8, subjectAreas: 4, city: 2 } }
+);
+UniversitySchema.index({ country: 1, name: 1 });
+
+const University = mongoose.model<IUniversity>('University', UniversitySchema);
+export default University;
@@ -0,0 +1,43 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// Define the interface for one user's AI usage on one (UTC) day
+export interface IUsageLedger extends Document {
+  user: Types.ObjectId;
+  // YYYY-MM-DD in UTC
+  day: string;
+  requests: number;
+  promptTokens: number;
+  completionTokens: number;
+}
+
+const UsageLedgerSchema: Schema<IUsageLedger> = new Schema<IUsageLedger>({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  day: {
+    type: String,
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+UsageLedgerSchema.index({ user: 1, day: 1 }, { unique: true });
+UsageLedgerSchema.index({ day: 1 });
+
+const UsageLedger = mongoose.model<IUsageLedger>('UsageLedger', UsageLedgerSchema);
+export default UsageLedger;
@@ -1,11 +1,63 @@
-import mongoose, { Document, Schema } from 'mongoose';
+import mongoose, { Document, Schema, Types } from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { RiasecScores } from '../services/riasec';
+import { Tuition, TuitionSchema } from './University';
+
+export const USER_ROLES = ['student', 'counselor', 'parent', 'admin'] as const;
+export type UserRole = typeof USER_ROLES[number];
+
+// Roles that follow students through a StudentLink rather than having a dashboard of their own
+export const SUPPORTER_ROLES = ['counselor', 'parent'] as const;
+export type SupporterRole = typeof SUPPORTER_ROLES[number];
+
+// Roles anyone may choose at signup
+export const SIGNUP_ROLES = ['student', ...SUPPORTER_ROLES] as const;
+
+export const ADVISOR_SHARING_SECTIONS = [
+  'basics',
+  'academics',
+  'interests',
+  'achievements',
+  'applications'
+] as const;
+
+export type AdvisorSharingSection = typeof ADVISOR_SHARING_SECTIONS[number];
+export type AdvisorSharing = Record<AdvisorSharingSection, boolean>;
+
+export const CHECKLIST_ITEM_TYPES = ['essay', 'recommendation', 'test_score', 'transcript', 'fee', 'other'] as const;
+export const CHECKLIST_ITEM_STATES = ['todo', 'in_progress', 'done', 'waived'] as const;
+
+// Grading systems a student's grades can be recorded in (see services/grading.ts)
+export const GRADING_SCALES = ['us_letter', 'percentage', 'ib', 'a_level', 'custom'] as const;
+export type GradingScale = typeof GRADING_SCALES[number];
+
+// Course levels that earn a boost in the weighted GPA
+export const COURSE_LEVELS = ['standard', 'honors', 'ap', 'ib_hl'] as const;
+export type CourseLevel = typeof COURSE_LEVELS[number];
+
+// One requirement an application needs before it can be submitted
+export interface ChecklistItem {
+  _id?: Types.ObjectId;
+  type: typeof CHECKLIST_ITEM_TYPES[number];
+  label: string;
+  state: typeof CHECKLIST_ITEM_STATES[number];
+  dueDate?: Date;
+}
 
 // Define the interface for a User document
 export interface IUser extends Document {
   // Basic auth fields
   email: string;
   password?: string;
+  role: UserRole;
+  emailVerified: boolean;
+  passwordChangedAt?: Date;
+  
+  // Single-use account tokens, stored hashed (unset once used)
+  emailVerificationTokenHash?: string;
+  emailVerificationExpires?: Date;
+  passwordResetTokenHash?: string;
+  passwordResetExpires?: Date;
   
   // Profile fields
   firstName: string;
@@ -25,21 +77,56 @@ export interface IUser extends Document {
   academicProgress: Array<{
     subject: string;
     grade: string;
+    term?: string;
+    credits?: number;
+    level?: CourseLevel;
     progress?: number;
   }>;
   
+  // How the grades above are expressed; 'custom' uses customGradeScale
+  gradingScale: GradingScale;
+  customGradeScale: Array<{
+    grade: string;
+    points: number;
+  }>;
+  
   // Interests & Hobbies
+  // `topic` is the interest taxonomy entry the interest was matched to and `category` the
+  // name of its top-level category ("Other" when nothing matched)
   interests: Array<{
     name: string;
     category: string;
+    topic?: Types.ObjectId;
   }>;
   
+  // Latest RIASEC interest assessment result (history lives in InterestAssessment)
+  interestProfile?: {
+    code: string;
+    scores: RiasecScores;
+    version: string;
+    completedAt: Date;
+  };
+  
+  // What the student is looking for in a program, used by the recommendation engine
+  studyPreferences: {
+    // Most the student can spend on tuition per year
+    budget?: Tuition;
+    countries: string[];
+  };
+  
   // University Applications
   universityApplications: Array<{
+    _id?: Types.ObjectId;
+    // Catalog entries the application refers to; unset for custom (off-catalog) entries
+    universityId?: Types.ObjectId;
+    programId?: Types.ObjectId;
     universityName: string;
     program: string;
     deadline: Date;
     status: string;
+    checklist: ChecklistItem[];
+    // Derived from the checklist on save
+    completion: number;
   }>;
   
   applicationProgress: {
@@ -48,12 +135,15 @@ export interface IUser extends Document {
     projectLink?: string;
   };
   
-  // Chat History
-  chatHistory?: Array<{
-    message: string;
-    sender: string;
-    timestamp: Date;
-  }>;
+  // Which profile sections the AI advisor may see
+  advisorSharing: AdvisorSharing;
+  
+  // Secret token for the iCalendar subscription feed (unset when the feed is off)
+  calendarFeedToken?: string;
+  
+  // Set while the account waits out its deletion grace period
+  deletionRequestedAt?: Date;
+  deletionScheduledFor?: Date;
   
   // Timestamps
   createdAt: Date;
@@ -83,6 +173,34 @@ const UserSchema: Schema<IUser> = new Schema<IUser>({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false
   },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'student'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  passwordChangedAt: Date,
+  emailVerificationTokenHash: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   
   // Profile fields
   firstName: {
@@ -132,6 +250,20 @@ const UserSchema: Schema<IUser> = new Schema<IUser>({
       type: String,
       required: true
     },
+    // School term the grade belongs to, e.g. "Fall 2024" or "Year 11"
+    term: {
+      type: String,
+      trim: true
+    },
+    credits: {
+      type: Number,
+      min: 0,
+      max: 30
+    },
+    level: {
+      type: String,
+      enum: COURSE_LEVELS
+    },
     progress: {
       type: Number,
       min: 0,
@@ -147,13 +279,46 @@ const UserSchema: Schema<IUser> = new Schema<IUser>({
     },
     category: {
       type: String,
-      enum: ['Gaming', 'AI Software Testing', 'Robotics', 'Other'],
       required: true
+    },
+    topic: {
+      type: Schema.Types.ObjectId,
+      ref: 'InterestTopic'
     }
   }],
   
+  interestProfile: {
+    type: new Schema({
+      code: { type: String, required: true },
+      scores: {
+        R: Number,
+        I: Number,
+        A: Number,
+        S: Number,
+        E: Number,
+        C: Number
+      },
+      version: { type: String, required: true },
+      completedAt: { type: Date, required: true }
+    }, { _id: false }),
+    default: undefined
+  },
+  
+  studyPreferences: {
+    budget: TuitionSchema,
+    countries: [{ type: String, trim: true }]
+  },
+  
   // University Applications
   universityApplications: [{
+    universityId: {
+      type: Schema.Types.ObjectId,
+      ref: 'University'
+    },
+    programId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Program'
+    },
     universityName: {
       type: String,
       required: true
@@ -170,6 +335,30 @@ const UserSchema: Schema<IUser> = new Schema<IUser>({
       type: String,
       enum: ['Not Started', 'In Progress', 'Submitted', 'Accepted', 'Rejected'],
       default: 'Not Started'
+    },
+    checklist: [{
+      type: {
+        type: String,
+        enum: CHECKLIST_ITEM_TYPES,
+        required: true
+      },
+      label: {
+        type: String,
+        required: [true, 'Label is required'],
+        trim: true
+      },
+      state: {
+        type: String,
+        enum: CHECKLIST_ITEM_STATES,
+        default: 'todo'
+      },
+      dueDate: Date
+    }],
+    completion: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
     }
   }],
   
@@ -184,24 +373,46 @@ const UserSchema: Schema<IUser> = new Schema<IUser>({
     projectLink: String
   },
   
-  // Chat History
-  chatHistory: {
-    type: [{
-      message: {
-        type: String,
-        required: true
-      },
-      sender: {
-        type: String,
-        enum: ['user', 'assistant'],
-        required: true
-      },
-      timestamp: {
-        type: Date,
-        default: Date.now
-      }
-    }],
-    select: false
+  // Grading scale the student's grades are written in, used to compute GPA
+  gradingScale: {
+    type: String,
+    enum: GRADING_SCALES,
+    default: 'us_letter'
+  },
+  
+  // Grade label -> points on the 4.0 scale, e.g. "Excellent" -> 4
+  customGradeScale: [{
+    grade: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    points: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 4
+    }
+  }],
+  
+  // Advisor sharing preferences (every section is shared unless the user opts out)
+  advisorSharing: {
+    basics: { type: Boolean, default: true },
+    academics: { type: Boolean, default: true },
+    interests: { type: Boolean, default: true },
+    achievements: { type: Boolean, default: true },
+    applications: { type: Boolean, default: true }
+  },
+  
+  calendarFeedToken: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true }
+  },
+  deletionRequestedAt: Date,
+  deletionScheduledFor: {
+    type: Date,
+    index: { sparse: true }
   }
 }, {
   timestamps: true,
@@ -214,6 +425,32 @@ UserSchema.virtual('fullName').get(function(this: IUser) {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Checklist items that no longer block an application
+const COMPLETE_STATES = ['done', 'waived'];
+const FINISHED_STATUSES = ['Submitted', 'Accepted', 'Rejected'];
+
+// Percentage of an application's checklist that is complete. Applications without a
+// checklist count as complete once submitted, and as not started before that.
+export const applicationCompletion = (app: { status: string; checklist?: ChecklistItem[] }): number => {
+  if (!app.checklist || app.checklist.length === 0) {
+    return FINISHED_STATUSES.includes(app.status) ? 100 : 0;
+  }
+  const complete = app.checklist.filter(item => COMPLETE_STATES.includes(item.state)).length;
+  return Math.round((complete / app.checklist.length) * 100);
+};
+
+// Pre-save hook to derive per-application and average completion from the checklists
+UserSchema.pre<IUser>('save', function(next) {
+  const applications = this.universityApplications || [];
+  applications.forEach(app => {
+    app.completion = applicationCompletion(app);
+  });
+
+  const total = applications.reduce((sum, app) => sum + app.completion, 0);
+  this.set('applicationProgress.averageCompletion', applications.length > 0 ? Math.round(total / applications.length) : 0);
+  next();
+});
+
 // Pre-save hook to hash the password
 UserSchema.pre<IUser>('save', async function(next) {
   if (!this.isModified('password')) {
@@ -225,6 +462,9 @@ UserSchema.pre<IUser>('save', async function(next) {
     if (this.password) {
       this.password = await bcrypt.hash(this.password, salt);
     }
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error: any) {
     next(error);
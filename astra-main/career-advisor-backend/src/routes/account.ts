@@ -0,0 +1,112 @@
+import express, { Response } from 'express';
+import User from '../models/User';
+import { protect, AuthRequest } from '../middleware/auth';
+import { collectPersonalData, buildExportArchive } from '../services/personalData';
+import {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} from '../services/accountDeletion';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+// @route   GET /api/account/export
+// @desc    Download everything stored about the user as a zip (data.json + summary.html)
+// @access  Private
+router.get('/export', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const data = await collectPersonalData(req.user!.id);
+    if (!data) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const archive = await buildExportArchive(data);
+    const filename = `careercompass-export-${data.exportedAt.toISOString().slice(0, 10)}.zip`;
+    res.status(200)
+      .set('Content-Type', 'application/zip')
+      .set('Content-Disposition', `attachment; filename="${filename}"`)
+      .send(archive);
+  } catch (error: any) {
+    logger.error('Data export error', error);
+    res.status(500).json({ message: 'Server error while exporting data', error: error.message });
+  }
+});
+
+// @route   GET /api/account/deletion
+// @desc    Whether the account is scheduled for deletion, and when
+// @access  Private
+router.get('/deletion', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({
+      scheduledFor: user.deletionScheduledFor ?? null,
+      requestedAt: user.deletionRequestedAt ?? null,
+      graceDays: ACCOUNT_DELETION_GRACE_DAYS
+    });
+  } catch (error: any) {
+    logger.error('Deletion status error', error);
+    res.status(500).json({ message: 'Server error while loading deletion status', error: error.message });
+  }
+});
+
+// @route   POST /api/account/deletion
+// @desc    Schedule the account for deletion after the grace period; requires the password
+//          and signs out every other session
+// @access  Private
+router.post('/deletion', protect, async (req: AuthRequest, res: Response) => {
+  const { password } = req.body;
+  if (typeof password !== 'string' || !password) {
+    return res.status(400).json({ message: 'Please enter your password to confirm' });
+  }
+
+  try {
+    const user = await User.findById(req.user?.id).select('+password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: { password: 'Password is incorrect' }
+      });
+    }
+
+    const record = await requestAccountDeletion(user, req.user!.sessionId);
+    res.status(200).json({
+      message: 'Account scheduled for deletion',
+      scheduledFor: record.scheduledFor,
+      requestedAt: record.requestedAt,
+      graceDays: ACCOUNT_DELETION_GRACE_DAYS
+    });
+  } catch (error: any) {
+    logger.error('Deletion request error', error);
+    res.status(500).json({ message: 'Server error while scheduling deletion', error: error.message });
+  }
+});
+
+// @route   DELETE /api/account/deletion
+// @desc    Cancel a scheduled deletion
+// @access  Private
+router.delete('/deletion', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await cancelAccountDeletion(user))) {
+      return res.status(404).json({ message: 'No deletion is scheduled' });
+    }
+    res.status(200).json({ message: 'Account deletion cancelled', scheduledFor: null });
+  } catch (error: any) {
+    logger.error('Deletion cancel error', error);
+    res.status(500).json({ message: 'Server error while cancelling deletion', error: error.message });
+  }
+});
+
+export default router;
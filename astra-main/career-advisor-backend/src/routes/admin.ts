@@ -0,0 +1,432 @@
+import express, { Response } from 'express';
+import mongoose from 'mongoose';
+import AiQuota, { QuotaScope } from '../models/AiQuota';
+import UsageLedger from '../models/UsageLedger';
+import User from '../models/User';
+import AccountDeletion, { DELETION_STATUSES, DeletionStatus } from '../models/AccountDeletion';
+import { protect, requireRole, AuthRequest } from '../middleware/auth';
+import {
+  ENV_LIMITS,
+  currentUsage,
+  getDefaultUserLimits,
+  getGlobalLimits,
+  getUserLimits,
+  invalidateQuotaCache,
+  today
+} from '../services/aiUsage';
+import { FieldErrors, unknownFieldErrors } from '../utils/validation';
+import { knowledgeStats, reindexKnowledgeBase } from '../services/knowledge';
+import { isLLMError } from '../services/llm';
+import { CatalogError, importCatalog } from '../services/catalog';
+import {
+  TaxonomyError,
+  createTopic,
+  deleteTopic,
+  importTaxonomy,
+  loadTaxonomy,
+  remapUserInterests,
+  taxonomyResponse,
+  updateTopic
+} from '../services/interestTaxonomy';
+import { hashEmail } from '../services/accountDeletion';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+const QUOTA_FIELDS = ['requestsPerMinute', 'tokensPerHour'] as const;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_USAGE_DAYS = 7;
+const MAX_USAGE_DAYS = 90;
+const DELETION_PAGE_SIZE = 100;
+
+const sendValidationFailure = (res: Response, errors: FieldErrors) =>
+  res.status(400).json({ message: 'Validation failed', errors });
+
+// Validate a quota body: each limit is a whole number >= 0 (0 = unlimited), or null to
+// fall back to the default
+const parseQuotaBody = (body: Record<string, unknown>) => {
+  const errors = unknownFieldErrors(body, QUOTA_FIELDS);
+  const set: Record<string, unknown> = {};
+  const unset: Record<string, 1> = {};
+
+  QUOTA_FIELDS.forEach(field => {
+    if (!(field in body)) return;
+    const value = body[field];
+    if (value === null) {
+      unset[field] = 1;
+    } else if (typeof value === 'number' && Number.isInteger(value) && value >= 0) {
+      set[field] = value;
+    } else {
+      errors[field] = `${field} must be a whole number of at least 0, or null to use the default`;
+    }
+  });
+
+  return { errors, set, unset };
+};
+
+const saveQuota = async (req: AuthRequest, res: Response, scope: QuotaScope, userId?: string) => {
+  const { errors, set, unset } = parseQuotaBody(req.body || {});
+  if (Object.keys(errors).length > 0) {
+    return sendValidationFailure(res, errors);
+  }
+
+  const update: Record<string, unknown> = { $set: { ...set, updatedBy: req.user?.id } };
+  if (Object.keys(unset).length > 0) {
+    update.$unset = unset;
+  }
+
+  const quota = await AiQuota.findOneAndUpdate(
+    { scope, user: userId ?? null },
+    update,
+    { upsert: true, new: true, runValidators: true }
+  );
+  invalidateQuotaCache();
+  return quota;
+};
+
+// Start day of a report covering the last `days` days (1 to MAX_USAGE_DAYS)
+const usageSince = (days: unknown): string => {
+  const count = Math.max(1, Math.min(parseInt(String(days), 10) || DEFAULT_USAGE_DAYS, MAX_USAGE_DAYS));
+  return today(new Date(Date.now() - (count - 1) * DAY_MS));
+};
+
+// @route   GET /api/admin/quotas
+// @desc    Effective default and global AI limits, plus every per-user override
+// @access  Admin
+router.get('/quotas', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const [userDefault, global, overrides] = await Promise.all([
+      getDefaultUserLimits(),
+      getGlobalLimits(),
+      AiQuota.find({ scope: 'user' }).populate('user', 'email firstName lastName')
+    ]);
+
+    res.status(200).json({
+      default: userDefault,
+      global,
+      environment: ENV_LIMITS,
+      overrides: overrides.map(quota => ({
+        user: quota.user,
+        requestsPerMinute: quota.requestsPerMinute,
+        tokensPerHour: quota.tokensPerHour,
+        updatedAt: quota.get('updatedAt')
+      }))
+    });
+  } catch (error: any) {
+    logger.error('Quota list error', error);
+    res.status(500).json({ message: 'Server error while listing quotas', error: error.message });
+  }
+});
+
+// @route   PUT /api/admin/quotas/:scope
+// @desc    Set the per-user default ("default") or shared ("global") AI limits
+// @access  Admin
+router.put('/quotas/:scope(default|global)', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const scope = req.params.scope as QuotaScope;
+    const quota = await saveQuota(req, res, scope);
+    if (!quota) return;
+
+    res.status(200).json(scope === 'global' ? await getGlobalLimits() : await getDefaultUserLimits());
+  } catch (error: any) {
+    logger.error('Quota update error', error);
+    res.status(500).json({ message: 'Server error while updating quota', error: error.message });
+  }
+});
+
+// @route   PUT /api/admin/quotas/users/:userId
+// @desc    Override one user's AI limits
+// @access  Admin
+router.put('/quotas/users/:userId', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const quota = await saveQuota(req, res, 'user', userId);
+    if (!quota) return;
+
+    res.status(200).json(await getUserLimits(userId));
+  } catch (error: any) {
+    logger.error('Quota update error', error);
+    res.status(500).json({ message: 'Server error while updating quota', error: error.message });
+  }
+});
+
+// @route   DELETE /api/admin/quotas/users/:userId
+// @desc    Remove a user's override so the default limits apply again
+// @access  Admin
+router.delete('/quotas/users/:userId', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ message: 'Quota override not found' });
+    }
+
+    const result = await AiQuota.deleteOne({ scope: 'user', user: userId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Quota override not found' });
+    }
+    invalidateQuotaCache();
+
+    res.status(200).json(await getUserLimits(userId));
+  } catch (error: any) {
+    logger.error('Quota delete error', error);
+    res.status(500).json({ message: 'Server error while removing quota', error: error.message });
+  }
+});
+
+// @route   GET /api/admin/usage
+// @desc    AI token usage per user over the last ?days (default 7), heaviest first
+// @access  Admin
+router.get('/usage', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const since = usageSince(req.query.days);
+    const totals = await UsageLedger.aggregate([
+      { $match: { day: { $gte: since } } },
+      {
+        $group: {
+          _id: '$user',
+          requests: { $sum: '$requests' },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' }
+        }
+      },
+      { $addFields: { totalTokens: { $add: ['$promptTokens', '$completionTokens'] } } },
+      { $sort: { totalTokens: -1 } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          userId: '$_id',
+          email: '$user.email',
+          firstName: '$user.firstName',
+          lastName: '$user.lastName',
+          requests: 1,
+          promptTokens: 1,
+          completionTokens: 1,
+          totalTokens: 1
+        }
+      }
+    ]);
+
+    res.status(200).json({ since, users: totals });
+  } catch (error: any) {
+    logger.error('Usage report error', error);
+    res.status(500).json({ message: 'Server error while building usage report', error: error.message });
+  }
+});
+
+// @route   GET /api/admin/usage/users/:userId
+// @desc    One user's daily AI usage over the last ?days, current window usage and limits
+// @access  Admin
+router.get('/usage/users/:userId', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const since = usageSince(req.query.days);
+    const [days, limits] = await Promise.all([
+      UsageLedger.find({ user: userId, day: { $gte: since } })
+        .select('day requests promptTokens completionTokens -_id')
+        .sort({ day: -1 }),
+      getUserLimits(userId)
+    ]);
+
+    res.status(200).json({ since, limits, window: currentUsage(userId), days });
+  } catch (error: any) {
+    logger.error('User usage error', error);
+    res.status(500).json({ message: 'Server error while fetching usage', error: error.message });
+  }
+});
+
+// @route   GET /api/admin/knowledge
+// @desc    Knowledge base location, embedding model and index size
+// @access  Admin
+router.get('/knowledge', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    res.status(200).json(await knowledgeStats());
+  } catch (error: any) {
+    logger.error('Knowledge stats error', error);
+    res.status(500).json({ message: 'Server error while fetching knowledge base status', error: error.message });
+  }
+});
+
+// @route   POST /api/admin/knowledge/reindex
+// @desc    Re-read the knowledge base directory and embed new or changed documents ({ force } re-embeds all)
+// @access  Admin
+router.post('/knowledge/reindex', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const stats = await reindexKnowledgeBase({ force: req.body?.force === true });
+    res.status(200).json(stats);
+  } catch (error: any) {
+    logger.error('Knowledge reindex error', error);
+    if (isLLMError(error)) {
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
+    res.status(500).json({ message: 'Server error while reindexing knowledge base', error: error.message });
+  }
+});
+
+// @route   POST /api/admin/catalog/import
+// @desc    Add or update universities and programs (same format as catalog/universities.json)
+// @access  Admin
+router.post('/catalog/import', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const stats = await importCatalog(req.body);
+    res.status(200).json(stats);
+  } catch (error: any) {
+    if (error instanceof CatalogError) {
+      return res.status(400).json({ message: error.message, errors: error.errors });
+    }
+    logger.error('Catalog import error', error);
+    res.status(500).json({ message: 'Server error while importing catalog', error: error.message });
+  }
+});
+
+const sendTaxonomyError = (res: Response, error: any, action: string) => {
+  if (error instanceof TaxonomyError) {
+    return res.status(error.status).json({ message: error.message, errors: error.errors });
+  }
+  logger.error(`Interest taxonomy ${action} error`, error);
+  res.status(500).json({ message: `Server error while ${action} interest taxonomy`, error: error.message });
+};
+
+// @route   GET /api/admin/interests
+// @desc    The interest taxonomy with how many students use each entry
+// @access  Admin
+router.get('/interests', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const [taxonomy, usage] = await Promise.all([
+      loadTaxonomy(),
+      User.aggregate([
+        { $unwind: '$interests' },
+        { $group: { _id: '$interests.topic', students: { $addToSet: '$_id' } } },
+        { $project: { students: { $size: '$students' } } }
+      ])
+    ]);
+    const students = new Map(usage.map(entry => [String(entry._id), entry.students]));
+    const withUsage = <T extends { id: string }>(entry: T) => ({ ...entry, students: students.get(entry.id) || 0 });
+
+    const { categories } = taxonomyResponse(taxonomy);
+    res.status(200).json({
+      categories: categories.map(category => ({
+        ...withUsage(category),
+        subcategories: category.subcategories.map(withUsage)
+      })),
+      // Students with interests that matched nothing
+      unmatched: students.get('null') || 0
+    });
+  } catch (error: any) {
+    sendTaxonomyError(res, error, 'listing');
+  }
+});
+
+// @route   POST /api/admin/interests
+// @desc    Add a category ({ name, color, synonyms }) or a subcategory ({ name, parent, synonyms })
+// @access  Admin
+router.post('/interests', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const topic = await createTopic(req.body || {});
+    res.status(201).json(topic);
+  } catch (error: any) {
+    sendTaxonomyError(res, error, 'adding to');
+  }
+});
+
+// @route   PATCH /api/admin/interests/:topicId
+// @desc    Rename, recolor, move or reorder an entry; students' interests follow the change
+// @access  Admin
+router.patch('/interests/:topicId', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const topic = await updateTopic(req.params.topicId, req.body || {});
+    res.status(200).json(topic);
+  } catch (error: any) {
+    sendTaxonomyError(res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/admin/interests/:topicId
+// @desc    Remove an entry without subcategories; interests on it are matched again
+// @access  Admin
+router.delete('/interests/:topicId', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const stats = await deleteTopic(req.params.topicId);
+    res.status(200).json({ message: 'Taxonomy entry deleted', ...stats });
+  } catch (error: any) {
+    sendTaxonomyError(res, error, 'deleting from');
+  }
+});
+
+// @route   POST /api/admin/interests/import
+// @desc    Add or update taxonomy entries (same format as taxonomy/interests.json)
+// @access  Admin
+router.post('/interests/import', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const stats = await importTaxonomy(req.body);
+    res.status(200).json({ ...stats, interests: await remapUserInterests() });
+  } catch (error: any) {
+    sendTaxonomyError(res, error, 'importing');
+  }
+});
+
+// @route   POST /api/admin/interests/remap
+// @desc    Match every student's interests against the current taxonomy again
+// @access  Admin
+router.post('/interests/remap', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    res.status(200).json(await remapUserInterests());
+  } catch (error: any) {
+    sendTaxonomyError(res, error, 'remapping interests to');
+  }
+});
+
+// @route   GET /api/admin/deletions
+// @desc    Account deletion audit trail, newest first; ?status= to filter, ?email= to look up
+//          one address (matched by hash, since completed records keep no email)
+// @access  Admin
+router.get('/deletions', protect, requireRole('admin'), async (req: AuthRequest, res: Response) => {
+  try {
+    const filter: Record<string, unknown> = {};
+    if (typeof req.query.status === 'string') {
+      if (!DELETION_STATUSES.includes(req.query.status as DeletionStatus)) {
+        return sendValidationFailure(res, { status: `Status must be one of: ${DELETION_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (typeof req.query.email === 'string' && req.query.email.trim()) {
+      filter.emailHash = hashEmail(req.query.email);
+    }
+
+    const records = await AccountDeletion.find(filter)
+      .sort({ requestedAt: -1 })
+      .limit(DELETION_PAGE_SIZE);
+    const users = await User.find({ _id: { $in: records.map(record => record.user) } })
+      .select('email firstName lastName');
+
+    res.status(200).json({
+      deletions: records.map(record => ({
+        id: record._id,
+        userId: record.user,
+        // Present until the account is purged
+        user: users.find(user => user._id.equals(record.user)) ?? null,
+        role: record.role,
+        status: record.status,
+        requestedAt: record.requestedAt,
+        scheduledFor: record.scheduledFor,
+        cancelledAt: record.cancelledAt,
+        completedAt: record.completedAt,
+        removed: record.removed
+      }))
+    });
+  } catch (error: any) {
+    logger.error('Deletion audit error', error);
+    res.status(500).json({ message: 'Server error while listing account deletions', error: error.message });
+  }
+});
+
+export default router;
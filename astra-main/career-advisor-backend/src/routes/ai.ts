@@ -0,0 +1,503 @@
+import express, { Response } from 'express';
+import Conversation from '../models/Conversation';
+import User, { ADVISOR_SHARING_SECTIONS } from '../models/User';
+import { protect, requireRole, AuthRequest } from '../middleware/auth';
+import { getAIResponse, streamAIResponse } from '../services/aiService';
+import { ProviderSelection, describeProviders, isLLMError, isProviderName } from '../services/llm';
+import {
+  titleFromMessage,
+  findUserConversation,
+  createConversation,
+  appendMessage,
+  getMessagePage,
+  deleteConversation,
+  loadConversationContext
+} from '../services/conversationService';
+import { buildProfileContext, getSharing, SHARING_LABELS } from '../services/profileContext';
+import { GrantedPermit, DeniedPermit, acquireAiPermit, currentUsage, getUserLimits, today } from '../services/aiUsage';
+import UsageLedger from '../models/UsageLedger';
+import { retrieveKnowledge, toSources, buildKnowledgeContext, citedSources } from '../services/knowledge';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const parseLimit = (value: unknown, fallback: number): number => {
+  const limit = parseInt(String(value), 10);
+  if (isNaN(limit) || limit < 1) {
+    return fallback;
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+const LIMIT_LABELS = {
+  requestsPerMinute: 'messages per minute',
+  tokensPerHour: 'usage per hour'
+};
+
+// Answer 429 with how long to wait, for the student's own limits or the shared ones
+const sendRateLimited = (res: Response, permit: DeniedPermit) => {
+  res.set('Retry-After', String(permit.retryAfter));
+  res.status(429).json({
+    message: permit.scope === 'user'
+      ? `You've reached your limit on advisor ${LIMIT_LABELS[permit.limit]}`
+      : 'The advisor is handling too many requests right now',
+    error: permit.scope === 'user' ? 'USAGE_LIMIT_REACHED' : 'RATE_LIMITED',
+    limit: permit.limit,
+    retryAfter: permit.retryAfter
+  });
+};
+
+// Validate a chat request, then load the user, find (or start) the conversation and
+// reserve rate-limit capacity. Sends the error response itself and returns null when the
+// request can't proceed.
+const resolveChatRequest = async (req: AuthRequest, res: Response) => {
+  const { message, conversationId, provider, model } = req.body;
+
+  if (!message) {
+    logger.info('Chat request without a message');
+    res.status(400).json({ 
+      message: 'Message is required',
+      error: 'MISSING_MESSAGE'
+    });
+    return null;
+  }
+
+  if (typeof message !== 'string') {
+    logger.info('Chat request with an invalid message', { messageType: typeof message });
+    res.status(400).json({ 
+      message: 'Message must be a string',
+      error: 'INVALID_MESSAGE_FORMAT'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.user?.id);
+  if (!user) {
+    res.status(404).json({ message: 'User not found', error: 'USER_NOT_FOUND' });
+    return null;
+  }
+
+  // Only admins may pick a provider or model other than the deployment default
+  let selection: ProviderSelection | undefined;
+  if (provider || model) {
+    if (user.role !== 'admin') {
+      res.status(403).json({
+        message: 'Only administrators can choose the AI provider or model',
+        error: 'PROVIDER_OVERRIDE_FORBIDDEN'
+      });
+      return null;
+    }
+    if (provider && !isProviderName(provider)) {
+      res.status(400).json({ message: `Unknown AI provider "${provider}"`, error: 'UNKNOWN_PROVIDER' });
+      return null;
+    }
+    if (model !== undefined && typeof model !== 'string') {
+      res.status(400).json({ message: 'Model must be a string', error: 'INVALID_MODEL' });
+      return null;
+    }
+    selection = { provider, model };
+  }
+
+  // Continue an existing thread or start a new one named after the first message
+  let conversation;
+  if (conversationId) {
+    conversation = await findUserConversation(user.id, conversationId);
+    if (!conversation) {
+      res.status(404).json({
+        message: 'Conversation not found',
+        error: 'CONVERSATION_NOT_FOUND'
+      });
+      return null;
+    }
+  }
+
+  const permit = await acquireAiPermit(user.id);
+  if (!permit.allowed) {
+    sendRateLimited(res, permit);
+    return null;
+  }
+
+  // The caller only takes over the permit once this returns, so release it on failure here
+  try {
+    if (!conversation) {
+      conversation = await createConversation(user.id, titleFromMessage(message));
+    }
+
+    // Build the advisor's view of the student from the sections they chose to share
+    const profileContext = buildProfileContext(user);
+
+    // Pull reference material for the question from the career knowledge base
+    const matches = await retrieveKnowledge(message);
+    const sources = toSources(matches);
+    const knowledgeContext = matches.length > 0 ? buildKnowledgeContext(matches, sources) : undefined;
+
+    return { message: message as string, user, conversation, selection, profileContext, knowledgeContext, sources, permit };
+  } catch (error) {
+    await permit.complete();
+    throw error;
+  }
+};
+
+// Turn a provider error into the status and body the client sees
+const chatErrorResponse = (error: any) => {
+  if (isLLMError(error)) {
+    return {
+      status: error.status,
+      retryAfter: error.retryAfter,
+      body: { message: error.message, error: error.code, retryAfter: error.retryAfter }
+    };
+  }
+  return {
+    status: 500,
+    retryAfter: undefined,
+    body: { message: error.message || 'Failed to get AI response', error: 'UNKNOWN_ERROR' }
+  };
+};
+
+// @route   POST /api/ai/chat
+// @desc    Get AI response for career and education questions
+// @access  Private
+router.post('/chat', protect, async (req: AuthRequest, res: Response) => {
+  let permit: GrantedPermit | undefined;
+
+  try {
+    const chat = await resolveChatRequest(req, res);
+    if (!chat) return;
+
+    const { message, conversation, selection, profileContext, knowledgeContext } = chat;
+    permit = chat.permit;
+    logger.info('Processing chat request', {
+      conversationId: conversation._id,
+      messageLength: message.length
+    });
+
+    // Persist the user's turn first so it survives an AI failure
+    await appendMessage(conversation, 'user', message);
+
+    const { history, summary } = await loadConversationContext(conversation, selection);
+    const result = await getAIResponse(history, { summary, profileContext, knowledgeContext, selection });
+    await permit.complete(result);
+    const response = result.content;
+    const sources = citedSources(chat.sources, response);
+    const reply = await appendMessage(conversation, 'assistant', response, false, sources);
+    
+    logger.info('Generated AI response', { conversationId: conversation._id });
+    res.status(200).json({
+      response,
+      conversationId: conversation._id,
+      messageId: reply._id,
+      sources
+    });
+  } catch (error: any) {
+    logger.error('AI chat error', error);
+
+    // A failed request still counts towards the limits
+    await permit?.complete();
+    
+    const { status, retryAfter, body } = chatErrorResponse(error);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+    }
+    res.status(status).json(body);
+  }
+});
+
+// @route   POST /api/ai/chat/stream
+// @desc    Stream the AI response as Server-Sent Events (meta, token, done, error)
+// @access  Private
+router.post('/chat/stream', protect, async (req: AuthRequest, res: Response) => {
+  const upstream = new AbortController();
+  let conversation;
+  let permit: GrantedPermit | undefined;
+
+  try {
+    const chat = await resolveChatRequest(req, res);
+    if (!chat) return;
+
+    const { message, selection, profileContext, knowledgeContext } = chat;
+    conversation = chat.conversation;
+    permit = chat.permit;
+    logger.info('Processing streaming chat request', {
+      conversationId: conversation._id,
+      messageLength: message.length
+    });
+
+    await appendMessage(conversation, 'user', message);
+    const { history, summary } = await loadConversationContext(conversation, selection);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event: string, data: unknown) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // The browser closing the connection (user pressed "Stop") cancels the upstream request
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        upstream.abort();
+      }
+    });
+
+    sendEvent('meta', { conversationId: conversation._id });
+
+    const result = await streamAIResponse(history, {
+      summary,
+      profileContext,
+      knowledgeContext,
+      selection,
+      onToken: (token) => sendEvent('token', { content: token }),
+      signal: upstream.signal
+    });
+    await permit.complete(result);
+    const { content, aborted } = result;
+
+    if (!content) {
+      if (!aborted) {
+        sendEvent('error', { message: 'No response content received', error: 'EMPTY_RESPONSE' });
+      }
+      return res.end();
+    }
+
+    const sources = citedSources(chat.sources, content);
+    const reply = await appendMessage(conversation, 'assistant', content, aborted, sources);
+    logger.info(aborted ? 'Saved partial AI response after cancel' : 'Streamed AI response', { conversationId: conversation._id });
+
+    if (!aborted) {
+      sendEvent('done', { conversationId: conversation._id, messageId: reply._id, sources });
+    }
+    res.end();
+  } catch (error: any) {
+    logger.error('AI chat stream error', error);
+
+    await permit?.complete();
+
+    // Keep whatever was generated before the failure
+    if (conversation && error.partialContent) {
+      await appendMessage(conversation, 'assistant', error.partialContent, true)
+        .catch((saveError: any) => logger.error('Failed to save partial response', saveError));
+    }
+
+    const { status, retryAfter, body } = chatErrorResponse(error);
+    if (!res.headersSent) {
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+      }
+      return res.status(status).json(body);
+    }
+
+    res.write(`event: error\ndata: ${JSON.stringify(body)}\n\n`);
+    res.end();
+  }
+});
+
+// @route   GET /api/ai/usage
+// @desc    The user's AI limits, usage in the current windows and today's token totals
+// @access  Private
+router.get('/usage', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const [limits, ledger] = await Promise.all([
+      getUserLimits(req.user!.id),
+      UsageLedger.findOne({ user: req.user?.id, day: today() })
+    ]);
+
+    res.status(200).json({
+      limits,
+      window: currentUsage(req.user!.id),
+      today: {
+        requests: ledger?.requests || 0,
+        promptTokens: ledger?.promptTokens || 0,
+        completionTokens: ledger?.completionTokens || 0
+      }
+    });
+  } catch (error: any) {
+    logger.error('Usage fetch error', error);
+    res.status(500).json({ message: 'Server error while fetching usage', error: error.message });
+  }
+});
+
+// @route   GET /api/ai/providers
+// @desc    List the LLM providers and the deployment default
+// @access  Admin
+router.get('/providers', protect, requireRole('admin'), (req: AuthRequest, res: Response) => {
+  res.status(200).json(describeProviders());
+});
+
+// @route   GET /api/ai/context
+// @desc    Show which profile sections are shared and exactly what the advisor sees
+// @access  Private
+router.get('/context', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({
+      sharing: getSharing(user),
+      labels: SHARING_LABELS,
+      context: buildProfileContext(user)
+    });
+  } catch (error: any) {
+    logger.error('Advisor context error', error);
+    res.status(500).json({ message: 'Server error while building advisor context', error: error.message });
+  }
+});
+
+// @route   PUT /api/ai/context/sharing
+// @desc    Choose which profile sections are shared with the advisor
+// @access  Private
+router.put('/context/sharing', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const updates = req.body || {};
+    const unknown = Object.keys(updates).filter(key => !(ADVISOR_SHARING_SECTIONS as readonly string[]).includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown sharing sections: ${unknown.join(', ')}` });
+    }
+    if (Object.values(updates).some(value => typeof value !== 'boolean')) {
+      return res.status(400).json({ message: 'Sharing values must be true or false' });
+    }
+
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.advisorSharing = { ...getSharing(user), ...updates };
+    await user.save();
+
+    res.status(200).json({
+      sharing: getSharing(user),
+      labels: SHARING_LABELS,
+      context: buildProfileContext(user)
+    });
+  } catch (error: any) {
+    logger.error('Advisor sharing update error', error);
+    res.status(500).json({ message: 'Server error while updating sharing settings', error: error.message });
+  }
+});
+
+// @route   GET /api/ai/conversations
+// @desc    List the user's conversation threads, most recently active first
+// @access  Private
+router.get('/conversations', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const limit = parseLimit(req.query.limit, DEFAULT_PAGE_SIZE);
+    const offset = Math.max(parseInt(String(req.query.offset), 10) || 0, 0);
+
+    const filter = { user: req.user?.id };
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .sort({ lastMessageAt: -1, updatedAt: -1 })
+        .skip(offset)
+        .limit(limit),
+      Conversation.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ conversations, total });
+  } catch (error: any) {
+    logger.error('Conversation list error', error);
+    res.status(500).json({ message: 'Server error while listing conversations', error: error.message });
+  }
+});
+
+// @route   POST /api/ai/conversations
+// @desc    Start a new, empty conversation thread
+// @access  Private
+router.post('/conversations', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const title = typeof req.body.title === 'string' && req.body.title.trim()
+      ? req.body.title
+      : 'New conversation';
+
+    const conversation = await createConversation(req.user!.id, title);
+    res.status(201).json(conversation);
+  } catch (error: any) {
+    logger.error('Conversation create error', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while creating conversation', error: error.message });
+  }
+});
+
+// @route   GET /api/ai/conversations/:id/messages
+// @desc    Get a page of messages; pass ?before=<messageId> to load older turns
+// @access  Private
+router.get('/conversations/:id/messages', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const conversation = await findUserConversation(req.user!.id, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const limit = parseLimit(req.query.limit, DEFAULT_PAGE_SIZE);
+    const before = typeof req.query.before === 'string' ? req.query.before : undefined;
+    const { messages, hasMore } = await getMessagePage(conversation, limit, before);
+
+    res.status(200).json({
+      conversation,
+      messages,
+      hasMore,
+      nextCursor: hasMore && messages.length > 0 ? messages[0]._id : null
+    });
+  } catch (error: any) {
+    logger.error('Conversation messages error', error);
+    res.status(500).json({ message: 'Server error while fetching messages', error: error.message });
+  }
+});
+
+// @route   PATCH /api/ai/conversations/:id
+// @desc    Rename a conversation thread
+// @access  Private
+router.patch('/conversations/:id', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const { title } = req.body;
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ message: 'Title is required' });
+    }
+
+    const conversation = await findUserConversation(req.user!.id, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    conversation.title = title;
+    await conversation.save();
+    res.status(200).json(conversation);
+  } catch (error: any) {
+    logger.error('Conversation rename error', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while renaming conversation', error: error.message });
+  }
+});
+
+// @route   DELETE /api/ai/conversations/:id
+// @desc    Delete a conversation thread and all of its messages
+// @access  Private
+router.delete('/conversations/:id', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const conversation = await findUserConversation(req.user!.id, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    await deleteConversation(conversation);
+    res.status(200).json({ message: 'Conversation deleted' });
+  } catch (error: any) {
+    logger.error('Conversation delete error', error);
+    res.status(500).json({ message: 'Server error while deleting conversation', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,251 @@
+import express, { Response } from 'express';
+import mongoose from 'mongoose';
+import InterestAssessment, { IInterestAssessment } from '../models/InterestAssessment';
+import User from '../models/User';
+import { protect, AuthRequest } from '../middleware/auth';
+import {
+  ANSWER_SCALE,
+  CURRENT_BANK_VERSION,
+  DIMENSION_DESCRIPTIONS,
+  DIMENSION_LABELS,
+  RIASEC_DIMENSIONS,
+  getQuestionBank,
+  hollandCode,
+  isValidAnswer,
+  matchClusters,
+  scoreAnswers
+} from '../services/riasec';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+const HISTORY_LIMIT = 50;
+
+const toAttemptResponse = (attempt: IInterestAssessment) => ({
+  id: attempt._id,
+  version: attempt.version,
+  status: attempt.status,
+  answers: attempt.answers,
+  answered: attempt.answers.length,
+  total: getQuestionBank(attempt.version)?.questions.length ?? 0,
+  createdAt: attempt.createdAt,
+  updatedAt: attempt.updatedAt
+});
+
+const toResultResponse = (attempt: IInterestAssessment) => ({
+  id: attempt._id,
+  version: attempt.version,
+  code: attempt.code,
+  scores: attempt.scores,
+  completedAt: attempt.completedAt,
+  clusters: attempt.scores ? matchClusters(attempt.scores) : []
+});
+
+const findCurrentAttempt = (userId?: string) =>
+  InterestAssessment.findOne({ user: userId, status: 'in_progress' });
+
+// @route   GET /api/assessment/questions
+// @desc    The question bank (?version, default the current one), answer scale and dimension labels
+// @access  Private
+router.get('/questions', protect, (req: AuthRequest, res: Response) => {
+  const version = typeof req.query.version === 'string' ? req.query.version : CURRENT_BANK_VERSION;
+  const bank = getQuestionBank(version);
+  if (!bank) {
+    return res.status(404).json({ message: `Unknown assessment version ${version}` });
+  }
+
+  res.status(200).json({
+    ...bank,
+    scale: ANSWER_SCALE,
+    dimensions: RIASEC_DIMENSIONS.map(dimension => ({
+      key: dimension,
+      label: DIMENSION_LABELS[dimension],
+      description: DIMENSION_DESCRIPTIONS[dimension]
+    }))
+  });
+});
+
+// An unfinished attempt whose question bank has since been removed can't be continued
+const RETIRED_BANK_MESSAGE = 'This assessment version is no longer available. Restart the assessment to continue.';
+
+// @route   GET /api/assessment/attempt
+// @desc    The student's unfinished attempt, or null
+// @access  Private
+router.get('/attempt', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const attempt = await findCurrentAttempt(req.user?.id);
+    res.status(200).json(attempt ? toAttemptResponse(attempt) : null);
+  } catch (error: any) {
+    logger.error('Assessment fetch error', error);
+    res.status(500).json({ message: 'Server error while fetching assessment', error: error.message });
+  }
+});
+
+// @route   POST /api/assessment/attempt
+// @desc    Start the assessment, or resume the unfinished attempt ({ restart: true } discards it)
+// @access  Private
+router.post('/attempt', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const existing = await findCurrentAttempt(req.user?.id);
+    if (existing && req.body?.restart !== true) {
+      return res.status(200).json(toAttemptResponse(existing));
+    }
+    if (existing) {
+      await existing.deleteOne();
+    }
+
+    const attempt = await InterestAssessment.create({ user: req.user?.id, version: CURRENT_BANK_VERSION });
+    res.status(201).json(toAttemptResponse(attempt));
+  } catch (error: any) {
+    logger.error('Assessment start error', error);
+    res.status(500).json({ message: 'Server error while starting assessment', error: error.message });
+  }
+});
+
+// @route   PUT /api/assessment/attempt/answers
+// @desc    Save answers to the unfinished attempt ({ answers: [{ questionId, value 1-5 }] });
+//          answers to the same question replace earlier ones
+// @access  Private
+router.put('/attempt/answers', protect, async (req: AuthRequest, res: Response) => {
+  const { answers } = req.body || {};
+  if (!Array.isArray(answers) || answers.length === 0) {
+    return res.status(400).json({ message: 'Validation failed', errors: { answers: 'At least one answer is required' } });
+  }
+
+  try {
+    const attempt = await findCurrentAttempt(req.user?.id);
+    if (!attempt) {
+      return res.status(404).json({ message: 'No assessment in progress' });
+    }
+
+    const bank = getQuestionBank(attempt.version);
+    if (!bank) {
+      return res.status(409).json({ message: RETIRED_BANK_MESSAGE });
+    }
+    const errors: Record<string, string> = {};
+    answers.forEach((answer: any, index: number) => {
+      if (!bank.questions.some(question => question.id === answer?.questionId)) {
+        errors[`answers.${index}.questionId`] = 'Unknown question';
+      } else if (!isValidAnswer(answer.value)) {
+        errors[`answers.${index}.value`] = 'Answer must be a whole number from 1 to 5';
+      }
+    });
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const merged = new Map(attempt.answers.map(answer => [answer.questionId, answer.value]));
+    answers.forEach((answer: any) => merged.set(answer.questionId, answer.value));
+    attempt.answers = Array.from(merged, ([questionId, value]) => ({ questionId, value }));
+    await attempt.save();
+
+    res.status(200).json(toAttemptResponse(attempt));
+  } catch (error: any) {
+    logger.error('Assessment answer error', error);
+    res.status(500).json({ message: 'Server error while saving answers', error: error.message });
+  }
+});
+
+// @route   POST /api/assessment/attempt/complete
+// @desc    Score the unfinished attempt once every question is answered and store the result
+// @access  Private
+router.post('/attempt/complete', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const attempt = await findCurrentAttempt(req.user?.id);
+    if (!attempt) {
+      return res.status(404).json({ message: 'No assessment in progress' });
+    }
+
+    const bank = getQuestionBank(attempt.version);
+    if (!bank) {
+      return res.status(409).json({ message: RETIRED_BANK_MESSAGE });
+    }
+    const answers = new Map(attempt.answers.map(answer => [answer.questionId, answer.value]));
+    const unanswered = bank.questions.filter(question => !answers.has(question.id));
+    if (unanswered.length > 0) {
+      return res.status(400).json({
+        message: `${unanswered.length} question${unanswered.length === 1 ? ' is' : 's are'} still unanswered`,
+        unanswered: unanswered.map(question => question.id)
+      });
+    }
+
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const scores = scoreAnswers(bank, answers);
+    attempt.set({ status: 'completed', scores, code: hollandCode(scores), completedAt: new Date() });
+    await attempt.save();
+
+    // Keep the latest result on the profile for the dashboard and the advisor
+    user.interestProfile = {
+      code: attempt.code!,
+      scores,
+      version: attempt.version,
+      completedAt: attempt.completedAt!
+    };
+    await user.save();
+
+    res.status(200).json(toResultResponse(attempt));
+  } catch (error: any) {
+    logger.error('Assessment complete error', error);
+    res.status(500).json({ message: 'Server error while scoring assessment', error: error.message });
+  }
+});
+
+// @route   DELETE /api/assessment/attempt
+// @desc    Discard the unfinished attempt
+// @access  Private
+router.delete('/attempt', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const attempt = await findCurrentAttempt(req.user?.id);
+    if (!attempt) {
+      return res.status(404).json({ message: 'No assessment in progress' });
+    }
+
+    await attempt.deleteOne();
+    res.status(200).json({ message: 'Assessment discarded' });
+  } catch (error: any) {
+    logger.error('Assessment discard error', error);
+    res.status(500).json({ message: 'Server error while discarding assessment', error: error.message });
+  }
+});
+
+// @route   GET /api/assessment/results
+// @desc    Completed assessments, newest first, with matching career clusters
+// @access  Private
+router.get('/results', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const attempts = await InterestAssessment.find({ user: req.user?.id, status: 'completed' })
+      .sort({ completedAt: -1 })
+      .limit(HISTORY_LIMIT);
+
+    res.status(200).json(attempts.map(toResultResponse));
+  } catch (error: any) {
+    logger.error('Assessment results error', error);
+    res.status(500).json({ message: 'Server error while fetching results', error: error.message });
+  }
+});
+
+// @route   GET /api/assessment/results/:id
+// @desc    One completed assessment with its answers
+// @access  Private
+router.get('/results/:id', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const { id } = req.params;
+    const attempt = mongoose.isValidObjectId(id)
+      ? await InterestAssessment.findOne({ _id: id, user: req.user?.id, status: 'completed' })
+      : null;
+    if (!attempt) {
+      return res.status(404).json({ message: 'Assessment result not found' });
+    }
+
+    res.status(200).json({ ...toResultResponse(attempt), answers: attempt.answers });
+  } catch (error: any) {
+    logger.error('Assessment result error', error);
+    res.status(500).json({ message: 'Server error while fetching result', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,422 @@
+import express, { Request, Response } from 'express';
+import User, { SIGNUP_ROLES } from '../models/User';
+import { protect, AuthRequest } from '../middleware/auth';
+import {
+  ClientInfo,
+  RefreshError,
+  createSession,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} from '../services/sessionService';
+import {
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+} from '../services/accountService';
+import { FieldErrors, isValidationError, toFieldErrors, unknownFieldErrors } from '../utils/validation';
+import { linkInterest } from '../services/interestTaxonomy';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+const MAX_SIGNUP_INTERESTS = 20;
+
+// Check the interests picked at signup and file each under its taxonomy category
+const parseSignupInterests = async (interests: unknown): Promise<{ interests: Record<string, any>[]; errors: FieldErrors }> => {
+  const errors: FieldErrors = {};
+  if (interests === undefined) return { interests: [], errors };
+  if (!Array.isArray(interests) || interests.length > MAX_SIGNUP_INTERESTS) {
+    errors.interests = `Interests must be a list of at most ${MAX_SIGNUP_INTERESTS}`;
+    return { interests: [], errors };
+  }
+
+  const parsed: Record<string, any>[] = [];
+  for (const [index, interest] of interests.entries()) {
+    const prefix = `interests.${index}.`;
+    if (!interest || typeof interest !== 'object' || Array.isArray(interest)) {
+      errors[`interests.${index}`] = 'Each interest must be an object';
+      continue;
+    }
+    const body = { ...interest };
+    const itemErrors = { ...unknownFieldErrors(body, ['name', 'topic']), ...(await linkInterest(body)) };
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      itemErrors.name = 'Interest name is required';
+    }
+    Object.entries(itemErrors).forEach(([field, message]) => {
+      errors[`${prefix}${field}`] = message;
+    });
+    parsed.push(body);
+  }
+  return { interests: parsed, errors };
+};
+
+const clientInfo = (req: Request): ClientInfo => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// Revoke the access token used for this request so it stops working before it expires
+const revokeCurrentAccessToken = async (req: AuthRequest) => {
+  if (req.user?.jti && req.user.exp) {
+    await revokeAccessToken(req.user.jti, req.user.exp);
+  }
+};
+
+// @route   POST /api/auth/signup
+// @desc    Register a new user
+// @access  Public
+router.post('/signup', async (req: Request, res: Response) => {
+  const { email, password, firstName, lastName, age, school, grade, role, interests } = req.body;
+
+  // Basic validation
+  if (!email || !password || !firstName || !lastName) {
+    return res.status(400).json({ message: 'Please enter all required fields' });
+  }
+  if (role !== undefined && !(SIGNUP_ROLES as readonly string[]).includes(role)) {
+    return res.status(400).json({ message: `Account type must be one of: ${SIGNUP_ROLES.join(', ')}` });
+  }
+
+  try {
+    // Check if user already exists
+    let user = await User.findOne({ email });
+    if (user) {
+      return res.status(400).json({ message: 'User with this email already exists' });
+    }
+
+    const signupInterests = await parseSignupInterests(interests);
+    if (Object.keys(signupInterests.errors).length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: signupInterests.errors });
+    }
+
+    // Create new user instance with all fields
+    user = new User({
+      email,
+      password,
+      firstName,
+      lastName,
+      age: age ? parseInt(age) : undefined,
+      school,
+      grade,
+      role,
+      interests: signupInterests.interests
+    });
+
+    // Save user to database (password hashing happens in pre-save hook)
+    await user.save();
+
+    // Start a session: short-lived access token plus refresh token
+    const { token, refreshToken } = await createSession(user._id, clientInfo(req));
+
+    // Ask the user to confirm their address; a mail failure shouldn't undo the signup
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError: any) {
+      logger.error('Verification email error', mailError);
+    }
+
+    // Respond with tokens and user data
+    res.status(201).json({
+      message: 'User registered successfully',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        age: user.age,
+        school: user.school,
+        grade: user.grade,
+        emailVerified: user.emailVerified,
+        interests: user.interests
+      }
+    });
+
+  } catch (error: any) {
+    logger.error('Signup error', error);
+    // Handle Mongoose validation errors or duplicate key errors more specifically
+    if (error.code === 11000) { // Duplicate key error (for unique email)
+      return res.status(400).json({ message: 'Email already registered' });
+    }
+    res.status(500).json({ message: 'Server error during signup', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/login
+// @desc    Authenticate user & get tokens
+// @access  Public
+router.post('/login', async (req: Request, res: Response) => {
+  const { email, password } = req.body;
+
+  // Basic validation
+  if (!email || !password) {
+    return res.status(400).json({ message: 'Please enter all fields' });
+  }
+
+  try {
+    // Find user by email, explicitly select password
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    // Compare provided password with hashed password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    // Start a session: short-lived access token plus refresh token
+    const { token, refreshToken } = await createSession(user._id, clientInfo(req));
+
+    // Respond with tokens and user data
+    res.status(200).json({
+      message: 'Logged in successfully',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        age: user.age,
+        school: user.school,
+        grade: user.grade,
+        emailVerified: user.emailVerified,
+        interests: user.interests,
+        achievements: user.achievements,
+        academicProgress: user.academicProgress,
+        universityApplications: user.universityApplications,
+        applicationProgress: user.applicationProgress,
+        deletionScheduledFor: user.deletionScheduledFor ?? null
+      }
+    });
+
+  } catch (error: any) {
+    logger.error('Login error', error);
+    res.status(500).json({ message: 'Server error during login', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (requires a refresh token)
+router.post('/refresh', async (req: Request, res: Response) => {
+  const { refreshToken } = req.body;
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const { token, refreshToken: nextRefreshToken } = await rotateRefreshToken(refreshToken, clientInfo(req));
+    res.status(200).json({ token, refreshToken: nextRefreshToken });
+  } catch (error: any) {
+    if (error instanceof RefreshError) {
+      if (error.reason === 'reused') {
+        logger.warn('Refresh token reuse detected; session revoked');
+      }
+      return res.status(401).json({ message: error.message, code: `REFRESH_${error.reason.toUpperCase()}` });
+    }
+    logger.error('Token refresh error', error);
+    res.status(500).json({ message: 'Server error during token refresh', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user: end this session and revoke its access token
+// @access  Private
+router.post('/logout', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    await Promise.all([
+      revokeSession(req.user!.id, req.user!.sessionId!),
+      revokeCurrentAccessToken(req)
+    ]);
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error: any) {
+    logger.error('Logout error', error);
+    res.status(500).json({ message: 'Server error during logout', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out of all devices, including this one
+// @access  Private
+router.post('/logout-all', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const [revoked] = await Promise.all([
+      revokeAllSessions(req.user!.id),
+      revokeCurrentAccessToken(req)
+    ]);
+    res.status(200).json({ message: 'Logged out of all devices', revoked });
+  } catch (error: any) {
+    logger.error('Logout-all error', error);
+    res.status(500).json({ message: 'Server error during logout', error: error.message });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's signed-in devices
+// @access  Private
+router.get('/sessions', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const sessions = await listSessions(req.user!.id);
+    res.status(200).json(sessions.map(session => ({
+      id: session.id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.id === req.user!.sessionId
+    })));
+  } catch (error: any) {
+    logger.error('Session list error', error);
+    res.status(500).json({ message: 'Server error while listing sessions', error: error.message });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const revoked = await revokeSession(req.user!.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    if (req.params.id === req.user!.sessionId) {
+      await revokeCurrentAccessToken(req);
+    }
+    res.status(200).json({ message: 'Session signed out' });
+  } catch (error: any) {
+    logger.error('Session revoke error', error);
+    res.status(500).json({ message: 'Server error while signing out session', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', async (req: Request, res: Response) => {
+  const { token } = req.body;
+  if (typeof token !== 'string' || !token) {
+    return res.status(400).json({ message: 'Verification token is required' });
+  }
+
+  try {
+    const user = await verifyEmail(token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+    res.status(200).json({ message: 'Email address verified', email: user.email });
+  } catch (error: any) {
+    logger.error('Email verification error', error);
+    res.status(500).json({ message: 'Server error during email verification', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a fresh verification email
+// @access  Private
+router.post('/resend-verification', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email address is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+    res.status(200).json({ message: `Verification email sent to ${user.email}` });
+  } catch (error: any) {
+    logger.error('Resend verification error', error);
+    res.status(500).json({ message: 'Server error while sending verification email', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', async (req: Request, res: Response) => {
+  const { email } = req.body;
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ message: 'Please enter your email address' });
+  }
+
+  try {
+    await requestPasswordReset(email);
+  } catch (error: any) {
+    // Answer the same way either way so the response doesn't reveal which addresses exist
+    logger.error('Password reset request error', error);
+  }
+  res.status(200).json({ message: 'If an account exists for that email, a reset link is on its way' });
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Choose a new password with a reset token; signs out every session
+// @access  Public
+router.post('/reset-password', async (req: Request, res: Response) => {
+  const { token, password } = req.body;
+  if (typeof token !== 'string' || !token || typeof password !== 'string' || !password) {
+    return res.status(400).json({ message: 'Reset token and new password are required' });
+  }
+
+  try {
+    const user = await resetPassword(token, password);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+    res.status(200).json({ message: 'Password updated; please log in with your new password' });
+  } catch (error: any) {
+    if (isValidationError(error)) {
+      return res.status(400).json({ message: 'Validation failed', errors: toFieldErrors(error) });
+    }
+    logger.error('Password reset error', error);
+    res.status(500).json({ message: 'Server error during password reset', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change password; signs out every other session
+// @access  Private
+router.post('/change-password', protect, async (req: AuthRequest, res: Response) => {
+  const { currentPassword, newPassword } = req.body;
+  if (typeof currentPassword !== 'string' || !currentPassword || typeof newPassword !== 'string' || !newPassword) {
+    return res.status(400).json({ message: 'Please enter your current and new password' });
+  }
+
+  try {
+    const user = await User.findById(req.user?.id).select('+password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: { currentPassword: 'Current password is incorrect' }
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const signedOut = await revokeAllSessions(req.user!.id, req.user!.sessionId, 'password_change');
+    res.status(200).json({ message: 'Password changed', signedOutSessions: signedOut });
+  } catch (error: any) {
+    if (isValidationError(error)) {
+      return res.status(400).json({ message: 'Validation failed', errors: toFieldErrors(error) });
+    }
+    logger.error('Change password error', error);
+    res.status(500).json({ message: 'Server error while changing password', error: error.message });
+  }
+});
+
+export default router;
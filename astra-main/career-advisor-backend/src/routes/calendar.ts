@@ -0,0 +1,110 @@
+import express, { Request, Response } from 'express';
+import User from '../models/User';
+import { protect, AuthRequest } from '../middleware/auth';
+import { buildUserCalendar, generateFeedToken } from '../services/calendar';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+const ICS_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+// Public URL calendar apps subscribe to
+const feedUrl = (req: Request, token: string): string => {
+  const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/calendar/feed/${token}.ics`;
+};
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    iCalendar subscription feed of deadlines; the secret token is the only credential
+// @access  Public (token-protected)
+router.get('/feed/:token.ics', async (req: Request, res: Response) => {
+  try {
+    const { token } = req.params;
+    const user = token ? await User.findOne({ calendarFeedToken: token }) : null;
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    res.status(200)
+      .set('Content-Type', ICS_CONTENT_TYPE)
+      .set('Cache-Control', 'private, max-age=900')
+      .send(buildUserCalendar(user));
+  } catch (error: any) {
+    logger.error('Calendar feed error', error);
+    res.status(500).json({ message: 'Server error while building calendar feed', error: error.message });
+  }
+});
+
+// @route   GET /api/calendar/download
+// @desc    One-off .ics download of the user's deadlines
+// @access  Private
+router.get('/download', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200)
+      .set('Content-Type', ICS_CONTENT_TYPE)
+      .set('Content-Disposition', 'attachment; filename="application-deadlines.ics"')
+      .send(buildUserCalendar(user));
+  } catch (error: any) {
+    logger.error('Calendar download error', error);
+    res.status(500).json({ message: 'Server error while building calendar', error: error.message });
+  }
+});
+
+// @route   GET /api/calendar/feed
+// @desc    Get the subscription URL, if the feed is enabled
+// @access  Private
+router.get('/feed', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const user = await User.findById(req.user?.id).select('+calendarFeedToken');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const token = user.calendarFeedToken;
+    res.status(200).json({ enabled: Boolean(token), url: token ? feedUrl(req, token) : null });
+  } catch (error: any) {
+    logger.error('Calendar feed status error', error);
+    res.status(500).json({ message: 'Server error while fetching calendar feed', error: error.message });
+  }
+});
+
+// @route   POST /api/calendar/feed
+// @desc    Enable the feed, or regenerate its token (the old URL stops working)
+// @access  Private
+router.post('/feed', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const token = generateFeedToken();
+    user.calendarFeedToken = token;
+    await user.save();
+
+    res.status(200).json({ enabled: true, url: feedUrl(req, token) });
+  } catch (error: any) {
+    logger.error('Calendar feed token error', error);
+    res.status(500).json({ message: 'Server error while creating calendar feed', error: error.message });
+  }
+});
+
+// @route   DELETE /api/calendar/feed
+// @desc    Revoke the feed token and turn the subscription off
+// @access  Private
+router.delete('/feed', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    await User.updateOne({ _id: req.user?.id }, { $unset: { calendarFeedToken: 1 } });
+    res.status(200).json({ enabled: false, url: null });
+  } catch (error: any) {
+    logger.error('Calendar feed revoke error', error);
+    res.status(500).json({ message: 'Server error while revoking calendar feed', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,254 @@
+import express, { Response } from 'express';
+import mongoose from 'mongoose';
+import University from '../models/University';
+import Program, { DEGREE_LEVELS } from '../models/Program';
+import User from '../models/User';
+import { protect, AuthRequest } from '../middleware/auth';
+import { FieldErrors } from '../utils/validation';
+import {
+  CatalogFilters,
+  StudentFitProfile,
+  programQuery,
+  universityQuery,
+  requirementFit,
+  studentFitProfile,
+  nextDeadline
+} from '../services/catalog';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const parseLimit = (value: unknown): number => {
+  const limit = parseInt(String(value), 10);
+  if (isNaN(limit) || limit < 1) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+const queryString = (value: unknown): string | undefined =>
+  typeof value === 'string' && value.trim() ? value.trim() : undefined;
+
+// Read the search filters shared by the university and program listings
+const parseFilters = (query: Record<string, unknown>): { filters: CatalogFilters; errors: FieldErrors } => {
+  const errors: FieldErrors = {};
+  const filters: CatalogFilters = {
+    q: queryString(query.q),
+    country: queryString(query.country),
+    field: queryString(query.field),
+    currency: queryString(query.currency)
+  };
+
+  const degree = queryString(query.degree);
+  if (degree) {
+    if ((DEGREE_LEVELS as readonly string[]).includes(degree)) {
+      filters.degree = degree;
+    } else {
+      errors.degree = `Degree must be one of: ${DEGREE_LEVELS.join(', ')}`;
+    }
+  }
+
+  const university = queryString(query.university);
+  if (university) {
+    if (mongoose.isValidObjectId(university)) {
+      filters.university = university;
+    } else {
+      errors.university = 'Invalid university id';
+    }
+  }
+
+  (['minTuition', 'maxTuition'] as const).forEach(field => {
+    const value = queryString(query[field]);
+    if (value === undefined) return;
+    const amount = Number(value);
+    if (isNaN(amount) || amount < 0) {
+      errors[field] = 'Tuition must be a positive number';
+    } else {
+      filters[field] = amount;
+    }
+  });
+  if (filters.currency && !/^[A-Za-z]{3}$/.test(filters.currency)) {
+    errors.currency = 'Currency must be a 3-letter ISO code';
+  }
+
+  return { filters, errors };
+};
+
+const loadFitProfile = async (req: AuthRequest): Promise<StudentFitProfile> => {
+  const user = await User.findById(req.user?.id);
+  return user ? studentFitProfile(user) : { gpa: null, subjects: [] };
+};
+
+// Program as listed in search results, with how the current student measures up
+const toProgramResult = (program: any, student: StudentFitProfile) => ({
+  ...program,
+  nextDeadline: nextDeadline(program),
+  fit: requirementFit(program.requirements, student)
+});
+
+// @route   GET /api/catalog/facets
+// @desc    Countries, subject areas and degree levels available as search filters
+// @access  Private
+router.get('/facets', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const [countries, subjectAreas, currencies] = await Promise.all([
+      University.distinct('country'),
+      University.distinct('subjectAreas'),
+      Program.distinct('tuition.currency')
+    ]);
+    const sorted = (values: string[]) => values.filter(Boolean).sort((a, b) => a.localeCompare(b));
+
+    res.status(200).json({
+      countries: sorted(countries),
+      subjectAreas: sorted(subjectAreas),
+      currencies: sorted(currencies),
+      degrees: DEGREE_LEVELS
+    });
+  } catch (error: any) {
+    logger.error('Catalog facets error', error);
+    res.status(500).json({ message: 'Server error while fetching catalog filters', error: error.message });
+  }
+});
+
+// @route   GET /api/catalog/universities
+// @desc    Search universities (?q, country, field, limit, offset)
+// @access  Private
+router.get('/universities', protect, async (req: AuthRequest, res: Response) => {
+  const { filters, errors } = parseFilters(req.query);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+
+  try {
+    const limit = parseLimit(req.query.limit);
+    const offset = Math.max(parseInt(String(req.query.offset), 10) || 0, 0);
+    const query = universityQuery(filters);
+
+    const [universities, total] = await Promise.all([
+      University.find(query, filters.q ? { score: { $meta: 'textScore' } } : {})
+        .sort(filters.q ? { score: { $meta: 'textScore' } } : { name: 1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      University.countDocuments(query)
+    ]);
+
+    const counts = await Program.aggregate<{ _id: mongoose.Types.ObjectId; count: number }>([
+      { $match: { university: { $in: universities.map(university => university._id) } } },
+      { $group: { _id: '$university', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(entry => [String(entry._id), entry.count]));
+
+    res.status(200).json({
+      universities: universities.map(university => ({
+        ...university,
+        programCount: countById.get(String(university._id)) || 0
+      })),
+      total
+    });
+  } catch (error: any) {
+    logger.error('University search error', error);
+    res.status(500).json({ message: 'Server error while searching universities', error: error.message });
+  }
+});
+
+// @route   GET /api/catalog/universities/:id
+// @desc    One university with its programs
+// @access  Private
+router.get('/universities/:id', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const { id } = req.params;
+    const university = mongoose.isValidObjectId(id) ? await University.findById(id).lean() : null;
+    if (!university) {
+      return res.status(404).json({ message: 'University not found' });
+    }
+
+    const [programs, student] = await Promise.all([
+      Program.find({ university: university._id }).sort({ name: 1 }).lean(),
+      loadFitProfile(req)
+    ]);
+
+    res.status(200).json({
+      ...university,
+      programs: programs.map(program => toProgramResult(program, student))
+    });
+  } catch (error: any) {
+    logger.error('University fetch error', error);
+    res.status(500).json({ message: 'Server error while fetching university', error: error.message });
+  }
+});
+
+// @route   GET /api/catalog/programs
+// @desc    Search programs (?q, country, field, degree, university, minTuition, maxTuition,
+//          currency, fit=eligible, limit, offset). Tuition filters compare amounts in
+//          ?currency (default USD); fit=eligible keeps programs whose minimum GPA the student meets.
+// @access  Private
+router.get('/programs', protect, async (req: AuthRequest, res: Response) => {
+  const { filters, errors } = parseFilters(req.query);
+  const fit = queryString(req.query.fit);
+  if (fit && fit !== 'eligible') {
+    errors.fit = 'Fit must be "eligible"';
+  }
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+
+  try {
+    const student = await loadFitProfile(req);
+    if (fit === 'eligible') {
+      if (student.gpa === null) {
+        return res.status(400).json({
+          message: 'Add grades to your profile to filter by requirement fit',
+          errors: { fit: 'No GPA on your profile yet' }
+        });
+      }
+      filters.eligibleGpa = student.gpa;
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const offset = Math.max(parseInt(String(req.query.offset), 10) || 0, 0);
+    const query = programQuery(filters);
+
+    const [programs, total] = await Promise.all([
+      Program.find(query, filters.q ? { score: { $meta: 'textScore' } } : {})
+        .sort(filters.q ? { score: { $meta: 'textScore' } } : { universityName: 1, name: 1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      Program.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      programs: programs.map(program => toProgramResult(program, student)),
+      total
+    });
+  } catch (error: any) {
+    logger.error('Program search error', error);
+    res.status(500).json({ message: 'Server error while searching programs', error: error.message });
+  }
+});
+
+// @route   GET /api/catalog/programs/:id
+// @desc    One program with its university and the student's requirement fit
+// @access  Private
+router.get('/programs/:id', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const { id } = req.params;
+    const program = mongoose.isValidObjectId(id)
+      ? await Program.findById(id).populate('university', 'name country city website').lean()
+      : null;
+    if (!program) {
+      return res.status(404).json({ message: 'Program not found' });
+    }
+
+    res.status(200).json(toProgramResult(program, await loadFitProfile(req)));
+  } catch (error: any) {
+    logger.error('Program fetch error', error);
+    res.status(500).json({ message: 'Server error while fetching program', error: error.message });
+  }
+});
+
+export default router;
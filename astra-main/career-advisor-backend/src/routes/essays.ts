@@ -0,0 +1,546 @@
+import express, { Response, NextFunction } from 'express';
+import mongoose from 'mongoose';
+import Essay, { IEssay } from '../models/Essay';
+import EssayVersion from '../models/EssayVersion';
+import EssayReview, { IEssayReview } from '../models/EssayReview';
+import EssayComment, { IEssayComment } from '../models/EssayComment';
+import Notification from '../models/Notification';
+import User, { IUser } from '../models/User';
+import { protect, requireStudentAccess, AuthRequest } from '../middleware/auth';
+import { FieldErrors, isValidationError, toFieldErrors, unknownFieldErrors } from '../utils/validation';
+import { acquireAiPermit, GrantedPermit } from '../services/aiUsage';
+import { isLLMError } from '../services/llm';
+import {
+  EssayError,
+  isEssayError,
+  diffEssays,
+  listRubrics,
+  getRubric,
+  defaultRubricId,
+  reviewEssay,
+  saveEssayContent,
+  deleteEssay,
+  splitParagraphs,
+  paragraphQuote,
+  locateParagraph
+} from '../services/essays';
+import { logger } from '../services/observability';
+
+// Mounted at /api/students/:studentId/essays
+const router = express.Router({ mergeParams: true });
+
+const ESSAY_FIELDS = ['title', 'prompt', 'wordLimit', 'rubric', 'application'] as const;
+const HISTORY_LIMIT = 200;
+
+// Essays are written by the student alone; linked counselors and parents can read them
+// and, with comment permission, leave comments
+const requireAuthor = (req: AuthRequest, res: Response, next: NextFunction) => {
+  if (req.studentAccess?.level !== 'self') {
+    return res.status(403).json({ message: 'Only the student can edit their essays' });
+  }
+  next();
+};
+
+type StudentApplications = IUser['universityApplications'];
+
+const applicationLabel = (applications: StudentApplications, id?: mongoose.Types.ObjectId) => {
+  const app = id ? applications.find(entry => String(entry._id) === String(id)) : null;
+  return app ? { id: app._id, universityName: app.universityName, program: app.program, deadline: app.deadline } : null;
+};
+
+const toEssaySummary = (essay: IEssay, applications: StudentApplications) => ({
+  id: essay._id,
+  title: essay.title,
+  prompt: essay.prompt,
+  wordLimit: essay.wordLimit,
+  wordCount: essay.wordCount,
+  overLimit: essay.wordLimit !== undefined && essay.wordCount > essay.wordLimit,
+  rubric: essay.rubric,
+  application: applicationLabel(applications, essay.application),
+  currentVersion: essay.currentVersion,
+  updatedAt: essay.updatedAt
+});
+
+const toEssayResponse = (essay: IEssay, applications: StudentApplications) => ({
+  ...toEssaySummary(essay, applications),
+  content: essay.content
+});
+
+// Comments (and AI review notes) with where their paragraph is in the current text
+const withCurrentParagraph = <T extends { paragraph: number; quote: string }>(item: T, paragraphs: string[]) => ({
+  ...item,
+  currentParagraph: locateParagraph(paragraphs, item)
+});
+
+const toReviewResponse = (review: IEssayReview, paragraphs: string[]) => {
+  const { comments, scores } = review.toObject();
+  return {
+    id: review._id,
+    version: review.version,
+    rubric: review.rubric,
+    summary: review.summary,
+    scores,
+    comments: comments.map((comment: IEssayReview['comments'][number]) => withCurrentParagraph(comment, paragraphs)),
+    createdAt: review.createdAt
+  };
+};
+
+const toCommentResponse = (comment: IEssayComment, paragraphs: string[]) =>
+  withCurrentParagraph(comment.toObject(), paragraphs);
+
+const loadApplications = async (studentId: string): Promise<StudentApplications> => {
+  const student = await User.findById(studentId).select('universityApplications');
+  return student?.universityApplications || [];
+};
+
+const loadEssay = (req: AuthRequest) =>
+  mongoose.isValidObjectId(req.params.essayId)
+    ? Essay.findOne({ _id: req.params.essayId, student: req.params.studentId })
+    : null;
+
+// Check the editable fields of an essay, resolving "application" and "rubric"
+const validateEssayFields = (
+  body: Record<string, any>,
+  applications: StudentApplications
+): FieldErrors => {
+  const errors = unknownFieldErrors(body, ESSAY_FIELDS);
+  if (body.application !== undefined && body.application !== null && body.application !== '') {
+    if (!applications.some(app => String(app._id) === String(body.application))) {
+      errors.application = 'Application not found';
+    }
+  } else if (body.application !== undefined) {
+    body.application = undefined;
+  }
+  if (body.rubric !== undefined && !getRubric(body.rubric)) {
+    errors.rubric = `Rubric must be one of: ${listRubrics().map(rubric => rubric.id).join(', ')}`;
+  }
+  ['prompt', 'wordLimit'].forEach(field => {
+    if (body[field] === '' || body[field] === null) body[field] = undefined;
+  });
+  return errors;
+};
+
+const sendEssayError = (res: Response, error: any, action: string) => {
+  if (isEssayError(error)) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (isValidationError(error)) {
+    return res.status(400).json({ message: 'Validation failed', errors: toFieldErrors(error) });
+  }
+  logger.error(`Essay ${action} error`, error);
+  res.status(500).json({ message: `Server error while ${action}`, error: error.message });
+};
+
+// @route   GET /api/students/:studentId/essays
+// @desc    The student's essays (without their text) and the rubrics available for AI review
+// @access  Student (self), linked Counselor/Parent, Admin
+router.get('/', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    const [essays, applications] = await Promise.all([
+      Essay.find({ student: req.params.studentId }).select('-content').sort({ updatedAt: -1 }),
+      loadApplications(req.params.studentId)
+    ]);
+    res.status(200).json({
+      essays: essays.map(essay => toEssaySummary(essay, applications)),
+      rubrics: listRubrics().map(rubric => ({ id: rubric.id, name: rubric.name })),
+      defaultRubric: defaultRubricId()
+    });
+  } catch (error: any) {
+    sendEssayError(res, error, 'listing essays');
+  }
+});
+
+// @route   POST /api/students/:studentId/essays
+// @desc    Start an essay (title, prompt, wordLimit, rubric, application)
+// @access  Student (self)
+router.post('/', protect, requireStudentAccess('read'), requireAuthor, async (req: AuthRequest, res: Response) => {
+  try {
+    const body = { ...(req.body || {}) };
+    const applications = await loadApplications(req.params.studentId);
+    const errors = validateEssayFields(body, applications);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const essay = await Essay.create({
+      ...body,
+      rubric: body.rubric || defaultRubricId(),
+      student: req.params.studentId
+    });
+    res.status(201).json(toEssayResponse(essay, applications));
+  } catch (error: any) {
+    sendEssayError(res, error, 'creating essay');
+  }
+});
+
+// @route   GET /api/students/:studentId/essays/:essayId
+// @desc    One essay with its current text
+// @access  Student (self), linked Counselor/Parent, Admin
+router.get('/:essayId', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    const essay = await loadEssay(req);
+    if (!essay) {
+      return res.status(404).json({ message: 'Essay not found' });
+    }
+    res.status(200).json(toEssayResponse(essay, await loadApplications(req.params.studentId)));
+  } catch (error: any) {
+    sendEssayError(res, error, 'fetching essay');
+  }
+});
+
+// @route   PATCH /api/students/:studentId/essays/:essayId
+// @desc    Update an essay's title, prompt, word limit, rubric or application
+// @access  Student (self)
+router.patch('/:essayId', protect, requireStudentAccess('read'), requireAuthor, async (req: AuthRequest, res: Response) => {
+  try {
+    const essay = await loadEssay(req);
+    if (!essay) {
+      return res.status(404).json({ message: 'Essay not found' });
+    }
+
+    const body = { ...(req.body || {}) };
+    const applications = await loadApplications(req.params.studentId);
+    const errors = validateEssayFields(body, applications);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    essay.set(body);
+    await essay.save();
+    res.status(200).json(toEssayResponse(essay, applications));
+  } catch (error: any) {
+    sendEssayError(res, error, 'updating essay');
+  }
+});
+
+// @route   PUT /api/students/:studentId/essays/:essayId/content
+// @desc    Save the essay's text ({ content, autosave }). Each save is kept as a version;
+//          autosaves close together are folded into one version.
+// @access  Student (self)
+router.put('/:essayId/content', protect, requireStudentAccess('read'), requireAuthor, async (req: AuthRequest, res: Response) => {
+  const { content, autosave } = req.body || {};
+  if (typeof content !== 'string') {
+    return res.status(400).json({ message: 'Validation failed', errors: { content: 'Content must be text' } });
+  }
+
+  try {
+    const essay = await loadEssay(req);
+    if (!essay) {
+      return res.status(404).json({ message: 'Essay not found' });
+    }
+
+    const { version, changed } = await saveEssayContent(essay, content, autosave === true ? 'autosave' : 'manual');
+    res.status(200).json({
+      essay: toEssayResponse(essay, await loadApplications(req.params.studentId)),
+      version: version && { number: version.number, source: version.source, updatedAt: version.updatedAt },
+      changed
+    });
+  } catch (error: any) {
+    sendEssayError(res, error, 'saving essay');
+  }
+});
+
+// @route   DELETE /api/students/:studentId/essays/:essayId
+// @desc    Delete an essay with its versions, reviews and comments
+// @access  Student (self)
+router.delete('/:essayId', protect, requireStudentAccess('read'), requireAuthor, async (req: AuthRequest, res: Response) => {
+  try {
+    const essay = await loadEssay(req);
+    if (!essay) {
+      return res.status(404).json({ message: 'Essay not found' });
+    }
+    await deleteEssay(essay);
+    res.status(200).json({ message: 'Essay deleted' });
+  } catch (error: any) {
+    sendEssayError(res, error, 'deleting essay');
+  }
+});
+
+// @route   GET /api/students/:studentId/essays/:essayId/versions
+// @desc    Version history, newest first (without the text)
+// @access  Student (self), linked Counselor/Parent, Admin
+router.get('/:essayId/versions', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    const essay = await loadEssay(req);
+    if (!essay) {
+      return res.status(404).json({ message: 'Essay not found' });
+    }
+    const versions = await EssayVersion.find({ essay: essay._id })
+      .select('number wordCount source createdAt updatedAt')
+      .sort({ number: -1 })
+      .limit(HISTORY_LIMIT);
+    res.status(200).json(versions);
+  } catch (error: any) {
+    sendEssayError(res, error, 'listing versions');
+  }
+});
+
+// @route   GET /api/students/:studentId/essays/:essayId/versions/:number
+// @desc    One version with its text
+// @access  Student (self), linked Counselor/Parent, Admin
+router.get('/:essayId/versions/:number', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    const essay = await loadEssay(req);
+    const version = essay
+      ? await EssayVersion.findOne({ essay: essay._id, number: parseInt(req.params.number, 10) || 0 })
+      : null;
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+    res.status(200).json(version);
+  } catch (error: any) {
+    sendEssayError(res, error, 'fetching version');
+  }
+});
+
+// @route   POST /api/students/:studentId/essays/:essayId/versions/:number/restore
+// @desc    Make an earlier version the current text (saved as a new version)
+// @access  Student (self)
+router.post('/:essayId/versions/:number/restore', protect, requireStudentAccess('read'), requireAuthor, async (req: AuthRequest, res: Response) => {
+  try {
+    const essay = await loadEssay(req);
+    const version = essay
+      ? await EssayVersion.findOne({ essay: essay._id, number: parseInt(req.params.number, 10) || 0 })
+      : null;
+    if (!essay || !version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    await saveEssayContent(essay, version.content, 'restore');
+    res.status(200).json(toEssayResponse(essay, await loadApplications(req.params.studentId)));
+  } catch (error: any) {
+    sendEssayError(res, error, 'restoring version');
+  }
+});
+
+// @route   GET /api/students/:studentId/essays/:essayId/diff?from=&to=
+// @desc    Word-level changes between two versions (to defaults to the current version)
+// @access  Student (self), linked Counselor/Parent, Admin
+router.get('/:essayId/diff', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    const essay = await loadEssay(req);
+    if (!essay) {
+      return res.status(404).json({ message: 'Essay not found' });
+    }
+
+    const from = parseInt(String(req.query.from), 10);
+    const to = req.query.to === undefined ? essay.currentVersion : parseInt(String(req.query.to), 10);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ message: 'Validation failed', errors: { from: 'from and to must be version numbers' } });
+    }
+
+    const versions = await EssayVersion.find({ essay: essay._id, number: { $in: [from, to] } });
+    const before = versions.find(version => version.number === from);
+    const after = versions.find(version => version.number === to);
+    if (!before || !after) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.status(200).json({ from, to, ...diffEssays(before.content, after.content) });
+  } catch (error: any) {
+    sendEssayError(res, error, 'comparing versions');
+  }
+});
+
+// @route   GET /api/students/:studentId/essays/:essayId/reviews
+// @desc    AI reviews of the essay, newest first
+// @access  Student (self), linked Counselor/Parent, Admin
+router.get('/:essayId/reviews', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    const essay = await loadEssay(req);
+    if (!essay) {
+      return res.status(404).json({ message: 'Essay not found' });
+    }
+    const reviews = await EssayReview.find({ essay: essay._id }).sort({ createdAt: -1 }).limit(HISTORY_LIMIT);
+    const paragraphs = splitParagraphs(essay.content);
+    res.status(200).json(reviews.map(review => toReviewResponse(review, paragraphs)));
+  } catch (error: any) {
+    sendEssayError(res, error, 'listing reviews');
+  }
+});
+
+// @route   POST /api/students/:studentId/essays/:essayId/review
+// @desc    Run the current text through the AI reviewer against the essay's rubric,
+//          returning rubric scores and paragraph-anchored comments
+// @access  Student (self)
+router.post('/:essayId/review', protect, requireStudentAccess('read'), requireAuthor, async (req: AuthRequest, res: Response) => {
+  let permit: GrantedPermit | undefined;
+
+  try {
+    const essay = await loadEssay(req);
+    if (!essay) {
+      return res.status(404).json({ message: 'Essay not found' });
+    }
+    const paragraphs = splitParagraphs(essay.content);
+    if (paragraphs.length === 0 || essay.currentVersion === 0) {
+      return res.status(400).json({ message: 'Save some text before asking for a review' });
+    }
+    const rubric = getRubric(essay.rubric);
+    if (!rubric) {
+      throw new EssayError(400, `Rubric "${essay.rubric}" is no longer available; choose another one`);
+    }
+
+    const granted = await acquireAiPermit(String(req.user?.id));
+    if (!granted.allowed) {
+      res.set('Retry-After', String(granted.retryAfter));
+      return res.status(429).json({
+        message: granted.scope === 'user'
+          ? "You've reached your AI usage limit; try again shortly"
+          : 'The AI reviewer is handling too many requests right now',
+        error: granted.scope === 'user' ? 'USAGE_LIMIT_REACHED' : 'RATE_LIMITED',
+        retryAfter: granted.retryAfter
+      });
+    }
+    permit = granted;
+
+    const result = await reviewEssay(
+      { paragraphs, prompt: essay.prompt, wordLimit: essay.wordLimit, wordCount: essay.wordCount },
+      rubric
+    );
+    await permit.complete(result);
+
+    const review = await EssayReview.create({
+      essay: essay._id,
+      version: essay.currentVersion,
+      rubric: rubric.id,
+      summary: result.summary,
+      scores: result.scores,
+      comments: result.comments.map(comment => ({ ...comment, quote: paragraphQuote(paragraphs[comment.paragraph]) })),
+      provider: result.provider,
+      modelName: result.model
+    });
+
+    res.status(201).json(toReviewResponse(review, paragraphs));
+  } catch (error: any) {
+    // A failed review still counts towards the limits
+    await permit?.complete();
+    if (isLLMError(error)) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
+    sendEssayError(res, error, 'reviewing essay');
+  }
+});
+
+// @route   GET /api/students/:studentId/essays/:essayId/comments
+// @desc    Comments on the essay, oldest first, with where their paragraph is now
+// @access  Student (self), linked Counselor/Parent, Admin
+router.get('/:essayId/comments', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    const essay = await loadEssay(req);
+    if (!essay) {
+      return res.status(404).json({ message: 'Essay not found' });
+    }
+    const comments = await EssayComment.find({ essay: essay._id })
+      .populate('author', 'firstName lastName role')
+      .sort({ createdAt: 1 });
+    const paragraphs = splitParagraphs(essay.content);
+    res.status(200).json(comments.map(comment => toCommentResponse(comment, paragraphs)));
+  } catch (error: any) {
+    sendEssayError(res, error, 'listing comments');
+  }
+});
+
+// @route   POST /api/students/:studentId/essays/:essayId/comments
+// @desc    Comment on one paragraph of the current text ({ paragraph (0-based), body })
+// @access  Student (self), Counselor/Parent with comment permission, Admin
+router.post('/:essayId/comments', protect, requireStudentAccess('comment'), async (req: AuthRequest, res: Response) => {
+  try {
+    const essay = await loadEssay(req);
+    if (!essay) {
+      return res.status(404).json({ message: 'Essay not found' });
+    }
+
+    const { paragraph, body } = req.body || {};
+    const paragraphs = splitParagraphs(essay.content);
+    if (!Number.isInteger(paragraph) || paragraph < 0 || paragraph >= paragraphs.length) {
+      return res.status(400).json({ message: 'Validation failed', errors: { paragraph: 'Choose a paragraph of the current draft' } });
+    }
+
+    const comment = await EssayComment.create({
+      essay: essay._id,
+      author: req.user?.id,
+      version: essay.currentVersion,
+      paragraph,
+      quote: paragraphQuote(paragraphs[paragraph]),
+      body
+    });
+    await comment.populate('author', 'firstName lastName role');
+
+    if (req.studentAccess?.level !== 'self') {
+      const author = comment.author as unknown as IUser;
+      await Notification.updateOne(
+        { user: req.params.studentId, dedupeKey: `essay-comment:${comment.id}` },
+        {
+          $setOnInsert: {
+            user: req.params.studentId,
+            type: 'comment',
+            title: `${author.firstName} ${author.lastName} commented on "${essay.title}"`,
+            body: comment.body.length > 140 ? `${comment.body.slice(0, 137)}...` : comment.body,
+            dedupeKey: `essay-comment:${comment.id}`
+          }
+        },
+        { upsert: true }
+      );
+    }
+
+    res.status(201).json(toCommentResponse(comment, paragraphs));
+  } catch (error: any) {
+    sendEssayError(res, error, 'adding comment');
+  }
+});
+
+// @route   PATCH /api/students/:studentId/essays/:essayId/comments/:commentId
+// @desc    Mark a comment resolved or open again ({ resolved }); the student or the comment's author may
+// @access  Private
+router.patch('/:essayId/comments/:commentId', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    if (typeof req.body?.resolved !== 'boolean') {
+      return res.status(400).json({ message: 'Validation failed', errors: { resolved: 'Resolved must be true or false' } });
+    }
+    const essay = await loadEssay(req);
+    const comment = essay && mongoose.isValidObjectId(req.params.commentId)
+      ? await EssayComment.findOne({ _id: req.params.commentId, essay: essay._id })
+      : null;
+    if (!essay || !comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    const level = req.studentAccess?.level;
+    if (level !== 'self' && level !== 'admin' && String(comment.author) !== String(req.user?.id)) {
+      return res.status(403).json({ message: 'You do not have permission to perform this action' });
+    }
+
+    comment.resolved = req.body.resolved;
+    await comment.save();
+    await comment.populate('author', 'firstName lastName role');
+    res.status(200).json(toCommentResponse(comment, splitParagraphs(essay.content)));
+  } catch (error: any) {
+    sendEssayError(res, error, 'updating comment');
+  }
+});
+
+// @route   DELETE /api/students/:studentId/essays/:essayId/comments/:commentId
+// @desc    Delete a comment; only its author (or an admin) may
+// @access  Private
+router.delete('/:essayId/comments/:commentId', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    const essay = await loadEssay(req);
+    if (!essay || !mongoose.isValidObjectId(req.params.commentId)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const filter: Record<string, unknown> = { _id: req.params.commentId, essay: essay._id };
+    if (req.studentAccess?.level !== 'admin') {
+      filter.author = req.user?.id;
+    }
+    const result = await EssayComment.deleteOne(filter);
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    res.status(200).json({ message: 'Comment deleted' });
+  } catch (error: any) {
+    sendEssayError(res, error, 'deleting comment');
+  }
+});
+
+export default router;
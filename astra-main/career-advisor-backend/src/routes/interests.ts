@@ -0,0 +1,19 @@
+import express, { Request, Response } from 'express';
+import { loadTaxonomy, taxonomyResponse } from '../services/interestTaxonomy';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+// @route   GET /api/interests
+// @desc    The interest taxonomy: categories with their subcategories, synonyms and colors
+// @access  Public (signup offers it before there is an account)
+router.get('/', async (req: Request, res: Response) => {
+  try {
+    res.status(200).json(taxonomyResponse(await loadTaxonomy()));
+  } catch (error: any) {
+    logger.error('Interest taxonomy error', error);
+    res.status(500).json({ message: 'Server error while fetching interests', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,140 @@
+import express, { Response } from 'express';
+import mongoose from 'mongoose';
+import User, { IUser } from '../models/User';
+import { protect, AuthRequest } from '../middleware/auth';
+import {
+  LinkError,
+  createInvitation,
+  respondToInvitation,
+  revokeLink,
+  updateLinkPermission,
+  listLinks,
+  toLinkResponse
+} from '../services/studentLinks';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+// Load the signed-in user, answering 404 when they no longer exist
+const loadUser = async (req: AuthRequest, res: Response): Promise<IUser | null> => {
+  const user = await User.findById(req.user?.id);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+  }
+  return user;
+};
+
+const sendLinkError = (res: Response, error: any, action: string) => {
+  if (error instanceof LinkError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  logger.error(`Link ${action} error`, error);
+  res.status(500).json({ message: `Server error while trying to ${action}`, error: error.message });
+};
+
+const invalidId = (res: Response, id: string) => {
+  if (mongoose.isValidObjectId(id)) return false;
+  res.status(404).json({ message: 'Link not found' });
+  return true;
+};
+
+// @route   GET /api/links
+// @desc    Open links and invitations (sent and received) for the current user
+// @access  Private
+router.get('/', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const links = await listLinks(user);
+    res.status(200).json(links.map(link => toLinkResponse(link, user)));
+  } catch (error: any) {
+    sendLinkError(res, error, 'list links');
+  }
+});
+
+// @route   POST /api/links/invitations
+// @desc    Invite a counselor/parent (as a student) or a student (as a counselor/parent)
+// @access  Private
+router.post('/invitations', protect, async (req: AuthRequest, res: Response) => {
+  const { email, relationship, permission } = req.body;
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const link = await createInvitation(user, { email, relationship, permission });
+    res.status(201).json(toLinkResponse(link, user));
+  } catch (error: any) {
+    sendLinkError(res, error, 'send invitation');
+  }
+});
+
+// @route   POST /api/links/:id/accept
+// @desc    Accept an invitation sent to the current user
+// @access  Private
+router.post('/:id/accept', protect, async (req: AuthRequest, res: Response) => {
+  if (invalidId(res, req.params.id)) return;
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const link = await respondToInvitation(user, req.params.id, true);
+    res.status(200).json(toLinkResponse(link, user));
+  } catch (error: any) {
+    sendLinkError(res, error, 'accept invitation');
+  }
+});
+
+// @route   POST /api/links/:id/decline
+// @desc    Decline an invitation sent to the current user
+// @access  Private
+router.post('/:id/decline', protect, async (req: AuthRequest, res: Response) => {
+  if (invalidId(res, req.params.id)) return;
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const link = await respondToInvitation(user, req.params.id, false);
+    res.status(200).json(toLinkResponse(link, user));
+  } catch (error: any) {
+    sendLinkError(res, error, 'decline invitation');
+  }
+});
+
+// @route   PATCH /api/links/:id
+// @desc    Change a link's permission (read or comment); students only
+// @access  Private
+router.patch('/:id', protect, async (req: AuthRequest, res: Response) => {
+  if (invalidId(res, req.params.id)) return;
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const link = await updateLinkPermission(user, req.params.id, req.body.permission);
+    res.status(200).json(toLinkResponse(link, user));
+  } catch (error: any) {
+    sendLinkError(res, error, 'update link');
+  }
+});
+
+// @route   DELETE /api/links/:id
+// @desc    Remove a link or withdraw an invitation; either side may do this
+// @access  Private
+router.delete('/:id', protect, async (req: AuthRequest, res: Response) => {
+  if (invalidId(res, req.params.id)) return;
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    await revokeLink(user, req.params.id);
+    res.status(200).json({ message: 'Link removed' });
+  } catch (error: any) {
+    sendLinkError(res, error, 'remove link');
+  }
+});
+
+export default router;
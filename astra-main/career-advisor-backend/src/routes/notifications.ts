@@ -0,0 +1,76 @@
+import express, { Response } from 'express';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification';
+import { protect, AuthRequest } from '../middleware/auth';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// @route   GET /api/notifications
+// @desc    List notifications, newest first; ?unread=true for unread only
+// @access  Private
+router.get('/', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const limit = Math.min(parseInt(String(req.query.limit), 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const filter: Record<string, unknown> = { user: req.user?.id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ user: req.user?.id, readAt: null })
+    ]);
+
+    res.status(200).json({ notifications, unreadCount });
+  } catch (error: any) {
+    logger.error('Notification list error', error);
+    res.status(500).json({ message: 'Server error while listing notifications', error: error.message });
+  }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Private
+router.post('/read-all', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user?.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.status(200).json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+  } catch (error: any) {
+    logger.error('Notification read-all error', error);
+    res.status(500).json({ message: 'Server error while updating notifications', error: error.message });
+  }
+});
+
+// @route   POST /api/notifications/:id/read
+// @desc    Acknowledge a single notification
+// @access  Private
+router.post('/:id/read', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user?.id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    res.status(200).json(notification);
+  } catch (error: any) {
+    logger.error('Notification read error', error);
+    res.status(500).json({ message: 'Server error while updating notification', error: error.message });
+  }
+});
+
+export default router;
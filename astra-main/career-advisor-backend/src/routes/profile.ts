@@ -0,0 +1,387 @@
+import express, { Response } from 'express';
+import mongoose from 'mongoose';
+import User, { IUser } from '../models/User';
+import { protect, AuthRequest } from '../middleware/auth';
+import { isValidationError, toFieldErrors, unknownFieldErrors } from '../utils/validation';
+import { defaultChecklist } from '../services/applicationChecklist';
+import { calculateGpa } from '../services/grading';
+import { linkApplication } from '../services/catalog';
+import { matchClusters } from '../services/riasec';
+import { linkInterest } from '../services/interestTaxonomy';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+// Basic profile fields a user may edit directly
+const PROFILE_FIELDS = [
+  'firstName', 'lastName', 'age', 'school', 'grade', 'profilePicture', 'applicationProgress',
+  'gradingScale', 'customGradeScale', 'studyPreferences'
+] as const;
+const APPLICATION_PROGRESS_FIELDS = ['currentProject', 'projectLink'] as const;
+const STUDY_PREFERENCE_FIELDS = ['budget', 'countries'] as const;
+
+// Editable fields of each subdocument array on the profile
+const SECTION_FIELDS = {
+  achievements: ['title', 'icon', 'date'],
+  academicProgress: ['subject', 'grade', 'term', 'credits', 'level', 'progress'],
+  interests: ['name', 'topic'],
+  universityApplications: ['universityId', 'programId', 'universityName', 'program', 'deadline', 'status', 'checklist']
+} as const;
+
+const CHECKLIST_FIELDS = ['type', 'label', 'state', 'dueDate'] as const;
+
+type ProfileSection = keyof typeof SECTION_FIELDS;
+
+const isProfileSection = (section: string): section is ProfileSection =>
+  Object.prototype.hasOwnProperty.call(SECTION_FIELDS, section);
+
+// Shape of the profile returned to the dashboard
+export const toProfileResponse = (user: IUser) => ({
+  id: user._id,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  role: user.role,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  age: user.age,
+  school: user.school,
+  grade: user.grade,
+  profilePicture: user.profilePicture,
+  interests: user.interests,
+  achievements: user.achievements,
+  academicProgress: user.academicProgress,
+  gradingScale: user.gradingScale,
+  customGradeScale: user.customGradeScale,
+  gpa: calculateGpa(user),
+  interestProfile: user.interestProfile
+    ? {
+      code: user.interestProfile.code,
+      scores: user.interestProfile.scores,
+      completedAt: user.interestProfile.completedAt,
+      clusters: matchClusters(user.interestProfile.scores, 3)
+    }
+    : null,
+  studyPreferences: {
+    budget: user.studyPreferences?.budget ?? null,
+    countries: user.studyPreferences?.countries || []
+  },
+  universityApplications: user.universityApplications,
+  applicationProgress: user.applicationProgress,
+  deletionScheduledFor: user.deletionScheduledFor ?? null
+});
+
+const sendValidationFailure = (res: Response, errors: Record<string, string>) =>
+  res.status(400).json({ message: 'Validation failed', errors });
+
+const sectionArray = (user: IUser, section: ProfileSection) =>
+  user.get(section) as mongoose.Types.DocumentArray<any>;
+
+// Save the user, answering with field-level errors if validation fails.
+// Returns false when a response has already been sent.
+const saveWithValidation = async (
+  user: IUser,
+  res: Response,
+  stripPrefix?: RegExp
+): Promise<boolean> => {
+  try {
+    await user.save();
+    return true;
+  } catch (error: any) {
+    if (isValidationError(error)) {
+      sendValidationFailure(res, toFieldErrors(error, stripPrefix));
+      return false;
+    }
+    throw error;
+  }
+};
+
+// @route   GET /api/user/profile
+// @desc    Get user profile
+// @access  Private
+router.get('/profile', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json(toProfileResponse(user));
+  } catch (error: any) {
+    logger.error('Profile fetch error', error);
+    res.status(500).json({ message: 'Server error while fetching profile', error: error.message });
+  }
+});
+
+// @route   PATCH /api/user/profile
+// @desc    Update basic profile fields (name, age, school, grade, picture, current project, study preferences)
+// @access  Private
+router.patch('/profile', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const updates = req.body || {};
+    const unknown = unknownFieldErrors(updates, PROFILE_FIELDS);
+    if (updates.applicationProgress !== undefined) {
+      Object.assign(unknown, unknownFieldErrors(updates.applicationProgress || {}, APPLICATION_PROGRESS_FIELDS));
+    }
+    if (updates.studyPreferences !== undefined) {
+      Object.assign(unknown, unknownFieldErrors(updates.studyPreferences || {}, STUDY_PREFERENCE_FIELDS));
+    }
+    if (Object.keys(unknown).length > 0) {
+      return sendValidationFailure(res, unknown);
+    }
+
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    Object.entries(updates).forEach(([field, value]) => {
+      if (field === 'applicationProgress' || field === 'studyPreferences') {
+        Object.entries((value || {}) as Record<string, unknown>).forEach(([key, nested]) => {
+          user.set(`${field}.${key}`, nested === '' || nested === null ? undefined : nested);
+        });
+        return;
+      }
+      // Empty strings and null clear optional fields
+      user.set(field, value === '' || value === null ? undefined : value);
+    });
+
+    if (!(await saveWithValidation(user, res))) return;
+    res.status(200).json(toProfileResponse(user));
+  } catch (error: any) {
+    logger.error('Profile update error', error);
+    res.status(500).json({ message: 'Server error while updating profile', error: error.message });
+  }
+});
+
+// @route   POST /api/user/profile/:section
+// @desc    Add an achievement, grade, interest or university application
+// @access  Private
+router.post('/profile/:section', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const { section } = req.params;
+    if (!isProfileSection(section)) {
+      return res.status(404).json({ message: `Unknown profile section ${section}` });
+    }
+
+    const body = req.body || {};
+    const unknown = unknownFieldErrors(body, SECTION_FIELDS[section]);
+    if (Object.keys(unknown).length > 0) {
+      return sendValidationFailure(res, unknown);
+    }
+
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (section === 'interests') {
+      // Interests are filed under a taxonomy category, picked or matched from the name
+      const taxonomyErrors = await linkInterest(body);
+      if (Object.keys(taxonomyErrors).length > 0) {
+        return sendValidationFailure(res, taxonomyErrors);
+      }
+    }
+
+    if (section === 'universityApplications') {
+      // Applications may point at catalog entries; custom ones just carry the names
+      const catalogErrors = await linkApplication(body);
+      if (Object.keys(catalogErrors).length > 0) {
+        return sendValidationFailure(res, catalogErrors);
+      }
+      // New applications start from the standard requirements checklist
+      if (body.checklist === undefined) {
+        body.checklist = defaultChecklist(body.deadline);
+      }
+    }
+
+    const items = sectionArray(user, section);
+    items.push(body);
+    const item = items[items.length - 1];
+
+    if (!(await saveWithValidation(user, res, new RegExp(`^${section}\\.\\d+\\.`)))) return;
+    res.status(201).json({ item, profile: toProfileResponse(user) });
+  } catch (error: any) {
+    logger.error('Profile section create error', error);
+    res.status(500).json({ message: 'Server error while adding profile item', error: error.message });
+  }
+});
+
+// @route   PATCH /api/user/profile/:section/:itemId
+// @desc    Update one item of a profile section
+// @access  Private
+router.patch('/profile/:section/:itemId', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const { section, itemId } = req.params;
+    if (!isProfileSection(section)) {
+      return res.status(404).json({ message: `Unknown profile section ${section}` });
+    }
+
+    const body = req.body || {};
+    const unknown = unknownFieldErrors(body, SECTION_FIELDS[section]);
+    if (Object.keys(unknown).length > 0) {
+      return sendValidationFailure(res, unknown);
+    }
+
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const item = mongoose.isValidObjectId(itemId) ? sectionArray(user, section).id(itemId) : null;
+    if (!item) {
+      return res.status(404).json({ message: 'Profile item not found' });
+    }
+
+    if (section === 'interests') {
+      const taxonomyErrors = await linkInterest(body, item);
+      if (Object.keys(taxonomyErrors).length > 0) {
+        return sendValidationFailure(res, taxonomyErrors);
+      }
+    }
+
+    if (section === 'universityApplications') {
+      const catalogErrors = await linkApplication(body, item);
+      if (Object.keys(catalogErrors).length > 0) {
+        return sendValidationFailure(res, catalogErrors);
+      }
+    }
+
+    item.set(body);
+
+    if (!(await saveWithValidation(user, res, new RegExp(`^${section}\\.\\d+\\.`)))) return;
+    res.status(200).json({ item, profile: toProfileResponse(user) });
+  } catch (error: any) {
+    logger.error('Profile section update error', error);
+    res.status(500).json({ message: 'Server error while updating profile item', error: error.message });
+  }
+});
+
+// @route   DELETE /api/user/profile/:section/:itemId
+// @desc    Remove one item from a profile section
+// @access  Private
+router.delete('/profile/:section/:itemId', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const { section, itemId } = req.params;
+    if (!isProfileSection(section)) {
+      return res.status(404).json({ message: `Unknown profile section ${section}` });
+    }
+
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const item = mongoose.isValidObjectId(itemId) ? sectionArray(user, section).id(itemId) : null;
+    if (!item) {
+      return res.status(404).json({ message: 'Profile item not found' });
+    }
+
+    item.deleteOne();
+    await user.save();
+    res.status(200).json({ message: 'Profile item deleted', profile: toProfileResponse(user) });
+  } catch (error: any) {
+    logger.error('Profile section delete error', error);
+    res.status(500).json({ message: 'Server error while deleting profile item', error: error.message });
+  }
+});
+
+const CHECKLIST_ERROR_PREFIX = /^universityApplications\.\d+\.checklist\.\d+\./;
+
+// Find one of the user's applications by id, or null
+const findApplication = (user: IUser, appId: string) =>
+  mongoose.isValidObjectId(appId) ? sectionArray(user, 'universityApplications').id(appId) : null;
+
+// @route   POST /api/user/profile/universityApplications/:appId/checklist
+// @desc    Add a requirement to an application's checklist
+// @access  Private
+router.post('/profile/universityApplications/:appId/checklist', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const body = req.body || {};
+    const unknown = unknownFieldErrors(body, CHECKLIST_FIELDS);
+    if (Object.keys(unknown).length > 0) {
+      return sendValidationFailure(res, unknown);
+    }
+
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const application = findApplication(user, req.params.appId);
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    application.checklist.push(body);
+    const item = application.checklist[application.checklist.length - 1];
+
+    if (!(await saveWithValidation(user, res, CHECKLIST_ERROR_PREFIX))) return;
+    res.status(201).json({ item, profile: toProfileResponse(user) });
+  } catch (error: any) {
+    logger.error('Checklist item create error', error);
+    res.status(500).json({ message: 'Server error while adding checklist item', error: error.message });
+  }
+});
+
+// @route   PATCH /api/user/profile/universityApplications/:appId/checklist/:itemId
+// @desc    Update a checklist item (e.g. mark it done)
+// @access  Private
+router.patch('/profile/universityApplications/:appId/checklist/:itemId', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const body = req.body || {};
+    const unknown = unknownFieldErrors(body, CHECKLIST_FIELDS);
+    if (Object.keys(unknown).length > 0) {
+      return sendValidationFailure(res, unknown);
+    }
+
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const application = findApplication(user, req.params.appId);
+    const item = application && mongoose.isValidObjectId(req.params.itemId)
+      ? application.checklist.id(req.params.itemId)
+      : null;
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    item.set(body);
+
+    if (!(await saveWithValidation(user, res, CHECKLIST_ERROR_PREFIX))) return;
+    res.status(200).json({ item, profile: toProfileResponse(user) });
+  } catch (error: any) {
+    logger.error('Checklist item update error', error);
+    res.status(500).json({ message: 'Server error while updating checklist item', error: error.message });
+  }
+});
+
+// @route   DELETE /api/user/profile/universityApplications/:appId/checklist/:itemId
+// @desc    Remove a requirement from an application's checklist
+// @access  Private
+router.delete('/profile/universityApplications/:appId/checklist/:itemId', protect, async (req: AuthRequest, res: Response) => {
+  try {
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const application = findApplication(user, req.params.appId);
+    const item = application && mongoose.isValidObjectId(req.params.itemId)
+      ? application.checklist.id(req.params.itemId)
+      : null;
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    item.deleteOne();
+    await user.save();
+    res.status(200).json({ message: 'Checklist item deleted', profile: toProfileResponse(user) });
+  } catch (error: any) {
+    logger.error('Checklist item delete error', error);
+    res.status(500).json({ message: 'Server error while deleting checklist item', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,76 @@
+import express, { Response } from 'express';
+import Program, { DEGREE_LEVELS } from '../models/Program';
+import User from '../models/User';
+import { protect, requireRole, AuthRequest } from '../middleware/auth';
+import { recommendPrograms, recommendationProfile, missingInputs } from '../services/recommendations';
+import { exactInsensitive } from '../services/catalog';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+const DEFAULT_PER_BUCKET = 5;
+const MAX_PER_BUCKET = 20;
+// Programs scored per request. Larger catalogs are cut down to this many, taking programs
+// in the student's preferred countries first, and the response says so.
+const MAX_CANDIDATES = 1000;
+
+// @route   GET /api/recommendations
+// @desc    Catalog programs ranked for the student and sorted into reach, match and safety
+//          buckets (?degree, limit per bucket), each with the factors behind its score.
+//          Programs already in the student's applications are left out. `truncated` is set
+//          when only part of the catalog could be scored.
+// @access  Private (students)
+router.get('/', protect, requireRole('student'), async (req: AuthRequest, res: Response) => {
+  const degree = typeof req.query.degree === 'string' && req.query.degree ? req.query.degree : undefined;
+  if (degree && !(DEGREE_LEVELS as readonly string[]).includes(degree)) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: { degree: `Degree must be one of: ${DEGREE_LEVELS.join(', ')}` }
+    });
+  }
+  const limit = parseInt(String(req.query.limit), 10);
+  const perBucket = isNaN(limit) || limit < 1 ? DEFAULT_PER_BUCKET : Math.min(limit, MAX_PER_BUCKET);
+
+  try {
+    const user = await User.findById(req.user?.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const applied = user.universityApplications
+      .map(app => app.programId)
+      .filter(Boolean);
+    const filter: Record<string, unknown> = { _id: { $nin: applied }, ...(degree && { degree }) };
+    const student = recommendationProfile(user);
+
+    const available = await Program.countDocuments(filter);
+    const candidates = (query: Record<string, unknown>, limit: number) => (limit > 0
+      ? Program.find(query).sort({ universityName: 1, name: 1 }).limit(limit).lean()
+      : Promise.resolve([]));
+
+    let programs;
+    if (available <= MAX_CANDIDATES || student.countries.length === 0) {
+      programs = await candidates(filter, MAX_CANDIDATES);
+    } else {
+      const countries = student.countries.map(exactInsensitive);
+      const preferred = await candidates({ ...filter, country: { $in: countries } }, MAX_CANDIDATES);
+      const others = await candidates({ ...filter, country: { $nin: countries } }, MAX_CANDIDATES - preferred.length);
+      programs = [...preferred, ...others];
+    }
+
+    res.status(200).json({
+      buckets: recommendPrograms(programs, student, perBucket),
+      // Profile sections that would sharpen the recommendations if filled in
+      missing: missingInputs(student),
+      // Set when the catalog was too large to score every program
+      truncated: available > programs.length,
+      considered: programs.length,
+      available
+    });
+  } catch (error: any) {
+    logger.error('Recommendations error', error);
+    res.status(500).json({ message: 'Server error while building recommendations', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,207 @@
+import express, { Response } from 'express';
+import mongoose from 'mongoose';
+import User, { IUser } from '../models/User';
+import StudentLink from '../models/StudentLink';
+import StudentComment, { COMMENT_SECTIONS } from '../models/StudentComment';
+import Notification from '../models/Notification';
+import { protect, requireRole, requireStudentAccess, AuthRequest } from '../middleware/auth';
+import { toProfileResponse } from './profile';
+import { isValidationError, toFieldErrors } from '../utils/validation';
+import { parseReportOptions, collectReportData, renderProgressReport } from '../services/progressReport';
+import { logger } from '../services/observability';
+
+const router = express.Router();
+
+const COMPLETE_STATES = ['done', 'waived'];
+const FINISHED_STATUSES = ['Submitted', 'Accepted', 'Rejected'];
+
+// One row of a counselor's or parent's caseload overview
+const caseloadEntry = (student: IUser, now: Date) => {
+  const applications = student.universityApplications || [];
+  const open = applications.filter(app => !FINISHED_STATUSES.includes(app.status));
+  const nextDeadline = open
+    .filter(app => new Date(app.deadline) >= now)
+    .sort((a, b) => new Date(a.deadline).getTime() - new Date(b.deadline).getTime())[0];
+  const overdueItems = open.reduce((count, app) => count + (app.checklist || []).filter(item =>
+    item.dueDate && new Date(item.dueDate) < now && !COMPLETE_STATES.includes(item.state)
+  ).length, 0);
+
+  return {
+    id: student._id,
+    firstName: student.firstName,
+    lastName: student.lastName,
+    email: student.email,
+    school: student.school,
+    grade: student.grade,
+    applications: applications.length,
+    averageCompletion: student.applicationProgress?.averageCompletion || 0,
+    nextDeadline: nextDeadline ? { universityName: nextDeadline.universityName, deadline: nextDeadline.deadline } : null,
+    overdueItems,
+    updatedAt: student.updatedAt
+  };
+};
+
+// @route   GET /api/students
+// @desc    Caseload overview: every student linked to the current counselor or parent
+// @access  Counselor, Parent
+router.get('/', protect, requireRole('counselor', 'parent'), async (req: AuthRequest, res: Response) => {
+  try {
+    const links = await StudentLink.find({ supporter: req.user?.id, status: 'active' });
+    const students = await User.find({ _id: { $in: links.map(link => link.student) } })
+      .select('firstName lastName email school grade universityApplications applicationProgress updatedAt');
+
+    const now = new Date();
+    const byId = new Map(students.map(student => [String(student._id), student]));
+    const caseload = links
+      .filter(link => byId.has(String(link.student)))
+      .map(link => ({
+        linkId: link._id,
+        permission: link.permission,
+        ...caseloadEntry(byId.get(String(link.student))!, now)
+      }))
+      .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`));
+
+    res.status(200).json(caseload);
+  } catch (error: any) {
+    logger.error('Caseload error', error);
+    res.status(500).json({ message: 'Server error while loading caseload', error: error.message });
+  }
+});
+
+// @route   GET /api/students/:studentId/profile
+// @desc    A linked student's profile, read-only
+// @access  Student (self), linked Counselor/Parent, Admin
+router.get('/:studentId/profile', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    const student = await User.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+    res.status(200).json({ ...toProfileResponse(student), access: req.studentAccess?.level });
+  } catch (error: any) {
+    logger.error('Student profile error', error);
+    res.status(500).json({ message: 'Server error while fetching student profile', error: error.message });
+  }
+});
+
+// @route   GET /api/students/:studentId/report
+// @desc    Progress report as a PDF (?sections=profile,gpa,...&from=YYYY-MM-DD&to=YYYY-MM-DD).
+//          Advisor conversations can only be included by the student themself.
+// @access  Student (self), linked Counselor/Parent, Admin
+router.get('/:studentId/report', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  const { options, errors } = parseReportOptions(req.query);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  const level = req.studentAccess?.level;
+  if (options.sections.includes('conversations') && level !== 'self' && level !== 'admin') {
+    return res.status(403).json({ message: 'Only the student can include their advisor conversations' });
+  }
+
+  try {
+    const student = await User.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const data = await collectReportData(student, options);
+    const pdf = await renderProgressReport(data, options);
+    const name = `${student.firstName}-${student.lastName}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    res.status(200)
+      .set('Content-Type', 'application/pdf')
+      .set('Content-Disposition', `attachment; filename="progress-report-${name || 'student'}-${data.generatedAt.toISOString().slice(0, 10)}.pdf"`)
+      .send(pdf);
+  } catch (error: any) {
+    logger.error('Progress report error', error);
+    res.status(500).json({ message: 'Server error while building progress report', error: error.message });
+  }
+});
+
+// @route   GET /api/students/:studentId/comments
+// @desc    Comments left on a student's dashboard, newest first
+// @access  Student (self), linked Counselor/Parent, Admin
+router.get('/:studentId/comments', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    const comments = await StudentComment.find({ student: req.params.studentId })
+      .populate('author', 'firstName lastName role')
+      .sort({ createdAt: -1 });
+    res.status(200).json(comments);
+  } catch (error: any) {
+    logger.error('Comment list error', error);
+    res.status(500).json({ message: 'Server error while listing comments', error: error.message });
+  }
+});
+
+// @route   POST /api/students/:studentId/comments
+// @desc    Comment on a student's dashboard (section: general, academics, interests, achievements, applications)
+// @access  Student (self), Counselor/Parent with comment permission, Admin
+router.post('/:studentId/comments', protect, requireStudentAccess('comment'), async (req: AuthRequest, res: Response) => {
+  try {
+    const { body, section } = req.body;
+    if (section !== undefined && !(COMMENT_SECTIONS as readonly string[]).includes(section)) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: { section: `Section must be one of: ${COMMENT_SECTIONS.join(', ')}` }
+      });
+    }
+
+    const comment = await StudentComment.create({
+      student: req.params.studentId,
+      author: req.user?.id,
+      section,
+      body
+    });
+    await comment.populate('author', 'firstName lastName role');
+
+    if (req.studentAccess?.level !== 'self') {
+      const author = comment.author as unknown as IUser;
+      await Notification.updateOne(
+        { user: req.params.studentId, dedupeKey: `comment:${comment.id}` },
+        {
+          $setOnInsert: {
+            user: req.params.studentId,
+            type: 'comment',
+            title: `New comment from ${author.firstName} ${author.lastName}`,
+            body: comment.body.length > 140 ? `${comment.body.slice(0, 137)}...` : comment.body,
+            dedupeKey: `comment:${comment.id}`
+          }
+        },
+        { upsert: true }
+      );
+    }
+
+    res.status(201).json(comment);
+  } catch (error: any) {
+    if (isValidationError(error)) {
+      return res.status(400).json({ message: 'Validation failed', errors: toFieldErrors(error) });
+    }
+    logger.error('Comment create error', error);
+    res.status(500).json({ message: 'Server error while adding comment', error: error.message });
+  }
+});
+
+// @route   DELETE /api/students/:studentId/comments/:commentId
+// @desc    Delete a comment; only its author (or an admin) may
+// @access  Private
+router.delete('/:studentId/comments/:commentId', protect, requireStudentAccess('read'), async (req: AuthRequest, res: Response) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.commentId)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const filter: Record<string, unknown> = { _id: req.params.commentId, student: req.params.studentId };
+    if (req.studentAccess?.level !== 'admin') {
+      filter.author = req.user?.id;
+    }
+    const result = await StudentComment.deleteOne(filter);
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    res.status(200).json({ message: 'Comment deleted' });
+  } catch (error: any) {
+    logger.error('Comment delete error', error);
+    res.status(500).json({ message: 'Server error while deleting comment', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,180 @@
+import express, { Response, NextFunction } from 'express';
+import path from 'path';
+import multer from 'multer';
+import User from '../models/User';
+import { protect, requireStudentAccess, AuthRequest } from '../middleware/auth';
+import { toProfileResponse } from './profile';
+import { isValidationError, toFieldErrors, FieldErrors } from '../utils/validation';
+import {
+  TranscriptError,
+  TranscriptEntry,
+  ColumnMapping,
+  ImportMode,
+  IMPORT_MODES,
+  TRANSCRIPT_FIELDS,
+  TRANSCRIPT_EXTENSIONS,
+  MAX_TRANSCRIPT_BYTES,
+  MAX_TRANSCRIPT_ROWS,
+  previewTranscript,
+  validateEntry,
+  applyTranscript
+} from '../services/transcriptImport';
+import { logger } from '../services/observability';
+
+// Mounted at /api/students/:studentId/transcript
+const router = express.Router({ mergeParams: true });
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_TRANSCRIPT_BYTES, files: 1 },
+  fileFilter: (_req, file, callback) => {
+    callback(null, TRANSCRIPT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()));
+  }
+});
+
+// Accept a single "file" field, answering 400 for oversized or malformed uploads
+const uploadTranscript = (req: AuthRequest, res: Response, next: NextFunction) => {
+  upload.single('file')(req, res, (error: any) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Transcripts must be smaller than ${MAX_TRANSCRIPT_BYTES / 1024} KB`
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    if (error) return next(error);
+    next();
+  });
+};
+
+// Students import their own transcript; counselors may import for a linked student
+// when the link allows comments. Parents can view but not change grades.
+const requireImportAccess = async (req: AuthRequest, res: Response, next: NextFunction) => {
+  const level = req.studentAccess?.level;
+  if (level === 'self' || level === 'admin') return next();
+
+  try {
+    const user = await User.findById(req.user?.id).select('role');
+    if (level === 'comment' && user?.role === 'counselor') return next();
+    res.status(403).json({ message: 'You do not have permission to perform this action' });
+  } catch (error: any) {
+    logger.error('Transcript access check failed', error);
+    res.status(500).json({ message: 'Server error during authorization', error: error.message });
+  }
+};
+
+// Column overrides arrive as a JSON string in the multipart body, e.g. {"subject":0,"grade":2}
+const parseColumns = (value: unknown): ColumnMapping | undefined | null => {
+  if (value === undefined || value === '') return undefined;
+  try {
+    const parsed = JSON.parse(String(value));
+    const columns: ColumnMapping = {};
+    for (const field of TRANSCRIPT_FIELDS) {
+      if (parsed[field] === undefined || parsed[field] === null || parsed[field] === '') continue;
+      if (!Number.isInteger(parsed[field]) || parsed[field] < 0) return null;
+      columns[field] = parsed[field];
+    }
+    return columns;
+  } catch {
+    return null;
+  }
+};
+
+// @route   POST /api/students/:studentId/transcript/preview
+// @desc    Parse a CSV or .xlsx transcript (multipart field "file") and report what would be imported
+// @access  Student (self), Counselor with comment permission, Admin
+router.post('/preview', protect, requireStudentAccess('comment'), requireImportAccess, uploadTranscript, async (req: AuthRequest, res: Response) => {
+  if (!req.file) {
+    return res.status(400).json({ message: `Upload a ${TRANSCRIPT_EXTENSIONS.join(', ')} file in the "file" field` });
+  }
+  const columns = parseColumns(req.body.columns);
+  if (columns === null) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: { columns: 'Columns must be a JSON object of 0-based column indexes' }
+    });
+  }
+
+  try {
+    const student = await User.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const preview = await previewTranscript(req.file.buffer, student, columns);
+    const valid = preview.rows.filter(row => Object.keys(row.errors).length === 0);
+    res.status(200).json({
+      ...preview,
+      summary: {
+        total: preview.rows.length,
+        valid: valid.length,
+        invalid: preview.rows.length - valid.length,
+        add: valid.filter(row => row.action === 'add').length,
+        update: valid.filter(row => row.action === 'update').length
+      }
+    });
+  } catch (error: any) {
+    if (error instanceof TranscriptError) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error('Transcript preview error', error);
+    res.status(500).json({ message: 'Server error while reading transcript', error: error.message });
+  }
+});
+
+// @route   POST /api/students/:studentId/transcript/commit
+// @desc    Import previewed rows ({ rows: [{subject, grade, term, credits}], mode: 'merge' | 'replace' })
+// @access  Student (self), Counselor with comment permission, Admin
+router.post('/commit', protect, requireStudentAccess('comment'), requireImportAccess, async (req: AuthRequest, res: Response) => {
+  const { rows, mode = 'merge' } = req.body || {};
+  if (!(IMPORT_MODES as readonly string[]).includes(mode)) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: { mode: `Mode must be one of: ${IMPORT_MODES.join(', ')}` }
+    });
+  }
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ message: 'Validation failed', errors: { rows: 'At least one row is required' } });
+  }
+  if (rows.length > MAX_TRANSCRIPT_ROWS) {
+    return res.status(400).json({ message: 'Validation failed', errors: { rows: `At most ${MAX_TRANSCRIPT_ROWS} rows can be imported` } });
+  }
+
+  try {
+    const student = await User.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    // Re-validate: the client may have edited the previewed rows
+    const entries: TranscriptEntry[] = [];
+    const rowErrors: Array<{ index: number; errors: FieldErrors }> = [];
+    rows.forEach((row: any, index: number) => {
+      const { entry, errors } = validateEntry(row || {}, student);
+      if (Object.keys(errors).length > 0) {
+        rowErrors.push({ index, errors });
+      } else {
+        entries.push(entry as TranscriptEntry);
+      }
+    });
+    if (rowErrors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', rows: rowErrors });
+    }
+
+    const result = applyTranscript(student, entries, mode as ImportMode);
+    try {
+      await student.save();
+    } catch (error: any) {
+      if (isValidationError(error)) {
+        return res.status(400).json({ message: 'Validation failed', errors: toFieldErrors(error) });
+      }
+      throw error;
+    }
+
+    res.status(200).json({ ...result, profile: toProfileResponse(student) });
+  } catch (error: any) {
+    logger.error('Transcript import error', error);
+    res.status(500).json({ message: 'Server error while importing transcript', error: error.message });
+  }
+});
+
+export default router;
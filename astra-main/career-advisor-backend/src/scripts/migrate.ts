@@ -0,0 +1,63 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { MigrationError, migrateDown, migrateUp, migrationStatus } from '../services/migrations';
+
+dotenv.config();
+
+const USAGE = `Usage: npm run migrate -- <command>
+
+  status                 List migrations and whether each has been applied
+  up [id]                Apply pending migrations, up to and including id
+  down [id]              Revert the latest migration, or every migration after id (0 reverts all)
+  dry-run [up|down] [id] Show what up (default) or down would change without writing anything
+
+Migration ids can be given in full (002-interest-taxonomy) or by number (2).`;
+
+const printStatus = async () => {
+  const { migrations, unknown } = await migrationStatus();
+  migrations.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.appliedAt?.toISOString()}` : 'pending';
+    console.log(`${migration.applied ? '✓' : ' '} ${migration.id.padEnd(40)} ${state}`);
+  });
+  unknown.forEach(id => console.log(`? ${id.padEnd(40)} applied, but not in this version of the code`));
+  const pending = migrations.filter(migration => !migration.applied).length;
+  console.log(`\n${migrations.length} migrations, ${pending} pending`);
+};
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command || !['status', 'up', 'down', 'dry-run'].includes(command)) {
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+
+  const mongoURI = process.env.MONGO_URI;
+  if (!mongoURI) {
+    console.error('FATAL ERROR: MONGO_URI is not defined in .env');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoURI);
+  try {
+    if (command === 'status') {
+      await printStatus();
+    } else if (command === 'dry-run') {
+      const direction = args[0] === 'down' || args[0] === 'up' ? args.shift() : 'up';
+      const migrate = direction === 'down' ? migrateDown : migrateUp;
+      await migrate({ target: args[0], dryRun: true, log: console.log });
+    } else {
+      const migrate = command === 'down' ? migrateDown : migrateUp;
+      const done = await migrate({ target: args[0], log: console.log });
+      if (done.length > 0) {
+        console.log(`${command === 'down' ? 'Reverted' : 'Applied'} ${done.length} migration(s)`);
+      }
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error: any) => {
+  console.error(error instanceof MigrationError ? error.message : `Migration failed: ${error.stack || error.message}`);
+  process.exit(1);
+});
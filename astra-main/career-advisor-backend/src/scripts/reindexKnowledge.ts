@@ -0,0 +1,32 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { KNOWLEDGE_BASE_DIR, reindexKnowledgeBase } from '../services/knowledge';
+
+dotenv.config();
+
+// Usage: npm run kb:reindex [-- --force]
+const run = async () => {
+  const mongoURI = process.env.MONGO_URI;
+  if (!mongoURI) {
+    console.error('FATAL ERROR: MONGO_URI is not defined in .env');
+    process.exit(1);
+  }
+
+  const force = process.argv.includes('--force');
+  await mongoose.connect(mongoURI);
+  try {
+    console.log(`Indexing knowledge base at ${KNOWLEDGE_BASE_DIR}${force ? ' (forced)' : ''}`);
+    const stats = await reindexKnowledgeBase({ force });
+    console.log(
+      `${stats.documents} documents: ${stats.added} added, ${stats.updated} updated, ` +
+      `${stats.unchanged} unchanged, ${stats.removed} removed (${stats.chunks} chunks indexed)`
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error: any) => {
+  console.error('Knowledge reindex failed:', error.message);
+  process.exit(1);
+});
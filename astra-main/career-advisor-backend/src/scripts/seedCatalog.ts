@@ -0,0 +1,41 @@
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { CatalogError, importCatalog } from '../services/catalog';
+
+dotenv.config();
+
+const DEFAULT_CATALOG_FILE = path.join(__dirname, '..', '..', 'catalog', 'universities.json');
+
+// Usage: npm run catalog:seed [-- path/to/catalog.json]
+const run = async () => {
+  const mongoURI = process.env.MONGO_URI;
+  if (!mongoURI) {
+    console.error('FATAL ERROR: MONGO_URI is not defined in .env');
+    process.exit(1);
+  }
+
+  const file = path.resolve(process.argv[2] || DEFAULT_CATALOG_FILE);
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+
+  await mongoose.connect(mongoURI);
+  try {
+    console.log(`Importing catalog from ${file}`);
+    const { universities, programs } = await importCatalog(data);
+    console.log(
+      `Universities: ${universities.added} added, ${universities.updated} updated. ` +
+      `Programs: ${programs.added} added, ${programs.updated} updated, ${programs.removed} removed`
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error: any) => {
+  console.error('Catalog import failed:', error.message);
+  if (error instanceof CatalogError) {
+    Object.entries(error.errors).forEach(([field, message]) => console.error(`  ${field}: ${message}`));
+  }
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { TaxonomyError, importTaxonomy, remapUserInterests } from '../services/interestTaxonomy';
+
+dotenv.config();
+
+const DEFAULT_TAXONOMY_FILE = path.join(__dirname, '..', '..', 'taxonomy', 'interests.json');
+
+// Usage: npm run taxonomy:seed [-- path/to/interests.json]
+// Imports the taxonomy, then files every user's existing interests under it
+const run = async () => {
+  const mongoURI = process.env.MONGO_URI;
+  if (!mongoURI) {
+    console.error('FATAL ERROR: MONGO_URI is not defined in .env');
+    process.exit(1);
+  }
+
+  const file = path.resolve(process.argv[2] || DEFAULT_TAXONOMY_FILE);
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+
+  await mongoose.connect(mongoURI);
+  try {
+    console.log(`Importing interest taxonomy from ${file}`);
+    const { added, updated } = await importTaxonomy(data);
+    console.log(`Entries: ${added} added, ${updated} updated`);
+
+    const { users, updated: remapped, unmatched } = await remapUserInterests();
+    console.log(`Users with interests: ${users}, ${remapped} updated, ${unmatched} interests filed under "Other"`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error: any) => {
+  console.error('Taxonomy import failed:', error.message);
+  if (error instanceof TaxonomyError) {
+    Object.entries(error.errors).forEach(([field, message]) => console.error(`  ${field}: ${message}`));
+  }
+  process.exit(1);
+});
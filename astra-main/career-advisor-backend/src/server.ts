@@ -1,289 +1,144 @@
-import express, { Request, Response, NextFunction } from 'express';
+import express, { Response } from 'express';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import cors from 'cors';
-import jwt from 'jsonwebtoken';
-import User, { IUser } from './models/User'; // Import the User model
-import { getAIResponse } from './services/aiService';
+import { protect, AuthRequest } from './middleware/auth';
+import { requestContext } from './middleware/requestContext';
+import authRoutes from './routes/auth';
+import aiRoutes from './routes/ai';
+import profileRoutes from './routes/profile';
+import notificationRoutes from './routes/notifications';
+import calendarRoutes from './routes/calendar';
+import adminRoutes from './routes/admin';
+import linkRoutes from './routes/links';
+import studentRoutes from './routes/students';
+import transcriptRoutes from './routes/transcripts';
+import essayRoutes from './routes/essays';
+import catalogRoutes from './routes/catalog';
+import assessmentRoutes from './routes/assessment';
+import recommendationRoutes from './routes/recommendations';
+import interestRoutes from './routes/interests';
+import accountRoutes from './routes/account';
+import { startReminderScheduler } from './services/reminderScheduler';
+import { startAccountDeletionScheduler } from './services/accountDeletion';
+import { checkMigrationsOnStartup } from './services/migrations';
+import { getMailTransport } from './services/mail';
+import {
+  REQUEST_ID_HEADER,
+  logger,
+  metricsContentType,
+  renderMetrics,
+  trackMongoPool
+} from './services/observability';
 
 // Load environment variables from .env file
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
-const JWT_SECRET = process.env.JWT_SECRET || 'supersecretjwtkey'; // Fallback for JWT secret
 
 // Middleware
-app.use(cors()); // Enable CORS for all routes
+app.use(requestContext); // Request id, access log and request metrics
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] })); // Enable CORS for all routes
 app.use(express.json()); // Parse JSON request bodies
 
 // MongoDB Connection
 const mongoURI = process.env.MONGO_URI;
 if (!mongoURI) {
-  console.error('MONGO_URI is not defined in the .env file.');
+  logger.error('MONGO_URI is not defined in the .env file.');
   process.exit(1); // Exit the process if URI is missing
 }
 
-mongoose.connect(mongoURI)
-  .then(() => console.log('MongoDB connected successfully'))
-  .catch((err: any) => {
-    console.error('MongoDB connection error:', err);
-    process.exit(1); // Exit the process on connection failure
-  });
-
-// --- Protected Route Middleware ---
-interface AuthRequest extends Request {
-  user?: { id: string };
-}
-
-const protect = (req: AuthRequest, res: Response, next: NextFunction) => {
-  let token;
-  // Check if token is in Authorization header
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1]; // Get token from "Bearer TOKEN"
-  }
-
-  if (!token) {
-    return res.status(401).json({ message: 'No token, authorization denied' });
-  }
-
-  try {
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET) as { id: string };
-    req.user = decoded; // Attach user ID to request object
-    next(); // Proceed to the next middleware/route handler
-  } catch (error) {
-    console.error('Token verification failed:', error);
-    res.status(401).json({ message: 'Token is not valid' });
-  }
-};
-
 // --- Routes ---
 
-// @route   POST /api/auth/signup
-// @desc    Register a new user
-// @access  Public
-app.post('/api/auth/signup', async (req: Request, res: Response) => {
-  const { email, password, firstName, lastName, age, school, grade } = req.body;
-
-  // Basic validation
-  if (!email || !password || !firstName || !lastName) {
-    return res.status(400).json({ message: 'Please enter all required fields' });
+// Prometheus metrics; when METRICS_TOKEN is set, scrapers must send it as a bearer token
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ message: 'Metrics token required' });
   }
-
   try {
-    // Check if user already exists
-    let user = await User.findOne({ email });
-    if (user) {
-      return res.status(400).json({ message: 'User with this email already exists' });
-    }
-
-    // Create new user instance with all fields
-    user = new User({
-      email,
-      password,
-      firstName,
-      lastName,
-      age: age ? parseInt(age) : undefined,
-      school,
-      grade
-    });
-
-    // Save user to database (password hashing happens in pre-save hook)
-    await user.save();
-
-    // Generate JWT token
-    const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: '1h' });
-
-    // Respond with token and user data
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        age: user.age,
-        school: user.school,
-        grade: user.grade
-      }
-    });
-
+    res.status(200).set('Content-Type', metricsContentType).send(await renderMetrics());
   } catch (error: any) {
-    console.error('Signup error:', error);
-    // Handle Mongoose validation errors or duplicate key errors more specifically
-    if (error.code === 11000) { // Duplicate key error (for unique email)
-      return res.status(400).json({ message: 'Email already registered' });
-    }
-    res.status(500).json({ message: 'Server error during signup', error: error.message });
+    logger.error('Metrics error', error);
+    res.status(500).json({ message: 'Server error while collecting metrics', error: error.message });
   }
 });
 
-// @route   POST /api/auth/login
-// @desc    Authenticate user & get token
-// @access  Public
-app.post('/api/auth/login', async (req: Request, res: Response) => {
-  const { email, password } = req.body;
+// Signup, login, token refresh, logout and sessions
+app.use('/api/auth', authRoutes);
 
-  // Basic validation
-  if (!email || !password) {
-    return res.status(400).json({ message: 'Please enter all fields' });
-  }
+// Example protected route
+app.get('/api/protected', protect, (req: AuthRequest, res: Response) => {
+  res.status(200).json({
+    message: `Welcome to the protected route, user ${req.user?.id}!`,
+    userId: req.user?.id
+  });
+});
 
-  try {
-    // Find user by email, explicitly select password
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+// Personal data export and account deletion
+app.use('/api/account', accountRoutes);
 
-    // Compare provided password with hashed password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+// User profile and its sections
+app.use('/api/user', profileRoutes);
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: '1h' });
+// In-app notifications (deadline reminders)
+app.use('/api/notifications', notificationRoutes);
 
-    // Respond with token and user data
-    res.status(200).json({
-      message: 'Logged in successfully',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        age: user.age,
-        school: user.school,
-        grade: user.grade,
-        interests: user.interests,
-        achievements: user.achievements,
-        academicProgress: user.academicProgress,
-        universityApplications: user.universityApplications,
-        applicationProgress: user.applicationProgress
-      }
-    });
+// iCalendar export and subscription feed of deadlines
+app.use('/api/calendar', calendarRoutes);
 
-  } catch (error: any) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error during login', error: error.message });
-  }
-});
+// AI advisor chat and conversation threads
+app.use('/api/ai', aiRoutes);
 
-// @route   GET /api/user/profile
-// @desc    Get user profile
-// @access  Private
-app.get('/api/user/profile', protect, async (req: AuthRequest, res: Response) => {
-  try {
-    const user = await User.findById(req.user?.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+// Links between students and their counselors or parents
+app.use('/api/links', linkRoutes);
 
-    res.status(200).json({
-      id: user._id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      age: user.age,
-      school: user.school,
-      grade: user.grade,
-      interests: user.interests,
-      achievements: user.achievements,
-      academicProgress: user.academicProgress,
-      universityApplications: user.universityApplications,
-      applicationProgress: user.applicationProgress
-    });
-  } catch (error: any) {
-    console.error('Profile fetch error:', error);
-    res.status(500).json({ message: 'Server error while fetching profile', error: error.message });
-  }
-});
+// Counselor/parent access to linked students' dashboards
+app.use('/api/students', studentRoutes);
 
-// Example protected route
-app.get('/api/protected', protect, (req: AuthRequest, res: Response) => {
-  res.status(200).json({
-    message: `Welcome to the protected route, user ${req.user?.id}!`,
-    userId: req.user?.id
-  });
-});
+// Transcript (CSV/XLSX) import into a student's academic record
+app.use('/api/students/:studentId/transcript', transcriptRoutes);
 
-// @route   POST /api/auth/logout
-// @desc    Logout user and invalidate token
-// @access  Private
-app.post('/api/auth/logout', protect, async (req: AuthRequest, res: Response) => {
-  try {
-    // In a real application, you might want to add the token to a blacklist
-    // or implement token revocation. For now, we'll just send a success response
-    res.status(200).json({ message: 'Logged out successfully' });
-  } catch (error: any) {
-    console.error('Logout error:', error);
-    res.status(500).json({ message: 'Server error during logout', error: error.message });
-  }
-});
+// Essay drafts: version history, AI review and counselor comments
+app.use('/api/students/:studentId/essays', essayRoutes);
 
-// @route   POST /api/ai/chat
-// @desc    Get AI response for career and education questions
-// @access  Private
-app.post('/api/ai/chat', protect, async (req: AuthRequest, res: Response) => {
-  try {
-    const { message } = req.body;
+// Interest taxonomy for picking profile interests
+app.use('/api/interests', interestRoutes);
 
-    if (!message) {
-      console.log('Missing message in request body');
-      return res.status(400).json({ 
-        message: 'Message is required',
-        error: 'MISSING_MESSAGE'
-      });
-    }
+// RIASEC career interest assessment
+app.use('/api/assessment', assessmentRoutes);
 
-    if (typeof message !== 'string') {
-      console.log('Invalid message format:', message);
-      return res.status(400).json({ 
-        message: 'Message must be a string',
-        error: 'INVALID_MESSAGE_FORMAT'
-      });
-    }
+// University and program catalog search
+app.use('/api/catalog', catalogRoutes);
 
-    console.log('Processing chat request:', { 
-      userId: req.user?.id,
-      messageLength: message.length 
-    });
+// Program recommendations (reach / match / safety)
+app.use('/api/recommendations', recommendationRoutes);
 
-    const response = await getAIResponse(message);
-    
-    console.log('Successfully generated AI response');
-    res.status(200).json({ response });
-  } catch (error: any) {
-    console.error('AI Chat error:', {
-      name: error.name,
-      message: error.message,
-      stack: error.stack,
-      userId: req.user?.id
-    });
-    
-    // Determine appropriate status code
-    let statusCode = 500;
-    if (error.message.includes('Invalid API key')) {
-      statusCode = 503; // Service Unavailable
-    } else if (error.message.includes('Rate limit')) {
-      statusCode = 429; // Too Many Requests
-    } else if (error.message.includes('Unable to connect')) {
-      statusCode = 503; // Service Unavailable
+// Admin: AI quotas, usage reports, knowledge base, catalog import, interest taxonomy and
+// the account deletion audit trail
+app.use('/api/admin', adminRoutes);
+
+// Start the server once the database is reachable, its schema is up to date and mail is configured
+mongoose.connect(mongoURI)
+  .then(async () => {
+    logger.info('MongoDB connected successfully');
+    trackMongoPool(mongoose.connection);
+    try {
+      getMailTransport();
+      await checkMigrationsOnStartup();
+    } catch (err: any) {
+      logger.error('Not starting', err);
+      process.exit(1);
     }
-    
-    res.status(statusCode).json({ 
-      message: error.message || 'Failed to get AI response',
-      error: error.message || 'UNKNOWN_ERROR'
-    });
-  }
-});
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Access protected route at http://localhost:${PORT}/api/protected`);
-});
\ No newline at end of file
+    startReminderScheduler();
+    startAccountDeletionScheduler();
+    app.listen(PORT, () => {
+      logger.info('Server running', { port: PORT });
+    });
+  })
+  .catch((err: any) => {
+    logger.error('MongoDB connection error', err);
+    process.exit(1); // Exit the process on connection failure
+  });
\ No newline at end of file
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { Model, Types } from 'mongoose';
+import User, { IUser } from '../models/User';
+import AccountDeletion, { IAccountDeletion } from '../models/AccountDeletion';
+import Conversation from '../models/Conversation';
+import ChatMessage from '../models/ChatMessage';
+import Notification from '../models/Notification';
+import Essay from '../models/Essay';
+import EssayVersion from '../models/EssayVersion';
+import EssayReview from '../models/EssayReview';
+import EssayComment from '../models/EssayComment';
+import InterestAssessment from '../models/InterestAssessment';
+import StudentComment from '../models/StudentComment';
+import StudentLink from '../models/StudentLink';
+import UsageLedger from '../models/UsageLedger';
+import AiQuota from '../models/AiQuota';
+import Session from '../models/Session';
+import { sendMail } from './mail';
+import { APP_URL } from './accountService';
+import { revokeAllSessions } from './sessionService';
+import { logger } from './observability';
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days between asking for deletion and the data actually being removed
+export const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10);
+
+const SCAN_INTERVAL_MS = parseInt(process.env.ACCOUNT_DELETION_SCAN_INTERVAL_MINUTES || '60', 10) * 60 * 1000;
+
+export const hashEmail = (email: string): string =>
+  crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+
+const formatDate = (date: Date): string =>
+  date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+// Schedule the account for deletion after the grace period and sign out every other session.
+// Asking again while already scheduled keeps the original date.
+export const requestAccountDeletion = async (user: IUser, keepSessionId?: string): Promise<IAccountDeletion> => {
+  const pending = await AccountDeletion.findOne({ user: user._id, status: 'scheduled' });
+  if (pending) return pending;
+
+  const requestedAt = new Date();
+  const scheduledFor = new Date(requestedAt.getTime() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS);
+
+  const record = await AccountDeletion.create({
+    user: user._id,
+    emailHash: hashEmail(user.email),
+    role: user.role,
+    requestedAt,
+    scheduledFor
+  });
+
+  user.deletionRequestedAt = requestedAt;
+  user.deletionScheduledFor = scheduledFor;
+  await user.save();
+
+  await revokeAllSessions(String(user._id), keepSessionId, 'account_deletion');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your CareerCompass account is scheduled for deletion',
+    text: `Hi ${user.firstName},\n\n`
+      + `We received a request to delete your CareerCompass account. Your account and everything stored with it will be permanently deleted on ${formatDate(scheduledFor)}.\n\n`
+      + `Changed your mind? Log in at ${APP_URL} before then and cancel the deletion from your dashboard. `
+      + 'You can also download a copy of your data there until the account is deleted.'
+  });
+
+  return record;
+};
+
+// Stop a scheduled deletion. Returns false when none was pending.
+export const cancelAccountDeletion = async (user: IUser): Promise<boolean> => {
+  const record = await AccountDeletion.findOneAndUpdate(
+    { user: user._id, status: 'scheduled' },
+    { status: 'cancelled', cancelledAt: new Date() },
+    { new: true }
+  );
+
+  const wasScheduled = Boolean(record || user.deletionScheduledFor);
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+  return wasScheduled;
+};
+
+const removeFrom = async (removed: Record<string, number>, model: Model<any>, filter: Record<string, unknown>) => {
+  const result = await model.deleteMany(filter);
+  if (result.deletedCount > 0) {
+    removed[model.collection.collectionName] = (removed[model.collection.collectionName] || 0) + result.deletedCount;
+  }
+};
+
+// Delete the user and everything that belongs to or mentions them, and complete the audit
+// record. Comments they wrote on other students' dashboards and essays go too; links to
+// students are removed rather than left pointing at a missing account.
+export const purgeAccount = async (userId: Types.ObjectId | string): Promise<Record<string, number>> => {
+  const user = await User.findById(userId);
+  const removed: Record<string, number> = {};
+
+  if (user) {
+    const essayIds = (await Essay.find({ student: user._id }).select('_id')).map(essay => essay._id);
+
+    await removeFrom(removed, ChatMessage, { user: user._id });
+    await removeFrom(removed, Conversation, { user: user._id });
+    await removeFrom(removed, EssayVersion, { essay: { $in: essayIds } });
+    await removeFrom(removed, EssayReview, { essay: { $in: essayIds } });
+    await removeFrom(removed, EssayComment, { $or: [{ essay: { $in: essayIds } }, { author: user._id }] });
+    await removeFrom(removed, Essay, { _id: { $in: essayIds } });
+    await removeFrom(removed, InterestAssessment, { user: user._id });
+    await removeFrom(removed, Notification, { user: user._id });
+    await removeFrom(removed, StudentComment, { $or: [{ student: user._id }, { author: user._id }] });
+    // Invitations waiting on their address are only theirs once they verified it
+    await removeFrom(removed, StudentLink, {
+      $or: [
+        { student: user._id },
+        { supporter: user._id },
+        { invitedBy: user._id },
+        ...(user.emailVerified ? [{ inviteeEmail: user.email, status: 'pending' }] : [])
+      ]
+    });
+    await removeFrom(removed, UsageLedger, { user: user._id });
+    await removeFrom(removed, AiQuota, { scope: 'user', user: user._id });
+    await removeFrom(removed, Session, { user: user._id });
+    await removeFrom(removed, User, { _id: user._id });
+  }
+
+  await AccountDeletion.updateMany(
+    { user: userId, status: 'scheduled' },
+    { status: 'completed', completedAt: new Date(), removed }
+  );
+
+  return removed;
+};
+
+// Purge every account whose grace period has run out
+export const purgeDueAccounts = async (now: Date = new Date()): Promise<number> => {
+  const due = await User.find({ deletionScheduledFor: { $lte: now } }).select('_id');
+  for (const user of due) {
+    await purgeAccount(user._id);
+  }
+  return due.length;
+};
+
+let timer: NodeJS.Timeout | null = null;
+
+// Run a purge now and then on a fixed interval
+export const startAccountDeletionScheduler = () => {
+  if (timer) return;
+
+  const run = async () => {
+    try {
+      const purged = await purgeDueAccounts();
+      if (purged > 0) {
+        logger.info('Account deletion scan removed accounts', { purged });
+      }
+    } catch (error: any) {
+      logger.error('Account deletion scan failed', error);
+    }
+  };
+
+  run();
+  timer = setInterval(run, SCAN_INTERVAL_MS);
+  timer.unref();
+};
+
+export const stopAccountDeletionScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
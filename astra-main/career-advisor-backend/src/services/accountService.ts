@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import User, { IUser } from '../models/User';
+import { sendMail } from './mail';
+import { revokeAllSessions } from './sessionService';
+
+dotenv.config();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Where the frontend lives; links in emails point here
+export const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+export const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48', 10);
+export const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+
+const hashToken = (token: string): string => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = (): string => crypto.randomBytes(32).toString('hex');
+
+// Create a new verification token for the user (replacing any earlier one) and email the link
+export const sendVerificationEmail = async (user: IUser) => {
+  const token = generateToken();
+  user.emailVerificationTokenHash = hashToken(token);
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * HOUR_MS);
+  await user.save();
+
+  const link = `${APP_URL}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your CareerCompass email address',
+    text: `Hi ${user.firstName},\n\n`
+      + `Please confirm your email address by opening this link:\n${link}\n\n`
+      + `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. If you didn't create a CareerCompass account, you can ignore this email.`
+  });
+};
+
+// Mark the email behind a verification token as verified. The token works once.
+export const verifyEmail = async (token: string): Promise<IUser | null> =>
+  User.findOneAndUpdate(
+    { emailVerificationTokenHash: hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+    { emailVerified: true, $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 } },
+    { new: true }
+  );
+
+// Email a password reset link if the address belongs to an account. Callers must not reveal
+// whether it did, so the endpoint can't be used to discover registered addresses.
+export const requestPasswordReset = async (email: string) => {
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+  if (!user) return;
+
+  const token = generateToken();
+  user.passwordResetTokenHash = hashToken(token);
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  await user.save();
+
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your CareerCompass password',
+    text: `Hi ${user.firstName},\n\n`
+      + `Someone asked to reset the password for your account. To choose a new password, open this link:\n${link}\n\n`
+      + `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once. If you didn't ask for this, you can ignore this email.`
+  });
+};
+
+// Set a new password from a reset token and sign the account out everywhere.
+// Returns null when the token is unknown, used or expired; throws on an invalid password.
+export const resetPassword = async (token: string, password: string): Promise<IUser | null> => {
+  // Check the password first so a rejected one doesn't use up the token
+  const invalid = new User({ password }).validateSync('password');
+  if (invalid) throw invalid;
+
+  // Claim the token in one step so two requests with it can't both succeed.
+  // Receiving the reset email proves control of the address.
+  const user = await User.findOneAndUpdate(
+    { passwordResetTokenHash: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+    { emailVerified: true, $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+  if (!user) return null;
+
+  user.password = password;
+  await user.save();
+
+  await revokeAllSessions(user.id, undefined, 'password_reset');
+  return user;
+};
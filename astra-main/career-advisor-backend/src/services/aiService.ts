@@ -1,9 +1,22 @@
 import dotenv from 'dotenv';
+import {
+  ChatTurn,
+  ChatResult,
+  LLMError,
+  ProviderSelection,
+  StreamResult,
+  estimateTokens,
+  getProvider
+} from './llm';
+import { logger } from './observability';
 
 dotenv.config();
 
-const OLLAMA_API_URL = process.env.OLLAMA_API_URL || 'http://localhost:11434/api/generate';
-const MODEL_NAME = process.env.OLLAMA_MODEL || 'mistral';
+export { ChatTurn, ChatTurnRole } from './llm';
+export { estimateTokens };
+
+// Rough prompt budget for the conversation history sent with each request
+export const CONTEXT_TOKEN_BUDGET = parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET || '3000', 10);
 
 const SYSTEM_PROMPT = `You are a career and education advisor AI assistant. Your role is to:
 1. Provide guidance on career paths and educational choices
@@ -24,70 +37,150 @@ If asked about topics outside education and career, respond with:
 
 Always maintain a professional, supportive tone and focus on providing factual, helpful information.`;
 
-export const getAIResponse = async (message: string): Promise<string> => {
-  try {
-    console.log('Initializing Ollama request...');
-    
-    if (!message || typeof message !== 'string') {
-      throw new Error('Invalid message format');
+const KNOWLEDGE_PROMPT = `Reference material from the CareerCompass knowledge base follows. Base salary figures, entry requirements and program details on it rather than on memory.
+Cite the excerpts you use with their marker, e.g. [1] or [2]. If the material does not cover the question, say so instead of guessing figures.`;
+
+const SUMMARY_PROMPT = `Summarize the following conversation between a student and their career advisor.
+Keep every concrete fact the student shared (grades, interests, target universities, deadlines) and every option or recommendation the advisor gave, numbered as they were.
+Write at most 200 words in plain prose, in the third person. Do not add advice of your own.`;
+
+const turnTokens = (turns: ChatTurn[]): number =>
+  turns.reduce((sum, turn) => sum + estimateTokens(turn.content) + 4, 0);
+
+// Split history into the most recent turns that fit the budget and the older overflow.
+// The latest turn is always kept, even if it alone exceeds the budget.
+export const fitTurnsToBudget = (
+  turns: ChatTurn[],
+  budget: number
+): { kept: ChatTurn[]; overflow: ChatTurn[] } => {
+  let used = 0;
+  let start = turns.length;
+
+  while (start > 0) {
+    const cost = turnTokens([turns[start - 1]]);
+    if (start < turns.length && used + cost > budget) {
+      break;
     }
+    used += cost;
+    start -= 1;
+  }
+
+  return { kept: turns.slice(start), overflow: turns.slice(0, start) };
+};
 
-    const prompt = `<s>[INST] <<SYS>>
-${SYSTEM_PROMPT}
-<</SYS>>
-
-${message} [/INST]`;
-
-    console.log('Sending request to Ollama...');
-    const response = await fetch(OLLAMA_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: MODEL_NAME,
-        prompt: prompt,
-        stream: false,
-        options: {
-          temperature: 0.7,
-          top_p: 0.9,
-          max_tokens: 1000,
-          stop: ["</s>", "[INST]"]
-        }
-      })
+export interface ChatContext {
+  // Running summary of turns trimmed from `history`
+  summary?: string;
+  // The student's own profile, as built by services/profileContext
+  profileContext?: string;
+  // Knowledge base excerpts tagged [1], [2]..., as built by services/knowledge
+  knowledgeContext?: string;
+  // Admin override of the deployment's provider and model
+  selection?: ProviderSelection;
+}
+
+// Assemble the role-tagged message list sent to the model
+export const buildChatMessages = (
+  history: ChatTurn[],
+  { summary, profileContext, knowledgeContext }: ChatContext = {}
+): ChatTurn[] => {
+  const messages: ChatTurn[] = [{ role: 'system', content: SYSTEM_PROMPT }];
+
+  if (knowledgeContext) {
+    messages.push({
+      role: 'system',
+      content: `${KNOWLEDGE_PROMPT}\n\n${knowledgeContext}`
     });
+  }
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Ollama API error: ${errorData.error || response.statusText}`);
-    }
+  if (profileContext) {
+    messages.push({
+      role: 'system',
+      content: `What you know about the student you are advising (shared from their profile; do not ask them to repeat it):\n${profileContext}`
+    });
+  }
 
-    const data = await response.json();
-    console.log('Ollama response received');
+  if (summary) {
+    messages.push({
+      role: 'system',
+      content: `Summary of the earlier part of this conversation:\n${summary}`
+    });
+  }
 
-    if (!data.response) {
-      throw new Error('No response content received from Ollama');
-    }
+  return messages.concat(history.filter(turn => turn.role !== 'system'));
+};
+
+const prepareMessages = (history: ChatTurn[], context: ChatContext): ChatTurn[] => {
+  const latest = history[history.length - 1];
+  if (!latest || latest.role !== 'user' || !latest.content || typeof latest.content !== 'string') {
+    throw new LLMError('INVALID_REQUEST', 'Invalid message format', 'advisor');
+  }
+
+  const { kept } = fitTurnsToBudget(history, CONTEXT_TOKEN_BUDGET);
+  return buildChatMessages(kept, context);
+};
 
-    const cleanResponse = data.response
-      .replace(/<\/?s>/g, '')
-      .replace(/\[INST\]/g, '')
-      .replace(/\[\/INST\]/g, '')
-      .trim();
+// Fill in token counts the provider didn't report (or couldn't, for a cancelled stream)
+// with estimates, so usage accounting always has a number to record
+const withUsage = <T extends ChatResult>(messages: ChatTurn[], result: T): T => ({
+  ...result,
+  promptTokens: result.promptTokens ?? turnTokens(messages),
+  completionTokens: result.completionTokens ?? estimateTokens(result.content)
+});
 
-    console.log('Successfully processed Ollama response');
-    return cleanResponse;
+// Get the advisor's reply to the last turn of `history`, with the earlier turns as context
+export const getAIResponse = async (history: ChatTurn[], context: ChatContext = {}): Promise<ChatResult> => {
+  try {
+    const provider = getProvider(context.selection);
+    const messages = prepareMessages(history, context);
+    const result = await provider.chat(messages);
+    return withUsage(messages, result);
   } catch (error: any) {
-    console.error('AI Service Error Details:', {
-      name: error.name,
-      message: error.message,
-      stack: error.stack
-    });
-    
-    if (error.message.includes('ECONNREFUSED') || error.message.includes('Failed to fetch')) {
-      throw new Error('Unable to connect to Ollama service. Please make sure Ollama is running locally.');
-    }
-    
-    throw new Error(`AI service error: ${error.message}`);
+    logger.error('AI service error', error);
+    throw error;
   }
-}; 
\ No newline at end of file
+};
+
+export interface StreamOptions extends ChatContext {
+  onToken: (token: string) => void;
+  signal?: AbortSignal;
+}
+
+// Stream the advisor's reply token by token. Resolves with whatever text arrived, flagged
+// as aborted if the caller cancelled through `signal` before the provider finished.
+export const streamAIResponse = async (
+  history: ChatTurn[],
+  { onToken, signal, ...context }: StreamOptions
+): Promise<StreamResult> => {
+  try {
+    const provider = getProvider(context.selection);
+    const messages = prepareMessages(history, context);
+    const result = await provider.streamChat(messages, { onToken, signal });
+    return withUsage(messages, result);
+  } catch (error: any) {
+    logger.error('AI service error', error);
+    throw error;
+  }
+};
+
+// Fold older turns (and any earlier summary) into a short running summary
+export const summarizeTurns = async (
+  turns: ChatTurn[],
+  previousSummary?: string,
+  selection?: ProviderSelection
+): Promise<ChatResult> => {
+  const transcript = turns
+    .map(turn => `${turn.role === 'user' ? 'Student' : 'Advisor'}: ${turn.content}`)
+    .join('\n\n');
+
+  const content = previousSummary
+    ? `Earlier summary:\n${previousSummary}\n\nConversation continued:\n${transcript}`
+    : transcript;
+
+  const messages: ChatTurn[] = [
+    { role: 'system', content: SUMMARY_PROMPT },
+    { role: 'user', content }
+  ];
+  const result = await getProvider(selection).chat(messages, { temperature: 0.2, maxTokens: 400 });
+  return withUsage(messages, result);
+};
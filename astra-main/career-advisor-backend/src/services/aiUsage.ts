@@ -0,0 +1,137 @@
+import dotenv from 'dotenv';
+import { Types } from 'mongoose';
+import AiQuota, { IAiQuota } from '../models/AiQuota';
+import UsageLedger from '../models/UsageLedger';
+import { RateLimits, checkLimits, recordRequest, windowUsage, WindowUsage } from './rateLimiter';
+import { logger } from './observability';
+
+dotenv.config();
+
+const QUOTA_CACHE_MS = 30 * 1000;
+const GLOBAL_KEY = 'global';
+
+const envLimit = (name: string, fallback: number): number => {
+  const value = parseInt(process.env[name] || '', 10);
+  return isNaN(value) || value < 0 ? fallback : value;
+};
+
+// Limits from the environment, used wherever an admin hasn't set one
+export const ENV_LIMITS: Record<'default' | 'global', RateLimits> = {
+  default: {
+    requestsPerMinute: envLimit('AI_USER_REQUESTS_PER_MINUTE', 6),
+    tokensPerHour: envLimit('AI_USER_TOKENS_PER_HOUR', 20000)
+  },
+  global: {
+    requestsPerMinute: envLimit('AI_GLOBAL_REQUESTS_PER_MINUTE', 60),
+    tokensPerHour: envLimit('AI_GLOBAL_TOKENS_PER_HOUR', 200000)
+  }
+};
+
+export interface TokenUsage {
+  promptTokens?: number;
+  completionTokens?: number;
+}
+
+export interface GrantedPermit {
+  allowed: true;
+  complete: (usage?: TokenUsage) => Promise<void>;
+}
+
+export interface DeniedPermit {
+  allowed: false;
+  scope: 'user' | 'global';
+  limit: keyof RateLimits;
+  retryAfter: number;
+}
+
+export type AiPermit = GrantedPermit | DeniedPermit;
+
+let cachedQuotas: { loadedAt: number; quotas: IAiQuota[] } | null = null;
+
+const loadQuotas = async (): Promise<IAiQuota[]> => {
+  if (!cachedQuotas || Date.now() - cachedQuotas.loadedAt > QUOTA_CACHE_MS) {
+    cachedQuotas = { loadedAt: Date.now(), quotas: await AiQuota.find() };
+  }
+  return cachedQuotas.quotas;
+};
+
+// Drop cached quotas so an admin's change applies to the next request
+export const invalidateQuotaCache = () => {
+  cachedQuotas = null;
+};
+
+const mergeLimits = (base: RateLimits, quota?: IAiQuota): RateLimits => ({
+  requestsPerMinute: quota?.requestsPerMinute ?? base.requestsPerMinute,
+  tokensPerHour: quota?.tokensPerHour ?? base.tokensPerHour
+});
+
+export const getGlobalLimits = async (): Promise<RateLimits> => {
+  const quotas = await loadQuotas();
+  return mergeLimits(ENV_LIMITS.global, quotas.find(quota => quota.scope === 'global'));
+};
+
+export const getDefaultUserLimits = async (): Promise<RateLimits> => {
+  const quotas = await loadQuotas();
+  return mergeLimits(ENV_LIMITS.default, quotas.find(quota => quota.scope === 'default'));
+};
+
+// Limits for one user: their override on top of the per-user default
+export const getUserLimits = async (userId: string): Promise<RateLimits> => {
+  const quotas = await loadQuotas();
+  const override = quotas.find(quota => quota.scope === 'user' && String(quota.user) === String(userId));
+  return mergeLimits(await getDefaultUserLimits(), override);
+};
+
+const userKey = (userId: string) => `user:${userId}`;
+
+export const currentUsage = (userId: string): WindowUsage => windowUsage(userKey(userId));
+
+export const today = (now: Date = new Date()): string => now.toISOString().slice(0, 10);
+
+// Add one AI request's tokens to the user's ledger for today
+export const recordUsage = async (userId: string | Types.ObjectId, usage: TokenUsage = {}, now: Date = new Date()) => {
+  await UsageLedger.updateOne(
+    { user: userId, day: today(now) },
+    { $inc: { requests: 1, promptTokens: usage.promptTokens || 0, completionTokens: usage.completionTokens || 0 } },
+    { upsert: true }
+  );
+};
+
+// Reserve capacity for one AI request by `userId`, checking their own limits and the
+// shared global ones. When allowed, call `complete` with the tokens used once the
+// provider has answered (or failed) to charge the windows and the ledger; only the first
+// call counts.
+export const acquireAiPermit = async (userId: string): Promise<AiPermit> => {
+  const [userLimits, globalLimits] = await Promise.all([getUserLimits(userId), getGlobalLimits()]);
+
+  const userCheck = checkLimits(userKey(userId), userLimits);
+  if (!userCheck.allowed) {
+    return { allowed: false, scope: 'user', limit: userCheck.limit!, retryAfter: userCheck.retryAfter! };
+  }
+  const globalCheck = checkLimits(GLOBAL_KEY, globalLimits);
+  if (!globalCheck.allowed) {
+    return { allowed: false, scope: 'global', limit: globalCheck.limit!, retryAfter: globalCheck.retryAfter! };
+  }
+
+  const chargeUser = recordRequest(userKey(userId));
+  const chargeGlobal = recordRequest(GLOBAL_KEY);
+  let completed = false;
+
+  return {
+    allowed: true,
+    complete: async (usage: TokenUsage = {}) => {
+      if (completed) return;
+      completed = true;
+
+      const tokens = (usage.promptTokens || 0) + (usage.completionTokens || 0);
+      chargeUser(tokens);
+      chargeGlobal(tokens);
+      try {
+        await recordUsage(userId, usage);
+      } catch (error: any) {
+        // Accounting must never cost the student their answer
+        logger.error('Failed to record AI usage', error);
+      }
+    }
+  };
+};
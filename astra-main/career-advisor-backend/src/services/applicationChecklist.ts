@@ -0,0 +1,25 @@
+import { ChecklistItem } from '../models/User';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Standard requirements with how many days before the application deadline each is due
+const DEFAULT_REQUIREMENTS: Array<{ type: ChecklistItem['type']; label: string; daysBefore: number }> = [
+  { type: 'essay', label: 'Personal statement', daysBefore: 7 },
+  { type: 'recommendation', label: 'Recommendation letter 1', daysBefore: 14 },
+  { type: 'recommendation', label: 'Recommendation letter 2', daysBefore: 14 },
+  { type: 'test_score', label: 'Send test scores', daysBefore: 14 },
+  { type: 'transcript', label: 'Request official transcript', daysBefore: 21 },
+  { type: 'fee', label: 'Pay application fee', daysBefore: 0 }
+];
+
+// Checklist a new application starts with, with due dates counted back from its deadline
+export const defaultChecklist = (deadline?: Date | string): ChecklistItem[] => {
+  const deadlineTime = deadline ? new Date(deadline).getTime() : NaN;
+
+  return DEFAULT_REQUIREMENTS.map(({ type, label, daysBefore }) => ({
+    type,
+    label,
+    state: 'todo',
+    dueDate: isNaN(deadlineTime) ? undefined : new Date(deadlineTime - daysBefore * DAY_MS)
+  }));
+};
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { IUser } from '../models/User';
+
+const PRODUCT_ID = '-//CareerCompass//Application Deadlines//EN';
+const UID_DOMAIN = 'careercompass.app';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface CalendarEvent {
+  uid: string;
+  date: Date;
+  summary: string;
+  description?: string;
+  lastModified?: Date;
+}
+
+export const generateFeedToken = (): string => crypto.randomBytes(32).toString('hex');
+
+// Escape TEXT values as required by RFC 5545 section 3.3.11
+const escapeText = (value: string): string =>
+  value
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line: string): string => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts: string[] = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatDate = (date: Date): string => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+const formatDateTime = (date: Date): string => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Events for every application deadline and dated checklist item. UIDs are derived from the
+// subdocument ids, so editing a deadline updates the existing calendar entry.
+export const applicationEvents = (user: IUser): CalendarEvent[] => {
+  const events: CalendarEvent[] = [];
+
+  (user.universityApplications || []).forEach(app => {
+    if (!app.deadline) return;
+
+    events.push({
+      uid: `application-${app._id}@${UID_DOMAIN}`,
+      date: new Date(app.deadline),
+      summary: `Application deadline: ${app.universityName}`,
+      description: `${app.program}\nStatus: ${app.status}\nCompletion: ${app.completion || 0}%`,
+      lastModified: user.updatedAt
+    });
+
+    (app.checklist || []).forEach(item => {
+      if (!item.dueDate) return;
+
+      events.push({
+        uid: `checklist-${item._id}@${UID_DOMAIN}`,
+        date: new Date(item.dueDate),
+        summary: `${item.label} (${app.universityName})`,
+        description: `Requirement for your ${app.program} application to ${app.universityName}.\nState: ${item.state}`,
+        lastModified: user.updatedAt
+      });
+    });
+  });
+
+  return events;
+};
+
+// Render events as an iCalendar document of all-day events
+export const buildCalendar = (name: string, events: CalendarEvent[], now: Date = new Date()): string => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(now)}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(new Date(event.date.getTime() + DAY_MS))}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.lastModified) {
+      lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export const buildUserCalendar = (user: IUser): string =>
+  buildCalendar(`${user.firstName}'s application deadlines`, applicationEvents(user));
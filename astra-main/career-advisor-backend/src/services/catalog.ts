@@ -0,0 +1,351 @@
+import mongoose from 'mongoose';
+import University, { IUniversity, AdmissionRequirements } from '../models/University';
+import Program, { IProgram } from '../models/Program';
+import { IUser } from '../models/User';
+import { calculateGpa } from './grading';
+import { FieldErrors, isValidationError, toFieldErrors, unknownFieldErrors } from '../utils/validation';
+
+// Fields accepted for each entry of a catalog import (see catalog/README.md)
+const UNIVERSITY_FIELDS = [
+  'slug', 'name', 'aliases', 'country', 'city', 'website', 'description', 'subjectAreas',
+  'tuition', 'requirements', 'programs'
+] as const;
+const PROGRAM_FIELDS = [
+  'slug', 'name', 'degree', 'subjectAreas', 'description', 'durationYears', 'tuition', 'requirements', 'deadlines'
+] as const;
+
+export class CatalogError extends Error {
+  errors: FieldErrors;
+
+  constructor(message: string, errors: FieldErrors = {}) {
+    super(message);
+    this.name = 'CatalogError';
+    this.errors = errors;
+  }
+}
+
+export interface ImportStats {
+  universities: { added: number; updated: number };
+  programs: { added: number; updated: number; removed: number };
+}
+
+export const slugify = (text: string): string =>
+  text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Case- and accent-insensitive key for matching names students type against the catalog
+const nameKey = (text: string): string => slugify(text).replace(/-/g, '');
+
+const unique = (values: string[]): string[] => {
+  const seen = new Set<string>();
+  return values.filter(value => {
+    const key = value.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const prefixErrors = (errors: FieldErrors, prefix: string): FieldErrors =>
+  Object.fromEntries(Object.entries(errors).map(([field, message]) => [`${prefix}${field}`, message]));
+
+const validationErrors = (document: mongoose.Document): FieldErrors => {
+  const error = document.validateSync();
+  return error && isValidationError(error) ? toFieldErrors(error) : {};
+};
+
+// Program fields with the university's location, tuition and requirements filled in
+const programFields = (university: Record<string, any>, program: Record<string, any>) => ({
+  ...program,
+  slug: program.slug || (program.name ? slugify(program.name) : undefined),
+  universityName: university.name,
+  country: university.country,
+  city: university.city,
+  tuition: program.tuition ?? university.tuition,
+  requirements: program.requirements ?? university.requirements
+});
+
+// Check every entry before anything is written, so a bad file changes nothing
+const validateImport = (entries: any[]): FieldErrors => {
+  const errors: FieldErrors = {};
+  const slugs = new Set<string>();
+  const placeholderId = new mongoose.Types.ObjectId();
+
+  entries.forEach((entry, index) => {
+    const prefix = `universities.${index}.`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors[`universities.${index}`] = 'Each university must be an object';
+      return;
+    }
+    const { programs = [], ...fields } = entry;
+    Object.assign(errors, prefixErrors(unknownFieldErrors(entry, UNIVERSITY_FIELDS), prefix));
+
+    const slug = fields.slug || (fields.name ? slugify(fields.name) : '');
+    if (slug && slugs.has(slug)) {
+      errors[`${prefix}slug`] = `Duplicate university "${slug}"`;
+    }
+    slugs.add(slug);
+    Object.assign(errors, prefixErrors(validationErrors(new University({ ...fields, slug })), prefix));
+
+    if (!Array.isArray(programs)) {
+      errors[`${prefix}programs`] = 'Programs must be a list';
+      return;
+    }
+    const programSlugs = new Set<string>();
+    programs.forEach((program: any, programIndex: number) => {
+      const programPrefix = `${prefix}programs.${programIndex}.`;
+      if (!program || typeof program !== 'object' || Array.isArray(program)) {
+        errors[`${prefix}programs.${programIndex}`] = 'Each program must be an object';
+        return;
+      }
+      Object.assign(errors, prefixErrors(unknownFieldErrors(program, PROGRAM_FIELDS), programPrefix));
+
+      const fieldsWithDefaults = programFields(fields, program);
+      if (fieldsWithDefaults.slug && programSlugs.has(fieldsWithDefaults.slug)) {
+        errors[`${programPrefix}slug`] = `Duplicate program "${fieldsWithDefaults.slug}"`;
+      }
+      programSlugs.add(fieldsWithDefaults.slug);
+
+      const document = new Program({ ...fieldsWithDefaults, university: placeholderId });
+      // Problems with values inherited from the university are reported against the university
+      const inherited = ['universityName', 'country', 'city'];
+      if (program.tuition === undefined) inherited.push('tuition');
+      if (program.requirements === undefined) inherited.push('requirements');
+      const programErrors = Object.fromEntries(Object.entries(validationErrors(document))
+        .filter(([field]) => !inherited.includes(field.split('.')[0])));
+      Object.assign(errors, prefixErrors(programErrors, programPrefix));
+    });
+  });
+
+  return errors;
+};
+
+// Add or update universities and their programs from a seed file's contents, matched by
+// slug. Programs of an imported university that are missing from the file are removed;
+// universities missing from the file are left alone.
+export const importCatalog = async (data: unknown): Promise<ImportStats> => {
+  const entries = Array.isArray(data) ? data : (data as any)?.universities;
+  if (!Array.isArray(entries)) {
+    throw new CatalogError('Catalog must be a list of universities or { "universities": [...] }');
+  }
+
+  const errors = validateImport(entries);
+  if (Object.keys(errors).length > 0) {
+    throw new CatalogError('Validation failed', errors);
+  }
+
+  const stats: ImportStats = {
+    universities: { added: 0, updated: 0 },
+    programs: { added: 0, updated: 0, removed: 0 }
+  };
+
+  for (const { programs = [], ...fields } of entries) {
+    const slug = fields.slug || slugify(fields.name);
+    // The university lists every subject area its programs cover
+    const subjectAreas = unique([
+      ...(fields.subjectAreas || []),
+      ...programs.flatMap((program: any) => program.subjectAreas || [])
+    ]);
+
+    let university = await University.findOne({ slug });
+    if (university) {
+      university.set({ aliases: [], city: undefined, website: undefined, description: undefined, tuition: undefined, requirements: undefined });
+      stats.universities.updated++;
+    } else {
+      university = new University();
+      stats.universities.added++;
+    }
+    university.set({ ...fields, slug, subjectAreas });
+    await university.save();
+
+    const keep: string[] = [];
+    for (const entry of programs) {
+      const values = programFields(fields, entry);
+      keep.push(values.slug);
+
+      let program = await Program.findOne({ university: university._id, slug: values.slug });
+      if (program) {
+        program.set({ description: undefined, durationYears: undefined, tuition: undefined, requirements: undefined });
+        stats.programs.updated++;
+      } else {
+        program = new Program({ university: university._id });
+        stats.programs.added++;
+      }
+      program.set(values);
+      await program.save();
+    }
+
+    const removed = await Program.deleteMany({ university: university._id, slug: { $nin: keep } });
+    stats.programs.removed += removed.deletedCount;
+  }
+
+  return stats;
+};
+
+// --- Search ---
+
+export interface CatalogFilters {
+  q?: string;
+  country?: string;
+  field?: string;
+  degree?: string;
+  university?: string;
+  minTuition?: number;
+  maxTuition?: number;
+  currency?: string;
+  // Only programs whose minimum GPA is at most this (or that have none)
+  eligibleGpa?: number;
+}
+
+// Match a field against `value` exactly, ignoring case
+export const exactInsensitive = (value: string) =>
+  new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+export const programQuery = (filters: CatalogFilters): Record<string, unknown> => {
+  const query: Record<string, any> = {};
+  if (filters.q) query.$text = { $search: filters.q };
+  if (filters.country) query.country = exactInsensitive(filters.country);
+  if (filters.field) query.subjectAreas = exactInsensitive(filters.field);
+  if (filters.degree) query.degree = filters.degree;
+  if (filters.university) query.university = filters.university;
+  if (filters.minTuition !== undefined || filters.maxTuition !== undefined) {
+    query['tuition.amount'] = {
+      ...(filters.minTuition !== undefined && { $gte: filters.minTuition }),
+      ...(filters.maxTuition !== undefined && { $lte: filters.maxTuition })
+    };
+    query['tuition.currency'] = (filters.currency || 'USD').toUpperCase();
+  }
+  if (filters.eligibleGpa !== undefined) {
+    query.$or = [
+      { 'requirements.minGpa': { $exists: false } },
+      { 'requirements.minGpa': null },
+      { 'requirements.minGpa': { $lte: filters.eligibleGpa } }
+    ];
+  }
+  return query;
+};
+
+export const universityQuery = (filters: CatalogFilters): Record<string, unknown> => {
+  const query: Record<string, any> = {};
+  if (filters.q) query.$text = { $search: filters.q };
+  if (filters.country) query.country = exactInsensitive(filters.country);
+  if (filters.field) query.subjectAreas = exactInsensitive(filters.field);
+  return query;
+};
+
+// --- Requirement fit ---
+
+export interface StudentFitProfile {
+  gpa: number | null;
+  subjects: string[];
+}
+
+export interface RequirementFit {
+  // 'meets' when the student clears every requirement we can check, 'below' when they
+  // miss one, 'unknown' when the program lists none or the student has no grades yet
+  status: 'meets' | 'below' | 'unknown';
+  requiredGpa: number | null;
+  studentGpa: number | null;
+  missingSubjects: string[];
+}
+
+export const studentFitProfile = (user: IUser): StudentFitProfile => ({
+  gpa: calculateGpa(user).unweighted,
+  subjects: (user.academicProgress || []).map(course => course.subject)
+});
+
+export const requirementFit = (
+  requirements: AdmissionRequirements | undefined,
+  student: StudentFitProfile
+): RequirementFit => {
+  const requiredGpa = requirements?.minGpa ?? null;
+  const taken = student.subjects.map(subject => subject.toLowerCase());
+  const missingSubjects = (requirements?.requiredSubjects || [])
+    .filter(required => !taken.some(subject => subject.includes(required.toLowerCase())));
+
+  let status: RequirementFit['status'] = 'unknown';
+  if (missingSubjects.length > 0 || (requiredGpa !== null && student.gpa !== null && student.gpa < requiredGpa)) {
+    status = 'below';
+  } else if (requiredGpa !== null ? student.gpa !== null : (requirements?.requiredSubjects || []).length > 0) {
+    status = 'meets';
+  }
+
+  return { status, requiredGpa, studentGpa: student.gpa, missingSubjects };
+};
+
+// The next deadline of a program that hasn't passed yet
+export const nextDeadline = (program: Pick<IProgram, 'deadlines'>, now = new Date()) =>
+  [...(program.deadlines || [])]
+    .filter(deadline => deadline.date.getTime() >= now.getTime())
+    .sort((a, b) => a.date.getTime() - b.date.getTime())[0] || null;
+
+// --- Linking applications to the catalog ---
+
+const findUniversityByName = async (name: string): Promise<IUniversity | null> => {
+  const key = nameKey(name);
+  if (!key) return null;
+  const candidates = await University.find({ $text: { $search: name } }).select('name aliases').limit(20);
+  return candidates.find(university =>
+    [university.name, ...university.aliases].some(candidate => nameKey(candidate) === key)) || null;
+};
+
+// Resolve the catalog references of an application being added or edited, in place.
+// A catalog id fills in the display name (and, for new applications, the next deadline);
+// a typed name that exactly matches a catalog name or alias is linked to it; anything
+// else stays a custom entry.
+export const linkApplication = async (
+  body: Record<string, any>,
+  current?: { universityId?: mongoose.Types.ObjectId; program?: string }
+): Promise<FieldErrors> => {
+  const errors: FieldErrors = {};
+  const currentUniversityId = current?.universityId ? String(current.universityId) : null;
+  let universityId = currentUniversityId;
+
+  if (body.universityId !== undefined) {
+    if (body.universityId === null || body.universityId === '') {
+      body.universityId = undefined;
+      universityId = null;
+    } else {
+      const university = mongoose.isValidObjectId(body.universityId)
+        ? await University.findById(body.universityId).select('name')
+        : null;
+      if (!university) {
+        errors.universityId = 'University not found in the catalog';
+        return errors;
+      }
+      body.universityName = university.name;
+      universityId = String(university._id);
+    }
+  } else if (typeof body.universityName === 'string') {
+    const university = await findUniversityByName(body.universityName);
+    universityId = university ? String(university._id) : null;
+    body.universityId = university?._id;
+    if (university) body.universityName = university.name;
+  }
+
+  if (body.programId !== undefined && body.programId !== null && body.programId !== '') {
+    const program = mongoose.isValidObjectId(body.programId) && universityId
+      ? await Program.findOne({ _id: body.programId, university: universityId }).select('name deadlines')
+      : null;
+    if (!program) {
+      errors.programId = 'Program not found at this university';
+      return errors;
+    }
+    body.program = program.name;
+    if (!current && body.deadline === undefined) {
+      body.deadline = nextDeadline(program)?.date;
+    }
+  } else if (body.programId !== undefined) {
+    body.programId = undefined;
+  } else if (typeof body.program === 'string' || universityId !== currentUniversityId) {
+    // A retyped program name, or a different university, re-matches the program
+    const name = typeof body.program === 'string' ? body.program : current?.program;
+    const program = name && universityId
+      ? (await Program.find({ university: universityId }).select('name'))
+        .find(candidate => nameKey(candidate.name) === nameKey(name))
+      : null;
+    body.programId = program?._id;
+    if (program) body.program = program.name;
+  }
+
+  return errors;
+};
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import Conversation, { IConversation } from '../models/Conversation';
+import ChatMessage, { ChatRole, IChatMessage } from '../models/ChatMessage';
+import {
+  ChatTurn,
+  CONTEXT_TOKEN_BUDGET,
+  estimateTokens,
+  fitTurnsToBudget,
+  summarizeTurns
+} from './aiService';
+import { ProviderSelection } from './llm';
+import { acquireAiPermit } from './aiUsage';
+import { logger } from './observability';
+
+const DEFAULT_TITLE_LENGTH = 60;
+
+// Derive a thread title from the first message of a new conversation
+export const titleFromMessage = (message: string): string => {
+  const singleLine = message.replace(/\s+/g, ' ').trim();
+  if (singleLine.length <= DEFAULT_TITLE_LENGTH) {
+    return singleLine || 'New conversation';
+  }
+  return `${singleLine.slice(0, DEFAULT_TITLE_LENGTH - 1).trimEnd()}…`;
+};
+
+// Find a conversation only if it belongs to the given user
+export const findUserConversation = async (
+  userId: string,
+  conversationId: string
+): Promise<IConversation | null> => {
+  if (!mongoose.isValidObjectId(conversationId)) {
+    return null;
+  }
+  return Conversation.findOne({ _id: conversationId, user: userId });
+};
+
+export const createConversation = async (userId: string, title: string): Promise<IConversation> => {
+  return Conversation.create({ user: userId, title });
+};
+
+// Save one turn and keep the thread's counters in step with it
+export const appendMessage = async (
+  conversation: IConversation,
+  role: ChatRole,
+  content: string,
+  interrupted = false,
+  sources: IChatMessage['sources'] = []
+): Promise<IChatMessage> => {
+  const message = await ChatMessage.create({
+    conversation: conversation._id,
+    user: conversation.user,
+    role,
+    content,
+    interrupted,
+    sources
+  });
+
+  // Updated in the database rather than through `conversation`, so turns saved at the same
+  // time (the reply and the next question, or two tabs) each count
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $inc: { messageCount: 1 }, $set: { lastMessageAt: message.createdAt } }
+  );
+
+  return message;
+};
+
+// Fetch a page of messages, newest page first, returned in chronological order
+export const getMessagePage = async (
+  conversation: IConversation,
+  limit: number,
+  before?: string
+): Promise<{ messages: IChatMessage[]; hasMore: boolean }> => {
+  const query: Record<string, unknown> = { conversation: conversation._id };
+  if (before && mongoose.isValidObjectId(before)) {
+    query._id = { $lt: before };
+  }
+
+  const page = await ChatMessage.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = page.length > limit;
+  const messages = page.slice(0, limit).reverse();
+  return { messages, hasMore };
+};
+
+export const deleteConversation = async (conversation: IConversation): Promise<void> => {
+  await ChatMessage.deleteMany({ conversation: conversation._id });
+  await conversation.deleteOne();
+};
+
+// Load the turns to send to the model. Turns that no longer fit the budget are folded
+// into the conversation's running summary so follow-up questions keep their context.
+export const loadConversationContext = async (
+  conversation: IConversation,
+  selection?: ProviderSelection
+): Promise<{ history: ChatTurn[]; summary?: string }> => {
+  const query: Record<string, unknown> = { conversation: conversation._id };
+  if (conversation.summarizedThrough) {
+    query._id = { $gt: conversation.summarizedThrough };
+  }
+
+  const messages = await ChatMessage.find(query).sort({ _id: 1 });
+  const turns: ChatTurn[] = messages.map(msg => ({ role: msg.role, content: msg.content }));
+
+  const budget = CONTEXT_TOKEN_BUDGET - estimateTokens(conversation.summary || '');
+  if (fitTurnsToBudget(turns, budget).overflow.length === 0) {
+    return { history: turns, summary: conversation.summary };
+  }
+
+  // The summary is a model call of its own, so it is charged to the student's limits and
+  // ledger like a chat request. Without a summary the oldest turns are simply trimmed by the
+  // AI service.
+  const permit = await acquireAiPermit(String(conversation.user));
+  if (!permit.allowed) {
+    logger.info('Conversation summary skipped by AI limits, trimming history instead', { limit: permit.limit });
+    return { history: turns, summary: conversation.summary };
+  }
+
+  // Fold down to half the budget so the next few requests don't each trigger a summary
+  const { kept, overflow } = fitTurnsToBudget(turns, Math.floor(budget / 2));
+  try {
+    const result = await summarizeTurns(overflow, conversation.summary, selection);
+    await permit.complete(result);
+    conversation.summary = result.content;
+    conversation.summarizedThrough = messages[overflow.length - 1]._id as mongoose.Types.ObjectId;
+    await conversation.save();
+    return { history: kept, summary: conversation.summary };
+  } catch (error: any) {
+    await permit.complete();
+    logger.error('Conversation summary failed, trimming history instead', error);
+    return { history: turns, summary: conversation.summary };
+  }
+};
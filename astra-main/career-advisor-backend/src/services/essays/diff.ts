@@ -0,0 +1,109 @@
+// Word-level differences between two essay versions
+
+import { countWords } from './text';
+
+export type DiffSegmentType = 'equal' | 'insert' | 'delete';
+
+export interface DiffSegment {
+  type: DiffSegmentType;
+  text: string;
+}
+
+export interface EssayDiff {
+  segments: DiffSegment[];
+  wordsAdded: number;
+  wordsRemoved: number;
+}
+
+// Largest comparison table built before falling back to comparing whole lines
+const MAX_DIFF_CELLS = 4_000_000;
+
+const words = (text: string): string[] => text.match(/\s+|\S+/g) || [];
+const lines = (text: string): string[] => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+
+// Longest-common-subsequence diff of two token lists (after the shared start and end
+// have been trimmed off by the caller)
+const lcsDiff = (before: string[], after: string[]): DiffSegment[] => {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i * cols + j] = before[i] === after[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const segments: DiffSegment[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      segments.push({ type: 'equal', text: before[i++] });
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      segments.push({ type: 'delete', text: before[i++] });
+    } else {
+      segments.push({ type: 'insert', text: after[j++] });
+    }
+  }
+  while (i < before.length) segments.push({ type: 'delete', text: before[i++] });
+  while (j < after.length) segments.push({ type: 'insert', text: after[j++] });
+  return segments;
+};
+
+const diffTokens = (before: string[], after: string[]): DiffSegment[] => {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (
+    end < before.length - start && end < after.length - start
+    && before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) end++;
+
+  const middleBefore = before.slice(start, before.length - end);
+  const middleAfter = after.slice(start, after.length - end);
+  const middle = (middleBefore.length + 1) * (middleAfter.length + 1) <= MAX_DIFF_CELLS
+    ? lcsDiff(middleBefore, middleAfter)
+    : [
+      { type: 'delete' as const, text: middleBefore.join('') },
+      { type: 'insert' as const, text: middleAfter.join('') }
+    ];
+
+  return [
+    { type: 'equal', text: before.slice(0, start).join('') },
+    ...middle,
+    { type: 'equal', text: before.slice(before.length - end).join('') }
+  ];
+};
+
+// Merge neighbouring segments of the same type and drop empty ones
+const compact = (segments: DiffSegment[]): DiffSegment[] =>
+  segments.reduce((merged, segment) => {
+    if (!segment.text) return merged;
+    const last = merged[merged.length - 1];
+    if (last && last.type === segment.type) {
+      last.text += segment.text;
+    } else {
+      merged.push({ ...segment });
+    }
+    return merged;
+  }, [] as DiffSegment[]);
+
+export const diffEssays = (before: string, after: string): EssayDiff => {
+  const beforeWords = words(before);
+  const afterWords = words(after);
+  // Very long rewrites are compared line by line to keep the table small
+  const fitsWordDiff = beforeWords.length * afterWords.length <= MAX_DIFF_CELLS;
+  const segments = compact(fitsWordDiff
+    ? diffTokens(beforeWords, afterWords)
+    : diffTokens(lines(before), lines(after)));
+
+  return {
+    segments,
+    wordsAdded: segments.filter(segment => segment.type === 'insert').reduce((sum, segment) => sum + countWords(segment.text), 0),
+    wordsRemoved: segments.filter(segment => segment.type === 'delete').reduce((sum, segment) => sum + countWords(segment.text), 0)
+  };
+};
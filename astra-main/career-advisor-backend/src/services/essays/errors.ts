@@ -0,0 +1,9 @@
+// Errors from the essay workspace that map straight onto an HTTP response
+export class EssayError extends Error {
+  constructor(public status: number, message: string) {
+    super(message);
+    this.name = 'EssayError';
+  }
+}
+
+export const isEssayError = (error: unknown): error is EssayError => error instanceof EssayError;
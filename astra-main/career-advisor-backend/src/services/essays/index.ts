@@ -0,0 +1,8 @@
+// Essay workspace: drafts with version history, diffs, rubric-based AI review and comments
+
+export { EssayError, isEssayError } from './errors';
+export { countWords, splitParagraphs, paragraphQuote, locateParagraph } from './text';
+export { diffEssays, DiffSegment, EssayDiff } from './diff';
+export { Rubric, RubricCriterion, listRubrics, getRubric, defaultRubricId, ESSAY_RUBRICS_FILE } from './rubrics';
+export { reviewEssay, EssayReviewResult } from './review';
+export { saveEssayContent, deleteEssay, AUTOSAVE_WINDOW_MS } from './versions';
@@ -0,0 +1,114 @@
+import { ChatTurn, LLMError, ProviderSelection, estimateTokens, getProvider } from '../llm';
+import { Rubric } from './rubrics';
+
+// Cap on inline comments kept from one review
+const MAX_COMMENTS = 20;
+
+const REVIEW_PROMPT = `You are an experienced admissions reader giving feedback on a student's application essay.
+Score the essay against each rubric criterion and leave specific, actionable comments on individual paragraphs.
+Do not rewrite the essay or write new sentences for the student; point out what to improve and why.
+Paragraphs are numbered [P1], [P2], ... Refer to them by number.
+
+Respond with JSON only, in exactly this shape:
+{"summary": "<2-3 sentences of overall feedback>",
+ "scores": [{"criterion": "<criterion key>", "score": <whole number>, "comment": "<one sentence>"}],
+ "comments": [{"paragraph": <paragraph number>, "criterion": "<criterion key>", "comment": "<feedback on that paragraph>"}]}`;
+
+export interface EssayReviewResult {
+  summary: string;
+  scores: Array<{ criterion: string; score: number; comment: string }>;
+  // Paragraph indexes are 0-based
+  comments: Array<{ paragraph: number; criterion?: string; body: string }>;
+  provider: string;
+  model: string;
+  promptTokens: number;
+  completionTokens: number;
+}
+
+export interface EssayReviewInput {
+  paragraphs: string[];
+  prompt?: string;
+  wordLimit?: number;
+  wordCount: number;
+}
+
+const rubricText = (rubric: Rubric): string =>
+  `Rubric "${rubric.name}" (score each criterion from 1 to ${rubric.maxScore}):\n`
+  + rubric.criteria.map(criterion => `- ${criterion.key}: ${criterion.label}. ${criterion.description}`).join('\n');
+
+const essayText = ({ paragraphs, prompt, wordLimit, wordCount }: EssayReviewInput): string => [
+  prompt ? `Essay prompt: ${prompt}` : 'No prompt was given.',
+  `Length: ${wordCount} words${wordLimit ? ` (limit ${wordLimit})` : ''}.`,
+  '',
+  ...paragraphs.map((paragraph, index) => `[P${index + 1}] ${paragraph}`)
+].join('\n');
+
+// Pull the JSON object out of a reply that may wrap it in prose or a code fence
+const extractJson = (content: string): any => {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(content.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+};
+
+// Keep only well-formed scores and comments that refer to the rubric and to real paragraphs
+const parseReview = (content: string, rubric: Rubric, paragraphCount: number) => {
+  const data = extractJson(content);
+  if (!data || typeof data !== 'object') return null;
+
+  const criteria = new Set(rubric.criteria.map(criterion => criterion.key));
+  const scores = (Array.isArray(data.scores) ? data.scores : [])
+    .filter((entry: any) => criteria.has(entry?.criterion) && typeof entry.score === 'number')
+    .map((entry: any) => ({
+      criterion: entry.criterion as string,
+      score: Math.min(rubric.maxScore, Math.max(1, Math.round(entry.score))),
+      comment: typeof entry.comment === 'string' ? entry.comment.trim() : ''
+    }))
+    .filter((entry: { criterion: string }, index: number, all: { criterion: string }[]) =>
+      all.findIndex(other => other.criterion === entry.criterion) === index);
+
+  const comments = (Array.isArray(data.comments) ? data.comments : [])
+    .filter((entry: any) =>
+      Number.isInteger(entry?.paragraph) && entry.paragraph >= 1 && entry.paragraph <= paragraphCount
+      && typeof entry.comment === 'string' && entry.comment.trim())
+    .slice(0, MAX_COMMENTS)
+    .map((entry: any) => ({
+      paragraph: entry.paragraph - 1,
+      criterion: criteria.has(entry.criterion) ? entry.criterion as string : undefined,
+      body: entry.comment.trim() as string
+    }));
+
+  const summary = typeof data.summary === 'string' ? data.summary.trim() : '';
+  if (!summary && scores.length === 0 && comments.length === 0) return null;
+  return { summary, scores, comments };
+};
+
+// Run one essay through the LLM against `rubric`
+export const reviewEssay = async (
+  essay: EssayReviewInput,
+  rubric: Rubric,
+  selection?: ProviderSelection
+): Promise<EssayReviewResult> => {
+  const provider = getProvider(selection);
+  const messages: ChatTurn[] = [
+    { role: 'system', content: `${REVIEW_PROMPT}\n\n${rubricText(rubric)}` },
+    { role: 'user', content: essayText(essay) }
+  ];
+
+  const result = await provider.chat(messages, { temperature: 0.2, maxTokens: 1500 });
+  const usage = {
+    promptTokens: result.promptTokens ?? messages.reduce((sum, turn) => sum + estimateTokens(turn.content), 0),
+    completionTokens: result.completionTokens ?? estimateTokens(result.content)
+  };
+
+  const review = parseReview(result.content, rubric, essay.paragraphs.length);
+  if (!review) {
+    throw new LLMError('PROVIDER_ERROR', 'The AI review came back in an unexpected format; please try again', provider.name);
+  }
+
+  return { ...review, provider: provider.name, model: provider.model, ...usage };
+};
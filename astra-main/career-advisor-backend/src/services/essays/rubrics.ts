@@ -0,0 +1,82 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { EssayError } from './errors';
+
+dotenv.config();
+
+// JSON file of the rubrics the AI review scores essays against
+export const ESSAY_RUBRICS_FILE = path.resolve(
+  process.env.ESSAY_RUBRICS_FILE || path.join(__dirname, '..', '..', '..', 'rubrics', 'essays.json')
+);
+
+export interface RubricCriterion {
+  key: string;
+  label: string;
+  // What a strong essay does, in the reviewer's terms
+  description: string;
+}
+
+export interface Rubric {
+  id: string;
+  name: string;
+  maxScore: number;
+  criteria: RubricCriterion[];
+}
+
+interface RubricConfig {
+  default: string;
+  rubrics: Rubric[];
+}
+
+let cached: RubricConfig | null = null;
+
+const isNonEmptyString = (value: unknown): value is string => typeof value === 'string' && value.trim().length > 0;
+
+// Check the file's shape so a typo shows up as a clear error rather than a broken review
+const validateConfig = (data: any): RubricConfig => {
+  const problems: string[] = [];
+  if (!data || !Array.isArray(data.rubrics) || data.rubrics.length === 0) {
+    throw new EssayError(500, `${ESSAY_RUBRICS_FILE} must define a non-empty "rubrics" list`);
+  }
+
+  const ids = new Set<string>();
+  data.rubrics.forEach((rubric: any, index: number) => {
+    if (!isNonEmptyString(rubric?.id) || !isNonEmptyString(rubric?.name)) {
+      problems.push(`rubrics.${index} needs an id and a name`);
+      return;
+    }
+    if (ids.has(rubric.id)) problems.push(`rubric "${rubric.id}" is defined twice`);
+    ids.add(rubric.id);
+    if (!Number.isInteger(rubric.maxScore) || rubric.maxScore < 2 || rubric.maxScore > 10) {
+      problems.push(`rubric "${rubric.id}" needs a whole-number maxScore from 2 to 10`);
+    }
+    if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0
+      || !rubric.criteria.every((criterion: any) =>
+        isNonEmptyString(criterion?.key) && isNonEmptyString(criterion?.label) && isNonEmptyString(criterion?.description))) {
+      problems.push(`rubric "${rubric.id}" needs criteria with a key, label and description`);
+    }
+  });
+  if (!ids.has(data.default)) {
+    problems.push(`default rubric "${data.default}" is not defined`);
+  }
+
+  if (problems.length > 0) {
+    throw new EssayError(500, `Invalid essay rubrics in ${ESSAY_RUBRICS_FILE}: ${problems.join('; ')}`);
+  }
+  return { default: data.default, rubrics: data.rubrics };
+};
+
+const loadConfig = (): RubricConfig => {
+  if (!cached) {
+    cached = validateConfig(JSON.parse(fs.readFileSync(ESSAY_RUBRICS_FILE, 'utf8')));
+  }
+  return cached;
+};
+
+export const listRubrics = (): Rubric[] => loadConfig().rubrics;
+
+export const defaultRubricId = (): string => loadConfig().default;
+
+export const getRubric = (id: string): Rubric | null =>
+  loadConfig().rubrics.find(rubric => rubric.id === id) || null;
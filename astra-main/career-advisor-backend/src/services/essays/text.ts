@@ -0,0 +1,30 @@
+// Paragraphs, word counts and anchoring comments to paragraphs
+
+// Start of a paragraph kept with each comment, to find the paragraph again after edits
+const QUOTE_LENGTH = 80;
+
+export const countWords = (text: string): number => (text.match(/\S+/g) || []).length;
+
+// Paragraphs are separated by blank lines; single line breaks stay inside a paragraph
+export const splitParagraphs = (text: string): string[] =>
+  text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+const normalize = (text: string): string => text.replace(/\s+/g, ' ').trim();
+
+export const paragraphQuote = (paragraph: string): string => normalize(paragraph).slice(0, QUOTE_LENGTH);
+
+// Where a comment's paragraph is in the current text: the paragraph that still starts with
+// (or else contains) the quoted text, nearest the original position; null once it is gone
+export const locateParagraph = (paragraphs: string[], anchor: { paragraph: number; quote: string }): number | null => {
+  if (!anchor.quote) {
+    return anchor.paragraph < paragraphs.length ? anchor.paragraph : null;
+  }
+  const normalized = paragraphs.map(normalize);
+  const nearest = (matches: number[]) =>
+    matches.sort((a, b) => Math.abs(a - anchor.paragraph) - Math.abs(b - anchor.paragraph))[0] ?? null;
+
+  const starts = normalized.flatMap((paragraph, index) => (paragraph.startsWith(anchor.quote) ? [index] : []));
+  if (starts.length > 0) return nearest(starts);
+  const contains = normalized.flatMap((paragraph, index) => (paragraph.includes(anchor.quote) ? [index] : []));
+  return nearest(contains);
+};
@@ -0,0 +1,68 @@
+import Essay, { IEssay } from '../../models/Essay';
+import EssayVersion, { IEssayVersion, VersionSource } from '../../models/EssayVersion';
+import EssayReview from '../../models/EssayReview';
+import EssayComment from '../../models/EssayComment';
+import { EssayError } from './errors';
+import { countWords } from './text';
+
+// Autosaves within this long of the latest autosave version update it instead of adding
+// another, so typing produces one version per stretch of work rather than one per pause
+export const AUTOSAVE_WINDOW_MS = 10 * 60 * 1000;
+
+const isDuplicateKey = (error: any): boolean => error?.code === 11000;
+
+// Save new text for an essay as a version. Unchanged text saves nothing; `changed` tells
+// the caller whether anything was written.
+export const saveEssayContent = async (
+  essay: IEssay,
+  content: string,
+  source: VersionSource,
+  now: Date = new Date()
+): Promise<{ version: IEssayVersion | null; changed: boolean }> => {
+  const latest = essay.currentVersion > 0
+    ? await EssayVersion.findOne({ essay: essay._id, number: essay.currentVersion })
+    : null;
+  if (latest && latest.content === content && source !== 'restore') {
+    return { version: latest, changed: false };
+  }
+
+  const wordCount = countWords(content);
+  let version: IEssayVersion;
+  if (
+    source === 'autosave' && latest?.source === 'autosave'
+    && now.getTime() - latest.createdAt.getTime() < AUTOSAVE_WINDOW_MS
+  ) {
+    latest.set({ content, wordCount });
+    version = await latest.save();
+  } else {
+    try {
+      version = await EssayVersion.create({
+        essay: essay._id,
+        number: essay.currentVersion + 1,
+        content,
+        wordCount,
+        source
+      });
+    } catch (error: any) {
+      if (isDuplicateKey(error)) {
+        throw new EssayError(409, 'This essay was saved from somewhere else; reload it before saving again');
+      }
+      throw error;
+    }
+    essay.currentVersion = version.number;
+  }
+
+  essay.set({ content, wordCount });
+  await essay.save();
+  return { version, changed: true };
+};
+
+// Remove an essay with its versions, reviews and comments
+export const deleteEssay = async (essay: IEssay) => {
+  await Promise.all([
+    EssayVersion.deleteMany({ essay: essay._id }),
+    EssayReview.deleteMany({ essay: essay._id }),
+    EssayComment.deleteMany({ essay: essay._id })
+  ]);
+  await Essay.deleteOne({ _id: essay._id });
+};
@@ -0,0 +1,221 @@
+import { IUser, GradingScale, CourseLevel } from '../models/User';
+
+// Everything is converted to grade points on the unweighted 4.0 scale so that
+// students on different grading systems get comparable GPAs. Conversions for
+// non-US scales follow common admissions equivalence tables and are approximate.
+
+type Course = IUser['academicProgress'][number];
+type CustomScale = IUser['customGradeScale'];
+
+export const GRADING_SCALE_LABELS: Record<GradingScale, string> = {
+  us_letter: 'US letter grades (A–F)',
+  percentage: 'Percentage (0–100)',
+  ib: 'IB (1–7)',
+  a_level: 'UK A-level (A*–U)',
+  custom: 'Custom'
+};
+
+// Weighted GPA boost per course level; failing grades never earn a boost
+const LEVEL_BOOSTS: Record<CourseLevel, number> = {
+  standard: 0,
+  honors: 0.5,
+  ap: 1.0,
+  ib_hl: 1.0
+};
+
+const DEFAULT_CREDITS = 1;
+
+const US_LETTER_POINTS: Record<string, number> = {
+  'A+': 4.0, 'A': 4.0, 'A-': 3.7,
+  'B+': 3.3, 'B': 3.0, 'B-': 2.7,
+  'C+': 2.3, 'C': 2.0, 'C-': 1.7,
+  'D+': 1.3, 'D': 1.0, 'D-': 0.7,
+  'E': 0, 'F': 0
+};
+
+const A_LEVEL_POINTS: Record<string, number> = {
+  'A*': 4.0, 'A': 3.7, 'B': 3.3, 'C': 2.7, 'D': 2.0, 'E': 1.0, 'U': 0
+};
+
+const IB_POINTS: Record<number, number> = { 7: 4.0, 6: 3.7, 5: 3.3, 4: 2.7, 3: 2.0, 2: 1.0, 1: 0 };
+
+// Lowest percentage for each grade-point step
+const PERCENTAGE_STEPS: Array<[number, number]> = [
+  [93, 4.0], [90, 3.7], [87, 3.3], [83, 3.0], [80, 2.7], [77, 2.3],
+  [73, 2.0], [70, 1.7], [67, 1.3], [63, 1.0], [60, 0.7], [0, 0]
+];
+
+const PERCENTAGE = /^(\d+(?:\.\d+)?)\s*%?$/;
+
+const round = (value: number): number => Math.round(value * 100) / 100;
+
+const normalize = (grade: string): string => grade.trim().toUpperCase().replace(/\s+/g, '');
+
+const percentagePoints = (percent: number): number =>
+  PERCENTAGE_STEPS.find(([min]) => percent >= min)![1];
+
+// A grade resolved on some scale: 4.0 points, plus the numeric mark for numeric scales
+interface ResolvedGrade {
+  points: number;
+  mark?: number;
+}
+
+const parsePercentage = (grade: string): ResolvedGrade | null => {
+  const match = PERCENTAGE.exec(grade.trim());
+  if (!match) return null;
+  const percent = parseFloat(match[1]);
+  return percent <= 100 ? { points: percentagePoints(percent), mark: percent } : null;
+};
+
+const parseIb = (grade: string): ResolvedGrade | null => {
+  const value = Number(grade.trim());
+  return Number.isInteger(value) && IB_POINTS[value] !== undefined ? { points: IB_POINTS[value], mark: value } : null;
+};
+
+const fromTable = (table: Record<string, number>) => (grade: string): ResolvedGrade | null => {
+  const points = table[normalize(grade)];
+  return points === undefined ? null : { points };
+};
+
+const customTable = (custom: CustomScale): Record<string, number> =>
+  (custom || []).reduce((table, entry) => {
+    table[normalize(entry.grade)] = entry.points;
+    return table;
+  }, {} as Record<string, number>);
+
+// Resolve a grade on the student's scale. Grades that can only mean one thing ("87%", "A*")
+// are still understood when recorded on another scale; anything else is unrecognised
+// rather than counted as zero.
+export const resolveGrade = (grade: string, scale: GradingScale, custom: CustomScale = []): ResolvedGrade | null => {
+  const parsers: Record<GradingScale, (value: string) => ResolvedGrade | null> = {
+    us_letter: fromTable(US_LETTER_POINTS),
+    percentage: parsePercentage,
+    ib: parseIb,
+    a_level: fromTable(A_LEVEL_POINTS),
+    custom: fromTable(customTable(custom))
+  };
+
+  const resolved = parsers[scale](grade);
+  if (resolved) return resolved;
+
+  if (grade.trim().endsWith('%')) return parsePercentage(grade);
+  if (normalize(grade) === 'A*') return { points: A_LEVEL_POINTS['A*'] };
+  return null;
+};
+
+// Grade points for one grade, or null when it can't be interpreted
+export const gradePoints = (grade: string, scale: GradingScale, custom: CustomScale = []): number | null =>
+  resolveGrade(grade, scale, custom)?.points ?? null;
+
+// Explicit level, otherwise inferred from names like "AP Biology" or "Honors English"
+export const courseLevel = (course: Pick<Course, 'subject' | 'level'>): CourseLevel => {
+  if (course.level) return course.level;
+  const subject = course.subject.trim();
+  if (/^AP\b/i.test(subject)) return 'ap';
+  if (/\bHL\b/.test(subject)) return 'ib_hl';
+  if (/\bhonou?rs\b/i.test(subject) || /^H\s/.test(subject)) return 'honors';
+  return 'standard';
+};
+
+interface CountedCourse {
+  points: number;
+  weightedPoints: number;
+  credits: number;
+  mark?: number;
+}
+
+const weightedMean = (courses: CountedCourse[], value: (course: CountedCourse) => number): number | null => {
+  const credits = courses.reduce((sum, course) => sum + course.credits, 0);
+  if (credits === 0) return null;
+  return round(courses.reduce((sum, course) => sum + value(course) * course.credits, 0) / credits);
+};
+
+// The grade closest to a GPA, e.g. 3.4 -> "B+". Ties go to the later (lower) grade, so
+// 4.0 reads as "A" rather than "A+".
+const closestGrade = (entries: Array<[string, number]>, points: number): string | null => {
+  if (entries.length === 0) return null;
+  return entries.reduce((best, entry) =>
+    Math.abs(entry[1] - points) <= Math.abs(best[1] - points) ? entry : best)[0];
+};
+
+// The average expressed in the student's own grading system
+const nativeAverage = (scale: GradingScale, courses: CountedCourse[], unweighted: number, custom: CustomScale): string | null => {
+  const marked = courses.filter(course => course.mark !== undefined);
+  switch (scale) {
+    case 'percentage': {
+      const mean = weightedMean(marked, course => course.mark!);
+      return mean === null ? null : `${Math.round(mean * 10) / 10}%`;
+    }
+    case 'ib': {
+      const mean = weightedMean(marked, course => course.mark!);
+      return mean === null ? null : `${Math.round(mean * 10) / 10} / 7`;
+    }
+    case 'a_level':
+      return closestGrade(Object.entries(A_LEVEL_POINTS), unweighted);
+    case 'custom':
+      return closestGrade(custom.map(entry => [entry.grade, entry.points]), unweighted);
+    default:
+      return closestGrade(Object.entries(US_LETTER_POINTS), unweighted);
+  }
+};
+
+export interface GpaBreakdown {
+  unweighted: number | null;
+  weighted: number | null;
+  credits: number;
+  courses: number;
+}
+
+export interface GpaSummary extends GpaBreakdown {
+  scale: GradingScale;
+  // Average in the student's own grading system, e.g. "B+", "87.5%" or "6.2 / 7"
+  average: string | null;
+  unrecognized: Array<{ subject: string; grade: string }>;
+  terms: Array<GpaBreakdown & { term: string | null }>;
+}
+
+const breakdown = (courses: CountedCourse[]): GpaBreakdown => ({
+  unweighted: weightedMean(courses, course => course.points),
+  weighted: weightedMean(courses, course => course.weightedPoints),
+  credits: courses.reduce((sum, course) => sum + course.credits, 0),
+  courses: courses.length
+});
+
+// Credit-weighted GPA (unweighted and with honors/AP boosts) overall and per term
+export const calculateGpa = (user: Pick<IUser, 'academicProgress' | 'gradingScale' | 'customGradeScale'>): GpaSummary => {
+  const scale = user.gradingScale || 'us_letter';
+  const custom = user.customGradeScale || [];
+  const counted: CountedCourse[] = [];
+  const byTerm = new Map<string | null, CountedCourse[]>();
+  const unrecognized: GpaSummary['unrecognized'] = [];
+
+  (user.academicProgress || []).forEach(course => {
+    const resolved = resolveGrade(course.grade, scale, custom);
+    if (!resolved) {
+      unrecognized.push({ subject: course.subject, grade: course.grade });
+      return;
+    }
+
+    const boost = resolved.points > 0 ? LEVEL_BOOSTS[courseLevel(course)] : 0;
+    const entry: CountedCourse = {
+      points: resolved.points,
+      weightedPoints: resolved.points + boost,
+      credits: typeof course.credits === 'number' ? course.credits : DEFAULT_CREDITS,
+      mark: resolved.mark
+    };
+    counted.push(entry);
+
+    const term = course.term?.trim() || null;
+    if (!byTerm.has(term)) byTerm.set(term, []);
+    byTerm.get(term)!.push(entry);
+  });
+
+  const overall = breakdown(counted);
+  return {
+    scale,
+    ...overall,
+    average: overall.unweighted === null ? null : nativeAverage(scale, counted, overall.unweighted, custom),
+    unrecognized,
+    terms: Array.from(byTerm.entries()).map(([term, courses]) => ({ term, ...breakdown(courses) }))
+  };
+};
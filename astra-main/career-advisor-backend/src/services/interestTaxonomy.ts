@@ -0,0 +1,452 @@
+import mongoose from 'mongoose';
+import InterestTopic, { IInterestTopic } from '../models/InterestTopic';
+import User, { IUser } from '../models/User';
+import { slugify } from './catalog';
+import { FieldErrors, isValidationError, toFieldErrors, unknownFieldErrors } from '../utils/validation';
+
+// Category given to interests that match nothing in the taxonomy
+export const FALLBACK_CATEGORY = 'Other';
+
+// Fields accepted for a taxonomy entry (see taxonomy/README.md)
+const TOPIC_FIELDS = ['slug', 'name', 'parent', 'synonyms', 'color', 'order'] as const;
+const IMPORT_FIELDS = ['slug', 'name', 'synonyms', 'color', 'subcategories'] as const;
+
+// The taxonomy changes rarely; reload it at most this often unless an admin edits it
+const TAXONOMY_CACHE_MS = 60 * 1000;
+
+export class TaxonomyError extends Error {
+  status: number;
+  errors: FieldErrors;
+
+  constructor(status: number, message: string, errors: FieldErrors = {}) {
+    super(message);
+    this.name = 'TaxonomyError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+export interface TaxonomyNode {
+  id: string;
+  slug: string;
+  name: string;
+  synonyms: string[];
+  // Own color for categories, the category's color for subcategories
+  color: string | null;
+  order: number;
+  // Top-level category this entry belongs to (itself for categories)
+  category: TaxonomyCategory;
+}
+
+export interface TaxonomyCategory extends TaxonomyNode {
+  subcategories: TaxonomyNode[];
+}
+
+export interface Taxonomy {
+  categories: TaxonomyCategory[];
+  byId: Map<string, TaxonomyNode>;
+}
+
+export interface InterestMatch {
+  topic: TaxonomyNode;
+  category: TaxonomyCategory;
+}
+
+const byOrder = (a: { order: number; name: string }, b: { order: number; name: string }) =>
+  a.order - b.order || a.name.localeCompare(b.name);
+
+// Build the two-level tree from the stored entries. Subcategories whose category is gone
+// are left out.
+export const buildTaxonomy = (topics: IInterestTopic[]): Taxonomy => {
+  const byId = new Map<string, TaxonomyNode>();
+  const toNode = (topic: IInterestTopic) => ({
+    id: String(topic._id),
+    slug: topic.slug,
+    name: topic.name,
+    synonyms: topic.synonyms || [],
+    color: topic.color || null,
+    order: topic.order || 0
+  });
+
+  const categories = topics.filter(topic => !topic.parent).map(topic => {
+    const category = { ...toNode(topic), subcategories: [] } as unknown as TaxonomyCategory;
+    category.category = category;
+    byId.set(category.id, category);
+    return category;
+  });
+
+  topics.filter(topic => topic.parent).forEach(topic => {
+    const category = byId.get(String(topic.parent)) as TaxonomyCategory | undefined;
+    if (!category || category.category !== category) return;
+    const node: TaxonomyNode = { ...toNode(topic), color: category.color, category };
+    category.subcategories.push(node);
+    byId.set(node.id, node);
+  });
+
+  categories.sort(byOrder);
+  categories.forEach(category => category.subcategories.sort(byOrder));
+  return { categories, byId };
+};
+
+let cachedTaxonomy: { loadedAt: number; taxonomy: Taxonomy } | null = null;
+
+export const loadTaxonomy = async (): Promise<Taxonomy> => {
+  if (!cachedTaxonomy || Date.now() - cachedTaxonomy.loadedAt > TAXONOMY_CACHE_MS) {
+    cachedTaxonomy = { loadedAt: Date.now(), taxonomy: buildTaxonomy(await InterestTopic.find()) };
+  }
+  return cachedTaxonomy.taxonomy;
+};
+
+// Drop the cached taxonomy so an admin's change applies to the next request
+export const invalidateTaxonomyCache = () => {
+  cachedTaxonomy = null;
+};
+
+// Shape of the taxonomy returned to clients
+export const taxonomyResponse = (taxonomy: Taxonomy) => ({
+  categories: taxonomy.categories.map(category => ({
+    id: category.id,
+    slug: category.slug,
+    name: category.name,
+    color: category.color,
+    synonyms: category.synonyms,
+    order: category.order,
+    subcategories: category.subcategories.map(node => ({
+      id: node.id,
+      slug: node.slug,
+      name: node.name,
+      synonyms: node.synonyms,
+      order: node.order
+    }))
+  }))
+});
+
+// Words without case, accents, punctuation or a plural "s", so "Robots!" and "robot" compare equal
+const matchKey = (text: string): string => slugify(text)
+  .split('-')
+  .filter(Boolean)
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+  .join(' ');
+
+// Find the taxonomy entry a free-form interest refers to. An exact name or synonym wins;
+// otherwise the longest name or synonym that appears as whole words in the text
+// ("competitive swimming" → Swimming). Subcategories win ties over categories.
+export const matchInterest = (taxonomy: Taxonomy, text: string): InterestMatch | null => {
+  const key = matchKey(text);
+  if (!key) return null;
+  const padded = ` ${key} `;
+
+  let best: { node: TaxonomyNode; exact: boolean; length: number } | null = null;
+  const consider = (node: TaxonomyNode) => {
+    [node.name, ...node.synonyms].forEach(term => {
+      const termKey = matchKey(term);
+      if (!termKey) return;
+      const exact = termKey === key;
+      if (!exact && !padded.includes(` ${termKey} `)) return;
+      if (!best || (exact && !best.exact) || (exact === best.exact && termKey.length > best.length)) {
+        best = { node, exact, length: termKey.length };
+      }
+    });
+  };
+  // Subcategories first, so an equally good category match doesn't replace them
+  taxonomy.categories.forEach(category => category.subcategories.forEach(consider));
+  taxonomy.categories.forEach(consider);
+
+  const found = best as { node: TaxonomyNode } | null;
+  return found ? { topic: found.node, category: found.node.category } : null;
+};
+
+// Fill in `topic` and `category` of an interest being added or edited. A chosen `topic`
+// must exist; otherwise the name is matched against the taxonomy, and interests that
+// match nothing are filed under "Other". Returns field errors, if any.
+export const linkInterest = async (
+  body: Record<string, any>,
+  current?: { name?: string }
+): Promise<FieldErrors> => {
+  if (body.topic === undefined && typeof body.name !== 'string') {
+    return {};
+  }
+  const taxonomy = await loadTaxonomy();
+
+  if (body.topic !== undefined && body.topic !== null && body.topic !== '') {
+    const topic = mongoose.isValidObjectId(body.topic) ? taxonomy.byId.get(String(body.topic)) : undefined;
+    if (!topic) {
+      return { topic: 'Interest not found in the taxonomy' };
+    }
+    body.topic = topic.id;
+    body.category = topic.category.name;
+    if (body.name === undefined && !current) {
+      body.name = topic.name;
+    }
+    return {};
+  }
+
+  const name = typeof body.name === 'string' ? body.name : current?.name || '';
+  const match = matchInterest(taxonomy, name);
+  body.topic = match?.topic.id;
+  body.category = match?.category.name ?? FALLBACK_CATEGORY;
+  return {};
+};
+
+// Re-file one user's interests against the taxonomy: interests on an entry that still
+// exists pick up its current category name; the rest are matched by name, then by their
+// old category ("Robotics", "Gaming"). Returns the updated list, or null if nothing changed.
+export const remapInterests = (taxonomy: Taxonomy, interests: IUser['interests']): IUser['interests'] | null => {
+  let changed = false;
+  const remapped = interests.map(interest => {
+    const { _id, name, category, topic } = interest as typeof interest & { _id?: unknown };
+    const current = topic ? taxonomy.byId.get(String(topic)) : undefined;
+    const match = current
+      ? { topic: current, category: current.category }
+      : matchInterest(taxonomy, name) || (category && category !== FALLBACK_CATEGORY ? matchInterest(taxonomy, category) : null);
+
+    const next = {
+      _id,
+      name,
+      category: match?.category.name ?? FALLBACK_CATEGORY,
+      ...(match ? { topic: new mongoose.Types.ObjectId(match.topic.id) } : {})
+    };
+    if (next.category !== category || String(next.topic ?? '') !== String(topic ?? '')) {
+      changed = true;
+    }
+    return next;
+  });
+  return changed ? remapped as IUser['interests'] : null;
+};
+
+export interface RemapStats {
+  users: number;
+  updated: number;
+  unmatched: number;
+}
+
+// Re-file the interests of every user matching `filter` (by default everyone with
+// interests). Run after seeding the taxonomy and after entries are renamed, moved or removed.
+export const remapUserInterests = async (
+  filter: Record<string, unknown> = { 'interests.0': { $exists: true } }
+): Promise<RemapStats> => {
+  const taxonomy = await loadTaxonomy();
+  const stats: RemapStats = { users: 0, updated: 0, unmatched: 0 };
+
+  const cursor = User.find(filter).select('interests').cursor();
+  for await (const user of cursor) {
+    stats.users += 1;
+    const remapped = remapInterests(taxonomy, user.interests);
+    const interests = remapped || user.interests;
+    stats.unmatched += interests.filter(interest => !interest.topic).length;
+    if (remapped) {
+      // Only the interests change, so don't re-validate the rest of older profiles
+      await User.updateOne({ _id: user._id }, { $set: { interests: remapped } });
+      stats.updated += 1;
+    }
+  }
+  return stats;
+};
+
+const validationErrors = (document: mongoose.Document): FieldErrors => {
+  const error = document.validateSync();
+  return error && isValidationError(error) ? toFieldErrors(error) : {};
+};
+
+const isDuplicateKey = (error: any): boolean => error?.code === 11000;
+
+const cleanSynonyms = (synonyms: unknown): unknown =>
+  Array.isArray(synonyms)
+    ? [...new Set(synonyms.filter(synonym => typeof synonym === 'string' && synonym.trim()).map(synonym => synonym.trim()))]
+    : synonyms;
+
+// Check the parent and color rules that the schema can't: two levels only, and only
+// categories carry a color
+const structureErrors = async (topic: IInterestTopic): Promise<FieldErrors> => {
+  const errors: FieldErrors = {};
+  if (topic.parent) {
+    const parent = await InterestTopic.findById(topic.parent).select('parent');
+    if (!parent || parent.parent) {
+      errors.parent = 'Parent must be a top-level category';
+    } else if (String(parent._id) === String(topic._id)) {
+      errors.parent = 'An entry cannot be its own parent';
+    } else if (await InterestTopic.exists({ parent: topic._id })) {
+      errors.parent = 'Move or delete this category\'s subcategories before placing it under another';
+    }
+    if (topic.color) {
+      errors.color = 'Subcategories use their category\'s color';
+    }
+  } else if (!topic.color) {
+    errors.color = 'Categories need a display color';
+  }
+  return errors;
+};
+
+// Affected users: everyone whose interests sit on these entries
+const topicFilter = (ids: unknown[]) => ({ 'interests.topic': { $in: ids } });
+
+const saveTopic = async (topic: IInterestTopic) => {
+  const errors = { ...validationErrors(topic), ...(await structureErrors(topic)) };
+  if (Object.keys(errors).length > 0) {
+    throw new TaxonomyError(400, 'Validation failed', errors);
+  }
+  try {
+    await topic.save();
+  } catch (error: any) {
+    if (isDuplicateKey(error)) {
+      throw new TaxonomyError(409, `An entry with slug "${topic.slug}" already exists`, { slug: 'Slug already in use' });
+    }
+    throw error;
+  }
+  invalidateTaxonomyCache();
+  return topic;
+};
+
+const topicBody = (body: Record<string, any>) => {
+  const unknown = unknownFieldErrors(body, TOPIC_FIELDS);
+  if (Object.keys(unknown).length > 0) {
+    throw new TaxonomyError(400, 'Validation failed', unknown);
+  }
+  const fields: Record<string, unknown> = { ...body };
+  if ('synonyms' in body) fields.synonyms = cleanSynonyms(body.synonyms);
+  if (body.parent === '') fields.parent = null;
+  if (body.color === null || body.color === '') fields.color = undefined;
+  return fields;
+};
+
+// Add a category (no parent) or a subcategory
+export const createTopic = async (body: Record<string, any>) => {
+  const fields = topicBody(body);
+  if (!fields.slug && typeof fields.name === 'string') {
+    fields.slug = slugify(fields.name);
+  }
+  return saveTopic(new InterestTopic(fields));
+};
+
+// Edit an entry. Users whose interests sit on it (or under it) are re-filed so their
+// category names follow renames and moves.
+export const updateTopic = async (id: string, body: Record<string, any>) => {
+  const fields = topicBody(body);
+  const topic = mongoose.isValidObjectId(id) ? await InterestTopic.findById(id) : null;
+  if (!topic) {
+    throw new TaxonomyError(404, 'Taxonomy entry not found');
+  }
+  topic.set(fields);
+  await saveTopic(topic);
+
+  const children = await InterestTopic.find({ parent: topic._id }).select('_id');
+  await remapUserInterests(topicFilter([topic._id, ...children.map(child => child._id)]));
+  return topic;
+};
+
+// Remove an entry that has no subcategories. Interests that were on it are matched again.
+export const deleteTopic = async (id: string) => {
+  const topic = mongoose.isValidObjectId(id) ? await InterestTopic.findById(id) : null;
+  if (!topic) {
+    throw new TaxonomyError(404, 'Taxonomy entry not found');
+  }
+  if (await InterestTopic.exists({ parent: topic._id })) {
+    throw new TaxonomyError(409, 'Move or delete this category\'s subcategories first');
+  }
+  await InterestTopic.deleteOne({ _id: topic._id });
+  invalidateTaxonomyCache();
+  return remapUserInterests(topicFilter([topic._id]));
+};
+
+export interface TaxonomyImportStats {
+  added: number;
+  updated: number;
+}
+
+const validateImport = (entries: any[]): FieldErrors => {
+  const errors: FieldErrors = {};
+  const slugs = new Set<string>();
+  const placeholderId = new mongoose.Types.ObjectId();
+
+  const check = (entry: any, prefix: string, allowed: readonly string[], parent: boolean) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors[prefix.slice(0, -1)] = 'Each entry must be an object';
+      return false;
+    }
+    Object.entries(unknownFieldErrors(entry, allowed)).forEach(([field, message]) => {
+      errors[`${prefix}${field}`] = message;
+    });
+    const slug = entry.slug || (entry.name ? slugify(entry.name) : '');
+    if (slug && slugs.has(slug)) {
+      errors[`${prefix}slug`] = `Duplicate entry "${slug}"`;
+    }
+    slugs.add(slug);
+    const document = new InterestTopic({
+      slug,
+      name: entry.name,
+      synonyms: cleanSynonyms(entry.synonyms),
+      color: entry.color,
+      parent: parent ? placeholderId : null
+    });
+    Object.entries(validationErrors(document)).forEach(([field, message]) => {
+      errors[`${prefix}${field}`] = message;
+    });
+    if (!parent && !entry.color) errors[`${prefix}color`] = 'Categories need a display color';
+    if (parent && entry.color) errors[`${prefix}color`] = 'Subcategories use their category\'s color';
+    return true;
+  };
+
+  entries.forEach((category, index) => {
+    const prefix = `categories.${index}.`;
+    if (!check(category, prefix, IMPORT_FIELDS, false)) return;
+    const { subcategories = [] } = category;
+    if (!Array.isArray(subcategories)) {
+      errors[`${prefix}subcategories`] = 'Subcategories must be a list';
+      return;
+    }
+    subcategories.forEach((subcategory: any, subIndex: number) => {
+      check(subcategory, `${prefix}subcategories.${subIndex}.`, TOPIC_FIELDS.filter(field => field !== 'parent' && field !== 'order'), true);
+    });
+  });
+  return errors;
+};
+
+// Add or update taxonomy entries from a seed file's contents, matched by slug. The order
+// of the file becomes the display order. Entries missing from the file are left alone.
+export const importTaxonomy = async (data: unknown): Promise<TaxonomyImportStats> => {
+  const entries = Array.isArray(data) ? data : (data as any)?.categories;
+  if (!Array.isArray(entries)) {
+    throw new TaxonomyError(400, 'Taxonomy must be a list of categories or { "categories": [...] }');
+  }
+  const errors = validateImport(entries);
+  if (Object.keys(errors).length > 0) {
+    throw new TaxonomyError(400, 'Validation failed', errors);
+  }
+
+  const stats: TaxonomyImportStats = { added: 0, updated: 0 };
+  const upsert = async (fields: Record<string, unknown>) => {
+    const existing = await InterestTopic.findOne({ slug: fields.slug });
+    if (existing) {
+      existing.set(fields);
+      await existing.save();
+      stats.updated += 1;
+      return existing;
+    }
+    stats.added += 1;
+    return InterestTopic.create(fields);
+  };
+
+  for (const [index, { subcategories = [], ...category }] of entries.entries()) {
+    const saved = await upsert({
+      slug: category.slug || slugify(category.name),
+      name: category.name,
+      synonyms: cleanSynonyms(category.synonyms || []),
+      color: category.color,
+      parent: null,
+      order: index
+    });
+    for (const [subIndex, subcategory] of subcategories.entries()) {
+      await upsert({
+        slug: subcategory.slug || slugify(subcategory.name),
+        name: subcategory.name,
+        synonyms: cleanSynonyms(subcategory.synonyms || []),
+        color: undefined,
+        parent: saved._id,
+        order: subIndex
+      });
+    }
+  }
+
+  invalidateTaxonomyCache();
+  return stats;
+};
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Target chunk size in characters, and how much of the previous chunk to repeat
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+
+const DOCUMENT_EXTENSIONS = ['.md', '.json'];
+const IGNORED_FILES = ['readme.md'];
+
+export interface KnowledgeDocument {
+  // Path relative to the knowledge base directory, e.g. "careers/software-developer.md"
+  id: string;
+  title: string;
+  type?: string;
+  // Where the facts come from (URL or publication), shown with citations
+  source?: string;
+  body: string;
+  // Changes whenever the file's content does; unchanged documents are not re-embedded
+  hash: string;
+}
+
+export interface DocumentChunk {
+  section?: string;
+  text: string;
+}
+
+// Split "---\nkey: value\n---" front matter off a Markdown file
+const parseFrontMatter = (text: string): { meta: Record<string, string>; body: string } => {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (!match) return { meta: {}, body: text };
+
+  const meta: Record<string, string> = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      meta[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim().replace(/^["']|["']$/g, '');
+    }
+  });
+  return { meta, body: text.slice(match[0].length) };
+};
+
+const titleFromPath = (id: string): string =>
+  path.basename(id, path.extname(id)).replace(/[-_]+/g, ' ').replace(/\b\w/g, char => char.toUpperCase());
+
+const humanize = (key: string): string =>
+  key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[-_]+/g, ' ').replace(/^\w/, char => char.toUpperCase());
+
+// Render structured JSON fields (salary ranges, requirements...) as Markdown sections
+const renderValue = (value: unknown): string => {
+  if (Array.isArray(value)) return value.map(item => `- ${typeof item === 'object' ? JSON.stringify(item) : item}`).join('\n');
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, nested]) => `${humanize(key)}: ${renderValue(nested)}`).join('\n');
+  }
+  return String(value);
+};
+
+const markdownDocument = (id: string, text: string): Omit<KnowledgeDocument, 'hash'> => {
+  const { meta, body } = parseFrontMatter(text);
+  const heading = /^#\s+(.+)$/m.exec(body);
+  return {
+    id,
+    title: meta.title || heading?.[1].trim() || titleFromPath(id),
+    type: meta.type,
+    source: meta.source,
+    body
+  };
+};
+
+// JSON documents: { title, type?, source?, content?, ...structured fields }
+const jsonDocument = (id: string, text: string): Omit<KnowledgeDocument, 'hash'> => {
+  const data = JSON.parse(text);
+  const { title, type, source, content, ...fields } = data;
+  const sections = Object.entries(fields).map(([key, value]) => `## ${humanize(key)}\n${renderValue(value)}`);
+  return {
+    id,
+    title: title || titleFromPath(id),
+    type,
+    source,
+    body: [content, ...sections].filter(Boolean).join('\n\n')
+  };
+};
+
+const listFiles = async (dir: string): Promise<string[]> => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(async entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(full);
+    const include = DOCUMENT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+      && !IGNORED_FILES.includes(entry.name.toLowerCase());
+    return include ? [full] : [];
+  }));
+  return files.flat().sort();
+};
+
+// Load every Markdown and JSON document under `dir`
+export const loadDocuments = async (dir: string): Promise<KnowledgeDocument[]> => {
+  const files = await listFiles(dir);
+  return Promise.all(files.map(async file => {
+    const text = await fs.readFile(file, 'utf8');
+    const id = path.relative(dir, file).split(path.sep).join('/');
+    let document: Omit<KnowledgeDocument, 'hash'>;
+    try {
+      document = path.extname(file).toLowerCase() === '.json' ? jsonDocument(id, text) : markdownDocument(id, text);
+    } catch (error: any) {
+      throw new Error(`Could not parse knowledge document ${id}: ${error.message}`);
+    }
+    return { ...document, hash: crypto.createHash('sha256').update(text).digest('hex') };
+  }));
+};
+
+// Break long text into overlapping pieces, preferring paragraph and sentence boundaries
+const splitText = (text: string): string[] => {
+  if (text.length <= CHUNK_SIZE) return [text];
+
+  const pieces: string[] = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + CHUNK_SIZE, text.length);
+    if (end < text.length) {
+      const window = text.slice(start, end);
+      const boundary = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '));
+      if (boundary > CHUNK_SIZE / 2) end = start + boundary + 1;
+    }
+    pieces.push(text.slice(start, end).trim());
+    if (end >= text.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+  return pieces.filter(Boolean);
+};
+
+// Chunk a document by its Markdown headings, then by size. Each chunk starts with the
+// document title and section so it embeds (and reads) well on its own.
+export const chunkDocument = (document: KnowledgeDocument): DocumentChunk[] => {
+  const sections: Array<{ heading?: string; lines: string[] }> = [{ lines: [] }];
+  document.body.split(/\r?\n/).forEach(line => {
+    const heading = /^#{2,6}\s+(.+)$/.exec(line);
+    if (heading) {
+      sections.push({ heading: heading[1].trim(), lines: [] });
+    } else if (!/^#\s/.test(line)) {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+
+  return sections.flatMap(({ heading, lines }) => {
+    const text = lines.join('\n').trim();
+    if (!text) return [];
+    const prefix = heading ? `${document.title} — ${heading}` : document.title;
+    return splitText(text).map(piece => ({ section: heading, text: `${prefix}\n${piece}` }));
+  });
+};
@@ -0,0 +1,93 @@
+import { LLMError, isConnectionFailure, estimateTokens } from '../llm';
+import { logger, llmRequestDuration, llmTokens, requestIdHeader } from '../observability';
+
+export interface Embedder {
+  name: string;
+  model: string;
+  // One vector per input text, in the same order
+  embed(texts: string[]): Promise<number[][]>;
+}
+
+export interface OllamaEmbedderConfig {
+  baseUrl: string;
+  model: string;
+  // Texts sent per request while indexing
+  batchSize?: number;
+}
+
+const PROVIDER = 'ollama';
+
+// Embeddings through Ollama's local /api/embed endpoint (e.g. nomic-embed-text)
+export const createOllamaEmbedder = ({ baseUrl, model, batchSize = 16 }: OllamaEmbedderConfig): Embedder => {
+  const embedUrl = `${baseUrl.replace(/\/$/, '')}/api/embed`;
+
+  const requestBatch = async (input: string[]): Promise<{ embeddings: number[][]; promptTokens?: number }> => {
+    let response: Response;
+    try {
+      response = await fetch(embedUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...requestIdHeader() },
+        body: JSON.stringify({ model, input })
+      });
+    } catch (error: any) {
+      if (isConnectionFailure(error)) {
+        throw new LLMError('PROVIDER_UNAVAILABLE', 'Unable to connect to Ollama for embeddings', PROVIDER);
+      }
+      throw new LLMError('PROVIDER_ERROR', `Ollama embedding error: ${error.message}`, PROVIDER);
+    }
+
+    if (!response.ok) {
+      const detail = (await response.json().catch(() => ({}))).error || response.statusText;
+      if (response.status === 404 || /model .* not found/i.test(detail)) {
+        throw new LLMError('MODEL_NOT_FOUND', `Embedding model "${model}" is not installed in Ollama`, PROVIDER);
+      }
+      throw new LLMError('PROVIDER_ERROR', `Ollama embedding error: ${detail}`, PROVIDER);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data.embeddings) || data.embeddings.length !== input.length) {
+      throw new LLMError('EMPTY_RESPONSE', 'Ollama returned no embeddings', PROVIDER);
+    }
+    return { embeddings: data.embeddings, promptTokens: data.prompt_eval_count };
+  };
+
+  const embedBatch = async (input: string[]): Promise<number[][]> => {
+    const labels = { provider: PROVIDER, model, operation: 'embed' };
+    const stopTimer = llmRequestDuration.startTimer(labels);
+    try {
+      const { embeddings, promptTokens } = await requestBatch(input);
+      const seconds = stopTimer({ outcome: 'ok' });
+      const tokens = promptTokens ?? input.reduce((sum, text) => sum + estimateTokens(text), 0);
+      llmTokens.inc({ provider: PROVIDER, model, kind: 'prompt' }, tokens);
+      logger.debug('Embedding call finished', { ...labels, texts: input.length, durationMs: Math.round(seconds * 1000), promptTokens: tokens });
+      return embeddings;
+    } catch (error) {
+      stopTimer({ outcome: 'error' });
+      throw error;
+    }
+  };
+
+  return {
+    name: PROVIDER,
+    model,
+    embed: async (texts) => {
+      const vectors: number[][] = [];
+      for (let i = 0; i < texts.length; i += batchSize) {
+        vectors.push(...await embedBatch(texts.slice(i, i + batchSize)));
+      }
+      return vectors;
+    }
+  };
+};
+
+export const cosineSimilarity = (a: number[], b: number[]): number => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
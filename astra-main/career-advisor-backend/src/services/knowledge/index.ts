@@ -0,0 +1,201 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import KnowledgeChunk from '../../models/KnowledgeChunk';
+import { OLLAMA_BASE_URL } from '../llm';
+import { logger } from '../observability';
+import { Embedder, createOllamaEmbedder, cosineSimilarity } from './embeddings';
+import { loadDocuments, chunkDocument } from './documents';
+
+dotenv.config();
+
+export { Embedder } from './embeddings';
+
+// Career profiles and program descriptions, as Markdown/JSON files (see knowledge/README.md)
+export const KNOWLEDGE_BASE_DIR = path.resolve(
+  process.env.KNOWLEDGE_BASE_DIR || path.join(__dirname, '..', '..', '..', 'knowledge')
+);
+const KNOWLEDGE_ENABLED = process.env.KNOWLEDGE_ENABLED !== 'false';
+const EMBEDDING_MODEL = process.env.OLLAMA_EMBED_MODEL || 'nomic-embed-text';
+const TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K || '4', 10);
+// Matches below this cosine similarity are treated as unrelated to the question
+const MIN_SCORE = parseFloat(process.env.KNOWLEDGE_MIN_SCORE || '0.45');
+
+// Indexed chunks are cached in memory; a reindex in another process is picked up after this
+const CACHE_TTL_MS = 60 * 1000;
+
+export interface KnowledgeMatch {
+  documentId: string;
+  title: string;
+  type?: string;
+  source?: string;
+  section?: string;
+  text: string;
+  score: number;
+}
+
+// A cited document as stored with an advisor reply and shown to the student
+export interface KnowledgeSource {
+  // The [n] marker used in the prompt and the reply
+  ref: number;
+  documentId: string;
+  title: string;
+  section?: string;
+  source?: string;
+}
+
+export interface ReindexStats {
+  documents: number;
+  added: number;
+  updated: number;
+  unchanged: number;
+  removed: number;
+  chunks: number;
+}
+
+let embedder: Embedder | null = null;
+
+export const getEmbedder = (): Embedder => {
+  if (!embedder) {
+    embedder = createOllamaEmbedder({ baseUrl: OLLAMA_BASE_URL, model: EMBEDDING_MODEL });
+  }
+  return embedder;
+};
+
+type CachedChunk = Omit<KnowledgeMatch, 'score'> & { embedding: number[] };
+let cache: { chunks: CachedChunk[]; loadedAt: number } | null = null;
+
+const loadIndex = async (): Promise<CachedChunk[]> => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.chunks;
+
+  const chunks = await KnowledgeChunk.find({ embeddingModel: getEmbedder().model })
+    .select('documentId title type source section text embedding')
+    .lean();
+  cache = {
+    chunks: chunks.map(({ documentId, title, type, source, section, text, embedding }) =>
+      ({ documentId, title, type, source, section, text, embedding })),
+    loadedAt: Date.now()
+  };
+  return cache.chunks;
+};
+
+// Re-read the knowledge base directory and embed new or changed documents. Documents whose
+// content and embedding model are unchanged keep their existing vectors unless `force` is set.
+export const reindexKnowledgeBase = async ({ force = false } = {}): Promise<ReindexStats> => {
+  const model = getEmbedder().model;
+  const documents = await loadDocuments(KNOWLEDGE_BASE_DIR);
+  const stats: ReindexStats = { documents: documents.length, added: 0, updated: 0, unchanged: 0, removed: 0, chunks: 0 };
+
+  const indexed = await KnowledgeChunk.aggregate<{ _id: string; hash: string; model: string }>([
+    { $group: { _id: '$documentId', hash: { $first: '$documentHash' }, model: { $first: '$embeddingModel' } } }
+  ]);
+  const indexedById = new Map(indexed.map(entry => [entry._id, entry]));
+
+  for (const document of documents) {
+    const existing = indexedById.get(document.id);
+    indexedById.delete(document.id);
+    if (!force && existing && existing.hash === document.hash && existing.model === model) {
+      stats.unchanged++;
+      continue;
+    }
+
+    const chunks = chunkDocument(document);
+    const embeddings = await getEmbedder().embed(chunks.map(chunk => chunk.text));
+    await KnowledgeChunk.deleteMany({ documentId: document.id });
+    await KnowledgeChunk.insertMany(chunks.map((chunk, position) => ({
+      documentId: document.id,
+      documentHash: document.hash,
+      title: document.title,
+      type: document.type,
+      source: document.source,
+      section: chunk.section,
+      position,
+      text: chunk.text,
+      embedding: embeddings[position],
+      embeddingModel: model
+    })));
+    if (existing) stats.updated++;
+    else stats.added++;
+  }
+
+  // Whatever is left in the index no longer exists on disk
+  const removed = Array.from(indexedById.keys());
+  if (removed.length > 0) {
+    await KnowledgeChunk.deleteMany({ documentId: { $in: removed } });
+  }
+  stats.removed = removed.length;
+  stats.chunks = await KnowledgeChunk.countDocuments();
+
+  cache = null;
+  return stats;
+};
+
+// The chunks most similar to `query`, best first
+export const searchKnowledge = async (query: string, limit = TOP_K): Promise<KnowledgeMatch[]> => {
+  const chunks = await loadIndex();
+  if (chunks.length === 0) return [];
+
+  const [queryEmbedding] = await getEmbedder().embed([query]);
+  return chunks
+    .map(({ embedding, ...chunk }) => ({ ...chunk, score: cosineSimilarity(queryEmbedding, embedding) }))
+    .filter(match => match.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Reference material for the advisor's answer to `question`. Retrieval problems (Ollama
+// down, embedding model missing) only cost the answer its sources, so they are logged
+// rather than thrown.
+export const retrieveKnowledge = async (question: string): Promise<KnowledgeMatch[]> => {
+  if (!KNOWLEDGE_ENABLED) return [];
+  try {
+    return await searchKnowledge(question);
+  } catch (error: any) {
+    logger.error('Knowledge retrieval failed', error);
+    return [];
+  }
+};
+
+// Number retrieved matches for the prompt, one reference per document
+export const toSources = (matches: KnowledgeMatch[]): KnowledgeSource[] => {
+  const sources: KnowledgeSource[] = [];
+  matches.forEach(match => {
+    if (sources.some(source => source.documentId === match.documentId)) return;
+    sources.push({
+      ref: sources.length + 1,
+      documentId: match.documentId,
+      title: match.title,
+      section: match.section,
+      source: match.source
+    });
+  });
+  return sources;
+};
+
+// Reference material block for the prompt, with each excerpt tagged by its [n] marker
+export const buildKnowledgeContext = (matches: KnowledgeMatch[], sources: KnowledgeSource[]): string =>
+  matches.map(match => {
+    const { ref } = sources.find(source => source.documentId === match.documentId)!;
+    return `[${ref}] ${match.text}`;
+  }).join('\n\n');
+
+// The sources a reply actually cites with [n] markers; all of them if it cites none
+export const citedSources = (sources: KnowledgeSource[], reply: string): KnowledgeSource[] => {
+  const cited = sources.filter(source => new RegExp(`\\[${source.ref}\\]`).test(reply));
+  return cited.length > 0 ? cited : sources;
+};
+
+export const knowledgeStats = async () => {
+  const [documentIds, chunks, latest] = await Promise.all([
+    KnowledgeChunk.distinct('documentId'),
+    KnowledgeChunk.countDocuments(),
+    KnowledgeChunk.findOne().sort({ updatedAt: -1 }).select('updatedAt')
+  ]);
+  return {
+    enabled: KNOWLEDGE_ENABLED,
+    directory: KNOWLEDGE_BASE_DIR,
+    embeddingModel: getEmbedder().model,
+    documents: documentIds.length,
+    chunks,
+    lastIndexedAt: latest?.updatedAt ?? null
+  };
+};
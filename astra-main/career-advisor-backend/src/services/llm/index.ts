@@ -0,0 +1,82 @@
+import dotenv from 'dotenv';
+import { LLMProvider, LLMError } from './types';
+import { createOllamaProvider } from './ollamaProvider';
+import { createOpenAICompatibleProvider } from './openaiCompatibleProvider';
+import { createMockProvider } from './mockProvider';
+import { instrumentProvider } from './instrumented';
+
+dotenv.config();
+
+export * from './types';
+export { estimateTokens } from './tokens';
+
+export const PROVIDER_NAMES = ['ollama', 'openai', 'mock'] as const;
+export type ProviderName = typeof PROVIDER_NAMES[number];
+
+// Optional per-request override of the deployment's provider and model
+export interface ProviderSelection {
+  provider?: string;
+  model?: string;
+}
+
+// OLLAMA_API_URL used to point at /api/generate; accept it as a base URL for older .env files
+export const OLLAMA_BASE_URL = (process.env.OLLAMA_BASE_URL || process.env.OLLAMA_API_URL || 'http://localhost:11434')
+  .replace(/\/api\/generate\/?$/, '')
+  .replace(/\/$/, '');
+
+const DEFAULT_PROVIDER = (process.env.LLM_PROVIDER || 'ollama') as ProviderName;
+
+const defaultModel = (provider: ProviderName): string => {
+  if (process.env.LLM_MODEL && provider === DEFAULT_PROVIDER) {
+    return process.env.LLM_MODEL;
+  }
+  switch (provider) {
+    case 'openai':
+      return process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    case 'mock':
+      return 'mock-advisor';
+    default:
+      return process.env.OLLAMA_MODEL || 'mistral';
+  }
+};
+
+const createProvider = (provider: ProviderName, model: string): LLMProvider => {
+  switch (provider) {
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model
+      });
+    case 'mock':
+      return createMockProvider({ model, scriptPath: process.env.MOCK_LLM_SCRIPT });
+    default:
+      return createOllamaProvider({ baseUrl: OLLAMA_BASE_URL, model });
+  }
+};
+
+const providers = new Map<string, LLMProvider>();
+
+export const isProviderName = (name: unknown): name is ProviderName =>
+  typeof name === 'string' && (PROVIDER_NAMES as readonly string[]).includes(name);
+
+// Get the deployment's provider, or the one named in `selection`
+export const getProvider = (selection: ProviderSelection = {}): LLMProvider => {
+  const name = selection.provider ?? DEFAULT_PROVIDER;
+  if (!isProviderName(name)) {
+    throw new LLMError('INVALID_REQUEST', `Unknown LLM provider "${name}"`, String(name));
+  }
+
+  const model = selection.model || defaultModel(name);
+  const key = `${name}:${model}`;
+  if (!providers.has(key)) {
+    providers.set(key, instrumentProvider(createProvider(name, model)));
+  }
+  return providers.get(key)!;
+};
+
+// Describe the configured defaults, for the admin provider listing
+export const describeProviders = () => ({
+  default: { provider: DEFAULT_PROVIDER, model: defaultModel(DEFAULT_PROVIDER) },
+  available: PROVIDER_NAMES.map(name => ({ provider: name, defaultModel: defaultModel(name) }))
+});
@@ -0,0 +1,44 @@
+import { ChatResult, ChatTurn, LLMProvider } from './types';
+import { estimateTokens } from './tokens';
+import { logger, llmRequestDuration, llmTokens } from '../observability';
+
+type Operation = 'chat' | 'stream';
+
+// Time one provider call and count its tokens. Providers that don't report usage (or a
+// cancelled stream) are counted with the same estimate usage accounting falls back to.
+const observe = async <T extends ChatResult & { aborted?: boolean }>(
+  provider: LLMProvider,
+  operation: Operation,
+  messages: ChatTurn[],
+  call: () => Promise<T>
+): Promise<T> => {
+  const labels = { provider: provider.name, model: provider.model, operation };
+  const stopTimer = llmRequestDuration.startTimer(labels);
+
+  try {
+    const result = await call();
+    const outcome = result.aborted ? 'aborted' : 'ok';
+    const seconds = stopTimer({ outcome });
+
+    const promptTokens = result.promptTokens ?? messages.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+    const completionTokens = result.completionTokens ?? estimateTokens(result.content);
+    llmTokens.inc({ provider: provider.name, model: provider.model, kind: 'prompt' }, promptTokens);
+    llmTokens.inc({ provider: provider.name, model: provider.model, kind: 'completion' }, completionTokens);
+
+    logger.info('LLM call finished', { ...labels, outcome, durationMs: Math.round(seconds * 1000), turns: messages.length, promptTokens, completionTokens });
+    return result;
+  } catch (error: any) {
+    const seconds = stopTimer({ outcome: 'error' });
+    logger.warn('LLM call failed', { ...labels, durationMs: Math.round(seconds * 1000), turns: messages.length, err: error });
+    throw error;
+  }
+};
+
+// Wrap a provider so every call made through it shows up in the LLM metrics and logs
+export const instrumentProvider = (provider: LLMProvider): LLMProvider => ({
+  name: provider.name,
+  model: provider.model,
+  chat: (messages, options) => observe(provider, 'chat', messages, () => provider.chat(messages, options)),
+  streamChat: (messages, callbacks, options) =>
+    observe(provider, 'stream', messages, () => provider.streamChat(messages, callbacks, options))
+});
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import {
+  ChatTurn,
+  ChatResult,
+  LLMError,
+  LLMProvider,
+  StreamCallbacks,
+  StreamResult
+} from './types';
+import { estimateTokens } from './tokens';
+
+// One scripted exchange: the first rule whose pattern matches the latest user turn wins
+export interface MockRule {
+  match: string;
+  reply?: string;
+  // Simulate a provider failure instead of replying
+  error?: LLMError['code'];
+}
+
+export interface MockConfig {
+  model: string;
+  // Path to a JSON array of MockRule; without one every reply echoes the question
+  scriptPath?: string;
+}
+
+const PROVIDER = 'mock';
+
+const loadScript = (scriptPath?: string): MockRule[] => {
+  if (!scriptPath) return [];
+  return JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+};
+
+// Deterministic provider for development and tests: no network, same input, same output
+export const createMockProvider = ({ model, scriptPath }: MockConfig): LLMProvider => {
+  const rules = loadScript(scriptPath);
+
+  const replyFor = (messages: ChatTurn[]): string => {
+    const latest = [...messages].reverse().find(turn => turn.role === 'user')?.content || '';
+    const rule = rules.find(candidate => new RegExp(candidate.match, 'i').test(latest));
+
+    if (rule?.error) {
+      throw new LLMError(rule.error, `Mock provider scripted error: ${rule.error}`, PROVIDER);
+    }
+    if (rule?.reply) {
+      return rule.reply;
+    }
+    return `Mock advisor reply (${messages.length} messages in context) to: ${latest}`;
+  };
+
+  const usage = (messages: ChatTurn[], content: string) => ({
+    promptTokens: messages.reduce((sum, turn) => sum + estimateTokens(turn.content), 0),
+    completionTokens: estimateTokens(content)
+  });
+
+  const chat = async (messages: ChatTurn[]): Promise<ChatResult> => {
+    const content = replyFor(messages);
+    return { content, ...usage(messages, content) };
+  };
+
+  const streamChat = async (messages: ChatTurn[], { onToken, signal }: StreamCallbacks): Promise<StreamResult> => {
+    const reply = replyFor(messages);
+    let content = '';
+
+    // Emit word by word so streaming clients can be exercised without a model server
+    for (const token of reply.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) {
+        return { content: content.trim(), aborted: true };
+      }
+      content += token;
+      onToken(token);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return { content: content.trim(), aborted: false, ...usage(messages, content) };
+  };
+
+  return { name: PROVIDER, model, chat, streamChat };
+};
@@ -0,0 +1,163 @@
+import {
+  ChatTurn,
+  ChatResult,
+  GenerationOptions,
+  LLMError,
+  LLMProvider,
+  StreamCallbacks,
+  StreamResult,
+  isConnectionFailure
+} from './types';
+import { requestIdHeader } from '../observability';
+
+export interface OllamaConfig {
+  baseUrl: string;
+  model: string;
+}
+
+const PROVIDER = 'ollama';
+
+const toOllamaOptions = (options: GenerationOptions = {}) => ({
+  temperature: options.temperature ?? 0.7,
+  top_p: options.topP ?? 0.9,
+  num_predict: options.maxTokens ?? 1000
+});
+
+// Map a failed HTTP response from Ollama onto a typed error
+const responseError = async (response: Response, model: string): Promise<LLMError> => {
+  const errorData = await response.json().catch(() => ({}));
+  const detail = errorData.error || response.statusText;
+
+  if (response.status === 404 || /model .* not found/i.test(detail)) {
+    return new LLMError('MODEL_NOT_FOUND', `Model "${model}" is not installed in Ollama`, PROVIDER);
+  }
+  if (response.status === 400) {
+    return new LLMError('INVALID_REQUEST', `Ollama rejected the request: ${detail}`, PROVIDER);
+  }
+  if (response.status === 429 || response.status === 503) {
+    return new LLMError('RATE_LIMITED', `Ollama is busy: ${detail}`, PROVIDER, 5);
+  }
+  return new LLMError('PROVIDER_ERROR', `Ollama API error: ${detail}`, PROVIDER);
+};
+
+const toLLMError = (error: any): LLMError => {
+  if (error instanceof LLMError) return error;
+  if (isConnectionFailure(error)) {
+    return new LLMError(
+      'PROVIDER_UNAVAILABLE',
+      'Unable to connect to Ollama service. Please make sure Ollama is running locally.',
+      PROVIDER
+    );
+  }
+  return new LLMError('PROVIDER_ERROR', `Ollama error: ${error.message}`, PROVIDER);
+};
+
+export const createOllamaProvider = ({ baseUrl, model }: OllamaConfig): LLMProvider => {
+  const chatUrl = `${baseUrl.replace(/\/$/, '')}/api/chat`;
+
+  const request = (messages: ChatTurn[], stream: boolean, options?: GenerationOptions, signal?: AbortSignal) =>
+    fetch(chatUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...requestIdHeader()
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        stream,
+        options: toOllamaOptions(options)
+      }),
+      signal
+    });
+
+  const chat = async (messages: ChatTurn[], options?: GenerationOptions): Promise<ChatResult> => {
+    try {
+      const response = await request(messages, false, options);
+      if (!response.ok) {
+        throw await responseError(response, model);
+      }
+
+      const data = await response.json();
+      const content = data.message?.content;
+      if (!content) {
+        throw new LLMError('EMPTY_RESPONSE', 'No response content received from Ollama', PROVIDER);
+      }
+
+      return {
+        content: content.trim(),
+        promptTokens: data.prompt_eval_count,
+        completionTokens: data.eval_count
+      };
+    } catch (error: any) {
+      throw toLLMError(error);
+    }
+  };
+
+  const streamChat = async (
+    messages: ChatTurn[],
+    { onToken, signal }: StreamCallbacks,
+    options?: GenerationOptions
+  ): Promise<StreamResult> => {
+    let content = '';
+    let promptTokens: number | undefined;
+    let completionTokens: number | undefined;
+
+    try {
+      const response = await request(messages, true, options, signal);
+      if (!response.ok || !response.body) {
+        throw await responseError(response, model);
+      }
+
+      // Ollama streams newline-delimited JSON objects, one per generated chunk
+      const handleLine = (line: string) => {
+        if (!line.trim()) return;
+        let chunk: any;
+        try {
+          chunk = JSON.parse(line);
+        } catch {
+          throw new LLMError('PROVIDER_ERROR', 'Ollama sent a malformed stream chunk', PROVIDER);
+        }
+        if (chunk.error) {
+          throw new LLMError('PROVIDER_ERROR', `Ollama API error: ${chunk.error}`, PROVIDER);
+        }
+        const token = chunk.message?.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+        if (chunk.done) {
+          promptTokens = chunk.prompt_eval_count;
+          completionTokens = chunk.eval_count;
+        }
+      };
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+        lines.forEach(handleLine);
+      }
+      // The last chunk need not end with a newline
+      handleLine(buffer + decoder.decode());
+
+      return { content: content.trim(), aborted: false, promptTokens, completionTokens };
+    } catch (error: any) {
+      if (signal?.aborted) {
+        return { content: content.trim(), aborted: true };
+      }
+      const llmError = toLLMError(error);
+      llmError.partialContent = content.trim();
+      throw llmError;
+    }
+  };
+
+  return { name: PROVIDER, model, chat, streamChat };
+};
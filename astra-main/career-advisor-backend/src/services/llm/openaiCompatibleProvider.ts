@@ -0,0 +1,123 @@
+import OpenAI from 'openai';
+import {
+  ChatTurn,
+  ChatResult,
+  GenerationOptions,
+  LLMError,
+  LLMProvider,
+  StreamCallbacks,
+  StreamResult,
+  isConnectionFailure
+} from './types';
+import { requestIdHeader } from '../observability';
+
+export interface OpenAICompatibleConfig {
+  // e.g. http://localhost:8080/v1 for llama.cpp or http://localhost:8000/v1 for vLLM
+  baseUrl: string;
+  apiKey?: string;
+  model: string;
+}
+
+const PROVIDER = 'openai';
+
+const toLLMError = (error: any): LLMError => {
+  if (error instanceof LLMError) return error;
+
+  if (error instanceof OpenAI.APIConnectionError || isConnectionFailure(error)) {
+    return new LLMError(
+      'PROVIDER_UNAVAILABLE',
+      'Unable to connect to the OpenAI-compatible endpoint. Please make sure the model server is running.',
+      PROVIDER
+    );
+  }
+
+  if (error instanceof OpenAI.APIError) {
+    switch (error.status) {
+      case 401:
+      case 403:
+        return new LLMError('AUTHENTICATION_FAILED', 'The model server rejected the configured API key', PROVIDER);
+      case 404:
+        return new LLMError('MODEL_NOT_FOUND', `Model not found: ${error.message}`, PROVIDER);
+      case 429: {
+        const retryAfter = parseInt(error.headers?.['retry-after'] || '', 10);
+        return new LLMError('RATE_LIMITED', 'The model server is rate limiting requests', PROVIDER, isNaN(retryAfter) ? undefined : retryAfter);
+      }
+      case 400:
+      case 422:
+        return new LLMError('INVALID_REQUEST', `The model server rejected the request: ${error.message}`, PROVIDER);
+    }
+  }
+
+  return new LLMError('PROVIDER_ERROR', `OpenAI-compatible API error: ${error.message}`, PROVIDER);
+};
+
+export const createOpenAICompatibleProvider = ({ baseUrl, apiKey, model }: OpenAICompatibleConfig): LLMProvider => {
+  // Local servers usually ignore the key, but the client library requires one
+  const client = new OpenAI({ baseURL: baseUrl, apiKey: apiKey || 'not-needed', maxRetries: 0 });
+
+  const params = (messages: ChatTurn[], options: GenerationOptions = {}) => ({
+    model,
+    messages,
+    temperature: options.temperature ?? 0.7,
+    top_p: options.topP ?? 0.9,
+    max_tokens: options.maxTokens ?? 1000
+  });
+
+  const chat = async (messages: ChatTurn[], options?: GenerationOptions): Promise<ChatResult> => {
+    try {
+      const completion = await client.chat.completions.create(params(messages, options), { headers: requestIdHeader() });
+      const content = completion.choices[0]?.message?.content;
+      if (!content) {
+        throw new LLMError('EMPTY_RESPONSE', 'No response content received from the model server', PROVIDER);
+      }
+
+      return {
+        content: content.trim(),
+        promptTokens: completion.usage?.prompt_tokens,
+        completionTokens: completion.usage?.completion_tokens
+      };
+    } catch (error: any) {
+      throw toLLMError(error);
+    }
+  };
+
+  const streamChat = async (
+    messages: ChatTurn[],
+    { onToken, signal }: StreamCallbacks,
+    options?: GenerationOptions
+  ): Promise<StreamResult> => {
+    let content = '';
+    let promptTokens: number | undefined;
+    let completionTokens: number | undefined;
+
+    try {
+      const stream = await client.chat.completions.create(
+        { ...params(messages, options), stream: true, stream_options: { include_usage: true } },
+        { signal, headers: requestIdHeader() }
+      );
+
+      for await (const chunk of stream) {
+        const token = chunk.choices[0]?.delta?.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+        if (chunk.usage) {
+          promptTokens = chunk.usage.prompt_tokens;
+          completionTokens = chunk.usage.completion_tokens;
+        }
+      }
+
+      return { content: content.trim(), aborted: false, promptTokens, completionTokens };
+    } catch (error: any) {
+      if (signal?.aborted || error instanceof OpenAI.APIUserAbortError) {
+        return { content: content.trim(), aborted: true };
+      }
+      const llmError = toLLMError(error);
+      llmError.partialContent = content.trim();
+      throw llmError;
+    }
+  };
+
+  return { name: PROVIDER, model, chat, streamChat };
+};
@@ -0,0 +1,2 @@
+// Approximate token count; ~4 characters per token is close enough for budgeting
+export const estimateTokens = (text: string): number => Math.ceil(text.length / 4);
@@ -0,0 +1,84 @@
+export type ChatTurnRole = 'system' | 'user' | 'assistant';
+
+export interface ChatTurn {
+  role: ChatTurnRole;
+  content: string;
+}
+
+export interface GenerationOptions {
+  temperature?: number;
+  topP?: number;
+  maxTokens?: number;
+}
+
+export interface ChatResult {
+  content: string;
+  // Token usage as reported by the backend, when it reports it
+  promptTokens?: number;
+  completionTokens?: number;
+}
+
+export interface StreamResult extends ChatResult {
+  aborted: boolean;
+}
+
+export interface StreamCallbacks {
+  onToken: (token: string) => void;
+  signal?: AbortSignal;
+}
+
+// Common interface every LLM backend implements
+export interface LLMProvider {
+  name: string;
+  model: string;
+  chat(messages: ChatTurn[], options?: GenerationOptions): Promise<ChatResult>;
+  streamChat(messages: ChatTurn[], callbacks: StreamCallbacks, options?: GenerationOptions): Promise<StreamResult>;
+}
+
+export type LLMErrorCode =
+  | 'PROVIDER_UNAVAILABLE'
+  | 'AUTHENTICATION_FAILED'
+  | 'RATE_LIMITED'
+  | 'MODEL_NOT_FOUND'
+  | 'INVALID_REQUEST'
+  | 'EMPTY_RESPONSE'
+  | 'PROVIDER_ERROR';
+
+// HTTP status the API responds with for each error code
+const STATUS_BY_CODE: Record<LLMErrorCode, number> = {
+  PROVIDER_UNAVAILABLE: 503,
+  AUTHENTICATION_FAILED: 503,
+  RATE_LIMITED: 429,
+  MODEL_NOT_FOUND: 503,
+  INVALID_REQUEST: 400,
+  EMPTY_RESPONSE: 502,
+  PROVIDER_ERROR: 502
+};
+
+// Typed error raised by every provider, so routes never have to parse messages
+export class LLMError extends Error {
+  code: LLMErrorCode;
+  provider: string;
+  status: number;
+  // Seconds until the backend accepts requests again (RATE_LIMITED only)
+  retryAfter?: number;
+  // Text generated before a streaming request failed
+  partialContent?: string;
+
+  constructor(code: LLMErrorCode, message: string, provider: string, retryAfter?: number) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.provider = provider;
+    this.status = STATUS_BY_CODE[code];
+    this.retryAfter = retryAfter;
+  }
+}
+
+export const isLLMError = (error: unknown): error is LLMError => error instanceof LLMError;
+
+// Network failures from fetch surface as TypeError('fetch failed') with the cause attached
+export const isConnectionFailure = (error: any): boolean => {
+  const text = `${error?.message || ''} ${error?.cause?.code || ''} ${error?.cause?.message || ''}`;
+  return /ECONNREFUSED|ENOTFOUND|ECONNRESET|EAI_AGAIN|fetch failed|Failed to fetch/.test(text);
+};
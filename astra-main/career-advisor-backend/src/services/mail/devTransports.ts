@@ -0,0 +1,26 @@
+import fs from 'fs';
+import path from 'path';
+import { MailMessage, MailTransport } from './types';
+import { logger } from '../observability';
+
+// Write each message to a file in `outputDir`, for local development without an SMTP server
+export const createFileTransport = (outputDir: string): MailTransport => ({
+  name: 'file',
+  async send(message: MailMessage) {
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    const slug = message.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const file = path.join(outputDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}.txt`);
+    await fs.promises.writeFile(file, `To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+    logger.info('Mail written to file', { to: message.to, subject: message.subject, file });
+  }
+});
+
+// Note each message in the server log, without the body since it can hold live links. The
+// recipient is logged under `to`, which the logger redacts. Use the file transport to read
+// what was sent.
+export const createConsoleTransport = (): MailTransport => ({
+  name: 'console',
+  async send(message: MailMessage) {
+    logger.info('Mail sent', { to: message.to, subject: message.subject });
+  }
+});
@@ -0,0 +1,55 @@
+import dotenv from 'dotenv';
+import { MailMessage, MailTransport } from './types';
+import { createSmtpTransport } from './smtpTransport';
+import { createFileTransport, createConsoleTransport } from './devTransports';
+
+dotenv.config();
+
+export * from './types';
+
+const createTransport = (name: string): MailTransport => {
+  switch (name) {
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT is smtp but SMTP_HOST is not set');
+      }
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.MAIL_FROM || 'CareerCompass <no-reply@careercompass.app>'
+      });
+    case 'file':
+      return createFileTransport(process.env.MAIL_OUTPUT_DIR || 'mail-outbox');
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport "${name}"`);
+  }
+};
+
+let transport: MailTransport | null = null;
+
+// Outside production an unset MAIL_TRANSPORT means file, so developers can open the links in
+// the mails they trigger. Production must choose one, since mails carry live verification and
+// password reset links.
+const transportName = (): string => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  return 'file';
+};
+
+// The deployment's mail transport (MAIL_TRANSPORT, file by default outside production).
+// Throws when it is misconfigured; the server calls this on startup so that happens early.
+export const getMailTransport = (): MailTransport => {
+  if (!transport) {
+    transport = createTransport(transportName());
+  }
+  return transport;
+};
+
+export const sendMail = (message: MailMessage): Promise<void> => getMailTransport().send(message);
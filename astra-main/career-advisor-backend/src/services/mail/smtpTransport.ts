@@ -0,0 +1,28 @@
+import nodemailer from 'nodemailer';
+import { MailMessage, MailTransport } from './types';
+
+export interface SmtpConfig {
+  host: string;
+  port: number;
+  secure: boolean;
+  user?: string;
+  pass?: string;
+  from: string;
+}
+
+// Deliver mail through any SMTP server
+export const createSmtpTransport = ({ host, port, secure, user, pass, from }: SmtpConfig): MailTransport => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message: MailMessage) {
+      await transporter.sendMail({ from, ...message });
+    }
+  };
+};
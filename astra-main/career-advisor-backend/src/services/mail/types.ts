@@ -0,0 +1,13 @@
+// A plain-text email, optionally with an HTML alternative
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html?: string;
+}
+
+// Every mail transport (SMTP, file, console) implements this interface
+export interface MailTransport {
+  name: string;
+  send(message: MailMessage): Promise<void>;
+}
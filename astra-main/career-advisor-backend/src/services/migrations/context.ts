@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import { MigrationContext } from './types';
+
+// Documents are written in batches of this many by updateEach
+const BATCH_SIZE = 500;
+
+export const createContext = (
+  db: mongoose.mongo.Db,
+  dryRun: boolean,
+  log: (message: string) => void
+): MigrationContext => ({
+  db,
+  dryRun,
+  log,
+
+  updateMany: async (collection, filter, update) => {
+    if (dryRun) {
+      const count = await db.collection(collection).countDocuments(filter);
+      log(`would update ${count} ${collection}`);
+      return count;
+    }
+    const { modifiedCount } = await db.collection(collection).updateMany(filter, update);
+    log(`updated ${modifiedCount} ${collection}`);
+    return modifiedCount;
+  },
+
+  updateEach: async (collection, filter, change) => {
+    let batch: mongoose.mongo.AnyBulkWriteOperation[] = [];
+    let changed = 0;
+    const flush = async () => {
+      if (batch.length > 0 && !dryRun) {
+        await db.collection(collection).bulkWrite(batch, { ordered: false });
+      }
+      batch = [];
+    };
+
+    for await (const document of db.collection(collection).find(filter)) {
+      const update = await change(document);
+      if (!update) continue;
+      changed += 1;
+      batch.push({ updateOne: { filter: { _id: document._id }, update } });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    log(`${dryRun ? 'would update' : 'updated'} ${changed} ${collection}`);
+    return changed;
+  }
+});
@@ -0,0 +1,15 @@
+// Numbered schema migrations (src/migrations) with a record of what has been applied and a
+// lock so only one process migrates at a time
+
+export { Migration, MigrationContext, MigrationError, MigrationLockError } from './types';
+export { LOCK_TTL_MS } from './lock';
+export {
+  MigrationStatus,
+  RunOptions,
+  loadMigrations,
+  migrationStatus,
+  pendingMigrations,
+  migrateUp,
+  migrateDown
+} from './runner';
+export { STARTUP_MODES, StartupMode, checkMigrationsOnStartup } from './startup';
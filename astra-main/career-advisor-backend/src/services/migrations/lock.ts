@@ -0,0 +1,38 @@
+import os from 'os';
+import MigrationLock from '../../models/MigrationLock';
+import { MigrationLockError } from './types';
+
+const LOCK_NAME = 'migrations';
+
+// A holder that crashed stops blocking others after this long. Running migrations renew
+// the lock before each step, so a single step may take up to this long.
+export const LOCK_TTL_MS = 15 * 60 * 1000;
+
+export const lockOwner = `${os.hostname()}:${process.pid}`;
+
+const isDuplicateKey = (error: any): boolean => error?.code === 11000;
+
+// Take (or renew) the migration lock. Fails if another process holds an unexpired one.
+export const acquireLock = async (): Promise<void> => {
+  // The unique index on the name is what makes two concurrent upserts collide
+  await MigrationLock.init();
+  const now = new Date();
+  try {
+    await MigrationLock.findOneAndUpdate(
+      { name: LOCK_NAME, $or: [{ owner: lockOwner }, { expiresAt: { $lte: now } }] },
+      { $set: { owner: lockOwner, acquiredAt: now, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+      { upsert: true }
+    );
+  } catch (error: any) {
+    if (!isDuplicateKey(error)) throw error;
+    const lock = await MigrationLock.findOne({ name: LOCK_NAME });
+    throw new MigrationLockError(
+      `Migrations are already running in ${lock?.owner || 'another process'}` +
+      (lock ? ` (lock expires ${lock.expiresAt.toISOString()})` : '')
+    );
+  }
+};
+
+export const releaseLock = async (): Promise<void> => {
+  await MigrationLock.deleteOne({ name: LOCK_NAME, owner: lockOwner });
+};
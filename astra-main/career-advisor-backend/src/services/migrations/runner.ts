@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import Migration from '../../models/Migration';
+import { MIGRATIONS } from '../../migrations';
+import { createContext } from './context';
+import { acquireLock, releaseLock } from './lock';
+import { Migration as MigrationScript, MigrationError } from './types';
+import { logger } from '../observability';
+
+const MIGRATION_ID = /^\d{3}-[a-z0-9]+(-[a-z0-9]+)*$/;
+
+export interface MigrationStatus {
+  id: string;
+  description: string;
+  applied: boolean;
+  appliedAt: Date | null;
+}
+
+export interface RunOptions {
+  // Last migration to apply (up) or keep (down); "0" with down reverts everything
+  target?: string;
+  dryRun?: boolean;
+  // Where progress lines go; the server log unless the caller (e.g. the migrate CLI) prints them itself
+  log?: (message: string) => void;
+}
+
+// The registered migrations, checked to be well-named, unique and in order
+export const loadMigrations = (migrations: MigrationScript[] = MIGRATIONS): MigrationScript[] => {
+  migrations.forEach((migration, index) => {
+    if (!MIGRATION_ID.test(migration.id)) {
+      throw new MigrationError(`Migration id "${migration.id}" must look like 001-short-name`);
+    }
+    const previous = migrations[index - 1];
+    if (previous && previous.id.slice(0, 3) >= migration.id.slice(0, 3)) {
+      throw new MigrationError(`Migration ${migration.id} must come after ${previous.id} with a higher number`);
+    }
+  });
+  return migrations;
+};
+
+const database = (): mongoose.mongo.Db => {
+  const { db } = mongoose.connection;
+  if (!db) {
+    throw new MigrationError('Connect to MongoDB before running migrations');
+  }
+  return db;
+};
+
+const appliedIds = async (): Promise<Map<string, Date>> => {
+  const applied = await Migration.find().select('migrationId appliedAt');
+  return new Map(applied.map(entry => [entry.migrationId, entry.appliedAt]));
+};
+
+export const migrationStatus = async (): Promise<{ migrations: MigrationStatus[]; unknown: string[] }> => {
+  const migrations = loadMigrations();
+  const applied = await appliedIds();
+  const known = new Set(migrations.map(migration => migration.id));
+  return {
+    migrations: migrations.map(migration => ({
+      id: migration.id,
+      description: migration.description,
+      applied: applied.has(migration.id),
+      appliedAt: applied.get(migration.id) ?? null
+    })),
+    // Recorded as applied but no longer in the code, e.g. after switching to an older branch
+    unknown: [...applied.keys()].filter(id => !known.has(id)).sort()
+  };
+};
+
+export const pendingMigrations = async (): Promise<MigrationScript[]> => {
+  const applied = await appliedIds();
+  return loadMigrations().filter(migration => !applied.has(migration.id));
+};
+
+const findTarget = (migrations: MigrationScript[], target: string): number => {
+  const index = migrations.findIndex(migration => migration.id === target || migration.id.slice(0, 3) === target.padStart(3, '0'));
+  if (index === -1) {
+    throw new MigrationError(`Unknown migration ${target}`);
+  }
+  return index;
+};
+
+// Run the chosen steps under the lock (dry runs don't take it, since they write nothing)
+const runSteps = async (
+  steps: MigrationScript[],
+  direction: 'up' | 'down',
+  { dryRun = false, log = (message: string) => logger.info(message) }: RunOptions
+): Promise<string[]> => {
+  if (steps.length === 0) {
+    log(direction === 'up' ? 'No pending migrations' : 'No migrations to revert');
+    return [];
+  }
+  const db = database();
+  if (!dryRun) await acquireLock();
+
+  const done: string[] = [];
+  try {
+    for (const migration of steps) {
+      // Renew the lock so a long run doesn't lose it between steps
+      if (!dryRun) await acquireLock();
+      const prefix = `${dryRun ? '[dry run] ' : ''}${direction === 'up' ? '↑' : '↓'} ${migration.id}`;
+      log(`${prefix}: ${migration.description}`);
+
+      const startedAt = Date.now();
+      await migration[direction](createContext(db, dryRun, message => log(`  ${message}`)));
+      if (!dryRun) {
+        if (direction === 'up') {
+          await Migration.create({
+            migrationId: migration.id,
+            description: migration.description,
+            appliedAt: new Date(),
+            durationMs: Date.now() - startedAt
+          });
+        } else {
+          await Migration.deleteOne({ migrationId: migration.id });
+        }
+      }
+      done.push(migration.id);
+    }
+  } finally {
+    if (!dryRun) await releaseLock();
+  }
+  return done;
+};
+
+// Apply pending migrations in order, up to and including `target` if given
+export const migrateUp = async (options: RunOptions = {}): Promise<string[]> => {
+  const migrations = loadMigrations();
+  const applied = await appliedIds();
+  const last = options.target ? findTarget(migrations, options.target) : migrations.length - 1;
+  const steps = migrations.slice(0, last + 1).filter(migration => !applied.has(migration.id));
+  return runSteps(steps, 'up', options);
+};
+
+// Revert applied migrations newest first: only the latest one, or everything after `target`
+export const migrateDown = async (options: RunOptions = {}): Promise<string[]> => {
+  const migrations = loadMigrations();
+  const applied = await appliedIds();
+  const appliedMigrations = migrations.filter(migration => applied.has(migration.id));
+
+  let steps: MigrationScript[];
+  if (options.target === undefined) {
+    steps = appliedMigrations.slice(-1);
+  } else if (/^0+$/.test(options.target)) {
+    steps = appliedMigrations;
+  } else {
+    const keep = findTarget(migrations, options.target);
+    steps = appliedMigrations.filter(migration => migrations.indexOf(migration) > keep);
+  }
+  return runSteps(steps.reverse(), 'down', options);
+};
@@ -0,0 +1,57 @@
+import dotenv from 'dotenv';
+import { LOCK_TTL_MS } from './lock';
+import { migrateUp, pendingMigrations } from './runner';
+import { MigrationError, MigrationLockError } from './types';
+import { logger } from '../observability';
+
+dotenv.config();
+
+// check: refuse to start while migrations are pending; apply: run them first;
+// ignore: log a warning and start anyway
+export const STARTUP_MODES = ['check', 'apply', 'ignore'] as const;
+export type StartupMode = typeof STARTUP_MODES[number];
+
+const LOCK_RETRY_MS = 5000;
+
+const configuredMode = (): StartupMode => {
+  const mode = process.env.MIGRATIONS_ON_STARTUP || 'check';
+  if (!(STARTUP_MODES as readonly string[]).includes(mode)) {
+    throw new MigrationError(`MIGRATIONS_ON_STARTUP must be one of: ${STARTUP_MODES.join(', ')}`);
+  }
+  return mode as StartupMode;
+};
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Make sure the database schema matches the code before the server takes requests.
+// Throws when the server should not start.
+export const checkMigrationsOnStartup = async (mode: StartupMode = configuredMode()): Promise<void> => {
+  let pending = await pendingMigrations();
+  if (pending.length === 0) return;
+  const ids = pending.map(migration => migration.id).join(', ');
+
+  if (mode === 'ignore') {
+    logger.warn('Starting with pending migrations', { pending: pending.map(migration => migration.id) });
+    return;
+  }
+  if (mode === 'check') {
+    throw new MigrationError(
+      `${pending.length} pending migration(s): ${ids}. ` +
+      'Run "npm run migrate -- up", or set MIGRATIONS_ON_STARTUP=apply or ignore'
+    );
+  }
+
+  // Several instances may start at once: whoever gets the lock migrates, the rest wait for it
+  const giveUpAt = Date.now() + LOCK_TTL_MS;
+  while (pending.length > 0) {
+    try {
+      await migrateUp();
+      return;
+    } catch (error) {
+      if (!(error instanceof MigrationLockError) || Date.now() > giveUpAt) throw error;
+      logger.info('Waiting for another process to finish migrating', error);
+      await sleep(LOCK_RETRY_MS);
+      pending = await pendingMigrations();
+    }
+  }
+};
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+type Db = mongoose.mongo.Db;
+type Document = mongoose.mongo.Document;
+type Filter = mongoose.mongo.Filter<Document>;
+type UpdateFilter = mongoose.mongo.UpdateFilter<Document>;
+
+// What a migration gets to work with. Migrations go through the raw collections rather
+// than the models, so they keep working after the models change shape again.
+export interface MigrationContext {
+  db: Db;
+  // True for dry runs: the helpers below only count, and anything else must not write
+  dryRun: boolean;
+  log: (message: string) => void;
+  // Apply one update to every matching document. Returns how many (would) change.
+  updateMany: (collection: string, filter: Filter, update: UpdateFilter) => Promise<number>;
+  // Work out an update per matching document; return null to leave it alone.
+  // Returns how many documents (would) change.
+  updateEach: (
+    collection: string,
+    filter: Filter,
+    change: (document: Document) => UpdateFilter | null | Promise<UpdateFilter | null>
+  ) => Promise<number>;
+}
+
+// One numbered migration in src/migrations. `down` undoes `up` as far as possible.
+export interface Migration {
+  // File name without extension: a 3-digit number and a name, e.g. "001-application-completion"
+  id: string;
+  description: string;
+  up: (context: MigrationContext) => Promise<void>;
+  down: (context: MigrationContext) => Promise<void>;
+}
+
+export class MigrationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+// Another process holds the migration lock
+export class MigrationLockError extends MigrationError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'MigrationLockError';
+  }
+}
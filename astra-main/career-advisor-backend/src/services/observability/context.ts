@@ -0,0 +1,35 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// What every log line and outgoing call made while handling a request should know about it
+export interface RequestContext {
+  requestId: string;
+  // Set once the request is authenticated
+  userId?: string;
+}
+
+const storage = new AsyncLocalStorage<RequestContext>();
+
+// Accept a caller's request id (e.g. from a proxy) only if it looks like one
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,64}$/;
+
+export const newRequestId = (incoming?: unknown): string =>
+  typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+export const runWithRequestContext = <T>(context: RequestContext, fn: () => T): T => storage.run(context, fn);
+
+// The context of the request being handled, if any (undefined in schedulers and scripts)
+export const requestContext = (): RequestContext | undefined => storage.getStore();
+
+export const setRequestUser = (userId: string) => {
+  const context = storage.getStore();
+  if (context) context.userId = userId;
+};
+
+// Header that carries the request id on to other services
+export const requestIdHeader = (): Record<string, string> => {
+  const context = storage.getStore();
+  return context ? { [REQUEST_ID_HEADER]: context.requestId } : {};
+};
@@ -0,0 +1,21 @@
+// Structured logging, request ids and Prometheus metrics
+
+export {
+  REQUEST_ID_HEADER,
+  RequestContext,
+  newRequestId,
+  runWithRequestContext,
+  requestContext,
+  setRequestUser,
+  requestIdHeader
+} from './context';
+export { LOG_LEVELS, LogLevel, LogFields, logger, redact } from './logger';
+export {
+  httpRequestDuration,
+  httpRequestErrors,
+  llmRequestDuration,
+  llmTokens,
+  trackMongoPool,
+  metricsContentType,
+  renderMetrics
+} from './metrics';
@@ -0,0 +1,80 @@
+import dotenv from 'dotenv';
+import { requestContext } from './context';
+
+dotenv.config();
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'] as const;
+export type LogLevel = typeof LOG_LEVELS[number];
+
+const isLogLevel = (value: unknown): value is LogLevel =>
+  typeof value === 'string' && (LOG_LEVELS as readonly string[]).includes(value);
+
+const MIN_LEVEL: LogLevel = isLogLevel(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+// Fields that hold personal data or secrets; their values never reach the log
+const REDACTED_KEYS = /^(email|inviteeEmail|to|password|currentPassword|newPassword|token|refreshToken|authorization|cookie|content|body|text|prompt|summary|partialContent)$/i;
+const EMAIL_PATTERN = /[^\s@<>"'(),;:]+@[^\s@<>"'(),;:]+\.[A-Za-z]{2,}/g;
+const MAX_DEPTH = 5;
+
+export type LogFields = Record<string, unknown>;
+
+const redactString = (value: string): string => value.replace(EMAIL_PATTERN, '[email]');
+
+// Only what's needed to tell errors apart; stacks are for debug level
+const serializeError = (error: any): LogFields => ({
+  name: error.name,
+  message: redactString(String(error.message)),
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  ...(error.status !== undefined ? { status: error.status } : {}),
+  ...(error.provider !== undefined ? { provider: error.provider } : {}),
+  ...(MIN_LEVEL === 'debug' && error.stack ? { stack: redactString(error.stack) } : {})
+});
+
+export const redact = (value: unknown, depth = 0): unknown => {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  // ObjectIds and similar
+  if (typeof (value as any).toHexString === 'function') return String(value);
+
+  return Object.entries(value).reduce((fields, [key, field]) => {
+    fields[key] = REDACTED_KEYS.test(key) && field !== undefined && field !== null ? '[redacted]' : redact(field, depth + 1);
+    return fields;
+  }, {} as LogFields);
+};
+
+const write = (level: LogLevel, message: string, detail?: unknown) => {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(MIN_LEVEL)) return;
+
+  const context = requestContext();
+  const fields = detail instanceof Error
+    ? { err: serializeError(detail) }
+    : (redact(detail ?? {}) as LogFields);
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(message),
+    ...(context ? { requestId: context.requestId, userId: context.userId } : {}),
+    ...fields
+  });
+
+  if (level === 'error' || level === 'warn') {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+};
+
+// One JSON object per line, tagged with the current request's id. The second argument is
+// either an error (logged without its stack unless LOG_LEVEL=debug) or extra fields.
+export const logger = {
+  debug: (message: string, detail?: unknown) => write('debug', message, detail),
+  info: (message: string, detail?: unknown) => write('info', message, detail),
+  warn: (message: string, detail?: unknown) => write('warn', message, detail),
+  error: (message: string, detail?: unknown) => write('error', message, detail)
+};
@@ -0,0 +1,102 @@
+import { Connection } from 'mongoose';
+import client from 'prom-client';
+
+// Prometheus metrics served at /metrics
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route and status',
+  labelNames: ['method', 'route', 'status'] as const,
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+export const httpRequestErrors = new client.Counter({
+  name: 'http_request_errors_total',
+  help: 'HTTP requests answered with a 5xx status, by route',
+  labelNames: ['method', 'route', 'status'] as const,
+  registers: [registry]
+});
+
+// Provider calls take seconds to minutes, so the buckets run much longer than for HTTP
+export const llmRequestDuration = new client.Histogram({
+  name: 'llm_request_duration_seconds',
+  help: 'LLM provider call latency (Ollama, OpenAI-compatible or mock)',
+  labelNames: ['provider', 'model', 'operation', 'outcome'] as const,
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300],
+  registers: [registry]
+});
+
+export const llmTokens = new client.Counter({
+  name: 'llm_tokens_total',
+  help: 'Tokens sent to and generated by LLM providers (estimated when the provider does not report them)',
+  labelNames: ['provider', 'model', 'kind'] as const,
+  registers: [registry]
+});
+
+let trackedConnection: Connection | null = null;
+
+// The driver's pool statistics are getters on each server's ConnectionPool; it doesn't
+// expose them through a public API, so they're read at scrape time
+const POOL_STATS = {
+  total: 'totalConnectionCount',
+  available: 'availableConnectionCount',
+  pending: 'pendingConnectionCount',
+  checked_out: 'currentCheckedOutCount',
+  wait_queue: 'waitQueueSize'
+} as const;
+
+const mongoPoolConnections = new client.Gauge({
+  name: 'mongodb_pool_connections',
+  help: 'MongoDB driver connection pool, per server: total, available, pending, checked out and queued operations',
+  labelNames: ['server', 'state'] as const,
+  registers: [registry],
+  collect() {
+    this.reset();
+    const servers: Map<string, any> | undefined = (trackedConnection?.getClient() as any)?.topology?.s?.servers;
+    servers?.forEach((server, address) => {
+      if (!server.pool) return;
+      Object.entries(POOL_STATS).forEach(([state, stat]) => {
+        this.set({ server: address, state }, Number(server.pool[stat]) || 0);
+      });
+    });
+  }
+});
+
+const mongoPoolMaxSize = new client.Gauge({
+  name: 'mongodb_pool_max_size',
+  help: 'Configured maximum MongoDB pool size',
+  registers: [registry],
+  collect() {
+    this.set(trackedConnection?.getClient()?.options.maxPoolSize ?? 0);
+  }
+});
+
+const mongoCheckoutFailures = new client.Counter({
+  name: 'mongodb_pool_checkout_failures_total',
+  help: 'Operations that could not get a connection from the MongoDB pool',
+  labelNames: ['reason'] as const,
+  registers: [registry]
+});
+
+const mongoConnectionState = new client.Gauge({
+  name: 'mongodb_connection_ready_state',
+  help: 'Mongoose connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)',
+  registers: [registry],
+  collect() {
+    this.set(trackedConnection?.readyState ?? 0);
+  }
+});
+
+// Report on this connection's pool; call once it is open
+export const trackMongoPool = (connection: Connection) => {
+  if (trackedConnection) return;
+  trackedConnection = connection;
+  connection.getClient().on('connectionCheckOutFailed', event => mongoCheckoutFailures.inc({ reason: String(event.reason) }));
+};
+
+export const metricsContentType = registry.contentType;
+
+export const renderMetrics = (): Promise<string> => registry.metrics();
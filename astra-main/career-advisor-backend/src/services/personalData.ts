@@ -0,0 +1,229 @@
+import JSZip from 'jszip';
+import { Types } from 'mongoose';
+import User, { IUser } from '../models/User';
+import Conversation from '../models/Conversation';
+import ChatMessage from '../models/ChatMessage';
+import Notification from '../models/Notification';
+import Essay from '../models/Essay';
+import EssayVersion from '../models/EssayVersion';
+import EssayReview from '../models/EssayReview';
+import EssayComment from '../models/EssayComment';
+import InterestAssessment from '../models/InterestAssessment';
+import StudentComment from '../models/StudentComment';
+import StudentLink from '../models/StudentLink';
+import UsageLedger from '../models/UsageLedger';
+import Session from '../models/Session';
+import { calculateGpa } from './grading';
+
+// Bumped when the layout of data.json changes
+export const EXPORT_FORMAT_VERSION = 1;
+
+// Secrets and bookkeeping that are about the account rather than the person
+const OMITTED_USER_FIELDS = [
+  'password',
+  'emailVerificationTokenHash',
+  'emailVerificationExpires',
+  'passwordResetTokenHash',
+  'passwordResetExpires',
+  'calendarFeedToken',
+  '__v'
+];
+
+const plain = (doc: { toObject: (options?: object) => any }) => {
+  const object = doc.toObject({ virtuals: false, versionKey: false });
+  delete object.__v;
+  return object;
+};
+
+export interface PersonalData {
+  format: number;
+  exportedAt: Date;
+  profile: Record<string, unknown>;
+  grades: {
+    gradingScale: string;
+    customGradeScale: IUser['customGradeScale'];
+    courses: IUser['academicProgress'];
+    gpa: ReturnType<typeof calculateGpa>;
+  };
+  applications: IUser['universityApplications'];
+  conversations: Array<Record<string, unknown>>;
+  notifications: Array<Record<string, unknown>>;
+  essays: Array<Record<string, unknown>>;
+  assessments: Array<Record<string, unknown>>;
+  comments: {
+    // Left on the user's dashboard by a counselor or parent
+    received: Array<Record<string, unknown>>;
+    // Left by the user on linked students' dashboards
+    written: Array<Record<string, unknown>>;
+  };
+  links: Array<Record<string, unknown>>;
+  aiUsage: Array<Record<string, unknown>>;
+  sessions: Array<Record<string, unknown>>;
+}
+
+// Everything stored about one user, grouped the way the export presents it
+export const collectPersonalData = async (userId: Types.ObjectId | string): Promise<PersonalData | null> => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const profile = plain(user);
+  OMITTED_USER_FIELDS.forEach(field => { delete profile[field]; });
+  delete profile.universityApplications;
+  delete profile.academicProgress;
+  delete profile.customGradeScale;
+
+  const [conversations, messages, notifications, essays, assessments, received, written, links, usage, sessions] = await Promise.all([
+    Conversation.find({ user: user._id }).sort({ createdAt: 1 }),
+    ChatMessage.find({ user: user._id }).sort({ createdAt: 1 }),
+    Notification.find({ user: user._id }).sort({ createdAt: 1 }),
+    Essay.find({ student: user._id }).sort({ createdAt: 1 }),
+    InterestAssessment.find({ user: user._id }).sort({ createdAt: 1 }),
+    StudentComment.find({ student: user._id }).sort({ createdAt: 1 }).populate('author', 'firstName lastName role'),
+    StudentComment.find({ author: user._id }).sort({ createdAt: 1 }),
+    StudentLink.find({ $or: [{ student: user._id }, { supporter: user._id }, { invitedBy: user._id }] })
+      .populate('student', 'firstName lastName')
+      .populate('supporter', 'firstName lastName'),
+    UsageLedger.find({ user: user._id }).sort({ day: 1 }),
+    Session.find({ user: user._id }).sort({ createdAt: 1 })
+  ]);
+
+  const essayIds = essays.map(essay => essay._id);
+  const [versions, reviews, essayComments] = await Promise.all([
+    EssayVersion.find({ essay: { $in: essayIds } }).sort({ number: 1 }),
+    EssayReview.find({ essay: { $in: essayIds } }).sort({ createdAt: 1 }),
+    EssayComment.find({ essay: { $in: essayIds } }).sort({ createdAt: 1 }).populate('author', 'firstName lastName role')
+  ]);
+
+  const byEssay = <T extends { essay: Types.ObjectId }>(items: T[], essayId: Types.ObjectId) =>
+    items.filter(item => item.essay.equals(essayId)).map(item => plain(item as any));
+
+  return {
+    format: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date(),
+    profile,
+    grades: {
+      gradingScale: user.gradingScale,
+      customGradeScale: user.customGradeScale,
+      courses: user.academicProgress,
+      gpa: calculateGpa(user)
+    },
+    applications: user.universityApplications,
+    conversations: conversations.map(conversation => ({
+      ...plain(conversation),
+      messages: messages
+        .filter(message => message.conversation.equals(conversation._id))
+        .map(message => plain(message))
+    })),
+    notifications: notifications.map(plain),
+    essays: essays.map(essay => ({
+      ...plain(essay),
+      versions: byEssay(versions, essay._id),
+      reviews: byEssay(reviews, essay._id),
+      comments: byEssay(essayComments, essay._id)
+    })),
+    assessments: assessments.map(plain),
+    comments: {
+      received: received.map(plain),
+      written: written.map(plain)
+    },
+    links: links.map(plain),
+    aiUsage: usage.map(plain),
+    // Token hashes stay out; where and when the user signed in is theirs to see
+    sessions: sessions.map(session => ({
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      revokedAt: session.revokedAt,
+      userAgent: session.userAgent,
+      ip: session.ip
+    }))
+  };
+};
+
+const escapeHtml = (value: unknown): string =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatDate = (value: unknown): string => {
+  if (!value) return '';
+  const date = new Date(value as string);
+  return isNaN(date.getTime()) ? '' : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+const table = (headers: string[], rows: unknown[][]): string => {
+  if (rows.length === 0) return '<p class="empty">Nothing stored.</p>';
+  const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+};
+
+// A readable, self-contained overview of the export. data.json stays the complete record.
+export const renderSummaryHtml = (data: PersonalData): string => {
+  const profile = data.profile as Record<string, any>;
+  const name = `${profile.firstName ?? ''} ${profile.lastName ?? ''}`.trim();
+
+  const sections = [
+    `<h2>Profile</h2>
+${table(['Field', 'Value'], [
+    ['Name', name],
+    ['Email', profile.email],
+    ['Role', profile.role],
+    ['Age', profile.age],
+    ['School', profile.school],
+    ['Grade', profile.grade],
+    ['Member since', formatDate(profile.createdAt)]
+  ])}`,
+    `<h2>Interests</h2>
+${table(['Interest', 'Category'], (profile.interests || []).map((interest: any) => [interest.name, interest.category]))}`,
+    `<h2>Grades</h2>
+<p>GPA: ${escapeHtml(data.grades.gpa.unweighted ?? 'n/a')} unweighted, ${escapeHtml(data.grades.gpa.weighted ?? 'n/a')} weighted (${escapeHtml(data.grades.gradingScale)} scale)</p>
+${table(['Subject', 'Grade', 'Term', 'Credits', 'Level'], data.grades.courses.map(course => [course.subject, course.grade, course.term, course.credits, course.level]))}`,
+    `<h2>Applications</h2>
+${table(['University', 'Program', 'Deadline', 'Status', 'Complete'], data.applications.map(app => [app.universityName, app.program, formatDate(app.deadline), app.status, `${app.completion ?? 0}%`]))}`,
+    `<h2>Essays</h2>
+${table(['Title', 'Words', 'Versions', 'Last edited'], data.essays.map((essay: any) => [essay.title, essay.wordCount, essay.versions.length, formatDate(essay.updatedAt)]))}`,
+    `<h2>Advisor conversations</h2>
+${data.conversations.map((conversation: any) => `<h3>${escapeHtml(conversation.title)} <small>${escapeHtml(formatDate(conversation.createdAt))}</small></h3>
+${conversation.messages.map((message: any) => `<p class="message"><strong>${message.role === 'user' ? 'You' : 'Advisor'}:</strong> ${escapeHtml(message.content)}</p>`).join('\n')}`).join('\n') || '<p class="empty">Nothing stored.</p>'}`,
+    `<h2>Notifications</h2>
+${table(['Date', 'Title', 'Message'], data.notifications.map((notification: any) => [formatDate(notification.createdAt), notification.title, notification.body]))}`,
+    `<h2>Sign-ins</h2>
+${table(['Signed in', 'Last used', 'Device', 'IP address'], data.sessions.map((session: any) => [formatDate(session.createdAt), formatDate(session.lastUsedAt), session.userAgent, session.ip]))}`
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>CareerCompass data export for ${escapeHtml(name)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 900px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+h1 { color: #4f46e5; }
+h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: .25rem; margin-top: 2rem; }
+table { border-collapse: collapse; width: 100%; font-size: .9rem; }
+th, td { text-align: left; padding: .35rem .5rem; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+th { background: #f9fafb; }
+.message { white-space: pre-wrap; }
+.empty { color: #6b7280; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>Your CareerCompass data</h1>
+<p>Exported ${escapeHtml(formatDate(data.exportedAt))}. This page is a summary; <code>data.json</code> in the same archive holds everything we store about you.</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+};
+
+// Zip archive with the complete export as JSON and the readable summary next to it
+export const buildExportArchive = async (data: PersonalData): Promise<Buffer> => {
+  const zip = new JSZip();
+  zip.file('data.json', JSON.stringify(data, null, 2));
+  zip.file('summary.html', renderSummaryHtml(data));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
@@ -0,0 +1,126 @@
+import { IUser, AdvisorSharing, ADVISOR_SHARING_SECTIONS } from '../models/User';
+import { calculateGpa, gradePoints, GRADING_SCALE_LABELS } from './grading';
+import { describeInterestProfile } from './riasec';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UPCOMING_DEADLINE_DAYS = 90;
+const WEAK_PROGRESS_THRESHOLD = 60;
+// C- or below on the 4.0 scale
+const WEAK_GRADE_POINTS = 1.7;
+
+export const SHARING_LABELS: Record<keyof AdvisorSharing, string> = {
+  basics: 'Age, school and grade',
+  academics: 'Grades and weak subjects',
+  interests: 'Interests, hobbies and interest assessment results',
+  achievements: 'Achievements',
+  applications: 'University applications and deadlines'
+};
+
+// Resolve the user's sharing preferences, treating anything unset as shared
+export const getSharing = (user: IUser): AdvisorSharing => {
+  const stored: Partial<AdvisorSharing> = user.advisorSharing || {};
+  return ADVISOR_SHARING_SECTIONS.reduce((sharing, section) => {
+    sharing[section] = stored[section] !== false;
+    return sharing;
+  }, {} as AdvisorSharing);
+};
+
+const isWeakSubject = (user: IUser, course: IUser['academicProgress'][number]): boolean => {
+  if (typeof course.progress === 'number' && course.progress < WEAK_PROGRESS_THRESHOLD) {
+    return true;
+  }
+  const points = gradePoints(course.grade, user.gradingScale || 'us_letter', user.customGradeScale);
+  return points !== null && points <= WEAK_GRADE_POINTS;
+};
+
+const formatDate = (date: Date): string =>
+  date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+const basicsLines = (user: IUser): string[] => {
+  const lines = [`Name: ${user.firstName}`];
+  if (user.age) lines.push(`Age: ${user.age}`);
+  if (user.school) lines.push(`School: ${user.school}`);
+  if (user.grade) lines.push(`Grade/Year: ${user.grade}`);
+  return lines;
+};
+
+const academicsLines = (user: IUser): string[] => {
+  if (!user.academicProgress || user.academicProgress.length === 0) return [];
+
+  const grades = user.academicProgress
+    .map(course => `${course.subject} (${course.grade})`)
+    .join(', ');
+  const lines = [`Current grades: ${grades}`];
+
+  const gpa = calculateGpa(user);
+  if (gpa.unweighted !== null) {
+    const weighted = gpa.weighted !== gpa.unweighted ? `, ${gpa.weighted} weighted` : '';
+    lines.push(`Grading system: ${GRADING_SCALE_LABELS[gpa.scale]}; average ${gpa.average}`
+      + ` (GPA ${gpa.unweighted} unweighted${weighted}, 4.0 scale)`);
+  }
+
+  const weak = user.academicProgress.filter(course => isWeakSubject(user, course)).map(course => course.subject);
+  if (weak.length > 0) {
+    lines.push(`Subjects needing improvement: ${weak.join(', ')}`);
+  }
+  return lines;
+};
+
+const interestsLines = (user: IUser): string[] => {
+  const lines: string[] = [];
+  if (user.interests && user.interests.length > 0) {
+    lines.push(`Interests: ${user.interests.map(interest => interest.name).join(', ')}`);
+  }
+  if (user.interestProfile) {
+    lines.push(describeInterestProfile(user.interestProfile));
+  }
+  return lines;
+};
+
+const achievementsLines = (user: IUser): string[] => {
+  if (!user.achievements || user.achievements.length === 0) return [];
+  return [`Achievements: ${user.achievements.map(achievement => achievement.title).join('; ')}`];
+};
+
+const applicationsLines = (user: IUser, now: Date): string[] => {
+  if (!user.universityApplications || user.universityApplications.length === 0) return [];
+
+  const lines = ['University applications:'];
+  user.universityApplications.forEach(app => {
+    const outstanding = (app.checklist || [])
+      .filter(item => !['done', 'waived'].includes(item.state))
+      .map(item => item.label);
+    lines.push(`- ${app.universityName}, ${app.program}: ${app.status}, deadline ${formatDate(new Date(app.deadline))}, ${app.completion || 0}% complete`
+      + (outstanding.length > 0 ? `; still to do: ${outstanding.join(', ')}` : ''));
+  });
+
+  const upcoming = user.universityApplications
+    .filter(app => !['Submitted', 'Accepted', 'Rejected'].includes(app.status))
+    .map(app => ({ app, days: Math.ceil((new Date(app.deadline).getTime() - now.getTime()) / DAY_MS) }))
+    .filter(({ days }) => days >= 0 && days <= UPCOMING_DEADLINE_DAYS)
+    .sort((a, b) => a.days - b.days);
+
+  if (upcoming.length > 0) {
+    lines.push('Upcoming deadlines:');
+    upcoming.forEach(({ app, days }) => {
+      lines.push(`- ${app.universityName} (${app.program}) in ${days} day${days === 1 ? '' : 's'}`);
+    });
+  }
+  return lines;
+};
+
+// Build the per-student context block given to the advisor, limited to shared sections.
+// Returns an empty string when nothing is shared.
+export const buildProfileContext = (user: IUser, now: Date = new Date()): string => {
+  const sharing = getSharing(user);
+  const lines: string[] = [];
+
+  if (sharing.basics) lines.push(...basicsLines(user));
+  if (sharing.academics) lines.push(...academicsLines(user));
+  if (sharing.interests) lines.push(...interestsLines(user));
+  if (sharing.achievements) lines.push(...achievementsLines(user));
+  if (sharing.applications) lines.push(...applicationsLines(user, now));
+
+  if (lines.length === 0) return '';
+  return `Today's date: ${formatDate(now)}\n${lines.join('\n')}`;
+};
@@ -0,0 +1,459 @@
+import PDFDocument from 'pdfkit';
+import { IUser } from '../models/User';
+import Conversation from '../models/Conversation';
+import ChatMessage from '../models/ChatMessage';
+import { FieldErrors } from '../utils/validation';
+import { calculateGpa, GpaSummary } from './grading';
+import { DIMENSION_LABELS, RiasecDimension } from './riasec';
+
+export const REPORT_SECTIONS = ['profile', 'gpa', 'achievements', 'interests', 'applications', 'conversations'] as const;
+export type ReportSection = typeof REPORT_SECTIONS[number];
+
+// Advisor conversations are the student's own; they are left out unless asked for
+export const DEFAULT_REPORT_SECTIONS: ReportSection[] = ['profile', 'gpa', 'achievements', 'interests', 'applications'];
+
+const MAX_CONVERSATIONS = 5;
+const QUESTIONS_PER_CONVERSATION = 3;
+const EXCERPT_LENGTH = 240;
+
+export interface ReportOptions {
+  sections: ReportSection[];
+  // Limits dated entries (achievements, application deadlines, conversations); inclusive
+  from?: Date;
+  to?: Date;
+}
+
+export interface ConversationSummary {
+  title: string;
+  startedAt: Date;
+  lastMessageAt?: Date;
+  messageCount: number;
+  // The running summary when the conversation has one, otherwise its latest questions
+  summary?: string;
+  questions: string[];
+}
+
+export interface ReportData {
+  student: IUser;
+  gpa: GpaSummary;
+  conversations: ConversationSummary[];
+  generatedAt: Date;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseDay = (value: unknown, endOfDay: boolean): Date | null | undefined => {
+  if (typeof value !== 'string' || !value.trim()) return undefined;
+  if (!DATE_PATTERN.test(value.trim())) return null;
+  const date = new Date(`${value.trim()}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Read ?sections=a,b,c&from=YYYY-MM-DD&to=YYYY-MM-DD
+export const parseReportOptions = (query: Record<string, unknown>): { options: ReportOptions; errors: FieldErrors } => {
+  const errors: FieldErrors = {};
+  const options: ReportOptions = { sections: DEFAULT_REPORT_SECTIONS };
+
+  if (typeof query.sections === 'string' && query.sections.trim()) {
+    const requested = query.sections.split(',').map(section => section.trim()).filter(Boolean);
+    const unknown = requested.filter(section => !(REPORT_SECTIONS as readonly string[]).includes(section));
+    if (unknown.length > 0) {
+      errors.sections = `Sections must be any of: ${REPORT_SECTIONS.join(', ')}`;
+    } else {
+      // Always in the report's own order, whatever order they were asked for in
+      options.sections = REPORT_SECTIONS.filter(section => requested.includes(section));
+    }
+  }
+
+  const from = parseDay(query.from, false);
+  const to = parseDay(query.to, true);
+  if (from === null) errors.from = 'From must be a date like 2024-09-01';
+  if (to === null) errors.to = 'To must be a date like 2025-06-30';
+  if (from && to && from > to) errors.to = 'To must not be before from';
+  if (from) options.from = from;
+  if (to) options.to = to;
+
+  return { options, errors };
+};
+
+const inRange = (value: Date | undefined, { from, to }: ReportOptions): boolean => {
+  if (!from && !to) return true;
+  if (!value) return false;
+  const time = new Date(value).getTime();
+  return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+};
+
+const excerpt = (text: string): string => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1)}…` : flat;
+};
+
+// The student's most recently active advisor conversations within the date range
+const summarizeConversations = async (student: IUser, options: ReportOptions): Promise<ConversationSummary[]> => {
+  const filter: Record<string, unknown> = { user: student._id, messageCount: { $gt: 0 } };
+  if (options.from || options.to) {
+    filter.lastMessageAt = {
+      ...(options.from ? { $gte: options.from } : {}),
+      ...(options.to ? { $lte: options.to } : {})
+    };
+  }
+
+  const conversations = await Conversation.find(filter).sort({ lastMessageAt: -1 }).limit(MAX_CONVERSATIONS);
+  return Promise.all(conversations.map(async conversation => {
+    const questions = conversation.summary
+      ? []
+      : (await ChatMessage.find({ conversation: conversation._id, role: 'user' })
+        .sort({ _id: -1 })
+        .limit(QUESTIONS_PER_CONVERSATION))
+        .reverse()
+        .map(message => excerpt(message.content));
+
+    return {
+      title: conversation.title,
+      startedAt: conversation.createdAt,
+      lastMessageAt: conversation.lastMessageAt,
+      messageCount: conversation.messageCount,
+      summary: conversation.summary ? excerpt(conversation.summary) : undefined,
+      questions
+    };
+  }));
+};
+
+export const collectReportData = async (student: IUser, options: ReportOptions): Promise<ReportData> => ({
+  student,
+  gpa: calculateGpa(student),
+  conversations: options.sections.includes('conversations') ? await summarizeConversations(student, options) : [],
+  generatedAt: new Date()
+});
+
+// --- PDF layout ---
+
+const PAGE_MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  accent: '#4f46e5',
+  rule: '#e5e7eb',
+  headerFill: '#f3f4f6',
+  barTrack: '#e5e7eb',
+  barFill: '#6366f1'
+};
+
+type Doc = PDFKit.PDFDocument;
+
+interface Column {
+  header: string;
+  width: number;
+  align?: 'left' | 'right' | 'center';
+}
+
+// Deadlines and the report's range are calendar days stored at UTC midnight
+const formatDate = (value?: Date | null): string =>
+  value ? new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' }) : '—';
+
+const contentWidth = (doc: Doc) => doc.page.width - PAGE_MARGIN * 2;
+
+const pageBottom = (doc: Doc) => doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT;
+
+// Start a new page unless `height` more points fit on this one
+const ensureSpace = (doc: Doc, height: number) => {
+  if (doc.y + height > pageBottom(doc)) {
+    doc.addPage();
+  }
+};
+
+const sectionHeading = (doc: Doc, title: string) => {
+  // Keep a heading together with at least a few lines of its section
+  ensureSpace(doc, 80);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.accent)
+    .text(title, PAGE_MARGIN, doc.y, { width: contentWidth(doc) });
+  const y = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + contentWidth(doc), y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.y = y + 6;
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+};
+
+const note = (doc: Doc, text: string) => {
+  doc.font('Helvetica-Oblique').fontSize(10).fillColor(COLORS.muted)
+    .text(text, PAGE_MARGIN, doc.y, { width: contentWidth(doc) });
+  doc.font('Helvetica').fillColor(COLORS.text);
+};
+
+// A table whose rows never split across pages; the header repeats on every page it spans
+const table = (doc: Doc, columns: Column[], rows: string[][]) => {
+  const scale = contentWidth(doc) / columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(column => column.width * scale);
+  const padding = 4;
+
+  const rowHeight = (cells: string[], font: string) => {
+    doc.font(font).fontSize(9);
+    return Math.max(...cells.map((cell, index) => doc.heightOfString(cell || ' ', { width: widths[index] - padding * 2 }))) + padding * 2;
+  };
+
+  const drawRow = (cells: string[], font: string, fill?: string) => {
+    const height = rowHeight(cells, font);
+    const top = doc.y;
+    if (fill) {
+      doc.rect(PAGE_MARGIN, top, contentWidth(doc), height).fill(fill);
+    }
+    doc.font(font).fontSize(9).fillColor(COLORS.text);
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, index) => {
+      doc.text(cell || ' ', x + padding, top + padding, { width: widths[index] - padding * 2, align: columns[index].align || 'left' });
+      x += widths[index];
+    });
+    doc.moveTo(PAGE_MARGIN, top + height).lineTo(PAGE_MARGIN + contentWidth(doc), top + height)
+      .lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    doc.y = top + height;
+  };
+
+  const headers = columns.map(column => column.header);
+  const drawHeader = () => drawRow(headers, 'Helvetica-Bold', COLORS.headerFill);
+
+  ensureSpace(doc, rowHeight(headers, 'Helvetica-Bold') + (rows[0] ? rowHeight(rows[0], 'Helvetica') : 0));
+  drawHeader();
+  rows.forEach(row => {
+    if (doc.y + rowHeight(row, 'Helvetica') > pageBottom(doc)) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(row, 'Helvetica');
+  });
+  doc.font('Helvetica').fontSize(10);
+  doc.x = PAGE_MARGIN;
+};
+
+const progressBar = (doc: Doc, percent: number, width: number) => {
+  const y = doc.y + 2;
+  doc.roundedRect(PAGE_MARGIN, y, width, 6, 3).fill(COLORS.barTrack);
+  if (percent > 0) {
+    doc.roundedRect(PAGE_MARGIN, y, Math.max(width * Math.min(percent, 100) / 100, 6), 6, 3).fill(COLORS.barFill);
+  }
+  doc.y = y + 12;
+  doc.fillColor(COLORS.text);
+};
+
+const renderProfile = (doc: Doc, { student }: ReportData) => {
+  sectionHeading(doc, 'Profile');
+  const rows: string[][] = [
+    ['Email', student.email],
+    ['School', student.school || '—'],
+    ['Grade', student.grade || '—'],
+    ['Age', student.age ? String(student.age) : '—']
+  ];
+  if (student.interestProfile) {
+    const code = student.interestProfile.code;
+    const labels = code.split('').map(letter => DIMENSION_LABELS[letter as RiasecDimension]).filter(Boolean);
+    rows.push(['Interest profile', `${code} (${labels.join(', ')}), ${formatDate(student.interestProfile.completedAt)}`]);
+  }
+  table(doc, [{ header: 'Field', width: 1 }, { header: 'Value', width: 3 }], rows);
+};
+
+const gpaValue = (value: number | null) => (value === null ? '—' : value.toFixed(2));
+
+const renderGpa = (doc: Doc, { student, gpa }: ReportData) => {
+  sectionHeading(doc, 'Grades');
+  if (gpa.courses === 0 && gpa.unrecognized.length === 0) {
+    note(doc, 'No grades recorded.');
+    return;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(`GPA ${gpaValue(gpa.unweighted)} unweighted · ${gpaValue(gpa.weighted)} weighted`, PAGE_MARGIN, doc.y);
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text(`${gpa.courses} course(s), ${gpa.credits} credit(s)${gpa.average ? ` · average ${gpa.average}` : ''}`);
+  doc.fillColor(COLORS.text).moveDown(0.5);
+
+  if (gpa.terms.length > 0) {
+    table(doc, [
+      { header: 'Term', width: 3 },
+      { header: 'Courses', width: 1, align: 'right' },
+      { header: 'Credits', width: 1, align: 'right' },
+      { header: 'Unweighted', width: 1.3, align: 'right' },
+      { header: 'Weighted', width: 1.3, align: 'right' }
+    ], gpa.terms.map(term => [
+      term.term || 'No term',
+      String(term.courses),
+      String(term.credits),
+      gpaValue(term.unweighted),
+      gpaValue(term.weighted)
+    ]));
+    doc.moveDown(0.5);
+  }
+
+  table(doc, [
+    { header: 'Subject', width: 3 },
+    { header: 'Term', width: 2 },
+    { header: 'Level', width: 1 },
+    { header: 'Credits', width: 1, align: 'right' },
+    { header: 'Grade', width: 1, align: 'right' }
+  ], (student.academicProgress || []).map(course => [
+    course.subject,
+    course.term || '—',
+    course.level && course.level !== 'standard' ? course.level.replace('_', ' ').toUpperCase() : 'Standard',
+    course.credits !== undefined ? String(course.credits) : '—',
+    course.grade
+  ]));
+
+  if (gpa.unrecognized.length > 0) {
+    doc.moveDown(0.3);
+    note(doc, `Not counted in the GPA: ${gpa.unrecognized.map(course => `${course.subject} (${course.grade})`).join(', ')}`);
+  }
+};
+
+const renderAchievements = (doc: Doc, { student }: ReportData, options: ReportOptions) => {
+  sectionHeading(doc, 'Achievements');
+  const achievements = (student.achievements || [])
+    .filter(achievement => inRange(achievement.date, options))
+    .sort((a, b) => new Date(b.date || 0).getTime() - new Date(a.date || 0).getTime());
+  if (achievements.length === 0) {
+    note(doc, options.from || options.to ? 'No achievements in this period.' : 'No achievements recorded.');
+    return;
+  }
+  table(doc, [{ header: 'Achievement', width: 3 }, { header: 'Date', width: 1 }],
+    achievements.map(achievement => [achievement.title, formatDate(achievement.date)]));
+};
+
+const renderInterests = (doc: Doc, { student }: ReportData) => {
+  sectionHeading(doc, 'Interests');
+  const interests = student.interests || [];
+  if (interests.length === 0) {
+    note(doc, 'No interests recorded.');
+    return;
+  }
+
+  const byCategory = new Map<string, string[]>();
+  interests.forEach(interest => {
+    if (!byCategory.has(interest.category)) byCategory.set(interest.category, []);
+    byCategory.get(interest.category)!.push(interest.name);
+  });
+  table(doc, [{ header: 'Category', width: 1 }, { header: 'Interests', width: 3 }],
+    Array.from(byCategory.entries()).map(([category, names]) => [category, names.join(', ')]));
+};
+
+const CHECKLIST_MARKS: Record<string, string> = {
+  todo: '[ ]',
+  in_progress: '[~]',
+  done: '[x]',
+  waived: '[-]'
+};
+
+const renderApplications = (doc: Doc, { student }: ReportData, options: ReportOptions) => {
+  sectionHeading(doc, 'Applications');
+  const applications = (student.universityApplications || [])
+    .filter(app => inRange(app.deadline, options))
+    .sort((a, b) => new Date(a.deadline).getTime() - new Date(b.deadline).getTime());
+  if (applications.length === 0) {
+    note(doc, options.from || options.to ? 'No application deadlines in this period.' : 'No applications yet.');
+    return;
+  }
+
+  applications.forEach(app => {
+    const checklist = app.checklist || [];
+    // Keep the application's heading, status line and progress bar on one page
+    ensureSpace(doc, 60 + Math.min(checklist.length, 3) * 12);
+    doc.moveDown(0.4);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+      .text(`${app.universityName} — ${app.program}`, PAGE_MARGIN, doc.y, { width: contentWidth(doc) });
+    const done = checklist.filter(item => item.state === 'done' || item.state === 'waived').length;
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text(`Deadline ${formatDate(app.deadline)} · ${app.status} · ${app.completion ?? 0}% complete`
+        + (checklist.length > 0 ? ` (${done} of ${checklist.length} checklist items)` : ''));
+    progressBar(doc, app.completion ?? 0, 200);
+
+    doc.fontSize(9);
+    checklist.forEach(item => {
+      ensureSpace(doc, 12);
+      const due = item.dueDate ? ` (due ${formatDate(item.dueDate)})` : '';
+      doc.fillColor(item.state === 'done' || item.state === 'waived' ? COLORS.muted : COLORS.text)
+        .text(`${CHECKLIST_MARKS[item.state] || '[ ]'} ${item.label}${due}`, PAGE_MARGIN + 10, doc.y, { width: contentWidth(doc) - 10 });
+    });
+    doc.fillColor(COLORS.text);
+  });
+};
+
+const renderConversations = (doc: Doc, { conversations }: ReportData) => {
+  sectionHeading(doc, 'Recent advisor conversations');
+  if (conversations.length === 0) {
+    note(doc, 'No advisor conversations in this period.');
+    return;
+  }
+
+  conversations.forEach(conversation => {
+    ensureSpace(doc, 50);
+    doc.moveDown(0.4);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text)
+      .text(conversation.title, PAGE_MARGIN, doc.y, { width: contentWidth(doc) });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text(`${conversation.messageCount} message(s) · started ${formatDate(conversation.startedAt)} · last active ${formatDate(conversation.lastMessageAt)}`);
+    doc.fillColor(COLORS.text);
+    if (conversation.summary) {
+      doc.text(conversation.summary, { width: contentWidth(doc) });
+    } else {
+      conversation.questions.forEach(question => {
+        ensureSpace(doc, 12);
+        doc.text(`“${question}”`, PAGE_MARGIN + 10, doc.y, { width: contentWidth(doc) - 10 });
+      });
+    }
+  });
+};
+
+// Page numbers and the generation date along the bottom of every page
+const addFooters = (doc: Doc, generatedAt: Date) => {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    const y = doc.page.height - PAGE_MARGIN;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted);
+    doc.text(`Generated ${formatDate(generatedAt)}`, PAGE_MARGIN, y, { width: contentWidth(doc), align: 'left', lineBreak: false });
+    doc.text(`Page ${index - range.start + 1} of ${range.count}`, PAGE_MARGIN, y, { width: contentWidth(doc), align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+const RENDERERS: Record<ReportSection, (doc: Doc, data: ReportData, options: ReportOptions) => void> = {
+  profile: renderProfile,
+  gpa: renderGpa,
+  achievements: renderAchievements,
+  interests: renderInterests,
+  applications: renderApplications,
+  conversations: renderConversations
+};
+
+// Render the progress report as a PDF with the chosen sections
+export const renderProgressReport = (data: ReportData, options: ReportOptions): Promise<Buffer> =>
+  new Promise((resolve, reject) => {
+    const { student } = data;
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: PAGE_MARGIN, bottom: PAGE_MARGIN, left: PAGE_MARGIN, right: PAGE_MARGIN },
+      bufferPages: true,
+      info: {
+        Title: `Progress report: ${student.firstName} ${student.lastName}`,
+        Author: 'CareerCompass'
+      }
+    });
+
+    const chunks: Buffer[] = [];
+    doc.on('data', (chunk: Buffer) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.accent)
+      .text(`${student.firstName} ${student.lastName}`, PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(11).fillColor(COLORS.muted).text('Student progress report');
+    if (options.from || options.to) {
+      doc.text(`Covering ${options.from ? formatDate(options.from) : 'the start'} to ${options.to ? formatDate(options.to) : 'today'}`);
+    }
+    doc.fillColor(COLORS.text);
+
+    options.sections.forEach(section => RENDERERS[section](doc, data, options));
+
+    addFooters(doc, data.generatedAt);
+    doc.end();
+  });
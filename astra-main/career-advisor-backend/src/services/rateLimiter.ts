@@ -0,0 +1,102 @@
+// Sliding-window request and token limits, kept in memory per server process
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+export interface RateLimits {
+  // 0 means unlimited
+  requestsPerMinute: number;
+  tokensPerHour: number;
+}
+
+export interface WindowUsage {
+  requests: number;
+  tokens: number;
+}
+
+export interface LimitCheck {
+  allowed: boolean;
+  // Seconds until the limit that was hit frees up again
+  retryAfter?: number;
+  limit?: keyof RateLimits;
+}
+
+interface UsageEvent {
+  at: number;
+  tokens: number;
+}
+
+const windows = new Map<string, UsageEvent[]>();
+let lastSweep = 0;
+
+// Events for `key` within the longest window, dropping anything older. Keys with nothing
+// left are removed so the map doesn't keep every user who ever made a request.
+const eventsFor = (key: string, now: number): UsageEvent[] => {
+  const events = (windows.get(key) || []).filter(event => event.at > now - HOUR_MS);
+  if (events.length > 0) windows.set(key, events);
+  else windows.delete(key);
+  return events;
+};
+
+// Drop keys nobody has used within the longest window. Runs at most once a minute.
+const sweepIdleKeys = (now: number) => {
+  if (now - lastSweep < MINUTE_MS) return;
+  lastSweep = now;
+  windows.forEach((events, key) => {
+    if (events.every(event => event.at <= now - HOUR_MS)) windows.delete(key);
+  });
+};
+
+export const windowUsage = (key: string, now: number = Date.now()): WindowUsage => {
+  const events = eventsFor(key, now);
+  return {
+    requests: events.filter(event => event.at > now - MINUTE_MS).length,
+    tokens: events.reduce((sum, event) => sum + event.tokens, 0)
+  };
+};
+
+// Whether one more request fits under `limits` for `key`, and if not, how long to wait
+export const checkLimits = (key: string, limits: RateLimits, now: number = Date.now()): LimitCheck => {
+  const events = eventsFor(key, now);
+
+  if (limits.requestsPerMinute > 0) {
+    const recent = events.filter(event => event.at > now - MINUTE_MS);
+    if (recent.length >= limits.requestsPerMinute) {
+      // Wait until enough of the oldest requests slide out of the window
+      const freesAt = recent[recent.length - limits.requestsPerMinute].at + MINUTE_MS;
+      return { allowed: false, limit: 'requestsPerMinute', retryAfter: Math.max(1, Math.ceil((freesAt - now) / 1000)) };
+    }
+  }
+
+  if (limits.tokensPerHour > 0) {
+    let total = events.reduce((sum, event) => sum + event.tokens, 0);
+    if (total >= limits.tokensPerHour) {
+      // Wait until enough of the oldest usage slides out to leave room under the limit
+      const freeing = events.find(event => {
+        total -= event.tokens;
+        return total < limits.tokensPerHour;
+      });
+      const freesAt = (freeing?.at ?? now) + HOUR_MS;
+      return { allowed: false, limit: 'tokensPerHour', retryAfter: Math.max(1, Math.ceil((freesAt - now) / 1000)) };
+    }
+  }
+
+  return { allowed: true };
+};
+
+// Count a request against `key` now. Call the returned function with the tokens it used
+// once they are known.
+export const recordRequest = (key: string, now: number = Date.now()): ((tokens: number) => void) => {
+  sweepIdleKeys(now);
+  const event: UsageEvent = { at: now, tokens: 0 };
+  windows.set(key, [...eventsFor(key, now), event]);
+  return (tokens: number) => {
+    event.tokens += tokens;
+  };
+};
+
+// Forget all recorded usage (e.g. between test runs)
+export const resetRateLimits = () => {
+  windows.clear();
+  lastSweep = 0;
+};
@@ -0,0 +1,277 @@
+import { IUser } from '../models/User';
+import { IProgram } from '../models/Program';
+import { Tuition } from '../models/University';
+import { StudentFitProfile, requirementFit, studentFitProfile, nextDeadline } from './catalog';
+import { DIMENSION_LABELS, RIASEC_DIMENSIONS, RiasecDimension, RiasecScores } from './riasec';
+
+export const RECOMMENDATION_BUCKETS = ['reach', 'match', 'safety'] as const;
+export type RecommendationBucket = typeof RECOMMENDATION_BUCKETS[number];
+
+// How much each factor counts towards the overall score. Factors we know nothing
+// about (no grades, no budget set, ...) are left out rather than scored as zero.
+const FACTOR_WEIGHTS = {
+  academics: 35,
+  interests: 35,
+  budget: 15,
+  location: 15
+} as const;
+export type RecommendationFactorKey = keyof typeof FACTOR_WEIGHTS;
+
+const FACTOR_LABELS: Record<RecommendationFactorKey, string> = {
+  academics: 'Academic fit',
+  interests: 'Interest fit',
+  budget: 'Budget',
+  location: 'Location'
+};
+
+// GPA points above a program's minimum that make admission likely
+const SAFETY_MARGIN = 0.3;
+// Tuition up to this much over budget still earns partial credit
+const BUDGET_STRETCH = 1.25;
+const STRONG_INTEREST = 60;
+
+// Words in subject areas, program names and student interests that point to each RIASEC
+// dimension. Matched at the start of a word, so "engineer" also covers "engineering".
+const DIMENSION_KEYWORDS: Record<RiasecDimension, string[]> = {
+  R: ['engineer', 'mechanic', 'electric', 'construction', 'agricultur', 'forestry', 'robot', 'aviation', 'architect', 'sport'],
+  I: ['science', 'biolog', 'chemist', 'physic', 'math', 'computer', 'software', 'data', 'medic', 'research',
+    'psycholog', 'engineer', 'robot', 'neuro', 'statistic'],
+  A: ['arts?\\b', 'design', 'music', 'film', 'media', 'theat', 'writing', 'literature', 'architect', 'journalis',
+    'gam', 'photograph', 'animation'],
+  S: ['nurs', 'educat', 'teach', 'health', 'psycholog', 'social', 'medic', 'counsel', 'care\\b', 'therap'],
+  E: ['business', 'management', 'law', 'marketing', 'econom', 'politic', 'entrepreneur', 'financ', 'sport'],
+  C: ['accounting', 'financ', 'statistic', 'data', 'information', 'administration', 'logistic', 'testing']
+};
+
+const KEYWORD_PATTERNS = Object.fromEntries(RIASEC_DIMENSIONS.map(dimension => [
+  dimension,
+  new RegExp(`\\b(${DIMENSION_KEYWORDS[dimension].join('|')})`, 'i')
+])) as Record<RiasecDimension, RegExp>;
+
+const dimensionsOf = (texts: string[]): RiasecDimension[] =>
+  RIASEC_DIMENSIONS.filter(dimension => texts.some(text => KEYWORD_PATTERNS[dimension].test(text)));
+
+// Everything about the student the engine looks at
+export interface RecommendationProfile extends StudentFitProfile {
+  interests: string[];
+  riasec: RiasecScores | null;
+  budget: Tuition | null;
+  countries: string[];
+}
+
+export const recommendationProfile = (user: IUser): RecommendationProfile => ({
+  ...studentFitProfile(user),
+  interests: (user.interests || []).flatMap(interest =>
+    interest.category && interest.category !== 'Other' ? [interest.name, interest.category] : [interest.name]),
+  riasec: user.interestProfile?.scores || null,
+  budget: user.studyPreferences?.budget?.amount !== undefined ? user.studyPreferences.budget : null,
+  countries: user.studyPreferences?.countries || []
+});
+
+// Profile sections that would make recommendations more precise
+export const missingInputs = (profile: RecommendationProfile): string[] => [
+  ...(profile.gpa === null ? ['grades'] : []),
+  ...(profile.interests.length === 0 && !profile.riasec ? ['interests'] : []),
+  ...(profile.budget ? [] : ['budget']),
+  ...(profile.countries.length > 0 ? [] : ['countries'])
+];
+
+export interface RecommendationFactor {
+  factor: RecommendationFactorKey;
+  label: string;
+  weight: number;
+  // 0-100, or null when there was nothing to judge this factor on
+  score: number | null;
+  explanation: string;
+}
+
+export interface Recommendation {
+  program: Record<string, any>;
+  // 0-100 weighted average of the factors that could be scored; null when none could
+  score: number | null;
+  bucket: RecommendationBucket;
+  // Why the program landed in its bucket
+  bucketReason: string;
+  factors: RecommendationFactor[];
+}
+
+const factor = (key: RecommendationFactorKey, score: number | null, explanation: string): RecommendationFactor => ({
+  factor: key,
+  label: FACTOR_LABELS[key],
+  weight: FACTOR_WEIGHTS[key],
+  score: score === null ? null : Math.round(Math.max(0, Math.min(1, score)) * 100),
+  explanation
+});
+
+const formatMoney = (tuition: Tuition): string =>
+  `${tuition.currency} ${Math.round(tuition.amount).toLocaleString('en-US')}`;
+
+const academicsFactor = (program: Pick<IProgram, 'requirements'>, student: RecommendationProfile) => {
+  const fit = requirementFit(program.requirements, student);
+  const missing = fit.missingSubjects.length > 0
+    ? ` You haven't listed ${fit.missingSubjects.join(', ')}, which ${fit.missingSubjects.length === 1 ? 'is' : 'are'} required.`
+    : '';
+
+  if (student.gpa === null) {
+    return { fit, result: factor('academics', null, `Add grades to your profile to compare them with this program's requirements.${missing}`) };
+  }
+  if (fit.requiredGpa === null) {
+    return {
+      fit,
+      result: factor('academics', fit.missingSubjects.length > 0 ? 0.5 : null, `No minimum GPA is published for this program.${missing}`)
+    };
+  }
+
+  const margin = student.gpa - fit.requiredGpa;
+  let score = margin >= SAFETY_MARGIN
+    ? 1
+    : margin >= 0
+      ? 0.7 + (0.3 * margin) / SAFETY_MARGIN
+      : Math.max(0, 0.5 + margin);
+  score -= 0.25 * fit.missingSubjects.length;
+
+  const comparison = margin >= SAFETY_MARGIN
+    ? `comfortably above the ${fit.requiredGpa.toFixed(2)} minimum`
+    : margin >= 0
+      ? `just above the ${fit.requiredGpa.toFixed(2)} minimum`
+      : `below the ${fit.requiredGpa.toFixed(2)} minimum`;
+  return { fit, result: factor('academics', score, `Your GPA of ${student.gpa.toFixed(2)} is ${comparison}.${missing}`) };
+};
+
+const interestsFactor = (program: Pick<IProgram, 'name' | 'subjectAreas'>, student: RecommendationProfile) => {
+  const programTexts = [program.name, ...(program.subjectAreas || [])];
+  const programDimensions = dimensionsOf(programTexts);
+  const parts: { score: number; reason: string }[] = [];
+
+  if (student.riasec && programDimensions.length > 0) {
+    const best = [...programDimensions].sort((a, b) => student.riasec![b] - student.riasec![a])[0];
+    const score = student.riasec[best];
+    parts.push({
+      score: score / 100,
+      reason: score >= STRONG_INTEREST
+        ? `your strong ${DIMENSION_LABELS[best]} interest (${score}%) suits it`
+        : `it draws mostly on ${DIMENSION_LABELS[best]} interests, where you scored ${score}%`
+    });
+  }
+
+  if (student.interests.length > 0) {
+    const lowered = programTexts.map(text => text.toLowerCase());
+    const direct = student.interests.find(interest =>
+      lowered.some(text => text.includes(interest.toLowerCase()) || interest.toLowerCase().includes(text)));
+    // Related when everything the interest points to is covered by the program
+    const related = direct ? null : student.interests.find(interest => {
+      const dimensions = dimensionsOf([interest]);
+      return dimensions.length > 0 && dimensions.every(dimension => programDimensions.includes(dimension));
+    });
+    parts.push(direct
+      ? { score: 1, reason: `it matches your interest in ${direct}` }
+      : related
+        ? { score: 0.7, reason: `it relates to your interest in ${related}` }
+        : { score: 0, reason: 'none of your listed interests relate to it' });
+  }
+
+  if (parts.length === 0) {
+    return factor('interests', null, 'Add interests or take the career interest assessment to compare programs with what you enjoy.');
+  }
+  // The assessment counts a little more than hobbies when both are available
+  const score = parts.length === 2 ? 0.6 * parts[0].score + 0.4 * parts[1].score : parts[0].score;
+  const subjects = program.subjectAreas?.length ? program.subjectAreas.join(', ') : program.name;
+  const reasons = parts.map(part => part.reason).join(', and ');
+  return factor('interests', score, `${subjects}: ${reasons}.`);
+};
+
+const budgetFactor = (program: Pick<IProgram, 'tuition'>, student: RecommendationProfile) => {
+  if (!student.budget) {
+    return factor('budget', null, 'Set a yearly tuition budget in your study preferences to compare costs.');
+  }
+  if (!program.tuition) {
+    return factor('budget', null, 'Tuition is not listed for this program.');
+  }
+  if (program.tuition.currency !== student.budget.currency) {
+    return factor('budget', null,
+      `Tuition is ${formatMoney(program.tuition)} a year, in a different currency from your ${formatMoney(student.budget)} budget.`);
+  }
+
+  const ratio = program.tuition.amount / student.budget.amount;
+  if (ratio <= 1) {
+    return factor('budget', 1, `Tuition of ${formatMoney(program.tuition)} a year is within your ${formatMoney(student.budget)} budget.`);
+  }
+  const over = formatMoney({ amount: program.tuition.amount - student.budget.amount, currency: program.tuition.currency });
+  return factor('budget', ratio <= BUDGET_STRETCH ? 0.5 : 0,
+    `Tuition of ${formatMoney(program.tuition)} a year is ${over} over your budget${ratio <= BUDGET_STRETCH ? '' : ', before any financial aid'}.`);
+};
+
+const locationFactor = (program: Pick<IProgram, 'country' | 'city'>, student: RecommendationProfile) => {
+  if (student.countries.length === 0) {
+    return factor('location', null, 'Choose preferred countries in your study preferences to factor in location.');
+  }
+  const place = [program.city, program.country].filter(Boolean).join(', ');
+  const preferred = student.countries.some(country => country.toLowerCase() === program.country.toLowerCase());
+  return factor('location', preferred ? 1 : 0,
+    preferred ? `${place} is in a country you prefer.` : `${place} is outside your preferred countries (${student.countries.join(', ')}).`);
+};
+
+const bucketFor = (
+  fit: ReturnType<typeof requirementFit>,
+  student: RecommendationProfile
+): { bucket: RecommendationBucket; bucketReason: string } => {
+  if (fit.missingSubjects.length > 0) {
+    return { bucket: 'reach', bucketReason: 'You are missing a required subject, so admission would be a stretch.' };
+  }
+  if (fit.requiredGpa === null || student.gpa === null) {
+    return {
+      bucket: 'match',
+      bucketReason: student.gpa === null
+        ? 'Without grades on your profile, admission chances can\'t be estimated; treat this as a match until you add them.'
+        : 'No minimum GPA is published, so this is treated as a match; check the admissions page for typical grades.'
+    };
+  }
+  const margin = student.gpa - fit.requiredGpa;
+  if (margin < 0) {
+    return { bucket: 'reach', bucketReason: 'Your GPA is below the published minimum, so admission would be a stretch.' };
+  }
+  if (margin >= SAFETY_MARGIN) {
+    return { bucket: 'safety', bucketReason: 'Your GPA is well above the minimum, so admission is likely.' };
+  }
+  return { bucket: 'match', bucketReason: 'Your GPA meets the minimum with little to spare, so admission is realistic but not certain.' };
+};
+
+// Score one catalog program (a lean document) against the student
+export const recommendProgram = (program: Record<string, any>, student: RecommendationProfile): Recommendation => {
+  const { fit, result: academics } = academicsFactor(program, student);
+  const factors = [
+    academics,
+    interestsFactor({ name: program.name, subjectAreas: program.subjectAreas }, student),
+    budgetFactor(program, student),
+    locationFactor({ country: program.country, city: program.city }, student)
+  ];
+
+  const scored = factors.filter(entry => entry.score !== null);
+  const totalWeight = scored.reduce((sum, entry) => sum + entry.weight, 0);
+  const score = totalWeight > 0
+    ? Math.round(scored.reduce((sum, entry) => sum + entry.score! * entry.weight, 0) / totalWeight)
+    : null;
+
+  return {
+    program: { ...program, nextDeadline: nextDeadline(program as IProgram), fit },
+    score,
+    ...bucketFor(fit, student),
+    factors
+  };
+};
+
+// Rank programs within each bucket, best first, keeping at most `perBucket` of each
+export const recommendPrograms = (
+  programs: Record<string, any>[],
+  student: RecommendationProfile,
+  perBucket: number
+): Record<RecommendationBucket, Recommendation[]> => {
+  const ranked = programs
+    .map(program => recommendProgram(program, student))
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || String(a.program.name).localeCompare(String(b.program.name)));
+
+  return RECOMMENDATION_BUCKETS.reduce((buckets, bucket) => {
+    buckets[bucket] = ranked.filter(entry => entry.bucket === bucket).slice(0, perBucket);
+    return buckets;
+  }, {} as Record<RecommendationBucket, Recommendation[]>);
+};
@@ -0,0 +1,144 @@
+import dotenv from 'dotenv';
+import User, { IUser } from '../models/User';
+import Notification, { NotificationType } from '../models/Notification';
+import { logger } from './observability';
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINISHED_STATUSES = ['Submitted', 'Accepted', 'Rejected'];
+const COMPLETE_STATES = ['done', 'waived'];
+
+// Days before a due date at which a reminder is sent, e.g. "30,7,1"
+export const REMINDER_LEAD_DAYS = (process.env.REMINDER_LEAD_DAYS || '30,7,1')
+  .split(',')
+  .map(days => parseInt(days.trim(), 10))
+  .filter(days => !isNaN(days) && days > 0)
+  .sort((a, b) => a - b);
+
+const SCAN_INTERVAL_MS = parseInt(process.env.REMINDER_SCAN_INTERVAL_MINUTES || '60', 10) * 60 * 1000;
+
+export interface PendingReminder {
+  type: NotificationType;
+  title: string;
+  body: string;
+  dueAt: Date;
+  dedupeKey: string;
+}
+
+const formatDate = (date: Date): string =>
+  date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const daysLabel = (days: number): string => {
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+};
+
+// The smallest lead time the due date has already come within, if any. Picking the
+// smallest means a late scan sends one "7 days" reminder rather than a stale "30 days" too.
+const crossedLead = (dueAt: Date, now: Date): number | null => {
+  const remaining = dueAt.getTime() - now.getTime();
+  if (remaining < 0) return null;
+  const lead = REMINDER_LEAD_DAYS.find(days => remaining <= days * DAY_MS);
+  return lead ?? null;
+};
+
+// Work out which reminders are due for one user right now. The dedupe key includes the
+// due date, so moving a deadline produces fresh reminders for the new date.
+export const remindersForUser = (user: IUser, now: Date = new Date()): PendingReminder[] => {
+  const reminders: PendingReminder[] = [];
+
+  (user.universityApplications || []).forEach(app => {
+    if (FINISHED_STATUSES.includes(app.status)) return;
+
+    const deadline = new Date(app.deadline);
+    const lead = crossedLead(deadline, now);
+    if (lead !== null) {
+      const days = Math.ceil((deadline.getTime() - now.getTime()) / DAY_MS);
+      reminders.push({
+        type: 'deadline',
+        title: `${app.universityName} deadline ${daysLabel(days)}`,
+        body: `Your ${app.program} application to ${app.universityName} is due ${formatDate(deadline)} and is ${app.completion || 0}% complete.`,
+        dueAt: deadline,
+        dedupeKey: `deadline:${app._id}:${deadline.toISOString()}:${lead}`
+      });
+    }
+
+    (app.checklist || []).forEach(item => {
+      if (!item.dueDate || COMPLETE_STATES.includes(item.state)) return;
+
+      const dueAt = new Date(item.dueDate);
+      const itemLead = crossedLead(dueAt, now);
+      if (itemLead === null) return;
+
+      const days = Math.ceil((dueAt.getTime() - now.getTime()) / DAY_MS);
+      reminders.push({
+        type: 'checklist',
+        title: `${item.label} due ${daysLabel(days)}`,
+        body: `"${item.label}" for ${app.universityName} (${app.program}) is due ${formatDate(dueAt)}.`,
+        dueAt,
+        dedupeKey: `checklist:${item._id}:${dueAt.toISOString()}:${itemLead}`
+      });
+    });
+  });
+
+  return reminders;
+};
+
+// Scan every user with something due within the largest lead time and store new notifications.
+// Safe to run from several server instances at once: inserts are idempotent on the dedupe key.
+export const scanReminders = async (now: Date = new Date()): Promise<number> => {
+  if (REMINDER_LEAD_DAYS.length === 0) return 0;
+
+  const horizon = new Date(now.getTime() + REMINDER_LEAD_DAYS[REMINDER_LEAD_DAYS.length - 1] * DAY_MS);
+  const users = await User.find({
+    $or: [
+      { 'universityApplications.deadline': { $gte: now, $lte: horizon } },
+      { 'universityApplications.checklist.dueDate': { $gte: now, $lte: horizon } }
+    ]
+  }).select('universityApplications');
+
+  let created = 0;
+  for (const user of users) {
+    for (const reminder of remindersForUser(user, now)) {
+      const result = await Notification.updateOne(
+        { user: user._id, dedupeKey: reminder.dedupeKey },
+        { $setOnInsert: { user: user._id, ...reminder } },
+        { upsert: true }
+      );
+      created += result.upsertedCount;
+    }
+  }
+
+  return created;
+};
+
+let timer: NodeJS.Timeout | null = null;
+
+// Run a scan now and then on a fixed interval
+export const startReminderScheduler = () => {
+  if (timer || process.env.REMINDERS_ENABLED === 'false') return;
+
+  const run = async () => {
+    try {
+      const created = await scanReminders();
+      if (created > 0) {
+        logger.info('Reminder scan created notifications', { created });
+      }
+    } catch (error: any) {
+      logger.error('Reminder scan failed', error);
+    }
+  };
+
+  run();
+  timer = setInterval(run, SCAN_INTERVAL_MS);
+  timer.unref();
+};
+
+export const stopReminderScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,187 @@
+// Holland Code (RIASEC) interest assessment: question banks, scoring and career clusters
+
+export const RIASEC_DIMENSIONS = ['R', 'I', 'A', 'S', 'E', 'C'] as const;
+export type RiasecDimension = typeof RIASEC_DIMENSIONS[number];
+export type RiasecScores = Record<RiasecDimension, number>;
+
+export const DIMENSION_LABELS: Record<RiasecDimension, string> = {
+  R: 'Realistic',
+  I: 'Investigative',
+  A: 'Artistic',
+  S: 'Social',
+  E: 'Enterprising',
+  C: 'Conventional'
+};
+
+export const DIMENSION_DESCRIPTIONS: Record<RiasecDimension, string> = {
+  R: 'Hands-on work with tools, machines, plants or animals',
+  I: 'Investigating, analysing and solving problems',
+  A: 'Creating, designing and expressing ideas',
+  S: 'Helping, teaching and caring for people',
+  E: 'Leading, persuading and starting things',
+  C: 'Organising data, records and processes'
+};
+
+// Answers are how much the student would enjoy each activity
+export const ANSWER_SCALE = [
+  { value: 1, label: 'Strongly dislike' },
+  { value: 2, label: 'Dislike' },
+  { value: 3, label: 'Unsure' },
+  { value: 4, label: 'Like' },
+  { value: 5, label: 'Strongly like' }
+] as const;
+const MIN_ANSWER = 1;
+const MAX_ANSWER = 5;
+
+export interface AssessmentQuestion {
+  // Stable within a version; answers are stored against it
+  id: string;
+  dimension: RiasecDimension;
+  text: string;
+}
+
+export interface QuestionBank {
+  version: string;
+  title: string;
+  questions: AssessmentQuestion[];
+}
+
+const questions = (dimension: RiasecDimension, texts: string[]): AssessmentQuestion[] =>
+  texts.map((text, index) => ({ id: `${dimension}${index + 1}`, dimension, text }));
+
+// Published banks are never edited: changing a question means adding a new version, so
+// attempts and results keep referring to the exact questions that were answered.
+export const QUESTION_BANKS: Record<string, QuestionBank> = {
+  'riasec-v1': {
+    version: 'riasec-v1',
+    title: 'Career Interest Assessment',
+    questions: [
+      ...questions('R', [
+        'Build or repair furniture',
+        'Fix a bicycle or a car engine',
+        'Work outdoors on a farm, forest or building site',
+        'Assemble electronic parts or wire a circuit',
+        'Operate machines or power tools',
+        'Train or care for animals'
+      ]),
+      ...questions('I', [
+        'Carry out experiments in a laboratory',
+        'Work out why a computer program is not working',
+        'Study how the human body fights disease',
+        'Analyse data to find patterns',
+        'Read about new scientific discoveries',
+        'Solve challenging maths problems'
+      ]),
+      ...questions('A', [
+        'Write stories, poems or song lyrics',
+        'Design posters, websites or logos',
+        'Play a musical instrument or perform on stage',
+        'Take and edit photographs or videos',
+        'Sketch, paint or sculpt',
+        'Design clothes, rooms or buildings'
+      ]),
+      ...questions('S', [
+        'Tutor a classmate who is struggling',
+        'Volunteer at a community centre or hospital',
+        'Listen to friends and help them with problems',
+        'Coach a sports team of younger students',
+        'Look after children or elderly people',
+        'Help newcomers settle into a school or club'
+      ]),
+      ...questions('E', [
+        'Start your own small business',
+        'Persuade people to support an idea',
+        'Lead a team project or student council',
+        'Sell products or raise money for a cause',
+        'Negotiate a deal or settle a disagreement',
+        'Plan a marketing campaign for an event'
+      ]),
+      ...questions('C', [
+        'Keep accurate records or spreadsheets',
+        'Organise files, schedules or inventories',
+        'Check documents carefully for errors',
+        'Manage the budget for a club or event',
+        'Follow clear procedures to complete a task',
+        'Enter and sort information in a database'
+      ])
+    ]
+  }
+};
+
+export const CURRENT_BANK_VERSION = 'riasec-v1';
+
+export const getQuestionBank = (version: string = CURRENT_BANK_VERSION): QuestionBank | null =>
+  QUESTION_BANKS[version] || null;
+
+export interface CareerCluster {
+  name: string;
+  // Holland code letters the cluster draws on most, strongest first
+  code: string;
+  careers: string[];
+}
+
+export const CAREER_CLUSTERS: CareerCluster[] = [
+  { name: 'Engineering & Technology', code: 'RI', careers: ['Mechanical engineer', 'Electrical engineer', 'Robotics technician', 'Civil engineer'] },
+  { name: 'Construction & Skilled Trades', code: 'RC', careers: ['Electrician', 'Carpenter', 'Construction manager', 'HVAC technician'] },
+  { name: 'Agriculture & Environment', code: 'RI', careers: ['Environmental scientist', 'Agronomist', 'Park ranger', 'Veterinary technician'] },
+  { name: 'Computing & Data', code: 'IC', careers: ['Software developer', 'Data analyst', 'Cybersecurity analyst', 'Database administrator'] },
+  { name: 'Life & Physical Sciences', code: 'IR', careers: ['Biologist', 'Chemist', 'Lab technician', 'Physicist'] },
+  { name: 'Medicine & Health Sciences', code: 'IS', careers: ['Physician', 'Pharmacist', 'Physiotherapist', 'Medical researcher'] },
+  { name: 'Arts, Design & Media', code: 'AE', careers: ['Graphic designer', 'Film editor', 'Journalist', 'Game artist'] },
+  { name: 'Architecture & Interior Design', code: 'AR', careers: ['Architect', 'Interior designer', 'Landscape architect', 'Urban planner'] },
+  { name: 'Performing Arts & Music', code: 'AS', careers: ['Musician', 'Actor', 'Music teacher', 'Sound engineer'] },
+  { name: 'Education & Training', code: 'SA', careers: ['Teacher', 'School counselor', 'Corporate trainer', 'Special education teacher'] },
+  { name: 'Healthcare & Social Care', code: 'SI', careers: ['Nurse', 'Occupational therapist', 'Social worker', 'Psychologist'] },
+  { name: 'Community & Public Service', code: 'SE', careers: ['Community organiser', 'Police officer', 'Nonprofit coordinator', 'Human resources specialist'] },
+  { name: 'Business & Entrepreneurship', code: 'EC', careers: ['Entrepreneur', 'Business analyst', 'Project manager', 'Management consultant'] },
+  { name: 'Marketing, Sales & Communications', code: 'EA', careers: ['Marketing manager', 'Public relations specialist', 'Sales representative', 'Brand strategist'] },
+  { name: 'Law & Government', code: 'ES', careers: ['Lawyer', 'Policy analyst', 'Diplomat', 'Paralegal'] },
+  { name: 'Finance & Accounting', code: 'CE', careers: ['Accountant', 'Financial analyst', 'Actuary', 'Auditor'] },
+  { name: 'Administration & Logistics', code: 'CR', careers: ['Logistics coordinator', 'Office manager', 'Supply chain analyst', 'Records manager'] }
+];
+
+export type AnswerMap = Map<string, number>;
+
+export const isValidAnswer = (value: unknown): value is number =>
+  Number.isInteger(value) && (value as number) >= MIN_ANSWER && (value as number) <= MAX_ANSWER;
+
+// Percentage (0-100) of the maximum possible interest in each dimension
+export const scoreAnswers = (bank: QuestionBank, answers: AnswerMap): RiasecScores => {
+  return RIASEC_DIMENSIONS.reduce((scores, dimension) => {
+    const dimensionQuestions = bank.questions.filter(question => question.dimension === dimension);
+    const total = dimensionQuestions.reduce((sum, question) => sum + ((answers.get(question.id) ?? MIN_ANSWER) - MIN_ANSWER), 0);
+    const max = dimensionQuestions.length * (MAX_ANSWER - MIN_ANSWER);
+    scores[dimension] = max > 0 ? Math.round((total / max) * 100) : 0;
+    return scores;
+  }, {} as RiasecScores);
+};
+
+// The three strongest dimensions, e.g. "ISA"; ties keep the RIASEC order
+export const hollandCode = (scores: RiasecScores): string =>
+  [...RIASEC_DIMENSIONS]
+    .sort((a, b) => scores[b] - scores[a])
+    .slice(0, 3)
+    .join('');
+
+export interface ClusterMatch extends CareerCluster {
+  // 0-100, weighting the cluster's primary letter twice as much as its secondary one
+  match: number;
+}
+
+export const matchClusters = (scores: RiasecScores, limit = 5): ClusterMatch[] =>
+  CAREER_CLUSTERS
+    .map(cluster => {
+      const [primary, secondary] = cluster.code.split('') as RiasecDimension[];
+      return { ...cluster, match: Math.round((2 * scores[primary] + scores[secondary]) / 3) };
+    })
+    .sort((a, b) => b.match - a.match)
+    .slice(0, limit);
+
+// One line for the advisor prompt, e.g. "Holland Code ISA (Investigative 83%, ...)"
+export const describeInterestProfile = (profile: { code: string; scores: RiasecScores }): string => {
+  const top = profile.code.split('') as RiasecDimension[];
+  const clusters = matchClusters(profile.scores, 3).map(cluster => cluster.name);
+  return `Career interest assessment (RIASEC): Holland Code ${profile.code} (`
+    + top.map(dimension => `${DIMENSION_LABELS[dimension]} ${profile.scores[dimension]}%`).join(', ')
+    + `); best-matching career clusters: ${clusters.join(', ')}`;
+};
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { Types } from 'mongoose';
+import Session, { ISession } from '../models/Session';
+import RevokedToken from '../models/RevokedToken';
+import { JWT_SECRET } from '../middleware/auth';
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PREVIOUS_TOKENS = 20;
+
+// Access tokens are short-lived; refresh tokens keep a device signed in
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+export interface AccessTokenPayload {
+  id: string;
+  sid: string;
+  jti: string;
+  exp: number;
+}
+
+export interface IssuedTokens {
+  token: string;
+  refreshToken: string;
+  session: ISession;
+}
+
+export interface ClientInfo {
+  userAgent?: string;
+  ip?: string;
+}
+
+export class RefreshError extends Error {
+  // 'reused' means a rotated-out token came back, so the whole session was revoked
+  constructor(public reason: 'invalid' | 'expired' | 'revoked' | 'reused', message: string) {
+    super(message);
+    this.name = 'RefreshError';
+  }
+}
+
+const hashToken = (token: string): string => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = (): string => crypto.randomBytes(48).toString('hex');
+
+const signAccessToken = (userId: string, sessionId: string): string =>
+  jwt.sign({ id: userId, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID()
+  } as jwt.SignOptions);
+
+// Start a new session for a user who just proved their identity (signup or login)
+export const createSession = async (userId: Types.ObjectId | string, client: ClientInfo = {}): Promise<IssuedTokens> => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    userAgent: client.userAgent,
+    ip: client.ip
+  });
+
+  return {
+    token: signAccessToken(String(userId), session.id),
+    refreshToken,
+    session
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair. Each refresh token works once;
+// presenting an already-rotated token revokes the session, since one of the two holders
+// must have stolen it.
+export const rotateRefreshToken = async (refreshToken: string, client: ClientInfo = {}): Promise<IssuedTokens> => {
+  const hash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: hash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHashes: hash });
+    if (reused) {
+      if (!reused.revokedAt) {
+        reused.revokedAt = new Date();
+        reused.revokedReason = 'refresh_token_reuse';
+        await reused.save();
+      }
+      throw new RefreshError('reused', 'Refresh token has already been used; the session was signed out');
+    }
+    throw new RefreshError('invalid', 'Refresh token is not valid');
+  }
+
+  if (session.revokedAt) {
+    throw new RefreshError('revoked', 'Session has been signed out');
+  }
+  if (session.expiresAt.getTime() <= Date.now()) {
+    throw new RefreshError('expired', 'Session has expired; please log in again');
+  }
+
+  const nextToken = generateRefreshToken();
+  session.previousTokenHashes = [hash, ...session.previousTokenHashes].slice(0, MAX_PREVIOUS_TOKENS);
+  session.refreshTokenHash = hashToken(nextToken);
+  session.lastUsedAt = new Date();
+  if (client.userAgent) session.userAgent = client.userAgent;
+  if (client.ip) session.ip = client.ip;
+  await session.save();
+
+  return {
+    token: signAccessToken(String(session.user), session.id),
+    refreshToken: nextToken,
+    session
+  };
+};
+
+// Put an access token on the revocation list until it would have expired anyway
+export const revokeAccessToken = async (jti: string, exp: number) => {
+  await RevokedToken.updateOne(
+    { jti },
+    { $setOnInsert: { jti, expiresAt: new Date(exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+// Sign out one session. Returns false when it doesn't belong to the user.
+export const revokeSession = async (userId: string, sessionId: string, reason = 'logout'): Promise<boolean> => {
+  if (!Types.ObjectId.isValid(sessionId)) return false;
+  const session = await Session.findOne({ _id: sessionId, user: userId });
+  if (!session) return false;
+  if (!session.revokedAt) {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+  }
+  return true;
+};
+
+// Sign out every session of a user, optionally keeping the current one
+export const revokeAllSessions = async (userId: string, exceptSessionId?: string, reason = 'logout_all'): Promise<number> => {
+  const filter: Record<string, unknown> = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+// Whether an access token may still be used: it isn't on the revocation list and its session is live
+export const isAccessTokenActive = async (payload: AccessTokenPayload): Promise<boolean> => {
+  const [revoked, session] = await Promise.all([
+    RevokedToken.exists({ jti: payload.jti }),
+    Session.findById(payload.sid).select('revokedAt expiresAt')
+  ]);
+  if (revoked || !session || session.revokedAt) return false;
+  return session.expiresAt.getTime() > Date.now();
+};
+
+// Live sessions of a user, most recently used first
+export const listSessions = (userId: string) =>
+  Session.find({ user: userId, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
@@ -0,0 +1,244 @@
+import User, { IUser, SUPPORTER_ROLES, SupporterRole } from '../models/User';
+import StudentLink, { IStudentLink, LinkPermission, LINK_PERMISSIONS } from '../models/StudentLink';
+import Notification from '../models/Notification';
+import { sendMail } from './mail';
+import { APP_URL } from './accountService';
+import { logger } from './observability';
+
+// How much of a student's dashboard the viewer may see: their own, everything as an admin,
+// or what an active link allows
+export type StudentAccessLevel = 'self' | 'admin' | LinkPermission;
+
+export class LinkError extends Error {
+  constructor(public status: number, message: string) {
+    super(message);
+    this.name = 'LinkError';
+  }
+}
+
+const OPEN_STATUSES = ['pending', 'active'];
+const RELATIONSHIP_LABELS: Record<SupporterRole, string> = { counselor: 'counselor', parent: 'parent' };
+
+export const isSupporterRole = (role: unknown): role is SupporterRole =>
+  typeof role === 'string' && (SUPPORTER_ROLES as readonly string[]).includes(role);
+
+export const isLinkPermission = (permission: unknown): permission is LinkPermission =>
+  typeof permission === 'string' && (LINK_PERMISSIONS as readonly string[]).includes(permission);
+
+export const studentAccessLevel = async (viewerId: string, studentId: string): Promise<StudentAccessLevel | null> => {
+  if (String(viewerId) === String(studentId)) return 'self';
+
+  const [viewer, link] = await Promise.all([
+    User.findById(viewerId).select('role'),
+    StudentLink.findOne({ supporter: viewerId, student: studentId, status: 'active' }).select('permission')
+  ]);
+  if (viewer?.role === 'admin') return 'admin';
+  return link?.permission ?? null;
+};
+
+const notify = async (userId: IUser['_id'], link: IStudentLink, title: string, body: string) => {
+  await Notification.updateOne(
+    { user: userId, dedupeKey: `link:${link.id}:${link.status}` },
+    { $setOnInsert: { user: userId, type: 'link', title, body, dedupeKey: `link:${link.id}:${link.status}` } },
+    { upsert: true }
+  );
+};
+
+// Invite a counselor or parent (from a student) or a student (from a counselor or parent).
+// Nothing is shared until the invitee accepts.
+export const createInvitation = async (
+  inviter: IUser,
+  { email, relationship, permission }: { email: string; relationship?: string; permission?: string }
+): Promise<IStudentLink> => {
+  const inviteeEmail = email.trim().toLowerCase();
+  if (inviteeEmail === inviter.email) {
+    throw new LinkError(400, 'You cannot invite yourself');
+  }
+  if (permission !== undefined && !isLinkPermission(permission)) {
+    throw new LinkError(400, `Permission must be one of: ${LINK_PERMISSIONS.join(', ')}`);
+  }
+
+  const fromStudent = inviter.role === 'student';
+  let linkRelationship: SupporterRole;
+  if (fromStudent) {
+    if (!isSupporterRole(relationship)) {
+      throw new LinkError(400, `Relationship must be one of: ${SUPPORTER_ROLES.join(', ')}`);
+    }
+    linkRelationship = relationship;
+  } else if (isSupporterRole(inviter.role)) {
+    linkRelationship = inviter.role;
+  } else {
+    throw new LinkError(403, 'Only students, counselors and parents can send invitations');
+  }
+
+  // If the invitee already has an account it must have the matching role
+  const invitee = await User.findOne({ email: inviteeEmail }).select('role firstName email emailVerified');
+  const expectedRole = fromStudent ? linkRelationship : 'student';
+  if (invitee && invitee.role !== expectedRole) {
+    throw new LinkError(400, `${inviteeEmail} does not belong to a ${expectedRole} account`);
+  }
+
+  const student = fromStudent ? inviter._id : invitee?._id;
+  const supporter = fromStudent ? invitee?._id : inviter._id;
+  const existing = await StudentLink.findOne({
+    status: { $in: OPEN_STATUSES },
+    $or: [
+      student && supporter ? { student, supporter } : null,
+      { invitedBy: inviter._id, inviteeEmail }
+    ].filter(Boolean) as Record<string, unknown>[]
+  });
+  if (existing) {
+    throw new LinkError(409, existing.status === 'active' ? 'You are already linked' : 'An invitation is already pending');
+  }
+
+  const link = await StudentLink.create({
+    student,
+    supporter,
+    relationship: linkRelationship,
+    permission: permission ?? 'read',
+    invitedBy: inviter._id,
+    inviteeEmail
+  });
+
+  const inviterName = `${inviter.firstName} ${inviter.lastName}`;
+  const what = fromStudent
+    ? `${inviterName} invited you to follow their CareerCompass dashboard as their ${RELATIONSHIP_LABELS[linkRelationship]}.`
+    : `${inviterName} (${RELATIONSHIP_LABELS[linkRelationship]}) asked to follow your CareerCompass dashboard.`;
+
+  // Until the address is verified the account may not belong to whoever owns it
+  if (invitee?.emailVerified) {
+    await notify(invitee._id, link, 'New link invitation', what);
+  }
+  try {
+    await sendMail({
+      to: inviteeEmail,
+      subject: `${inviterName} invited you on CareerCompass`,
+      text: `${what}\n\nTo accept or decline, log in (or sign up with this email address) and open:\n${APP_URL}/links\n`
+    });
+  } catch (error: any) {
+    // The invitation still shows up in-app; a mail failure shouldn't undo it
+    logger.error('Invitation email error', error);
+  }
+
+  return link;
+};
+
+// Accept or decline an invitation addressed to `user`. Invitations are matched by email
+// address, so only a verified address counts; anyone can sign up with an unverified one.
+export const respondToInvitation = async (user: IUser, linkId: string, accept: boolean): Promise<IStudentLink> => {
+  if (!user.emailVerified) {
+    throw new LinkError(403, 'Confirm your email address before responding to invitations');
+  }
+
+  const link = await StudentLink.findOne({ _id: linkId, status: 'pending', inviteeEmail: user.email });
+  if (!link || String(link.invitedBy) === String(user._id)) {
+    throw new LinkError(404, 'Invitation not found');
+  }
+
+  const fromStudent = String(link.student) === String(link.invitedBy);
+  const expectedRole = fromStudent ? link.relationship : 'student';
+  if (user.role !== expectedRole) {
+    throw new LinkError(403, `This invitation is for a ${expectedRole} account`);
+  }
+
+  if (fromStudent) {
+    link.supporter = user._id;
+  } else {
+    link.student = user._id;
+  }
+
+  if (accept) {
+    const duplicate = await StudentLink.findOne({
+      _id: { $ne: link._id },
+      student: link.student,
+      supporter: link.supporter,
+      status: 'active'
+    });
+    if (duplicate) {
+      throw new LinkError(409, 'You are already linked');
+    }
+  }
+
+  link.status = accept ? 'active' : 'declined';
+  link.respondedAt = new Date();
+  await link.save();
+
+  await notify(
+    link.invitedBy,
+    link,
+    accept ? 'Invitation accepted' : 'Invitation declined',
+    `${user.firstName} ${user.lastName} ${accept ? 'accepted' : 'declined'} your invitation.`
+  );
+  return link;
+};
+
+// End a link (or withdraw a pending invitation). Either side may do this at any time.
+export const revokeLink = async (user: IUser, linkId: string): Promise<IStudentLink> => {
+  const link = await StudentLink.findOne({
+    _id: linkId,
+    status: { $in: OPEN_STATUSES },
+    $or: [{ student: user._id }, { supporter: user._id }, { invitedBy: user._id }]
+  });
+  if (!link) {
+    throw new LinkError(404, 'Link not found');
+  }
+
+  link.status = 'revoked';
+  link.revokedAt = new Date();
+  link.revokedBy = user._id;
+  await link.save();
+  return link;
+};
+
+// Change what a counselor or parent may do. Only the student decides this.
+export const updateLinkPermission = async (user: IUser, linkId: string, permission: unknown): Promise<IStudentLink> => {
+  if (!isLinkPermission(permission)) {
+    throw new LinkError(400, `Permission must be one of: ${LINK_PERMISSIONS.join(', ')}`);
+  }
+
+  const link = await StudentLink.findOne({ _id: linkId, status: { $in: OPEN_STATUSES } });
+  if (!link) {
+    throw new LinkError(404, 'Link not found');
+  }
+  if (String(link.student) !== String(user._id)) {
+    throw new LinkError(403, 'Only the student can change what a link allows');
+  }
+
+  link.permission = permission;
+  await link.save();
+  return link;
+};
+
+// Open links and invitations involving the user. Invitations sent to them (by email, or
+// pre-filled with their account) only show once they have verified the address.
+export const listLinks = async (user: IUser): Promise<IStudentLink[]> =>
+  StudentLink.find({
+    status: { $in: OPEN_STATUSES },
+    $or: [
+      { status: 'active', student: user._id },
+      { status: 'active', supporter: user._id },
+      { invitedBy: user._id },
+      ...(user.emailVerified ? [{ inviteeEmail: user.email }] : [])
+    ]
+  })
+    .populate('student', 'firstName lastName email')
+    .populate('supporter', 'firstName lastName email role')
+    .populate('invitedBy', 'firstName lastName email')
+    .sort({ createdAt: -1 });
+
+export const toLinkResponse = (link: IStudentLink, viewer: IUser) => ({
+  id: link._id,
+  relationship: link.relationship,
+  permission: link.permission,
+  status: link.status,
+  // Whether the viewer is the one who has to accept
+  awaitingMyResponse: link.status === 'pending'
+    && Boolean(viewer.emailVerified)
+    && link.inviteeEmail === viewer.email
+    && String((link.invitedBy as any)?._id ?? link.invitedBy) !== String(viewer._id),
+  student: link.student,
+  supporter: link.supporter,
+  invitedBy: link.invitedBy,
+  inviteeEmail: link.inviteeEmail,
+  createdAt: link.createdAt
+});
@@ -0,0 +1,282 @@
+import ExcelJS from 'exceljs';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { IUser } from '../models/User';
+import { FieldErrors } from '../utils/validation';
+import { gradePoints } from './grading';
+
+export const MAX_TRANSCRIPT_BYTES = 1024 * 1024;
+export const MAX_TRANSCRIPT_ROWS = 500;
+export const TRANSCRIPT_EXTENSIONS = ['.csv', '.xlsx'];
+
+// How many leading rows to scan for the header (exports often start with a title block)
+const HEADER_SEARCH_ROWS = 10;
+
+export const TRANSCRIPT_FIELDS = ['subject', 'grade', 'term', 'credits'] as const;
+export type TranscriptField = typeof TRANSCRIPT_FIELDS[number];
+
+export type ColumnMapping = Partial<Record<TranscriptField, number>>;
+
+export const IMPORT_MODES = ['merge', 'replace'] as const;
+export type ImportMode = typeof IMPORT_MODES[number];
+
+export interface TranscriptEntry {
+  subject: string;
+  grade: string;
+  term?: string;
+  credits?: number;
+}
+
+export interface PreviewRow extends Partial<TranscriptEntry> {
+  row: number; // 1-based row number in the spreadsheet
+  errors: FieldErrors;
+  action?: 'add' | 'update';
+}
+
+export class TranscriptError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'TranscriptError';
+  }
+}
+
+// Header spellings seen in school-system exports, compared after normalizeHeader
+const COLUMN_ALIASES: Record<TranscriptField, string[]> = {
+  subject: ['subject', 'course', 'coursename', 'coursetitle', 'class', 'classname', 'module', 'subjectname'],
+  grade: ['grade', 'finalgrade', 'lettergrade', 'mark', 'finalmark', 'score', 'result'],
+  term: ['term', 'semester', 'period', 'session', 'schoolyear', 'year', 'termname'],
+  credits: ['credits', 'credit', 'credithours', 'units', 'hours', 'ects', 'creditvalue']
+};
+
+const LETTER_GRADE = /^(A|B|C|D)[+-]?$|^(E|F)$/;
+const NUMERIC_GRADE = /^\d+(\.\d+)?%?$/;
+
+const normalizeHeader = (value: string): string => value.toLowerCase().replace(/[^a-z]/g, '');
+
+const cellText = (value: unknown): string => (value === undefined || value === null ? '' : String(value).trim());
+
+// .xlsx files are zip archives; legacy .xls files are OLE compound documents
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0]);
+
+const readWorkbook = async (buffer: Buffer): Promise<string[][]> => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw new TranscriptError('The file could not be read as an Excel (.xlsx) spreadsheet');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw new TranscriptError('The spreadsheet is empty');
+  }
+
+  const rows: string[][] = [];
+  for (let r = 1; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+    const cells: string[] = [];
+    for (let c = 1; c <= row.cellCount; c++) {
+      cells.push(cellText(row.getCell(c).text));
+    }
+    rows.push(cells);
+  }
+  return rows;
+};
+
+const readCsv = (buffer: Buffer): string[][] => {
+  try {
+    const rows: string[][] = parseCsv(buffer, {
+      bom: true,
+      delimiter: [',', ';', '\t'],
+      relax_column_count: true,
+      relax_quotes: true
+    });
+    return rows.map(row => row.map(cellText));
+  } catch {
+    throw new TranscriptError('The file could not be read as a CSV file');
+  }
+};
+
+// Read a CSV file or the first sheet of an .xlsx workbook into rows of cell text. Legacy
+// .xls workbooks are refused rather than handed to a parser for that format.
+export const readSpreadsheet = async (buffer: Buffer): Promise<string[][]> => {
+  if (buffer.subarray(0, 4).equals(OLE_SIGNATURE)) {
+    throw new TranscriptError('Legacy .xls files are not supported. Save the transcript as .xlsx or CSV and upload it again.');
+  }
+  return buffer.subarray(0, 4).equals(ZIP_SIGNATURE) ? readWorkbook(buffer) : readCsv(buffer);
+};
+
+// Match header cells against the known aliases. Exact matches win over partial ones
+// ("Course" vs "Course Code"), and each column is used for at most one field.
+export const detectColumns = (header: string[]): ColumnMapping => {
+  const normalized = header.map(normalizeHeader);
+  const mapping: ColumnMapping = {};
+  const used = new Set<number>();
+
+  for (const exact of [true, false]) {
+    TRANSCRIPT_FIELDS.forEach(field => {
+      if (mapping[field] !== undefined) return;
+      const index = normalized.findIndex((cell, i) => !used.has(i) && cell !== ''
+        && COLUMN_ALIASES[field].some(alias => (exact ? cell === alias : cell.startsWith(alias))));
+      if (index !== -1) {
+        mapping[field] = index;
+        used.add(index);
+      }
+    });
+  }
+  return mapping;
+};
+
+// Locate the header row: the first row where both subject and grade columns are recognised
+const findHeader = (rows: string[][]): { headerIndex: number; columns: ColumnMapping } | null => {
+  for (let i = 0; i < Math.min(rows.length, HEADER_SEARCH_ROWS); i++) {
+    const columns = detectColumns(rows[i]);
+    if (columns.subject !== undefined && columns.grade !== undefined) {
+      return { headerIndex: i, columns };
+    }
+  }
+  return null;
+};
+
+// Letter grades are upper-cased ("b+" -> "B+"); numeric marks must lie between 0 and 100.
+// Anything else is kept as written if the student's grading scale understands it ("A*", "U").
+const normalizeGrade = (value: string, student: GradedStudent): string | null => {
+  const grade = value.toUpperCase().replace(/\s+/g, '');
+  if (LETTER_GRADE.test(grade)) return grade;
+  if (NUMERIC_GRADE.test(grade)) {
+    const number = parseFloat(grade);
+    return number >= 0 && number <= 100 ? grade : null;
+  }
+  return gradePoints(value, student.gradingScale || 'us_letter', student.customGradeScale) === null ? null : value;
+};
+
+type GradedStudent = Pick<IUser, 'gradingScale' | 'customGradeScale'>;
+
+const entryKey = (entry: { subject: string; term?: string }) =>
+  `${entry.subject.trim().toLowerCase()}|${(entry.term || '').trim().toLowerCase()}`;
+
+// Validate one transcript entry for a student, normalising what can be normalised
+export const validateEntry = (
+  raw: { subject?: unknown; grade?: unknown; term?: unknown; credits?: unknown },
+  student: GradedStudent
+): { entry: Partial<TranscriptEntry>; errors: FieldErrors } => {
+  const errors: FieldErrors = {};
+  const entry: Partial<TranscriptEntry> = {};
+
+  const subject = cellText(raw.subject);
+  if (!subject) errors.subject = 'Subject is required';
+  else if (subject.length > 100) errors.subject = 'Subject must be 100 characters or fewer';
+  else entry.subject = subject;
+
+  const gradeText = cellText(raw.grade);
+  const grade = gradeText ? normalizeGrade(gradeText, student) : null;
+  if (!gradeText) errors.grade = 'Grade is required';
+  else if (!grade) errors.grade = `"${gradeText}" is not a letter grade, a mark between 0 and 100 or a grade on the student's scale`;
+  else entry.grade = grade;
+
+  const term = cellText(raw.term);
+  if (term.length > 50) errors.term = 'Term must be 50 characters or fewer';
+  else if (term) entry.term = term;
+
+  const creditsText = cellText(raw.credits);
+  if (creditsText) {
+    const credits = Number(creditsText);
+    if (!Number.isFinite(credits) || credits < 0 || credits > 30) {
+      errors.credits = `"${creditsText}" is not a number of credits between 0 and 30`;
+    } else {
+      entry.credits = credits;
+    }
+  }
+
+  return { entry, errors };
+};
+
+// Parse an uploaded transcript into validated rows. `columns` overrides auto-detection
+// (0-based column indexes, first row taken as the header) when the header uses names we
+// don't recognise.
+export const previewTranscript = async (
+  buffer: Buffer,
+  user: IUser,
+  columns?: ColumnMapping
+): Promise<{ columns: ColumnMapping; header: string[]; rows: PreviewRow[] }> => {
+  const sheet = await readSpreadsheet(buffer);
+  let headerIndex = 0;
+  let mapping = columns;
+
+  if (!mapping) {
+    const found = findHeader(sheet);
+    if (!found) {
+      throw new TranscriptError('Could not find subject and grade columns. Add a header row or choose the columns manually.');
+    }
+    headerIndex = found.headerIndex;
+    mapping = found.columns;
+  } else if (mapping.subject === undefined || mapping.grade === undefined) {
+    throw new TranscriptError('Subject and grade columns are required');
+  }
+
+  const header = sheet[headerIndex] || [];
+  const dataRows = sheet
+    .map((cells, index) => ({ cells, row: index + 1 }))
+    .slice(headerIndex + 1)
+    .filter(({ cells }) => cells.some(cell => cell !== ''));
+
+  if (dataRows.length === 0) {
+    throw new TranscriptError('The spreadsheet has no grade rows');
+  }
+  if (dataRows.length > MAX_TRANSCRIPT_ROWS) {
+    throw new TranscriptError(`Transcripts are limited to ${MAX_TRANSCRIPT_ROWS} rows`);
+  }
+
+  const existing = new Set((user.academicProgress || []).map(entryKey));
+  const seen = new Set<string>();
+  const cell = (cells: string[], field: TranscriptField) =>
+    mapping![field] === undefined ? '' : cells[mapping![field]!];
+
+  const rows = dataRows.map(({ cells, row }) => {
+    const { entry, errors } = validateEntry({
+      subject: cell(cells, 'subject'),
+      grade: cell(cells, 'grade'),
+      term: cell(cells, 'term'),
+      credits: cell(cells, 'credits')
+    }, user);
+    const preview: PreviewRow = { row, ...entry, errors };
+
+    if (entry.subject) {
+      const key = entryKey(entry as TranscriptEntry);
+      if (seen.has(key)) {
+        errors.subject = `${entry.subject} appears more than once${entry.term ? ` for ${entry.term}` : ''}`;
+      }
+      seen.add(key);
+    }
+    if (Object.keys(errors).length === 0) {
+      preview.action = existing.has(entryKey(entry as TranscriptEntry)) ? 'update' : 'add';
+    }
+    return preview;
+  });
+
+  return { columns: mapping, header, rows };
+};
+
+// Write validated entries into the student's academic record. 'merge' updates grades for
+// subjects already on record (same subject and term) and adds the rest; 'replace' swaps the
+// whole record for the imported one.
+export const applyTranscript = (user: IUser, entries: TranscriptEntry[], mode: ImportMode) => {
+  if (mode === 'replace') {
+    user.set('academicProgress', entries);
+    return { added: entries.length, updated: 0 };
+  }
+
+  let added = 0;
+  let updated = 0;
+  entries.forEach(entry => {
+    const current = user.academicProgress.find(course => entryKey(course) === entryKey(entry));
+    if (current) {
+      Object.assign(current, entry);
+      updated++;
+    } else {
+      user.academicProgress.push(entry);
+      added++;
+    }
+  });
+  return { added, updated };
+};
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+export type FieldErrors = Record<string, string>;
+
+export const isValidationError = (error: unknown): error is mongoose.Error.ValidationError =>
+  error instanceof mongoose.Error.ValidationError;
+
+// Flatten a Mongoose ValidationError into { field: message }.
+// `stripPrefix` removes a path prefix such as "achievements.2." so that
+// errors on a subdocument are reported against its own field names.
+export const toFieldErrors = (error: mongoose.Error.ValidationError, stripPrefix?: RegExp): FieldErrors => {
+  return Object.entries(error.errors).reduce((fields, [path, detail]) => {
+    const field = stripPrefix ? path.replace(stripPrefix, '') : path;
+    fields[field] = detail.name === 'CastError'
+      ? `Invalid value for ${field}`
+      : detail.message;
+    return fields;
+  }, {} as FieldErrors);
+};
+
+// Report any keys in `body` that are not in `allowed`
+export const unknownFieldErrors = (body: Record<string, unknown>, allowed: readonly string[]): FieldErrors => {
+  return Object.keys(body)
+    .filter(key => !allowed.includes(key))
+    .reduce((fields, key) => {
+      fields[key] = `Unknown field ${key}`;
+      return fields;
+    }, {} as FieldErrors);
+};
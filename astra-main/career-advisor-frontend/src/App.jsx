@@ -3,8 +3,19 @@ import { BrowserRouter as Router, Routes, Route, Link, Navigate, useNavigate } f
 import Login from './components/Login';
 import Signup from './components/Signup';
 import Dashboard from './components/Dashboard';
+import CaseloadDashboard from './components/CaseloadDashboard';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
+import UniversityCatalog from './components/UniversityCatalog';
+import InterestAssessment from './components/InterestAssessment';
+import EssayWorkspace from './components/EssayWorkspace';
+import { apiFetch, storeSession, clearSession, SESSION_EXPIRED_EVENT } from './api';
 import confusedImage from './assets/confused.png'; // Import the image
 
+// Counselors and parents get the caseload view instead of a student dashboard
+const SUPPORTER_ROLES = ['counselor', 'parent'];
+
 function App() {
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [user, setUser] = useState(null);
@@ -24,8 +35,7 @@ function App() {
           setIsLoggedIn(true);
         } catch (err) {
           // Clear invalid data
-          localStorage.removeItem('authToken');
-          localStorage.removeItem('userData');
+          clearSession();
           setUser(null);
           setIsLoggedIn(false);
           navigate('/login', { replace: true });
@@ -40,45 +50,53 @@ function App() {
     checkAuth();
   }, [navigate]);
 
-  const handleLoginSuccess = (token, userData) => {
-    localStorage.setItem('authToken', token);
-    localStorage.setItem('userData', JSON.stringify(userData));
+  // Access tokens are refreshed silently by apiFetch; this only fires once the session
+  // itself is gone (logged out elsewhere, revoked or expired)
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      setUser(null);
+      setIsLoggedIn(false);
+      navigate('/login', { replace: true });
+    };
+
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+  }, [navigate]);
+
+  const handleLoginSuccess = (token, userData, refreshToken) => {
+    storeSession(token, refreshToken, userData);
     setUser(userData);
     setIsLoggedIn(true);
     navigate('/dashboard', { replace: true });
   };
 
-  const handleSignupSuccess = (token, userData) => {
-    localStorage.setItem('authToken', token);
-    localStorage.setItem('userData', JSON.stringify(userData));
+  const handleSignupSuccess = (token, userData, refreshToken) => {
+    storeSession(token, refreshToken, userData);
     setUser(userData);
     setIsLoggedIn(true);
     navigate('/dashboard', { replace: true });
   };
 
-  const handleLogout = async () => {
+  const endSession = async (path) => {
     try {
-      const token = localStorage.getItem('authToken');
-      if (token) {
-        await fetch('http://localhost:5000/api/auth/logout', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        });
+      if (localStorage.getItem('authToken')) {
+        await apiFetch(path, { method: 'POST' });
       }
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('authToken');
-      localStorage.removeItem('userData');
+      clearSession();
       setUser(null);
       setIsLoggedIn(false);
       navigate('/login', { replace: true });
     }
   };
 
+  const handleLogout = () => endSession('/api/auth/logout');
+
+  // Revokes every session of this account, including the ones on other devices
+  const handleLogoutAll = () => endSession('/api/auth/logout-all');
+
   if (isLoading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -170,12 +188,12 @@ function App() {
               Read testimonials from students we've helped find their ideal career paths.
             </p>
           </div>
-          <div className="p-8 rounded-2xl bg-gray-50 hover:bg-gray-100 transition-all duration-200 transform hover:-translate-y-1">
-            <h3 className="text-xl font-semibold mb-4 text-gray-900">University Reviews</h3>
+          <Link to="/universities" className="block p-8 rounded-2xl bg-gray-50 hover:bg-gray-100 transition-all duration-200 transform hover:-translate-y-1">
+            <h3 className="text-xl font-semibold mb-4 text-gray-900">Universities &amp; Programs</h3>
             <p className="text-gray-600 leading-relaxed">
-              Discover reviews and insights on a range of universities to help you decide.
+              Search universities and programs by country, field, cost and entry requirements to help you decide.
             </p>
-          </div>
+          </Link>
           <div className="p-8 rounded-2xl bg-gray-50 hover:bg-gray-100 transition-all duration-200 transform hover:-translate-y-1">
             <h3 className="text-xl font-semibold mb-4 text-gray-900">Get in Touch</h3>
             <p className="text-gray-600 leading-relaxed">
@@ -229,14 +247,73 @@ function App() {
           </AuthRoute>
         } 
       />
+      <Route
+        path="/forgot-password"
+        element={
+          <AuthRoute>
+            <ForgotPassword />
+          </AuthRoute>
+        }
+      />
+      <Route
+        path="/reset-password"
+        element={
+          <AuthRoute>
+            <ResetPassword />
+          </AuthRoute>
+        }
+      />
+      <Route path="/verify-email" element={<VerifyEmail />} />
       <Route 
         path="/dashboard" 
         element={
           <ProtectedRoute>
-            <Dashboard onLogout={handleLogout} />
+            {SUPPORTER_ROLES.includes(user?.role)
+              ? <CaseloadDashboard onLogout={handleLogout} onLogoutAll={handleLogoutAll} />
+              : <Dashboard onLogout={handleLogout} onLogoutAll={handleLogoutAll} />}
           </ProtectedRoute>
         } 
       />
+      <Route
+        path="/links"
+        element={
+          <ProtectedRoute>
+            <Navigate to="/dashboard" replace />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/universities"
+        element={
+          <ProtectedRoute>
+            <UniversityCatalog />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/assessment"
+        element={
+          <ProtectedRoute>
+            <InterestAssessment />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/essays"
+        element={
+          <ProtectedRoute>
+            <EssayWorkspace />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/students/:studentId/essays"
+        element={
+          <ProtectedRoute>
+            <EssayWorkspace />
+          </ProtectedRoute>
+        }
+      />
       <Route path="/about" element={<div className="pt-20 container mx-auto">About Us Page</div>} />
       <Route path="/students" element={<div className="pt-20 container mx-auto">Our Students Page</div>} />
       <Route path="/contact" element={<div className="pt-20 container mx-auto">Contact Us Page</div>} />
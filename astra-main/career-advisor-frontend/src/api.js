@@ -0,0 +1,70 @@
+export const API_BASE_URL = 'http://localhost:5000';
+
+// Fired when the session can't be refreshed any more, so the app can send the student to /login
+export const SESSION_EXPIRED_EVENT = 'auth:session-expired';
+
+export const storeSession = (token, refreshToken, userData) => {
+  localStorage.setItem('authToken', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  if (userData) localStorage.setItem('userData', JSON.stringify(userData));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('userData');
+};
+
+let refreshInFlight = null;
+
+// Swap the stored refresh token for a new token pair. Concurrent callers share one request,
+// because each refresh token only works once.
+const refreshSession = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      try {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return false;
+        const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+        if (!response.ok) return false;
+        const data = await response.json();
+        storeSession(data.token, data.refreshToken);
+        return true;
+      } catch (err) {
+        console.error('Error refreshing session:', err);
+        return false;
+      } finally {
+        refreshInFlight = null;
+      }
+    })();
+  }
+  return refreshInFlight;
+};
+
+// fetch() against the API with the access token attached. An expired access token is
+// refreshed silently and the request retried once; if that fails the session is over.
+export const apiFetch = async (path, options = {}) => {
+  const send = () => {
+    const headers = { ...options.headers, 'Authorization': `Bearer ${localStorage.getItem('authToken')}` };
+    if (!(options.body instanceof FormData) && !headers['Content-Type']) {
+      headers['Content-Type'] = 'application/json';
+    }
+    return fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+  };
+
+  let response = await send();
+  if (response.status !== 401) return response;
+
+  if (await refreshSession()) {
+    response = await send();
+    if (response.status !== 401) return response;
+  }
+
+  clearSession();
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+  return response;
+};
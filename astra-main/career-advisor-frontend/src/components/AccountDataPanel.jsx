@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+// Download a copy of everything stored about the account, and delete it after a grace period
+function AccountDataPanel() {
+  const [deletion, setDeletion] = useState(null);
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    fetchDeletion();
+  }, []);
+
+  const fetchDeletion = async () => {
+    try {
+      const response = await apiFetch('/api/account/deletion');
+      if (response.ok) setDeletion(await response.json());
+    } catch (err) {
+      console.error('Error fetching deletion status:', err);
+    }
+  };
+
+  const handleExport = async () => {
+    setMessage('');
+    setIsBusy(true);
+    try {
+      const response = await apiFetch('/api/account/export');
+      if (!response.ok) throw new Error('Export failed');
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `careercompass-export-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      setMessage('Failed to export your data.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setPasswordError('');
+    setMessage('');
+    setIsBusy(true);
+    try {
+      const response = await apiFetch('/api/account/deletion', {
+        method: 'POST',
+        body: JSON.stringify({ password })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        if (data.errors?.password) setPasswordError(data.errors.password);
+        else setMessage(data.message);
+        return;
+      }
+
+      setDeletion(data);
+      setPassword('');
+      setIsConfirming(false);
+      setMessage('Your other devices were signed out. We sent a confirmation to your email address.');
+    } catch (err) {
+      console.error('Error requesting account deletion:', err);
+      setMessage('Failed to schedule account deletion.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    setMessage('');
+    setIsBusy(true);
+    try {
+      const response = await apiFetch('/api/account/deletion', { method: 'DELETE' });
+      if (!response.ok) throw new Error('Cancel failed');
+      setDeletion(prev => ({ ...prev, scheduledFor: null, requestedAt: null }));
+      setMessage('Account deletion cancelled.');
+    } catch (err) {
+      console.error('Error cancelling account deletion:', err);
+      setMessage('Failed to cancel account deletion.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-2">Your Data</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Download your profile, grades, applications, essays, advisor conversations and notifications as a zip archive.
+      </p>
+      <button
+        onClick={handleExport}
+        disabled={isBusy}
+        className="px-3 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+      >
+        Download my data
+      </button>
+
+      <div className="mt-6 pt-4 border-t border-gray-200">
+        {deletion?.scheduledFor ? (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-800">
+              Your account will be permanently deleted on <span className="font-semibold">{formatDate(deletion.scheduledFor)}</span>.
+            </p>
+            <button
+              onClick={handleCancel}
+              disabled={isBusy}
+              className="mt-2 px-3 py-2 text-sm bg-white border border-red-300 text-red-700 rounded-md hover:bg-red-100 disabled:opacity-50"
+            >
+              Keep my account
+            </button>
+          </div>
+        ) : isConfirming ? (
+          <form onSubmit={handleDelete} className="space-y-3">
+            <p className="text-sm text-gray-700">
+              Your account and everything stored with it will be deleted
+              {deletion?.graceDays ? ` in ${deletion.graceDays} days` : ' after a grace period'}. You can cancel until then.
+            </p>
+            <div>
+              <label htmlFor="deletionPassword" className="block text-sm text-gray-700 mb-1">Password</label>
+              <input
+                type="password"
+                id="deletionPassword"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full p-2 border rounded-md text-sm"
+                required
+              />
+              {passwordError && <p className="mt-1 text-xs text-red-600">{passwordError}</p>}
+            </div>
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={isBusy}
+                className="px-3 py-2 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                Delete my account
+              </button>
+              <button
+                type="button"
+                onClick={() => { setIsConfirming(false); setPassword(''); setPasswordError(''); }}
+                className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            onClick={() => setIsConfirming(true)}
+            className="text-sm text-red-600 hover:text-red-800 font-medium"
+          >
+            Delete my account...
+          </button>
+        )}
+      </div>
+      {message && <p className="mt-3 text-sm text-gray-700">{message}</p>}
+    </div>
+  );
+}
+
+export default AccountDataPanel;
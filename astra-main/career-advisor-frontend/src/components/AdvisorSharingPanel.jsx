@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+function AdvisorSharingPanel() {
+  const [sharing, setSharing] = useState(null);
+  const [labels, setLabels] = useState({});
+  const [context, setContext] = useState('');
+  const [showPreview, setShowPreview] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const applyResponse = (data) => {
+    setSharing(data.sharing);
+    setLabels(data.labels);
+    setContext(data.context);
+  };
+
+  useEffect(() => {
+    const fetchContext = async () => {
+      try {
+        const response = await apiFetch('/api/ai/context');
+        if (!response.ok) {
+          throw new Error('Failed to load advisor settings');
+        }
+        const data = await response.json();
+        setSharing(data.sharing);
+        setLabels(data.labels);
+        setContext(data.context);
+      } catch (err) {
+        console.error('Error fetching advisor context:', err);
+        setError(err.message);
+      }
+    };
+    fetchContext();
+  }, []);
+
+  const handleToggle = async (section) => {
+    setIsSaving(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/api/ai/context/sharing', {
+        method: 'PUT',
+        body: JSON.stringify({ [section]: !sharing[section] })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to update advisor settings');
+      }
+      applyResponse(data);
+    } catch (err) {
+      console.error('Error updating advisor sharing:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!sharing) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  return (
+    <div className="mt-4 border-t pt-4">
+      <h4 className="font-semibold text-gray-800 mb-2">What the advisor knows about you</h4>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {Object.keys(sharing).map(section => (
+          <label key={section} className="flex items-center space-x-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              className="rounded text-indigo-600 focus:ring-indigo-500"
+              checked={sharing[section]}
+              onChange={() => handleToggle(section)}
+              disabled={isSaving}
+            />
+            <span>{labels[section] || section}</span>
+          </label>
+        ))}
+      </div>
+      <button
+        onClick={() => setShowPreview(!showPreview)}
+        className="mt-2 text-sm text-indigo-600 hover:text-indigo-700"
+      >
+        {showPreview ? 'Hide what is shared' : 'Show what is shared'}
+      </button>
+      {showPreview && (
+        <pre className="mt-2 p-3 bg-gray-50 border rounded-md text-xs text-gray-700 whitespace-pre-wrap">
+          {context || 'Nothing from your profile is shared with the advisor.'}
+        </pre>
+      )}
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+export default AdvisorSharingPanel;
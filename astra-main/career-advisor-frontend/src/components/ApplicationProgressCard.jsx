@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { apiFetch } from '../api';
+
+const COMPLETE_STATES = ['done', 'waived'];
+
+const STATE_LABELS = {
+  todo: 'To do',
+  in_progress: 'In progress',
+  done: 'Done',
+  waived: 'Waived'
+};
+
+const formatDueDate = (date) => {
+  const due = new Date(date);
+  return due.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+const isOverdue = (item) => item.dueDate && !COMPLETE_STATES.includes(item.state) && new Date(item.dueDate) < new Date();
+
+// Without onProfileChange the checklist is shown read-only (e.g. to a linked counselor)
+function ApplicationProgressCard({ user, onProfileChange }) {
+  const readOnly = !onProfileChange;
+  const [expandedId, setExpandedId] = useState(null);
+  const [error, setError] = useState('');
+  const applications = user.universityApplications || [];
+  const averageCompletion = user.applicationProgress?.averageCompletion || 0;
+
+  const updateItemState = async (appId, itemId, state) => {
+    setError('');
+    try {
+      const response = await apiFetch(`/api/user/profile/universityApplications/${appId}/checklist/${itemId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ state })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to update checklist');
+      }
+      onProfileChange(data.profile);
+    } catch (err) {
+      console.error('Error updating checklist item:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-4">Application Progress</h3>
+      <div className="space-y-4">
+        <div>
+          <div className="flex justify-between mb-2">
+            <span className="text-gray-600">Average Completion</span>
+            <span className="font-semibold text-gray-800">{averageCompletion}%</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-indigo-600 rounded-full h-2 transition-all duration-300"
+              style={{ width: `${averageCompletion}%` }}
+            ></div>
+          </div>
+        </div>
+
+        {applications.map(app => {
+          const checklist = app.checklist || [];
+          const blocking = checklist.filter(item => !COMPLETE_STATES.includes(item.state));
+          const isExpanded = expandedId === app._id;
+
+          return (
+            <div key={app._id} className="border-t pt-3">
+              <button
+                onClick={() => setExpandedId(isExpanded ? null : app._id)}
+                className="w-full text-left"
+              >
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="font-medium text-gray-800">{app.universityName}</span>
+                  <span className="text-gray-600">
+                    {app.completion || 0}%{blocking.length > 0 && ` · ${blocking.length} blocking`}
+                  </span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-1.5">
+                  <div
+                    className="bg-orange-400 rounded-full h-1.5 transition-all duration-300"
+                    style={{ width: `${app.completion || 0}%` }}
+                  ></div>
+                </div>
+              </button>
+
+              {isExpanded && (
+                <ul className="mt-3 space-y-2">
+                  {checklist.length === 0 && (
+                    <li className="text-sm text-gray-500">No requirements recorded for this application.</li>
+                  )}
+                  {checklist.map(item => (
+                    <li key={item._id} className="flex items-center justify-between text-sm">
+                      <label className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          className="rounded text-indigo-600 focus:ring-indigo-500"
+                          checked={COMPLETE_STATES.includes(item.state)}
+                          disabled={readOnly}
+                          onChange={(e) => updateItemState(app._id, item._id, e.target.checked ? 'done' : 'todo')}
+                        />
+                        <span className={COMPLETE_STATES.includes(item.state) ? 'text-gray-400 line-through' : 'text-gray-700'}>
+                          {item.label}
+                        </span>
+                      </label>
+                      <span className={isOverdue(item) ? 'text-red-600 font-semibold' : 'text-gray-500'}>
+                        {item.dueDate ? `Due ${formatDueDate(item.dueDate)}` : STATE_LABELS[item.state]}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+
+        {user.applicationProgress?.currentProject && (
+          <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
+            <p className="text-blue-700">
+              📝 {user.applicationProgress.currentProject}
+              {user.applicationProgress.projectLink &&
+                ` - ${user.applicationProgress.projectLink}`
+              }
+            </p>
+          </div>
+        )}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+}
+
+export default ApplicationProgressCard;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const calendarRequest = async (path, method = 'GET') => {
+  const response = await apiFetch(`/api/calendar${path}`, { method });
+  if (!response.ok) {
+    throw new Error('Calendar request failed');
+  }
+  return response;
+};
+
+function CalendarPanel() {
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [message, setMessage] = useState('');
+  const [messageType, setMessageType] = useState('success');
+
+  useEffect(() => {
+    fetchFeed();
+  }, []);
+
+  const showMessage = (text, type = 'success') => {
+    setMessage(text);
+    setMessageType(type);
+  };
+
+  const fetchFeed = async () => {
+    try {
+      const data = await (await calendarRequest('/feed')).json();
+      setFeedUrl(data.url);
+    } catch (err) {
+      console.error('Error fetching calendar feed:', err);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      const blob = await (await calendarRequest('/download')).blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'application-deadlines.ics';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading calendar:', err);
+      showMessage('Failed to download calendar.', 'error');
+    }
+  };
+
+  const handleGenerate = async () => {
+    if (feedUrl && !window.confirm('Regenerate the link? Calendars subscribed to the old link will stop updating.')) {
+      return;
+    }
+    try {
+      const data = await (await calendarRequest('/feed', 'POST')).json();
+      setFeedUrl(data.url);
+      showMessage(feedUrl ? 'New link created.' : 'Subscription link created.');
+    } catch (err) {
+      console.error('Error creating calendar feed:', err);
+      showMessage('Failed to create subscription link.', 'error');
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Turn off the calendar subscription? Subscribed calendars will stop updating.')) return;
+    try {
+      await calendarRequest('/feed', 'DELETE');
+      setFeedUrl(null);
+      showMessage('Calendar subscription turned off.');
+    } catch (err) {
+      console.error('Error revoking calendar feed:', err);
+      showMessage('Failed to turn off subscription.', 'error');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      showMessage('Link copied. Add it to your calendar app as a subscription.');
+    } catch (err) {
+      console.error('Error copying link:', err);
+      showMessage('Copy failed; select the link and copy it manually.', 'error');
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-2">Deadlines in Your Calendar</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Subscribe from your phone or computer calendar to keep application deadlines and checklist due dates in sync.
+      </p>
+
+      {feedUrl && (
+        <input
+          type="text"
+          readOnly
+          value={feedUrl}
+          onFocus={(e) => e.target.select()}
+          className="w-full p-2 mb-3 border rounded-md text-xs text-gray-700 bg-gray-50"
+        />
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button onClick={handleDownload} className="px-3 py-2 text-sm bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200">
+          Download .ics
+        </button>
+        {feedUrl ? (
+          <>
+            <button onClick={handleCopy} className="px-3 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+              Copy link
+            </button>
+            <button onClick={handleGenerate} className="px-3 py-2 text-sm bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200">
+              Regenerate link
+            </button>
+            <button onClick={handleRevoke} className="px-3 py-2 text-sm bg-red-50 text-red-600 rounded-md hover:bg-red-100">
+              Turn off
+            </button>
+          </>
+        ) : (
+          <button onClick={handleGenerate} className="px-3 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+            Create subscription link
+          </button>
+        )}
+      </div>
+
+      {message && (
+        <p className={`mt-3 text-sm ${messageType === 'error' ? 'text-red-600' : 'text-green-600'}`}>{message}</p>
+      )}
+    </div>
+  );
+}
+
+export default CalendarPanel;
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import NotificationBell from './NotificationBell';
+import LinksPanel from './LinksPanel';
+import CommentsPanel from './CommentsPanel';
+import ApplicationProgressCard from './ApplicationProgressCard';
+import TranscriptImport from './TranscriptImport';
+import ChangePasswordPanel from './ChangePasswordPanel';
+import SessionsPanel from './SessionsPanel';
+import AccountDataPanel from './AccountDataPanel';
+import ProgressReportPanel from './ProgressReportPanel';
+import {
+  ProfileCard,
+  AcademicProgressCard,
+  ProfileStatsCard,
+  InterestsChartCard,
+  CareerInterestsCard,
+  UniversityApplicationsCard
+} from './StudentPanels';
+import { apiFetch } from '../api';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Dashboard for counselors and parents: the students who have shared their dashboard,
+// and a read-only view of whichever one is selected
+function CaseloadDashboard({ onLogout, onLogoutAll }) {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(null);
+  const [caseload, setCaseload] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [student, setStudent] = useState(null);
+  const [error, setError] = useState('');
+  const [verificationNotice, setVerificationNotice] = useState('');
+
+  useEffect(() => {
+    fetchUser();
+    fetchCaseload();
+  }, []);
+
+  const fetchUser = async () => {
+    try {
+      const response = await apiFetch('/api/user/profile');
+      if (!response.ok) throw new Error('Failed to fetch profile');
+      setUser(await response.json());
+    } catch (err) {
+      console.error('Error fetching profile:', err);
+      setError(err.message);
+    }
+  };
+
+  const fetchCaseload = async () => {
+    try {
+      const response = await apiFetch('/api/students');
+      if (!response.ok) throw new Error('Failed to load students');
+      const data = await response.json();
+      setCaseload(data);
+      return data;
+    } catch (err) {
+      console.error('Error fetching caseload:', err);
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await apiFetch('/api/auth/resend-verification', { method: 'POST' });
+      const data = await response.json();
+      setVerificationNotice(response.ok ? data.message : 'Failed to send verification email.');
+    } catch (err) {
+      console.error('Error resending verification email:', err);
+      setVerificationNotice('Failed to send verification email.');
+    }
+  };
+
+  // The caseload changes whenever a link is accepted or removed
+  const handleLinksChanged = async () => {
+    const entries = await fetchCaseload();
+    if (entries && selected && !entries.some(entry => entry.id === selected.id)) {
+      setSelected(null);
+      setStudent(null);
+    }
+  };
+
+  const handleSelect = async (entry) => {
+    setSelected(entry);
+    setStudent(null);
+    try {
+      const response = await apiFetch(`/api/students/${entry.id}/profile`);
+      if (!response.ok) throw new Error('Failed to load student');
+      setStudent(await response.json());
+    } catch (err) {
+      console.error('Error fetching student profile:', err);
+      setError(err.message);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        {error ? <p className="text-red-600">Error: {error}</p> : (
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto mb-6 flex justify-between items-center">
+        <h1 className="text-3xl font-bold text-gray-800">
+          {user.role === 'parent' ? 'Parent Dashboard' : 'Counselor Dashboard'}
+        </h1>
+        <div className="flex items-center space-x-3">
+          <NotificationBell />
+          <button
+            onClick={onLogout}
+            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 text-sm"
+          >
+            Logout
+          </button>
+        </div>
+      </div>
+
+      {user.emailVerified === false && (
+        <div className="max-w-7xl mx-auto mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-xl flex justify-between items-center">
+          <p className="text-sm text-yellow-800">
+            {verificationNotice || `Please confirm your email address (${user.email}). Invitations from students show up once it is confirmed.`}
+          </p>
+          <button onClick={handleResendVerification} className="ml-4 px-3 py-2 text-sm bg-white border border-yellow-300 text-yellow-800 rounded-md hover:bg-yellow-100 whitespace-nowrap">
+            Resend email
+          </button>
+        </div>
+      )}
+
+      {error && <p className="max-w-7xl mx-auto mb-4 text-sm text-red-600">{error}</p>}
+
+      <div className="max-w-7xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Caseload */}
+        <div className="space-y-6">
+          <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+            <h3 className="text-xl font-semibold text-gray-800 mb-4">Students</h3>
+            {caseload.length === 0 && (
+              <p className="text-sm text-gray-500">No students yet. Invite one below or accept their invitation.</p>
+            )}
+            <ul className="divide-y">
+              {caseload.map(entry => (
+                <li key={entry.linkId}>
+                  <button
+                    onClick={() => handleSelect(entry)}
+                    className={`w-full text-left py-3 px-2 rounded-md hover:bg-gray-50 ${selected?.id === entry.id ? 'bg-indigo-50' : ''}`}
+                  >
+                    <div className="flex justify-between items-center">
+                      <span className="font-semibold text-gray-800">{entry.firstName} {entry.lastName}</span>
+                      <span className="text-sm text-gray-600">{entry.averageCompletion}%</span>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {[entry.school, entry.grade].filter(Boolean).join(' · ') || entry.email}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {entry.applications} application{entry.applications === 1 ? '' : 's'}
+                      {entry.nextDeadline && ` · next: ${entry.nextDeadline.universityName} ${formatDate(entry.nextDeadline.deadline)}`}
+                    </p>
+                    {entry.overdueItems > 0 && (
+                      <p className="text-xs text-red-600 font-semibold mt-1">{entry.overdueItems} overdue checklist item{entry.overdueItems === 1 ? '' : 's'}</p>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <LinksPanel user={user} onLinksChanged={handleLinksChanged} />
+
+          <ChangePasswordPanel />
+
+          <SessionsPanel onLogoutAll={onLogoutAll} />
+
+          <AccountDataPanel />
+        </div>
+
+        {/* Selected student */}
+        <div className="lg:col-span-2">
+          {!selected && (
+            <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200 text-gray-500">
+              Select a student to see their dashboard.
+            </div>
+          )}
+          {selected && !student && (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            </div>
+          )}
+          {student && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              <div className="space-y-6">
+                <ProfileCard user={student} />
+                <AcademicProgressCard user={student} />
+                {user.role === 'counselor' && student.access === 'comment' && (
+                  <TranscriptImport
+                    studentId={student.id}
+                    onImported={(profile) => setStudent({ ...profile, access: student.access })}
+                  />
+                )}
+                <CommentsPanel
+                  studentId={student.id}
+                  currentUserId={user.id}
+                  canComment={student.access === 'comment' || student.access === 'admin'}
+                />
+              </div>
+              <div className="space-y-6">
+                <ProfileStatsCard user={student} />
+                <InterestsChartCard user={student} />
+                <CareerInterestsCard user={student} />
+                <UniversityApplicationsCard user={student} />
+                <button
+                  onClick={() => navigate(`/students/${student.id}/essays`)}
+                  className="w-full px-4 py-3 bg-teal-600 text-white rounded-xl shadow-md hover:bg-teal-700 text-sm font-semibold"
+                >
+                  Open essays
+                </button>
+                <ApplicationProgressCard user={student} />
+                <ProgressReportPanel studentId={student.id} isSelf={false} />
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CaseloadDashboard;
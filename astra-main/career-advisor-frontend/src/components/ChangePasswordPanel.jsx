@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { apiFetch } from '../api';
+
+const emptyForm = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+function ChangePasswordPanel() {
+  const [form, setForm] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    setMessage('');
+
+    if (form.newPassword !== form.confirmPassword) {
+      setErrors({ confirmPassword: 'Passwords do not match.' });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await apiFetch('/api/auth/change-password', {
+        method: 'POST',
+        body: JSON.stringify({ currentPassword: form.currentPassword, newPassword: form.newPassword })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        // The server reports the new password's problems against the stored field name
+        const fieldErrors = data.errors || {};
+        setErrors({ ...fieldErrors, newPassword: fieldErrors.password });
+        if (!data.errors) setMessage(data.message);
+        return;
+      }
+
+      setForm(emptyForm);
+      setMessage(data.signedOutSessions > 0
+        ? `Password changed. ${data.signedOutSessions} other device(s) were signed out.`
+        : 'Password changed.');
+    } catch (err) {
+      console.error('Error changing password:', err);
+      setMessage('Failed to change password.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const fields = [
+    { name: 'currentPassword', label: 'Current password' },
+    { name: 'newPassword', label: 'New password' },
+    { name: 'confirmPassword', label: 'Confirm new password' }
+  ];
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-2">Change Password</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Changing your password signs you out on every other device.
+      </p>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {fields.map(field => (
+          <div key={field.name}>
+            <label htmlFor={field.name} className="block text-sm text-gray-700 mb-1">{field.label}</label>
+            <input
+              type="password"
+              id={field.name}
+              name={field.name}
+              value={form[field.name]}
+              onChange={handleChange}
+              className="w-full p-2 border rounded-md text-sm"
+              required
+            />
+            {errors[field.name] && <p className="mt-1 text-xs text-red-600">{errors[field.name]}</p>}
+          </div>
+        ))}
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-3 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Change password'}
+        </button>
+      </form>
+      {message && <p className="mt-3 text-sm text-gray-700">{message}</p>}
+    </div>
+  );
+}
+
+export default ChangePasswordPanel;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const SECTIONS = ['general', 'academics', 'interests', 'achievements', 'applications'];
+
+const ROLE_LABELS = { student: 'Student', counselor: 'Counselor', parent: 'Parent', admin: 'Admin' };
+
+// Comments left on a student's dashboard by the student and their linked counselors/parents
+function CommentsPanel({ studentId, currentUserId, canComment }) {
+  const [comments, setComments] = useState([]);
+  const [body, setBody] = useState('');
+  const [section, setSection] = useState('general');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchComments = async () => {
+      try {
+        const response = await apiFetch(`/api/students/${studentId}/comments`);
+        if (!response.ok) throw new Error('Failed to load comments');
+        setComments(await response.json());
+      } catch (err) {
+        console.error('Error fetching comments:', err);
+      }
+    };
+    fetchComments();
+  }, [studentId]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setError('');
+
+    try {
+      const response = await apiFetch(`/api/students/${studentId}/comments`, {
+        method: 'POST',
+        body: JSON.stringify({ body, section })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.errors ? Object.values(data.errors).join(' ') : data.message);
+        return;
+      }
+      setComments([data, ...comments]);
+      setBody('');
+    } catch (err) {
+      console.error('Error adding comment:', err);
+      setError('Failed to add comment.');
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    try {
+      const response = await apiFetch(`/api/students/${studentId}/comments/${commentId}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to delete comment');
+      setComments(comments.filter(comment => comment._id !== commentId));
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      setError('Failed to delete comment.');
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-4">Comments</h3>
+
+      {canComment && (
+        <form onSubmit={handleSubmit} className="mb-4 space-y-2">
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            maxLength={2000}
+            rows={3}
+            placeholder="Leave a note..."
+            className="w-full p-2 border rounded-md text-sm"
+          />
+          <div className="flex justify-between items-center">
+            <select
+              value={section}
+              onChange={(e) => setSection(e.target.value)}
+              className="p-2 border rounded-md text-sm capitalize"
+            >
+              {SECTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+            <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 text-sm">
+              Post
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      <ul className="space-y-3">
+        {comments.length === 0 && <li className="text-sm text-gray-500">No comments yet.</li>}
+        {comments.map(comment => (
+          <li key={comment._id} className="border-b pb-3 last:border-b-0">
+            <div className="flex justify-between items-center text-xs text-gray-500 mb-1">
+              <span>
+                <span className="font-semibold text-gray-700">
+                  {comment.author ? `${comment.author.firstName} ${comment.author.lastName}` : 'Former user'}
+                </span>
+                {comment.author && ` · ${ROLE_LABELS[comment.author.role] || comment.author.role}`}
+                {` · ${comment.section} · ${new Date(comment.createdAt).toLocaleDateString()}`}
+              </span>
+              {comment.author?._id === currentUserId && (
+                <button onClick={() => handleDelete(comment._id)} className="text-red-600 hover:text-red-700">
+                  Delete
+                </button>
+              )}
+            </div>
+            <p className="text-sm text-gray-800 whitespace-pre-wrap">{comment.body}</p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default CommentsPanel;
@@ -1,7 +1,29 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-
-function Dashboard({ onLogout }) {
+import AdvisorSharingPanel from './AdvisorSharingPanel';
+import ProfileEditor from './ProfileEditor';
+import ApplicationProgressCard from './ApplicationProgressCard';
+import NotificationBell from './NotificationBell';
+import CalendarPanel from './CalendarPanel';
+import ProgressReportPanel from './ProgressReportPanel';
+import SessionsPanel from './SessionsPanel';
+import ChangePasswordPanel from './ChangePasswordPanel';
+import AccountDataPanel from './AccountDataPanel';
+import LinksPanel from './LinksPanel';
+import CommentsPanel from './CommentsPanel';
+import TranscriptImport from './TranscriptImport';
+import RecommendationsPanel from './RecommendationsPanel';
+import {
+  ProfileCard,
+  AcademicProgressCard,
+  ProfileStatsCard,
+  InterestsChartCard,
+  CareerInterestsCard,
+  UniversityApplicationsCard
+} from './StudentPanels';
+import { apiFetch } from '../api';
+
+function Dashboard({ onLogout, onLogoutAll }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -10,33 +32,31 @@ function Dashboard({ onLogout }) {
   const [chatMessage, setChatMessage] = useState('');
   const [chatHistory, setChatHistory] = useState([]);
   const [isAiLoading, setIsAiLoading] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [olderMessagesCursor, setOlderMessagesCursor] = useState(null);
+  const streamControllerRef = useRef(null);
+  const [isEditingProfile, setIsEditingProfile] = useState(false);
+  const [verificationNotice, setVerificationNotice] = useState('');
   const navigate = useNavigate();
 
   useEffect(() => {
     fetchUserProfile();
+    restoreConversation();
   }, []);
 
   const fetchUserProfile = async () => {
     try {
-      const token = localStorage.getItem('authToken');
-      if (!token) {
+      if (!localStorage.getItem('authToken')) {
         navigate('/login');
         return;
       }
 
-      const response = await fetch('http://localhost:5000/api/user/profile', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await apiFetch('/api/user/profile');
 
       if (!response.ok) {
         if (response.status === 401) {
-          // Token is invalid or expired
-          localStorage.removeItem('authToken');
-          localStorage.removeItem('userData');
-          navigate('/login');
+          // Session could not be refreshed; App sends the student back to /login
           return;
         }
         throw new Error('Failed to fetch profile');
@@ -56,120 +76,260 @@ function Dashboard({ onLogout }) {
     await onLogout();
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const response = await apiFetch('/api/auth/resend-verification', { method: 'POST' });
+      const data = await response.json();
+      setVerificationNotice(response.ok ? data.message : 'Failed to send verification email.');
+    } catch (err) {
+      console.error('Error resending verification email:', err);
+      setVerificationNotice('Failed to send verification email.');
+    }
+  };
+
+  // Map stored messages onto the shape the chat window renders
+  const toChatEntries = (messages) => messages.map(msg => ({
+    role: msg.role,
+    content: msg.content,
+    interrupted: msg.interrupted,
+    sources: msg.sources
+  }));
+
+  const fetchConversations = async () => {
+    const response = await apiFetch('/api/ai/conversations');
+    if (!response.ok) {
+      throw new Error('Failed to fetch conversations');
+    }
+    const data = await response.json();
+    setConversations(data.conversations);
+    return data.conversations;
+  };
+
+  const loadConversation = async (conversationId, before = null) => {
+    const query = before ? `?before=${before}` : '';
+    const response = await apiFetch(`/api/ai/conversations/${conversationId}/messages${query}`);
+    if (!response.ok) {
+      throw new Error('Failed to load conversation');
+    }
+
+    const data = await response.json();
+    const entries = toChatEntries(data.messages);
+    setChatHistory(prev => (before ? [...entries, ...prev] : entries));
+    setOlderMessagesCursor(data.nextCursor);
+    setActiveConversationId(conversationId);
+    localStorage.setItem('activeConversationId', conversationId);
+  };
+
+  // Reopen the thread the student was last using, so a reload doesn't lose it
+  const restoreConversation = async () => {
+    try {
+      const threads = await fetchConversations();
+      if (threads.length === 0) return;
+
+      const savedId = localStorage.getItem('activeConversationId');
+      const thread = threads.find(c => c._id === savedId) || threads[0];
+      await loadConversation(thread._id);
+    } catch (err) {
+      console.error('Error restoring conversation:', err);
+    }
+  };
+
+  const handleSelectConversation = async (conversationId) => {
+    if (!conversationId) {
+      handleNewConversation();
+      return;
+    }
+    try {
+      await loadConversation(conversationId);
+    } catch (err) {
+      console.error('Error loading conversation:', err);
+      setMessage('Failed to load conversation.');
+      setMessageType('error');
+    }
+  };
+
+  const handleNewConversation = () => {
+    setActiveConversationId(null);
+    setChatHistory([]);
+    setOlderMessagesCursor(null);
+    localStorage.removeItem('activeConversationId');
+  };
+
+  const handleRenameConversation = async () => {
+    const current = conversations.find(c => c._id === activeConversationId);
+    if (!current) return;
+
+    const title = window.prompt('Rename conversation', current.title);
+    if (!title || !title.trim() || title === current.title) return;
+
+    try {
+      const response = await apiFetch(`/api/ai/conversations/${current._id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ title })
+      });
+      if (!response.ok) {
+        throw new Error('Failed to rename conversation');
+      }
+      await fetchConversations();
+    } catch (err) {
+      console.error('Error renaming conversation:', err);
+      setMessage('Failed to rename conversation.');
+      setMessageType('error');
+    }
+  };
+
+  const handleDeleteConversation = async () => {
+    if (!activeConversationId) return;
+    if (!window.confirm('Delete this conversation? This cannot be undone.')) return;
+
+    try {
+      const response = await apiFetch(`/api/ai/conversations/${activeConversationId}`, {
+        method: 'DELETE'
+      });
+      if (!response.ok) {
+        throw new Error('Failed to delete conversation');
+      }
+      handleNewConversation();
+      await fetchConversations();
+    } catch (err) {
+      console.error('Error deleting conversation:', err);
+      setMessage('Failed to delete conversation.');
+      setMessageType('error');
+    }
+  };
+
+  // Parse one Server-Sent Events frame ("event: x\ndata: {...}") into { event, data }
+  const parseSseFrame = (frame) => {
+    let event = 'message';
+    let data = '';
+    frame.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    return { event, data: data ? JSON.parse(data) : null };
+  };
+
+  // Friendly text for the error codes the chat API returns
+  const chatErrorMessages = {
+    PROVIDER_UNAVAILABLE: 'The AI service is not running. Please make sure the model server is installed and running.',
+    MODEL_NOT_FOUND: 'The AI model is not available. Please make sure the correct model is installed.',
+    AUTHENTICATION_FAILED: 'The AI service is misconfigured. Please contact your administrator.',
+    RATE_LIMITED: 'The AI service is busy right now.',
+    USAGE_LIMIT_REACHED: 'You\'ve reached your advisor usage limit for now.',
+    INVALID_REQUEST: 'Please enter a valid message.',
+    INVALID_MESSAGE_FORMAT: 'Please enter a valid message.'
+  };
+
+  // "40 seconds", "3 minutes": how long until a rate-limited request can be retried
+  const formatWait = (seconds) => {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  };
+
+  const showChatError = (errorCode, retryAfter) => {
+    const text = chatErrorMessages[errorCode] || 'Failed to get response';
+    setMessage(retryAfter ? `${text} Please try again in ${formatWait(retryAfter)}.` : text);
+    setMessageType('error');
+  };
+
+  const unavailableReply = {
+    role: 'assistant',
+    content: 'I apologize, but I am currently unable to respond. Please make sure Ollama is running and try again.'
+  };
+
+  // Replace the content of the reply currently being streamed (always the last entry)
+  const updateStreamingReply = (update) => {
+    setChatHistory(prev => {
+      const last = prev[prev.length - 1];
+      if (!last || !last.streaming) return prev;
+      return [...prev.slice(0, -1), { ...last, ...update(last) }];
+    });
+  };
+
   const handleSendMessage = async () => {
     if (!chatMessage.trim()) return;
 
     const userMessage = chatMessage.trim();
     setChatMessage('');
+    setMessage('');
     setChatHistory(prev => [...prev, { role: 'user', content: userMessage }]);
     setIsAiLoading(true);
 
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+
     try {
-      const token = localStorage.getItem('authToken');
-      const response = await fetch('http://localhost:5000/api/ai/chat', {
+      const response = await apiFetch('/api/ai/chat/stream', {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ message: userMessage })
+        body: JSON.stringify({ message: userMessage, conversationId: activeConversationId }),
+        signal: controller.signal
       });
 
-      const data = await response.json();
+      if (!response.ok) {
+        const data = await response.json();
+        const retryAfter = data.retryAfter || parseInt(response.headers.get('Retry-After'), 10) || null;
+        showChatError(data.error, retryAfter);
+        if (response.status === 429) {
+          // Nothing was sent to the advisor; give the message back so it can be resent later
+          setChatHistory(prev => prev.slice(0, -1));
+          setChatMessage(userMessage);
+        } else {
+          setChatHistory(prev => [...prev, unavailableReply]);
+        }
+        return;
+      }
 
-      if (response.ok) {
-        setChatHistory(prev => [...prev, { role: 'assistant', content: data.response }]);
+      setChatHistory(prev => [...prev, { role: 'assistant', content: '', streaming: true }]);
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        buffer += decoder.decode(chunk.value, { stream: true });
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+
+        frames.filter(Boolean).forEach(frame => {
+          const { event, data } = parseSseFrame(frame);
+          if (event === 'meta' && data.conversationId !== activeConversationId) {
+            setActiveConversationId(data.conversationId);
+            localStorage.setItem('activeConversationId', data.conversationId);
+          } else if (event === 'token') {
+            updateStreamingReply(last => ({ content: last.content + data.content }));
+          } else if (event === 'done') {
+            updateStreamingReply(() => ({ sources: data.sources }));
+          } else if (event === 'error') {
+            showChatError(data.error, data.retryAfter);
+            updateStreamingReply(last => ({ interrupted: true, content: last.content || unavailableReply.content }));
+          }
+        });
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        // The server keeps the partial reply; mark it as stopped here too
+        updateStreamingReply(() => ({ interrupted: true }));
       } else {
-        let errorMessage = 'Failed to get response';
-        if (data.error?.includes('Unable to connect to Ollama')) {
-          errorMessage = 'The AI service is not running. Please make sure Ollama is installed and running locally.';
-        } else if (data.error?.includes('model not found')) {
-          errorMessage = 'The AI model is not available. Please make sure the correct model is installed in Ollama.';
-        } else if (data.error?.includes('Invalid message format')) {
-          errorMessage = 'Please enter a valid message.';
-        }
-        setMessage(errorMessage);
+        console.error('Error sending message:', err);
+        setMessage('Failed to connect to AI service. Please make sure Ollama is running locally.');
         setMessageType('error');
-        setChatHistory(prev => [...prev, { 
-          role: 'assistant', 
-          content: 'I apologize, but I am currently unable to respond. Please make sure Ollama is running and try again.' 
-        }]);
+        setChatHistory(prev => [...prev, unavailableReply]);
       }
-    } catch (err) {
-      console.error('Error sending message:', err);
-      setMessage('Failed to connect to AI service. Please make sure Ollama is running locally.');
-      setMessageType('error');
-      setChatHistory(prev => [...prev, { 
-        role: 'assistant', 
-        content: 'I apologize, but I am currently unable to respond. Please make sure Ollama is running and try again.' 
-      }]);
     } finally {
+      streamControllerRef.current = null;
+      setChatHistory(prev => prev
+        .filter(msg => !(msg.streaming && !msg.content))
+        .map(msg => (msg.streaming
+          ? { role: msg.role, content: msg.content, interrupted: msg.interrupted, sources: msg.sources }
+          : msg)));
       setIsAiLoading(false);
+      fetchConversations().catch(err => console.error('Error refreshing conversations:', err));
     }
   };
 
-  // Helper function to get user initials
-  const getInitials = () => {
-    if (!user) return 'U';
-    return `${user.firstName?.[0] || ''}${user.lastName?.[0] || ''}`.toUpperCase();
-  };
-
-  // Helper function to calculate average grade
-  const calculateAverageGrade = () => {
-    if (!user?.academicProgress || user.academicProgress.length === 0) return 'N/A';
-    
-    const gradePoints = {
-      'A+': 4.3, 'A': 4.0, 'A-': 3.7,
-      'B+': 3.3, 'B': 3.0, 'B-': 2.7,
-      'C+': 2.3, 'C': 2.0, 'C-': 1.7,
-      'D+': 1.3, 'D': 1.0, 'F': 0
-    };
-
-    const totalPoints = user.academicProgress.reduce((sum, course) => {
-      return sum + (gradePoints[course.grade] || 0);
-    }, 0);
-
-    const average = totalPoints / user.academicProgress.length;
-    
-    // Convert back to letter grade
-    if (average >= 4.0) return 'A';
-    if (average >= 3.7) return 'A-';
-    if (average >= 3.3) return 'B+';
-    if (average >= 3.0) return 'B';
-    if (average >= 2.7) return 'B-';
-    if (average >= 2.3) return 'C+';
-    if (average >= 2.0) return 'C';
-    return 'C-';
-  };
-
-  // Helper function to get interest colors
-  const getInterestColor = (category) => {
-    const colors = {
-      'Gaming': 'orange',
-      'AI Software Testing': 'purple',
-      'Robotics': 'orange',
-      'Other': 'blue'
-    };
-    return colors[category] || 'gray';
-  };
-
-  // Helper function to format deadline
-  const formatDeadline = (date) => {
-    const deadline = new Date(date);
-    const options = { month: 'short', day: 'numeric' };
-    return deadline.toLocaleDateString('en-US', options);
-  };
-
-  // Helper function to get status color
-  const getStatusColor = (status) => {
-    const colors = {
-      'Not Started': 'text-gray-600',
-      'In Progress': 'text-yellow-600',
-      'Submitted': 'text-green-600',
-      'Accepted': 'text-green-700 font-bold',
-      'Rejected': 'text-red-600'
-    };
-    return colors[status] || 'text-gray-600';
+  const handleStopResponse = () => {
+    streamControllerRef.current?.abort();
   };
 
   if (loading) {
@@ -203,92 +363,94 @@ function Dashboard({ onLogout }) {
 
   return (
     <div className="min-h-screen bg-gray-50 p-8">
+      {isEditingProfile && (
+        <ProfileEditor
+          profile={user}
+          onProfileChange={setUser}
+          onClose={() => setIsEditingProfile(false)}
+        />
+      )}
+
       {/* Header with Logout */}
       <div className="max-w-7xl mx-auto mb-6 flex justify-between items-center">
         <h1 className="text-3xl font-bold text-gray-800">Student Dashboard</h1>
-        <button 
-          onClick={handleLogout}
-          className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 text-sm"
-        >
-          Logout
-        </button>
+        <div className="flex items-center space-x-3">
+          <NotificationBell />
+          <button 
+            onClick={handleLogout}
+            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 text-sm"
+          >
+            Logout
+          </button>
+        </div>
       </div>
 
+      {user.emailVerified === false && (
+        <div className="max-w-7xl mx-auto mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-xl flex justify-between items-center">
+          <p className="text-sm text-yellow-800">
+            {verificationNotice || `Please confirm your email address (${user.email}) so you can accept invitations and recover your account if you forget your password.`}
+          </p>
+          <button onClick={handleResendVerification} className="ml-4 px-3 py-2 text-sm bg-white border border-yellow-300 text-yellow-800 rounded-md hover:bg-yellow-100 whitespace-nowrap">
+            Resend email
+          </button>
+        </div>
+      )}
+
       <div className="max-w-7xl mx-auto grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Left Column */}
         <div className="space-y-6">
-          {/* Profile Section */}
-          <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
-            <div className="flex justify-between items-start mb-4">
-              <div className="flex items-center space-x-4">
-                <div className="w-16 h-16 bg-orange-400 rounded-full flex items-center justify-center">
-                  <div className="w-12 h-12 bg-orange-300 rounded-full flex items-center justify-center">
-                    <span className="text-white font-bold text-lg">{getInitials()}</span>
-                  </div>
-                </div>
-                <div>
-                  <h2 className="text-2xl font-bold text-gray-800">
-                    {user.firstName} {user.lastName}
-                  </h2>
-                  {user.age && <p className="text-gray-600">{user.age} years old</p>}
-                  {user.school && <p className="text-gray-600">{user.school}</p>}
-                  {user.grade && <p className="text-gray-600">{user.grade}</p>}
-                </div>
-              </div>
-              <button className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 text-sm">
-                Edit Profile
-              </button>
-            </div>
-
-            <div className="space-y-4">
-              {/* Interests & Hobbies */}
-              {user.interests && user.interests.length > 0 && (
-                <div>
-                  <h3 className="font-semibold text-gray-800 mb-2">Interests & Hobbies</h3>
-                  <ul className="list-disc list-inside text-gray-600 space-y-1">
-                    {user.interests.map((interest, index) => (
-                      <li key={index}>{interest.name}</li>
-                    ))}
-                  </ul>
-                </div>
-              )}
-
-              {/* Achievements */}
-              {user.achievements && user.achievements.length > 0 && (
-                <div>
-                  <h3 className="font-semibold text-gray-800 mb-2">Achievements</h3>
-                  {user.achievements.map((achievement, index) => (
-                    <div key={index} className="bg-yellow-50 p-4 rounded-lg border border-yellow-200 mb-2">
-                      <p className="text-yellow-700">
-                        {achievement.icon || '🏆'} {achievement.title}
-                      </p>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
-          </div>
+          <ProfileCard user={user} onEdit={() => setIsEditingProfile(true)} />
 
-          {/* Grades Section */}
-          {user.academicProgress && user.academicProgress.length > 0 && (
-            <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
-              <h3 className="text-xl font-semibold text-gray-800 mb-4">Academic Progress</h3>
-              <div className="space-y-3">
-                {user.academicProgress.map((course, index) => (
-                  <div key={index} className="flex justify-between">
-                    <span className="text-gray-600">{course.subject}</span>
-                    <span className="font-semibold text-gray-800">{course.grade}</span>
-                  </div>
-                ))}
-              </div>
-            </div>
-          )}
+          <AcademicProgressCard user={user} />
 
+          <TranscriptImport studentId={user.id} onImported={setUser} />
           {/* Chat Section */}
           <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
             <h3 className="text-xl font-semibold text-gray-800 mb-4">Chat with AI Advisor</h3>
+            <div className="flex items-center space-x-2 mb-3">
+              <select
+                className="flex-1 p-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                value={activeConversationId || ''}
+                onChange={(e) => handleSelectConversation(e.target.value)}
+                disabled={isAiLoading}
+              >
+                <option value="">New conversation</option>
+                {conversations.map(conversation => (
+                  <option key={conversation._id} value={conversation._id}>{conversation.title}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleNewConversation}
+                disabled={isAiLoading}
+                className="px-3 py-2 text-sm bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200"
+              >
+                New
+              </button>
+              <button
+                onClick={handleRenameConversation}
+                disabled={isAiLoading || !activeConversationId}
+                className="px-3 py-2 text-sm bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 disabled:opacity-50"
+              >
+                Rename
+              </button>
+              <button
+                onClick={handleDeleteConversation}
+                disabled={isAiLoading || !activeConversationId}
+                className="px-3 py-2 text-sm bg-red-50 text-red-600 rounded-md hover:bg-red-100 disabled:opacity-50"
+              >
+                Delete
+              </button>
+            </div>
             <div className="border rounded-lg p-4 bg-gray-50 h-96 flex flex-col">
               <div className="flex-1 overflow-y-auto mb-4 space-y-4">
+                {olderMessagesCursor && (
+                  <button
+                    onClick={() => loadConversation(activeConversationId, olderMessagesCursor)}
+                    className="block mx-auto text-sm text-indigo-600 hover:text-indigo-700"
+                  >
+                    Load earlier messages
+                  </button>
+                )}
                 {chatHistory.map((msg, index) => (
                   <div
                     key={index}
@@ -298,10 +460,40 @@ function Dashboard({ onLogout }) {
                         : 'bg-gray-100 mr-auto max-w-[80%]'
                     }`}
                   >
-                    <p className="text-sm text-gray-800">{msg.content}</p>
+                    <p className="text-sm text-gray-800 whitespace-pre-wrap">{msg.content}</p>
+                    {msg.interrupted && (
+                      <p className="text-xs text-gray-500 mt-1 italic">Response stopped</p>
+                    )}
+                    {msg.sources?.length > 0 && (
+                      <div className="mt-2 pt-2 border-t border-gray-200">
+                        <p className="text-xs font-medium text-gray-500">Sources</p>
+                        <ul className="mt-1 space-y-0.5">
+                          {msg.sources.map(source => (
+                            <li key={source.ref} className="text-xs text-gray-600">
+                              [{source.ref}] {source.title}
+                              {source.section && ` — ${source.section}`}
+                              {source.source && (
+                                /^https?:\/\//.test(source.source) ? (
+                                  <a
+                                    href={source.source}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="ml-1 text-indigo-600 hover:text-indigo-700"
+                                  >
+                                    (link)
+                                  </a>
+                                ) : (
+                                  <span className="ml-1 text-gray-400">({source.source})</span>
+                                )
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
                   </div>
                 ))}
-                {isAiLoading && (
+                {isAiLoading && !chatHistory[chatHistory.length - 1]?.content && (
                   <div className="bg-gray-100 p-3 rounded-lg mr-auto max-w-[80%]">
                     <div className="flex space-x-2">
                       <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
@@ -321,17 +513,21 @@ function Dashboard({ onLogout }) {
                   onKeyPress={(e) => e.key === 'Enter' && handleSendMessage()}
                   disabled={isAiLoading}
                 />
-                <button
-                  onClick={handleSendMessage}
-                  disabled={isAiLoading}
-                  className={`px-4 py-2 rounded-md ${
-                    isAiLoading
-                      ? 'bg-gray-400 cursor-not-allowed'
-                      : 'bg-indigo-600 hover:bg-indigo-700'
-                  } text-white`}
-                >
-                  {isAiLoading ? 'Sending...' : 'Send'}
-                </button>
+                {isAiLoading ? (
+                  <button
+                    onClick={handleStopResponse}
+                    className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white"
+                  >
+                    Stop
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleSendMessage}
+                    className="px-4 py-2 rounded-md bg-indigo-600 hover:bg-indigo-700 text-white"
+                  >
+                    Send
+                  </button>
+                )}
               </div>
               {message && (
                 <p className={`mt-2 text-sm ${messageType === 'error' ? 'text-red-600' : 'text-green-600'}`}>
@@ -339,78 +535,17 @@ function Dashboard({ onLogout }) {
                 </p>
               )}
             </div>
+            <AdvisorSharingPanel />
           </div>
         </div>
 
         {/* Right Column */}
         <div className="space-y-6">
-          {/* Enhanced Profile Stats */}
-          <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
-            <div className="grid grid-cols-3 gap-4 text-center">
-              <div>
-                <p className="text-sm text-gray-600 mb-1">Age</p>
-                <p className="text-xl font-bold">{user.age || 'N/A'}</p>
-              </div>
-              <div>
-                <p className="text-sm text-gray-600 mb-1">Achievements</p>
-                <p className="text-xl font-bold">{user.achievements?.length || 0}</p>
-              </div>
-              <div>
-                <p className="text-sm text-gray-600 mb-1">Average Grade</p>
-                <p className="text-xl font-bold">{calculateAverageGrade()}</p>
-              </div>
-            </div>
-            
-            <div className="mt-6">
-              <div className="flex justify-between items-center mb-2">
-                <span className="text-gray-600">Progress</span>
-                <span className="font-semibold text-gray-800">
-                  {user.applicationProgress?.averageCompletion || 0}%
-                </span>
-              </div>
-              <div className="w-full bg-gray-200 rounded-full h-2">
-                <div 
-                  className="bg-orange-400 rounded-full h-2 transition-all duration-300" 
-                  style={{ width: `${user.applicationProgress?.averageCompletion || 0}%` }}
-                ></div>
-              </div>
-            </div>
+          <ProfileStatsCard user={user} />
 
-            {user.interests && user.interests.length > 0 && (
-              <div className="mt-4 grid grid-cols-2 gap-2 text-sm">
-                {user.interests.slice(0, 4).map((interest, index) => (
-                  <div key={index} className="text-blue-600">{interest.name}</div>
-                ))}
-              </div>
-            )}
-          </div>
+          <InterestsChartCard user={user} />
 
-          {/* Interests Chart Visualization */}
-          {user.interests && user.interests.length > 0 && (
-            <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
-              <h3 className="text-xl font-semibold text-gray-800 mb-4">Interests & Hobbies</h3>
-              <div className="space-y-3">
-                {user.interests.map((interest, index) => {
-                  const color = getInterestColor(interest.category);
-                  const heights = [8, 12, 16, 10, 14, 18];
-                  return (
-                    <div key={index} className="flex items-center justify-between">
-                      <span className="text-gray-600">{interest.name}</span>
-                      <div className="flex space-x-1">
-                        {[...Array(Math.min(3, index + 1))].map((_, i) => (
-                          <div 
-                            key={i}
-                            className={`w-8 bg-${color}-${400 + i * 100} rounded`}
-                            style={{ height: `${heights[i * 2]}px` }}
-                          ></div>
-                        ))}
-                      </div>
-                    </div>
-                  );
-                })}
-              </div>
-            </div>
-          )}
+          <CareerInterestsCard user={user} onTakeAssessment={() => navigate('/assessment')} />
 
           {/* AI Assistant CTA */}
           <div className="bg-gradient-to-r from-purple-600 to-purple-700 p-6 rounded-xl shadow-md text-white">
@@ -426,67 +561,56 @@ function Dashboard({ onLogout }) {
           </div>
 
           {/* Application Button */}
-          <div className="bg-gradient-to-r from-orange-500 to-orange-600 p-4 rounded-xl shadow-md text-white cursor-pointer hover:from-orange-600 hover:to-orange-700 transition-all">
+          <div
+            onClick={() => navigate('/universities')}
+            className="bg-gradient-to-r from-orange-500 to-orange-600 p-4 rounded-xl shadow-md text-white cursor-pointer hover:from-orange-600 hover:to-orange-700 transition-all"
+          >
             <div className="flex justify-between items-center">
               <span className="font-semibold">Begin application</span>
               <span className="text-xl">→</span>
             </div>
           </div>
 
-          {/* University Applications */}
-          {user.universityApplications && user.universityApplications.length > 0 && (
-            <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
-              <h3 className="text-xl font-semibold text-gray-800 mb-4">University Applications</h3>
-              <div className="space-y-4">
-                {user.universityApplications.map((app, index) => (
-                  <div key={index} className="border-b pb-4 last:border-b-0">
-                    <div className="flex justify-between items-center mb-2">
-                      <h4 className="font-semibold">{app.universityName}</h4>
-                      <span className="text-sm text-red-600">
-                        Deadline: {formatDeadline(app.deadline)}
-                      </span>
-                    </div>
-                    <p className="text-gray-600">{app.program}</p>
-                    <p className={`text-sm mt-1 ${getStatusColor(app.status)}`}>
-                      Status: {app.status}
-                    </p>
-                  </div>
-                ))}
+          {user.role === 'student' && (
+            <div
+              onClick={() => navigate('/essays')}
+              className="bg-gradient-to-r from-teal-500 to-teal-600 p-4 rounded-xl shadow-md text-white cursor-pointer hover:from-teal-600 hover:to-teal-700 transition-all"
+            >
+              <div className="flex justify-between items-center">
+                <span className="font-semibold">Write essays</span>
+                <span className="text-xl">→</span>
               </div>
             </div>
           )}
 
+          {/* Reach / match / safety recommendations */}
+          {user.role === 'student' && <RecommendationsPanel user={user} onProfileChange={setUser} />}
+
+          <UniversityApplicationsCard user={user} />
+
           {/* Progress Section */}
-          <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
-            <h3 className="text-xl font-semibold text-gray-800 mb-4">Application Progress</h3>
-            <div className="space-y-4">
-              <div>
-                <div className="flex justify-between mb-2">
-                  <span className="text-gray-600">Average Completion</span>
-                  <span className="font-semibold text-gray-800">
-                    {user.applicationProgress?.averageCompletion || 0}%
-                  </span>
-                </div>
-                <div className="w-full bg-gray-200 rounded-full h-2">
-                  <div 
-                    className="bg-indigo-600 rounded-full h-2 transition-all duration-300" 
-                    style={{ width: `${user.applicationProgress?.averageCompletion || 0}%` }}
-                  ></div>
-                </div>
-              </div>
-              
-              {user.applicationProgress?.currentProject && (
-                <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
-                  <p className="text-blue-700">
-                    📝 {user.applicationProgress.currentProject}
-                    {user.applicationProgress.projectLink && 
-                      ` - ${user.applicationProgress.projectLink}`
-                    }
-                  </p>
-                </div>
-              )}
-            </div>
-          </div>
+          <ApplicationProgressCard user={user} onProfileChange={setUser} />
+
+          {/* Calendar Export */}
+          <CalendarPanel />
+
+          {/* Printable progress report */}
+          {user.role === 'student' && <ProgressReportPanel studentId={user.id} isSelf />}
+
+          {/* Counselors & parents */}
+          <LinksPanel user={user} />
+
+          {/* Comments from counselors & parents */}
+          <CommentsPanel studentId={user.id} currentUserId={user.id} canComment />
+
+          {/* Password */}
+          <ChangePasswordPanel />
+
+          {/* Signed-in devices */}
+          <SessionsPanel onLogoutAll={onLogoutAll} />
+
+          {/* Data export & account deletion */}
+          <AccountDataPanel />
         </div>
       </div>
     </div>
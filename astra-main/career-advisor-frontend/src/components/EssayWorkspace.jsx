@@ -0,0 +1,651 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { apiFetch } from '../api';
+
+const INPUT_CLASS = 'w-full p-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+// Wait this long after the last keystroke before autosaving
+const AUTOSAVE_DELAY_MS = 2000;
+
+const ROLE_LABELS = { student: 'Student', counselor: 'Counselor', parent: 'Parent', admin: 'Admin' };
+
+const SOURCE_LABELS = { autosave: 'Autosaved', manual: 'Saved', restore: 'Restored' };
+
+const EMPTY_ESSAY = { title: '', prompt: '', wordLimit: '', application: '', rubric: '' };
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+// Same paragraph rule as the server: blank lines separate paragraphs
+const splitParagraphs = (text) => text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+const formatDateTime = (date) => new Date(date).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+const essayRequest = async (studentId, method, path, body) => {
+  const response = await apiFetch(`/api/students/${studentId}/essays${path}`, {
+    method,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    const detail = data.errors ? Object.values(data.errors)[0] : null;
+    throw new Error(detail || data.message || 'Request failed');
+  }
+  return data;
+};
+
+function NewEssayForm({ applications, rubrics, defaultRubric, onCreate, onCancel }) {
+  const [fields, setFields] = useState({ ...EMPTY_ESSAY, rubric: defaultRubric });
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFields(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await onCreate({
+        ...fields,
+        wordLimit: fields.wordLimit === '' ? null : parseInt(fields.wordLimit, 10),
+        application: fields.application || null
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 p-3 bg-gray-50 rounded-lg">
+      <input name="title" placeholder="Title, e.g. Common App personal statement" className={INPUT_CLASS} value={fields.title} onChange={handleChange} required />
+      <textarea name="prompt" placeholder="Essay prompt (optional)" rows={3} className={INPUT_CLASS} value={fields.prompt} onChange={handleChange} />
+      <input name="wordLimit" type="number" min="1" placeholder="Word limit (optional)" className={INPUT_CLASS} value={fields.wordLimit} onChange={handleChange} />
+      <select name="application" className={INPUT_CLASS} value={fields.application} onChange={handleChange}>
+        <option value="">Not linked to an application</option>
+        {applications.map(app => (
+          <option key={app._id} value={app._id}>{app.universityName} – {app.program}</option>
+        ))}
+      </select>
+      <select name="rubric" className={INPUT_CLASS} value={fields.rubric} onChange={handleChange}>
+        {rubrics.map(rubric => <option key={rubric.id} value={rubric.id}>{rubric.name}</option>)}
+      </select>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex space-x-2">
+        <button type="submit" className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700">Create</button>
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm bg-gray-100 rounded-md hover:bg-gray-200">Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+// Differences between two versions, with removed words struck through
+function DiffView({ diff }) {
+  return (
+    <div>
+      <p className="text-xs text-gray-500 mb-2">
+        Version {diff.from} → {diff.to}: +{diff.wordsAdded} / −{diff.wordsRemoved} words
+      </p>
+      <div className="p-3 bg-gray-50 rounded-md text-sm text-gray-800 whitespace-pre-wrap max-h-96 overflow-y-auto">
+        {diff.segments.map((segment, index) => {
+          if (segment.type === 'insert') return <ins key={index} className="bg-green-100 no-underline">{segment.text}</ins>;
+          if (segment.type === 'delete') return <del key={index} className="bg-red-100 text-red-700">{segment.text}</del>;
+          return <span key={index}>{segment.text}</span>;
+        })}
+      </div>
+    </div>
+  );
+}
+
+function HistoryPanel({ studentId, essay, canEdit, onRestored }) {
+  const [versions, setVersions] = useState([]);
+  const [compareFrom, setCompareFrom] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchVersions = async () => {
+      try {
+        setVersions(await essayRequest(studentId, 'GET', `/${essay.id}/versions`));
+      } catch (err) {
+        console.error('Error fetching versions:', err);
+      }
+    };
+    fetchVersions();
+  }, [studentId, essay.id, essay.updatedAt]);
+
+  const handleCompare = async (number) => {
+    setCompareFrom(number);
+    setError('');
+    try {
+      setDiff(await essayRequest(studentId, 'GET', `/${essay.id}/diff?from=${number}&to=${essay.currentVersion}`));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = async (number) => {
+    if (!window.confirm(`Replace the current text with version ${number}? The current text stays in the history.`)) return;
+    try {
+      onRestored(await essayRequest(studentId, 'POST', `/${essay.id}/versions/${number}/restore`));
+      setDiff(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (versions.length === 0) {
+    return <p className="text-sm text-gray-500">No saved versions yet.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <ul className="divide-y divide-gray-100">
+        {versions.map(version => (
+          <li key={version.number} className="py-2 flex justify-between items-center text-sm">
+            <span className="text-gray-700">
+              v{version.number} · {SOURCE_LABELS[version.source]} {formatDateTime(version.updatedAt)} · {version.wordCount} words
+            </span>
+            {version.number !== essay.currentVersion && (
+              <span className="space-x-3">
+                <button
+                  onClick={() => handleCompare(version.number)}
+                  className={`text-xs ${compareFrom === version.number ? 'text-indigo-800 font-semibold' : 'text-indigo-600 hover:text-indigo-700'}`}
+                >
+                  Compare with current
+                </button>
+                {canEdit && (
+                  <button onClick={() => handleRestore(version.number)} className="text-xs text-gray-500 hover:text-gray-700">
+                    Restore
+                  </button>
+                )}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {diff && <DiffView diff={diff} />}
+    </div>
+  );
+}
+
+function ReviewSummary({ review, rubricName }) {
+  return (
+    <div className="p-4 bg-purple-50 rounded-lg space-y-2">
+      <p className="text-sm font-semibold text-purple-900">
+        AI review of version {review.version}{rubricName && ` · ${rubricName}`}
+      </p>
+      {review.summary && <p className="text-sm text-purple-900">{review.summary}</p>}
+      {review.scores.length > 0 && (
+        <ul className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+          {review.scores.map(score => (
+            <li key={score.criterion} className="text-xs text-purple-800">
+              <span className="font-medium">{score.criterion}</span>: {score.score} — {score.comment}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// The current text paragraph by paragraph, with AI notes and people's comments beside the
+// paragraph they refer to
+function FeedbackPanel({ studentId, essay, paragraphs, review, comments, currentUserId, canComment, isStudent, onCommentsChange }) {
+  const [openParagraph, setOpenParagraph] = useState(null);
+  const [body, setBody] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setError('');
+    try {
+      const comment = await essayRequest(studentId, 'POST', `/${essay.id}/comments`, { paragraph: openParagraph, body });
+      onCommentsChange([...comments, comment]);
+      setBody('');
+      setOpenParagraph(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleResolve = async (comment) => {
+    try {
+      const updated = await essayRequest(studentId, 'PATCH', `/${essay.id}/comments/${comment._id}`, { resolved: !comment.resolved });
+      onCommentsChange(comments.map(entry => (entry._id === comment._id ? updated : entry)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    try {
+      await essayRequest(studentId, 'DELETE', `/${essay.id}/comments/${comment._id}`);
+      onCommentsChange(comments.filter(entry => entry._id !== comment._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renderComment = (comment) => (
+    <li key={comment._id} className={`p-2 rounded-md text-xs ${comment.resolved ? 'bg-gray-50 text-gray-400' : 'bg-yellow-50 text-gray-800'}`}>
+      <div className="flex justify-between">
+        <span className="font-medium">
+          {comment.author ? `${comment.author.firstName} ${comment.author.lastName}` : 'Unknown'}
+          {comment.author && <span className="ml-1 text-gray-500">({ROLE_LABELS[comment.author.role]})</span>}
+        </span>
+        <span className="space-x-2">
+          {(isStudent || comment.author?._id === currentUserId) && (
+            <button onClick={() => handleResolve(comment)} className="text-indigo-600 hover:text-indigo-700">
+              {comment.resolved ? 'Reopen' : 'Resolve'}
+            </button>
+          )}
+          {comment.author?._id === currentUserId && (
+            <button onClick={() => handleDelete(comment)} className="text-red-500 hover:text-red-700">Delete</button>
+          )}
+        </span>
+      </div>
+      <p className="mt-1 whitespace-pre-wrap">{comment.body}</p>
+    </li>
+  );
+
+  const detached = comments.filter(comment => comment.currentParagraph === null);
+
+  return (
+    <div className="space-y-4">
+      {paragraphs.map((paragraph, index) => {
+        const notes = (review?.comments || []).filter(note => note.currentParagraph === index);
+        const paragraphComments = comments.filter(comment => comment.currentParagraph === index);
+        return (
+          <div key={index} className="grid grid-cols-1 lg:grid-cols-5 gap-3">
+            <p className="lg:col-span-3 text-sm text-gray-800 whitespace-pre-wrap">
+              <span className="text-xs text-gray-400 mr-1">¶{index + 1}</span>{paragraph}
+            </p>
+            <div className="lg:col-span-2 space-y-2">
+              {notes.length > 0 && (
+                <ul className="space-y-1">
+                  {notes.map((note, noteIndex) => (
+                    <li key={noteIndex} className="p-2 rounded-md text-xs bg-purple-50 text-purple-900">
+                      <span className="font-medium">AI{note.criterion && ` · ${note.criterion}`}:</span> {note.body}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {paragraphComments.length > 0 && <ul className="space-y-1">{paragraphComments.map(renderComment)}</ul>}
+              {canComment && (openParagraph === index ? (
+                <form onSubmit={handleSubmit} className="space-y-1">
+                  <textarea rows={2} className={INPUT_CLASS} value={body} onChange={(e) => setBody(e.target.value)} autoFocus />
+                  <div className="space-x-2">
+                    <button type="submit" className="px-2 py-1 text-xs bg-indigo-600 text-white rounded-md hover:bg-indigo-700">Comment</button>
+                    <button type="button" onClick={() => setOpenParagraph(null)} className="text-xs text-gray-500">Cancel</button>
+                  </div>
+                </form>
+              ) : (
+                <button onClick={() => { setOpenParagraph(index); setBody(''); }} className="text-xs text-indigo-600 hover:text-indigo-700">
+                  + Comment
+                </button>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+
+      {detached.length > 0 && (
+        <div>
+          <p className="text-xs font-medium text-gray-500 mb-1">On paragraphs that have since been rewritten</p>
+          <ul className="space-y-1">{detached.map(renderComment)}</ul>
+        </div>
+      )}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+function EssayWorkspace() {
+  const navigate = useNavigate();
+  const params = useParams();
+  const [student, setStudent] = useState(null);
+  const [currentUserId, setCurrentUserId] = useState(null);
+  const [essays, setEssays] = useState([]);
+  const [rubrics, setRubrics] = useState([]);
+  const [defaultRubric, setDefaultRubric] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const [essay, setEssay] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [savedContent, setSavedContent] = useState('');
+  const [saveStatus, setSaveStatus] = useState('');
+  const [comments, setComments] = useState([]);
+  const [review, setReview] = useState(null);
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [tab, setTab] = useState('feedback');
+  const [error, setError] = useState('');
+
+  const studentId = params.studentId || student?.id;
+  const isStudent = student?.access === 'self';
+  const canComment = ['self', 'comment', 'admin'].includes(student?.access);
+  const essayId = essay?.id;
+
+  // Students see their own essays at /essays; counselors and parents at /students/:id/essays
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const ownResponse = await apiFetch('/api/user/profile');
+        if (!ownResponse.ok) throw new Error('Failed to load profile');
+        const own = await ownResponse.json();
+        setCurrentUserId(own.id);
+
+        if (!params.studentId || params.studentId === own.id) {
+          setStudent({ ...own, access: 'self' });
+          return;
+        }
+        const response = await apiFetch(`/api/students/${params.studentId}/profile`);
+        if (!response.ok) throw new Error('Student not found');
+        setStudent(await response.json());
+      } catch (err) {
+        console.error('Error loading essay workspace:', err);
+        setError(err.message);
+      }
+    };
+    load();
+  }, [params.studentId]);
+
+  useEffect(() => {
+    if (!studentId) return;
+    const fetchEssays = async () => {
+      try {
+        const data = await essayRequest(studentId, 'GET', '');
+        setEssays(data.essays);
+        setRubrics(data.rubrics);
+        setDefaultRubric(data.defaultRubric);
+      } catch (err) {
+        console.error('Error fetching essays:', err);
+        setError(err.message);
+      }
+    };
+    fetchEssays();
+  }, [studentId]);
+
+  // Load the selected essay's comments and latest AI review
+  useEffect(() => {
+    if (!studentId || !essayId) return;
+    const fetchFeedback = async () => {
+      try {
+        const [essayComments, reviews] = await Promise.all([
+          essayRequest(studentId, 'GET', `/${essayId}/comments`),
+          essayRequest(studentId, 'GET', `/${essayId}/reviews`)
+        ]);
+        setComments(essayComments);
+        setReview(reviews[0] || null);
+      } catch (err) {
+        console.error('Error fetching essay feedback:', err);
+      }
+    };
+    fetchFeedback();
+  }, [studentId, essayId]);
+
+  // Autosave shortly after the student stops typing
+  useEffect(() => {
+    if (!isStudent || !essayId || draft === savedContent) return undefined;
+    setSaveStatus('Unsaved changes');
+    const timer = setTimeout(async () => {
+      setSaveStatus('Saving...');
+      try {
+        const data = await essayRequest(studentId, 'PUT', `/${essayId}/content`, { content: draft, autosave: true });
+        setSavedContent(draft);
+        setEssay(data.essay);
+        setEssays(prev => prev.map(entry => (entry.id === data.essay.id ? data.essay : entry)));
+        setSaveStatus('All changes saved');
+      } catch (err) {
+        setSaveStatus(`Autosave failed: ${err.message}`);
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draft, savedContent, isStudent, essayId, studentId]);
+
+  const openEssay = async (id) => {
+    setError('');
+    try {
+      const data = await essayRequest(studentId, 'GET', `/${id}`);
+      setEssay(data);
+      setDraft(data.content);
+      setSavedContent(data.content);
+      setSaveStatus('');
+      setReview(null);
+      setComments([]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = async (fields) => {
+    const created = await essayRequest(studentId, 'POST', '', fields);
+    setEssays(prev => [created, ...prev]);
+    setIsCreating(false);
+    setEssay(created);
+    setDraft('');
+    setSavedContent('');
+    setReview(null);
+    setComments([]);
+  };
+
+  const applySavedEssay = (saved) => {
+    setEssay(saved);
+    setDraft(saved.content);
+    setSavedContent(saved.content);
+    setEssays(prev => prev.map(entry => (entry.id === saved.id ? saved : entry)));
+  };
+
+  const handleSaveVersion = async () => {
+    setSaveStatus('Saving...');
+    try {
+      const data = await essayRequest(studentId, 'PUT', `/${essay.id}/content`, { content: draft, autosave: false });
+      applySavedEssay(data.essay);
+      setSaveStatus(data.changed ? `Saved as version ${data.version.number}` : 'No changes to save');
+    } catch (err) {
+      setSaveStatus(`Save failed: ${err.message}`);
+    }
+  };
+
+  const handleReview = async () => {
+    setIsReviewing(true);
+    setError('');
+    try {
+      // Review exactly what is on screen
+      if (draft !== savedContent) {
+        const data = await essayRequest(studentId, 'PUT', `/${essay.id}/content`, { content: draft, autosave: false });
+        applySavedEssay(data.essay);
+      }
+      setReview(await essayRequest(studentId, 'POST', `/${essay.id}/review`));
+      setTab('feedback');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsReviewing(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${essay.title}" with all its versions and comments?`)) return;
+    try {
+      await essayRequest(studentId, 'DELETE', `/${essay.id}`);
+      setEssays(prev => prev.filter(entry => entry.id !== essay.id));
+      setEssay(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const wordCount = countWords(draft);
+  const overLimit = essay?.wordLimit && wordCount > essay.wordLimit;
+  // Feedback is anchored to the saved text, which is what the server located it in
+  const paragraphs = splitParagraphs(savedContent);
+  const rubricName = rubrics.find(rubric => rubric.id === (review?.rubric || essay?.rubric))?.name;
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-6xl mx-auto mb-6 flex justify-between items-center">
+        <h1 className="text-3xl font-bold text-gray-800">
+          {isStudent || !student ? 'Essays' : `${student.firstName} ${student.lastName}'s essays`}
+        </h1>
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-sm"
+        >
+          Back to dashboard
+        </button>
+      </div>
+
+      {error && <div className="max-w-6xl mx-auto mb-4 p-3 rounded-md text-sm bg-red-50 text-red-700">{error}</div>}
+
+      <div className="max-w-6xl mx-auto grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Essay list */}
+        <div className="bg-white p-4 rounded-xl shadow-md border border-gray-200 space-y-3 self-start">
+          {isStudent && !isCreating && (
+            <button
+              onClick={() => setIsCreating(true)}
+              className="w-full px-3 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+            >
+              New essay
+            </button>
+          )}
+          {isCreating && (
+            <NewEssayForm
+              applications={student?.universityApplications || []}
+              rubrics={rubrics}
+              defaultRubric={defaultRubric}
+              onCreate={handleCreate}
+              onCancel={() => setIsCreating(false)}
+            />
+          )}
+          {essays.length === 0 && !isCreating && <p className="text-sm text-gray-500">No essays yet.</p>}
+          <ul className="space-y-1">
+            {essays.map(entry => (
+              <li key={entry.id}>
+                <button
+                  onClick={() => openEssay(entry.id)}
+                  className={`w-full text-left px-3 py-2 rounded-md hover:bg-gray-50 ${essay?.id === entry.id ? 'bg-indigo-50' : ''}`}
+                >
+                  <p className="text-sm font-medium text-gray-800">{entry.title}</p>
+                  <p className="text-xs text-gray-500">
+                    {entry.application ? `${entry.application.universityName} · ` : ''}
+                    <span className={entry.overLimit ? 'text-red-600' : ''}>
+                      {entry.wordCount}{entry.wordLimit ? ` / ${entry.wordLimit}` : ''} words
+                    </span>
+                  </p>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* Selected essay */}
+        <div className="lg:col-span-3 space-y-6">
+          {!essay ? (
+            <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200 text-sm text-gray-500">
+              Select an essay{isStudent ? ' or start a new one' : ''}.
+            </div>
+          ) : (
+            <>
+              <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200 space-y-3">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h2 className="text-xl font-semibold text-gray-800">{essay.title}</h2>
+                    {essay.application && (
+                      <p className="text-sm text-gray-600">{essay.application.universityName} – {essay.application.program}</p>
+                    )}
+                  </div>
+                  {isStudent && (
+                    <button onClick={handleDelete} className="text-xs text-red-500 hover:text-red-700">Delete essay</button>
+                  )}
+                </div>
+                {essay.prompt && <p className="text-sm text-gray-700 italic whitespace-pre-wrap">{essay.prompt}</p>}
+
+                {isStudent ? (
+                  <textarea
+                    rows={16}
+                    className={`${INPUT_CLASS} font-serif leading-relaxed`}
+                    placeholder="Start writing. Leave a blank line between paragraphs."
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                  />
+                ) : (
+                  <div className="p-3 bg-gray-50 rounded-md text-sm text-gray-800 whitespace-pre-wrap font-serif leading-relaxed">
+                    {draft || 'Nothing written yet.'}
+                  </div>
+                )}
+
+                <div className="flex flex-wrap justify-between items-center gap-2">
+                  <span className={`text-sm ${overLimit ? 'text-red-600 font-semibold' : 'text-gray-600'}`}>
+                    {wordCount}{essay.wordLimit ? ` / ${essay.wordLimit}` : ''} words
+                    {overLimit && ` (${wordCount - essay.wordLimit} over the limit)`}
+                  </span>
+                  {isStudent && (
+                    <div className="flex items-center space-x-2">
+                      {saveStatus && <span className="text-xs text-gray-500">{saveStatus}</span>}
+                      <button
+                        onClick={handleSaveVersion}
+                        className="px-3 py-1.5 text-sm bg-gray-100 rounded-md hover:bg-gray-200"
+                      >
+                        Save version
+                      </button>
+                      <button
+                        onClick={handleReview}
+                        disabled={isReviewing || !draft.trim()}
+                        className="px-3 py-1.5 text-sm bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50"
+                      >
+                        {isReviewing ? 'Reviewing...' : 'AI review'}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200 space-y-4">
+                <div className="flex space-x-2">
+                  {['feedback', 'history'].map(name => (
+                    <button
+                      key={name}
+                      onClick={() => setTab(name)}
+                      className={`px-3 py-1 text-sm rounded-md ${tab === name ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                      {name === 'feedback' ? 'Feedback' : 'Version history'}
+                    </button>
+                  ))}
+                </div>
+
+                {tab === 'feedback' ? (
+                  <>
+                    {review && <ReviewSummary review={review} rubricName={rubricName} />}
+                    {paragraphs.length === 0 ? (
+                      <p className="text-sm text-gray-500">Feedback appears here once the essay has saved text.</p>
+                    ) : (
+                      <FeedbackPanel
+                        studentId={studentId}
+                        essay={essay}
+                        paragraphs={paragraphs}
+                        review={review}
+                        comments={comments}
+                        currentUserId={currentUserId}
+                        canComment={canComment}
+                        isStudent={isStudent}
+                        onCommentsChange={setComments}
+                      />
+                    )}
+                  </>
+                ) : (
+                  <HistoryPanel studentId={studentId} essay={essay} canEdit={isStudent} onRestored={applySavedEssay} />
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EssayWorkspace;
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { API_BASE_URL } from '../api';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [messageType, setMessageType] = useState(''); // 'success' or 'error'
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setMessageType('');
+    setIsLoading(true);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/forgot-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email }),
+      });
+      const data = await response.json();
+
+      setMessage(response.ok ? 'If an account exists for that email, we\'ve sent a link to reset your password. Check your inbox.' : data.message);
+      setMessageType(response.ok ? 'success' : 'error');
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      setMessage('Network error. Please try again later.');
+      setMessageType('error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2 className="auth-title">Reset Your Password</h2>
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="email" className="form-label">Email Address</label>
+            <input
+              type="email"
+              id="email"
+              className="form-input"
+              placeholder="your.email@example.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+          </div>
+          {message && (
+            <div className={messageType === 'success' ? 'alert-success' : 'alert-error'}>
+              {message}
+            </div>
+          )}
+          <button
+            type="submit"
+            className={isLoading ? 'btn-primary-disabled' : 'btn-primary'}
+            disabled={isLoading}
+          >
+            {isLoading ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+        <p className="mt-8 text-center text-base text-gray-600">
+          Remembered it?{' '}
+          <Link to="/login" className="link-primary">
+            Back to Login
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
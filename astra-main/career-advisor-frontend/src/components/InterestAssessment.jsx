@@ -0,0 +1,311 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { apiFetch } from '../api';
+import { RiasecScoreBars } from './StudentPanels';
+
+const QUESTIONS_PER_PAGE = 6;
+
+const formatDate = (date) => new Date(date).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+// Resume on the first page with an unanswered question
+const resumePage = (questions, saved) => {
+  const firstOpen = questions.findIndex(question => !saved[question.id]);
+  return firstOpen === -1 ? 0 : Math.floor(firstOpen / QUESTIONS_PER_PAGE);
+};
+
+const savedAnswers = (attempt) => Object.fromEntries(attempt.answers.map(answer => [answer.questionId, answer.value]));
+
+const assessmentRequest = async (method, path, body) => {
+  const response = await apiFetch(`/api/assessment${path}`, {
+    method,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || 'Request failed');
+  }
+  return data;
+};
+
+function ResultView({ result, dimensions }) {
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200 space-y-6">
+      <div>
+        <h3 className="text-xl font-semibold text-gray-800">
+          Your Holland Code: <span className="text-indigo-600">{result.code}</span>
+        </h3>
+        <p className="text-sm text-gray-500">Completed {formatDate(result.completedAt)}</p>
+      </div>
+
+      <RiasecScoreBars scores={result.scores} code={result.code} />
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        {result.code.split('').map(letter => {
+          const dimension = dimensions.find(entry => entry.key === letter);
+          return (
+            <div key={letter} className="p-3 bg-indigo-50 rounded-lg">
+              <p className="font-semibold text-indigo-800">{dimension?.label || letter}</p>
+              <p className="text-sm text-indigo-700">{dimension?.description}</p>
+            </div>
+          );
+        })}
+      </div>
+
+      <div>
+        <h4 className="font-semibold text-gray-800 mb-2">Matching career clusters</h4>
+        <ul className="space-y-3">
+          {result.clusters.map(cluster => (
+            <li key={cluster.name} className="p-3 border border-gray-200 rounded-lg">
+              <div className="flex justify-between items-center">
+                <span className="font-medium text-gray-800">{cluster.name}</span>
+                <span className="text-sm text-gray-500">{cluster.match}% match</span>
+              </div>
+              <p className="text-sm text-gray-600 mt-1">{cluster.careers.join(', ')}</p>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+function InterestAssessment() {
+  const navigate = useNavigate();
+  const [bank, setBank] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [page, setPage] = useState(0);
+  const [results, setResults] = useState([]);
+  const [selectedResult, setSelectedResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [current, history] = await Promise.all([
+          assessmentRequest('GET', '/attempt'),
+          assessmentRequest('GET', '/results')
+        ]);
+        // Unfinished attempts keep the question bank they were started with
+        const questions = await assessmentRequest('GET', `/questions${current ? `?version=${current.version}` : ''}`);
+        setBank(questions);
+        setResults(history);
+        setSelectedResult(history[0] || null);
+        if (current) {
+          const saved = savedAnswers(current);
+          setAttempt(current);
+          setAnswers(saved);
+          setPage(resumePage(questions.questions, saved));
+        }
+      } catch (err) {
+        console.error('Error loading assessment:', err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const pageCount = bank ? Math.ceil(bank.questions.length / QUESTIONS_PER_PAGE) : 0;
+  const pageQuestions = bank ? bank.questions.slice(page * QUESTIONS_PER_PAGE, (page + 1) * QUESTIONS_PER_PAGE) : [];
+  const answeredCount = Object.keys(answers).length;
+  const pageComplete = pageQuestions.every(question => answers[question.id]);
+
+  const handleStart = async (restart = false) => {
+    setError('');
+    try {
+      const current = await assessmentRequest('POST', '/attempt', { restart });
+      // A fresh attempt always uses the current question bank
+      const questions = await assessmentRequest('GET', `/questions?version=${current.version}`);
+      setBank(questions);
+      setAttempt(current);
+      const saved = savedAnswers(current);
+      setAnswers(saved);
+      setPage(resumePage(questions.questions, saved));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Save this page's answers so the attempt can be finished in a later session
+  const savePage = async () => {
+    const pageAnswers = pageQuestions
+      .filter(question => answers[question.id])
+      .map(question => ({ questionId: question.id, value: answers[question.id] }));
+    if (pageAnswers.length === 0) return;
+    setAttempt(await assessmentRequest('PUT', '/attempt/answers', { answers: pageAnswers }));
+  };
+
+  const handleNext = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await savePage();
+      if (page < pageCount - 1) {
+        setPage(page + 1);
+        return;
+      }
+      const result = await assessmentRequest('POST', '/attempt/complete');
+      setResults(prev => [result, ...prev]);
+      setSelectedResult(result);
+      setAttempt(null);
+      setAnswers({});
+      setPage(0);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSaveForLater = async () => {
+    setIsSaving(true);
+    try {
+      await savePage();
+      navigate('/dashboard');
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-3xl mx-auto mb-6 flex justify-between items-center">
+        <h1 className="text-3xl font-bold text-gray-800">{bank?.title || 'Career Interest Assessment'}</h1>
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-sm"
+        >
+          Back to dashboard
+        </button>
+      </div>
+
+      <div className="max-w-3xl mx-auto space-y-6">
+        {error && <div className="p-3 rounded-md text-sm bg-red-50 text-red-700">{error}</div>}
+
+        {attempt ? (
+          <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+            <div className="flex justify-between items-center mb-2 text-sm text-gray-600">
+              <span>Page {page + 1} of {pageCount}</span>
+              <span>{answeredCount} of {bank.questions.length} answered</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2 mb-6">
+              <div
+                className="bg-indigo-600 h-2 rounded-full"
+                style={{ width: `${(answeredCount / bank.questions.length) * 100}%` }}
+              ></div>
+            </div>
+
+            <p className="text-sm text-gray-600 mb-4">How much would you enjoy doing each of these?</p>
+            <ul className="space-y-5">
+              {pageQuestions.map(question => (
+                <li key={question.id}>
+                  <p className="font-medium text-gray-800 mb-2">{question.text}</p>
+                  <div className="flex flex-wrap gap-2">
+                    {bank.scale.map(option => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => setAnswers(prev => ({ ...prev, [question.id]: option.value }))}
+                        className={`px-3 py-1.5 text-sm rounded-full border ${
+                          answers[question.id] === option.value
+                            ? 'bg-indigo-600 text-white border-indigo-600'
+                            : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            <div className="mt-6 flex justify-between items-center">
+              <div className="space-x-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page === 0 || isSaving}
+                  className="px-3 py-2 text-sm bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-50"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleSaveForLater}
+                  disabled={isSaving}
+                  className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800"
+                >
+                  Save and finish later
+                </button>
+              </div>
+              <button
+                onClick={handleNext}
+                disabled={!pageComplete || isSaving}
+                className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : page < pageCount - 1 ? 'Next' : 'See my results'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+            <p className="text-gray-700 mb-4">
+              {bank?.questions.length} short questions about activities you might enjoy. Your answers are scored into
+              six interest areas (Realistic, Investigative, Artistic, Social, Enterprising and Conventional), which point
+              to career clusters worth exploring. You can stop at any time and pick up where you left off.
+            </p>
+            <button
+              onClick={() => handleStart(false)}
+              className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+            >
+              {results.length > 0 ? 'Retake the assessment' : 'Start the assessment'}
+            </button>
+          </div>
+        )}
+
+        {attempt && attempt.answered > 0 && (
+          <button onClick={() => handleStart(true)} className="text-sm text-gray-500 hover:text-gray-700">
+            Start over
+          </button>
+        )}
+
+        {!attempt && selectedResult && <ResultView result={selectedResult} dimensions={bank?.dimensions || []} />}
+
+        {!attempt && results.length > 1 && (
+          <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+            <h3 className="text-xl font-semibold text-gray-800 mb-4">Previous results</h3>
+            <ul className="space-y-2">
+              {results.map(result => (
+                <li key={result.id}>
+                  <button
+                    onClick={() => setSelectedResult(result)}
+                    className={`w-full flex justify-between text-sm px-3 py-2 rounded-md ${
+                      selectedResult?.id === result.id ? 'bg-indigo-50 text-indigo-800' : 'hover:bg-gray-50 text-gray-700'
+                    }`}
+                  >
+                    <span>{formatDate(result.completedAt)}</span>
+                    <span className="font-semibold">{result.code}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default InterestAssessment;
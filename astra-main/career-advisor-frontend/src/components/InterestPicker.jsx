@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { useInterestTaxonomy, suggestInterests } from '../interestTaxonomy';
+
+// Typeahead over the interest taxonomy. Picking a suggestion gives { name, topic, category };
+// pressing Enter on text that matches nothing gives { name } and the server files it.
+function InterestPicker({ onSelect, inputClassName, placeholder = 'Start typing an interest, e.g. robotics or nursing' }) {
+  const categories = useInterestTaxonomy();
+  const [query, setQuery] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const suggestions = suggestInterests(categories, query);
+
+  const choose = (interest) => {
+    onSelect(interest);
+    setQuery('');
+    setHighlighted(0);
+  };
+
+  const chooseSuggestion = (entry) => choose({ name: entry.name, topic: entry.id, category: entry.category.name });
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (suggestions.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted(prev => (prev + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter') {
+      // Enter picks instead of submitting the surrounding form
+      e.preventDefault();
+      if (suggestions[highlighted]) {
+        chooseSuggestion(suggestions[highlighted]);
+      } else if (query.trim()) {
+        choose({ name: query.trim() });
+      }
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        className={inputClassName}
+        placeholder={placeholder}
+        value={query}
+        onChange={(e) => { setQuery(e.target.value); setHighlighted(0); setIsOpen(true); }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        role="combobox"
+        aria-expanded={isOpen && query.trim() !== ''}
+        aria-autocomplete="list"
+      />
+      {isOpen && query.trim() && (
+        <ul role="listbox" className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg divide-y max-h-64 overflow-y-auto">
+          {suggestions.map((entry, index) => (
+            <li key={entry.id} role="option" aria-selected={index === highlighted}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => chooseSuggestion(entry)}
+                className={`w-full text-left px-3 py-2 text-sm flex items-center space-x-2 ${index === highlighted ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+              >
+                <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ backgroundColor: entry.category.color }}></span>
+                <span className="font-medium text-gray-800">{entry.name}</span>
+                {entry.category.id !== entry.id && <span className="text-xs text-gray-500">{entry.category.name}</span>}
+                {entry.synonym && <span className="text-xs text-gray-400">“{entry.synonym}”</span>}
+              </button>
+            </li>
+          ))}
+          <li>
+            <button
+              type="button"
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose({ name: query.trim() })}
+              className="w-full text-left px-3 py-2 text-sm text-gray-600 hover:bg-gray-50"
+            >
+              Add “{query.trim()}” as written
+            </button>
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default InterestPicker;
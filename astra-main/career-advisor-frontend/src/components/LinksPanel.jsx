@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  active: 'bg-green-100 text-green-800'
+};
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : null);
+
+// Consent-based links between a student and their counselors/parents. Either side can
+// invite; the other side has to accept before anything is shared.
+function LinksPanel({ user, onLinksChanged }) {
+  const isStudent = user.role === 'student';
+  const [links, setLinks] = useState([]);
+  const [form, setForm] = useState({ email: '', relationship: 'counselor', permission: 'read' });
+  const [message, setMessage] = useState('');
+  const [messageType, setMessageType] = useState('success');
+
+  const showMessage = (text, type = 'success') => {
+    setMessage(text);
+    setMessageType(type);
+  };
+
+  const fetchLinks = async () => {
+    try {
+      const response = await apiFetch('/api/links');
+      if (!response.ok) throw new Error('Failed to load links');
+      setLinks(await response.json());
+    } catch (err) {
+      console.error('Error fetching links:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchLinks();
+  }, []);
+
+  // Run a link action, then reload the list (and let the parent reload anything derived from it)
+  const linkAction = async (path, options, successText) => {
+    try {
+      const response = await apiFetch(path, options);
+      const data = await response.json();
+      if (!response.ok) {
+        showMessage(data.message || 'Something went wrong.', 'error');
+        return false;
+      }
+      showMessage(successText);
+      await fetchLinks();
+      if (onLinksChanged) onLinksChanged();
+      return true;
+    } catch (err) {
+      console.error('Error updating link:', err);
+      showMessage('Something went wrong.', 'error');
+      return false;
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const payload = isStudent ? form : { email: form.email, permission: form.permission };
+    const sent = await linkAction('/api/links/invitations', {
+      method: 'POST',
+      body: JSON.stringify(payload)
+    }, `Invitation sent to ${form.email}.`);
+    if (sent) setForm({ ...form, email: '' });
+  };
+
+  const handleRemove = (link) => {
+    const prompt = link.status === 'pending' ? 'Withdraw this invitation?' : 'Stop sharing with this person?';
+    if (!window.confirm(prompt)) return;
+    linkAction(`/api/links/${link.id}`, { method: 'DELETE' }, 'Link removed.');
+  };
+
+  // The person on the other end of the link, from the viewer's point of view
+  const otherParty = (link) => {
+    const other = isStudent ? link.supporter : link.student;
+    return personName(other) || link.inviteeEmail;
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-2">
+        {isStudent ? 'Counselors & Parents' : 'Linked Students'}
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {isStudent
+          ? 'Share a read-only view of your dashboard. You choose whether they can also leave comments.'
+          : 'Ask a student to share their dashboard with you. They have to accept before you can see it.'}
+      </p>
+
+      <form onSubmit={handleInvite} className="space-y-2 mb-4">
+        <input
+          type="email"
+          required
+          value={form.email}
+          onChange={(e) => setForm({ ...form, email: e.target.value })}
+          placeholder={isStudent ? 'Their email address' : "Student's email address"}
+          className="w-full p-2 border rounded-md text-sm"
+        />
+        <div className="flex flex-wrap gap-2">
+          {isStudent && (
+            <select
+              value={form.relationship}
+              onChange={(e) => setForm({ ...form, relationship: e.target.value })}
+              className="p-2 border rounded-md text-sm"
+            >
+              <option value="counselor">Counselor</option>
+              <option value="parent">Parent</option>
+            </select>
+          )}
+          <select
+            value={form.permission}
+            onChange={(e) => setForm({ ...form, permission: e.target.value })}
+            className="p-2 border rounded-md text-sm"
+          >
+            <option value="read">View only</option>
+            <option value="comment">View and comment</option>
+          </select>
+          <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 text-sm">
+            Send invitation
+          </button>
+        </div>
+      </form>
+
+      {message && (
+        <p className={`mb-3 text-sm ${messageType === 'error' ? 'text-red-600' : 'text-green-600'}`}>{message}</p>
+      )}
+
+      <ul className="divide-y">
+        {links.length === 0 && <li className="py-2 text-sm text-gray-500">No links yet.</li>}
+        {links.map(link => (
+          <li key={link.id} className="py-3 text-sm">
+            <div className="flex justify-between items-center">
+              <div>
+                <p className="font-semibold text-gray-800">{otherParty(link)}</p>
+                <p className="text-xs text-gray-500 capitalize">
+                  {link.relationship} · {link.permission === 'comment' ? 'view and comment' : 'view only'}
+                </p>
+              </div>
+              <span className={`px-2 py-1 rounded-full text-xs capitalize ${STATUS_STYLES[link.status] || 'bg-gray-100 text-gray-700'}`}>
+                {link.status}
+              </span>
+            </div>
+            <div className="flex flex-wrap gap-2 mt-2">
+              {link.awaitingMyResponse && (
+                <>
+                  <button
+                    onClick={() => linkAction(`/api/links/${link.id}/accept`, { method: 'POST' }, 'Invitation accepted.')}
+                    className="px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 text-xs"
+                  >
+                    Accept
+                  </button>
+                  <button
+                    onClick={() => linkAction(`/api/links/${link.id}/decline`, { method: 'POST' }, 'Invitation declined.')}
+                    className="px-3 py-1 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-xs"
+                  >
+                    Decline
+                  </button>
+                </>
+              )}
+              {isStudent && link.status === 'active' && (
+                <button
+                  onClick={() => linkAction(`/api/links/${link.id}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ permission: link.permission === 'comment' ? 'read' : 'comment' })
+                  }, 'Permission updated.')}
+                  className="px-3 py-1 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-xs"
+                >
+                  {link.permission === 'comment' ? 'Make view only' : 'Allow comments'}
+                </button>
+              )}
+              {!link.awaitingMyResponse && (
+                <button
+                  onClick={() => handleRemove(link)}
+                  className="px-3 py-1 bg-red-50 text-red-600 rounded-md hover:bg-red-100 text-xs"
+                >
+                  {link.status === 'pending' ? 'Withdraw' : 'Remove'}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default LinksPanel;
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
+import { storeSession } from '../api';
 
 function Login({ onLoginSuccess }) {
   const [email, setEmail] = useState('');
@@ -31,11 +32,10 @@ function Login({ onLoginSuccess }) {
         setMessageType('success');
         
         // Store the token and user data
-        localStorage.setItem('authToken', data.token);
-        localStorage.setItem('userData', JSON.stringify(data.user));
+        storeSession(data.token, data.refreshToken, data.user);
         
         // Call the parent's onLoginSuccess with updated user data
-        onLoginSuccess(data.token, data.user);
+        onLoginSuccess(data.token, data.user, data.refreshToken);
         
         setTimeout(() => {
           navigate('/dashboard');
@@ -81,6 +81,11 @@ function Login({ onLoginSuccess }) {
               onChange={(e) => setPassword(e.target.value)}
               required
             />
+            <div className="mt-2 text-right">
+              <Link to="/forgot-password" className="link-primary text-sm">
+                Forgot password?
+              </Link>
+            </div>
           </div>
           {message && (
             <div className={messageType === 'success' ? 'alert-success' : 'alert-error'}>
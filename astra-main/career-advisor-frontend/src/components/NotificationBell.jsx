@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const notificationRequest = async (path, method = 'GET') => {
+  const response = await apiFetch(`/api/notifications${path}`, { method });
+  if (!response.ok) {
+    throw new Error('Notification request failed');
+  }
+  return response.json();
+};
+
+function NotificationBell() {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const fetchNotifications = async () => {
+    try {
+      const data = await notificationRequest('');
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleMarkRead = async (notification) => {
+    if (notification.readAt) return;
+    try {
+      await notificationRequest(`/${notification._id}/read`, 'POST');
+      await fetchNotifications();
+    } catch (err) {
+      console.error('Error acknowledging notification:', err);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationRequest('/read-all', 'POST');
+      await fetchNotifications();
+    } catch (err) {
+      console.error('Error acknowledging notifications:', err);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative px-3 py-2 bg-white border border-gray-200 rounded-md hover:bg-gray-100 text-sm"
+        aria-label="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="absolute -top-2 -right-2 bg-red-600 text-white text-xs font-bold rounded-full h-5 min-w-[1.25rem] px-1 flex items-center justify-center">
+            {unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white border border-gray-200 rounded-xl shadow-lg z-40">
+          <div className="flex justify-between items-center px-4 py-3 border-b">
+            <span className="font-semibold text-gray-800">Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs text-indigo-600 hover:text-indigo-700">
+                Mark all read
+              </button>
+            )}
+          </div>
+          <ul className="max-h-96 overflow-y-auto divide-y">
+            {notifications.length === 0 && (
+              <li className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet.</li>
+            )}
+            {notifications.map(notification => (
+              <li
+                key={notification._id}
+                onClick={() => handleMarkRead(notification)}
+                className={`px-4 py-3 cursor-pointer hover:bg-gray-50 ${notification.readAt ? '' : 'bg-indigo-50'}`}
+              >
+                <p className={`text-sm ${notification.readAt ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                  {notification.title}
+                </p>
+                <p className="text-xs text-gray-600 mt-1">{notification.body}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,502 @@
+import React, { useState } from 'react';
+import { apiFetch } from '../api';
+import InterestPicker from './InterestPicker';
+
+const INPUT_CLASS = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500 text-sm';
+
+const GRADING_SCALE_OPTIONS = [
+  { value: 'us_letter', label: 'US letter grades (A–F)' },
+  { value: 'percentage', label: 'Percentage (0–100)' },
+  { value: 'ib', label: 'IB (1–7)' },
+  { value: 'a_level', label: 'UK A-level (A*–U)' },
+  { value: 'custom', label: 'Custom' }
+];
+
+const COURSE_LEVEL_OPTIONS = [
+  { value: 'standard', label: 'Standard' },
+  { value: 'honors', label: 'Honors' },
+  { value: 'ap', label: 'AP' },
+  { value: 'ib_hl', label: 'IB Higher Level' }
+];
+
+// Custom scales are edited as "Excellent=4, Good=3" and stored as [{ grade, points }]
+const formatCustomScale = (scale) => (scale || []).map(entry => `${entry.grade}=${entry.points}`).join(', ');
+
+const parseCustomScale = (text) => text
+  .split(/[,\n]/)
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const [grade, points] = part.split('=');
+    return { grade: grade.trim(), points: Number(points) };
+  });
+
+const GRADE_OPTIONS = [
+  '9th Grade', '10th Grade', '11th Grade', '12th Grade',
+  'Freshman', 'Sophomore', 'Junior', 'Senior', 'Graduate', 'Other'
+];
+
+// Editable profile sections and the form fields for one item of each
+const SECTIONS = [
+  {
+    key: 'achievements',
+    title: 'Achievements',
+    fields: [
+      { name: 'title', label: 'Title', required: true },
+      { name: 'icon', label: 'Icon', placeholder: '🏆' },
+      { name: 'date', label: 'Date', type: 'date' }
+    ],
+    describe: (item) => `${item.icon || '🏆'} ${item.title}`
+  },
+  {
+    key: 'academicProgress',
+    title: 'Grades',
+    fields: [
+      { name: 'subject', label: 'Subject', required: true },
+      { name: 'grade', label: 'Grade', required: true, placeholder: 'A-' },
+      { name: 'term', label: 'Term', placeholder: 'Fall 2024' },
+      { name: 'credits', label: 'Credits', type: 'number', min: 0, max: 30 },
+      { name: 'level', label: 'Level', options: COURSE_LEVEL_OPTIONS },
+      { name: 'progress', label: 'Progress (%)', type: 'number', min: 0, max: 100 }
+    ],
+    describe: (item) => `${item.subject}: ${item.grade}${item.term ? ` (${item.term})` : ''}`
+      + (item.level && item.level !== 'standard' ? ` · ${COURSE_LEVEL_OPTIONS.find(option => option.value === item.level).label}` : '')
+  },
+  {
+    key: 'interests',
+    title: 'Interests & Hobbies',
+    // Interests are picked from the taxonomy; typed ones are filed under a category by the server
+    taxonomy: true,
+    fields: [
+      { name: 'topic', hidden: true },
+      { name: 'name', label: 'Interest', required: true, clears: ['topic'] }
+    ],
+    describe: (item) => `${item.name} (${item.category})`
+  },
+  {
+    key: 'universityApplications',
+    title: 'University Applications',
+    // Applications can be picked from the university catalog or typed in as custom entries
+    catalog: true,
+    fields: [
+      { name: 'universityId', hidden: true },
+      { name: 'programId', hidden: true },
+      { name: 'universityName', label: 'University', required: true, clears: ['universityId', 'programId'] },
+      { name: 'program', label: 'Program', required: true, clears: ['programId'] },
+      { name: 'deadline', label: 'Deadline', type: 'date', required: true },
+      { name: 'status', label: 'Status', options: ['Not Started', 'In Progress', 'Submitted', 'Accepted', 'Rejected'] }
+    ],
+    describe: (item) => `${item.universityName} – ${item.program} (${item.status})${item.universityId ? '' : ' · custom'}`
+  }
+];
+
+// Dates come back as ISO strings; date inputs want YYYY-MM-DD
+const toInputValue = (field, value) => {
+  if (value === undefined || value === null) return '';
+  if (field.type === 'date') return String(value).slice(0, 10);
+  return value;
+};
+
+const profileRequest = async (method, path, body) => {
+  const response = await apiFetch(`/api/user/profile${path}`, {
+    method,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.message || 'Request failed');
+    error.fieldErrors = data.errors || {};
+    throw error;
+  }
+  return data;
+};
+
+function FieldInput({ field, value, onChange, error }) {
+  return (
+    <div>
+      <label className="block text-xs font-medium text-gray-700">
+        {field.label} {field.required && <span className="text-red-500">*</span>}
+      </label>
+      {field.options ? (
+        <select className={INPUT_CLASS} value={value} onChange={(e) => onChange(field.name, e.target.value)}>
+          <option value="">Select</option>
+          {field.options.map(option => (
+            typeof option === 'string'
+              ? <option key={option} value={option}>{option}</option>
+              : <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      ) : (
+        <input
+          type={field.type || 'text'}
+          className={INPUT_CLASS}
+          placeholder={field.placeholder}
+          min={field.min}
+          max={field.max}
+          value={value}
+          onChange={(e) => onChange(field.name, e.target.value)}
+        />
+      )}
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+// Search the catalog and fill the application form from the chosen program
+function CatalogPicker({ onSelect }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState('');
+
+  const search = async () => {
+    if (!query.trim()) return;
+    setError('');
+    try {
+      const response = await apiFetch(`/api/catalog/programs?${new URLSearchParams({ q: query.trim(), limit: 5 })}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Search failed');
+      setResults(data.programs);
+      if (data.programs.length === 0) setError('No catalog matches. Enter the university and program below instead.');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter searches instead of submitting the application form
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      search();
+    }
+  };
+
+  const handleSelect = (program) => {
+    onSelect(program);
+    setResults([]);
+    setQuery('');
+  };
+
+  return (
+    <div className="mb-3">
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          className={INPUT_CLASS}
+          placeholder="Find a university or program in the catalog"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+        <button type="button" onClick={search} className="mt-1 px-3 py-2 text-sm bg-gray-100 rounded-md hover:bg-gray-200">
+          Find
+        </button>
+      </div>
+      {results.length > 0 && (
+        <ul className="mt-1 border border-gray-200 rounded-lg divide-y">
+          {results.map(program => (
+            <li key={program._id}>
+              <button
+                type="button"
+                onClick={() => handleSelect(program)}
+                className="w-full text-left px-3 py-2 text-sm hover:bg-indigo-50"
+              >
+                <span className="font-medium text-gray-800">{program.universityName}</span>
+                <span className="text-gray-600"> – {program.name}</span>
+                <span className="text-xs text-gray-400"> ({program.country})</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="mt-1 text-xs text-gray-500">{error}</p>}
+    </div>
+  );
+}
+
+function SectionEditor({ section, items, onProfileChange }) {
+  const emptyForm = () => section.fields.reduce((form, field) => ({ ...form, [field.name]: '' }), {});
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const resetForm = () => {
+    setForm(emptyForm());
+    setEditingId(null);
+    setFieldErrors({});
+    setError('');
+  };
+
+  const handleFieldChange = (name, value) => {
+    // Retyping a catalog name turns the entry back into a custom one
+    const { clears = [] } = section.fields.find(field => field.name === name);
+    setForm(prev => ({ ...prev, [name]: value, ...Object.fromEntries(clears.map(field => [field, ''])) }));
+  };
+
+  const handleCatalogSelect = (program) => {
+    setForm(prev => ({
+      ...prev,
+      universityId: program.university,
+      programId: program._id,
+      universityName: program.universityName,
+      program: program.name,
+      deadline: prev.deadline || (program.nextDeadline ? program.nextDeadline.date.slice(0, 10) : '')
+    }));
+  };
+
+  const handleInterestSelect = (interest) => {
+    setForm(prev => ({ ...prev, name: interest.name, topic: interest.topic || '' }));
+  };
+
+  const handleEdit = (item) => {
+    setEditingId(item._id);
+    setFieldErrors({});
+    setForm(section.fields.reduce((next, field) => ({ ...next, [field.name]: toInputValue(field, item[field.name]) }), {}));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setFieldErrors({});
+    setError('');
+
+    // Leave out blank optional fields rather than sending empty strings
+    const body = Object.fromEntries(Object.entries(form).filter(([, value]) => value !== ''));
+
+    try {
+      const data = editingId
+        ? await profileRequest('PATCH', `/${section.key}/${editingId}`, body)
+        : await profileRequest('POST', `/${section.key}`, body);
+      onProfileChange(data.profile);
+      resetForm();
+    } catch (err) {
+      setFieldErrors(err.fieldErrors || {});
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (itemId) => {
+    if (!window.confirm('Remove this item?')) return;
+    try {
+      const data = await profileRequest('DELETE', `/${section.key}/${itemId}`);
+      onProfileChange(data.profile);
+      if (editingId === itemId) resetForm();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="border-t pt-4">
+      <h4 className="font-semibold text-gray-800 mb-2">{section.title}</h4>
+      <ul className="space-y-1 mb-3">
+        {(items || []).map(item => (
+          <li key={item._id} className="flex justify-between items-center text-sm text-gray-700">
+            <span>{section.describe(item)}</span>
+            <span className="space-x-3">
+              <button type="button" onClick={() => handleEdit(item)} className="text-indigo-600 hover:text-indigo-700">Edit</button>
+              <button type="button" onClick={() => handleDelete(item._id)} className="text-red-600 hover:text-red-700">Remove</button>
+            </span>
+          </li>
+        ))}
+      </ul>
+      {section.catalog && <CatalogPicker onSelect={handleCatalogSelect} />}
+      {section.taxonomy && (
+        <div className="mb-3">
+          <InterestPicker onSelect={handleInterestSelect} inputClassName={INPUT_CLASS} />
+        </div>
+      )}
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {section.fields.filter(field => !field.hidden).map(field => (
+          <FieldInput
+            key={field.name}
+            field={field}
+            value={form[field.name]}
+            onChange={handleFieldChange}
+            error={fieldErrors[field.name]}
+          />
+        ))}
+        <div className="sm:col-span-2 flex items-center space-x-2">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-3 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {editingId ? 'Save changes' : 'Add'}
+          </button>
+          {editingId && (
+            <button type="button" onClick={resetForm} className="px-3 py-2 text-sm bg-gray-100 rounded-md hover:bg-gray-200">
+              Cancel
+            </button>
+          )}
+          {error && <span className="text-sm text-red-600">{error}</span>}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function ProfileEditor({ profile, onProfileChange, onClose }) {
+  const [basics, setBasics] = useState({
+    firstName: profile.firstName || '',
+    lastName: profile.lastName || '',
+    age: profile.age || '',
+    school: profile.school || '',
+    grade: profile.grade || '',
+    currentProject: profile.applicationProgress?.currentProject || '',
+    projectLink: profile.applicationProgress?.projectLink || '',
+    gradingScale: profile.gradingScale || 'us_letter',
+    customGradeScale: formatCustomScale(profile.customGradeScale),
+    budgetAmount: profile.studyPreferences?.budget?.amount ?? '',
+    budgetCurrency: profile.studyPreferences?.budget?.currency || 'USD',
+    countries: (profile.studyPreferences?.countries || []).join(', ')
+  });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [messageType, setMessageType] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setBasics(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaveBasics = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setFieldErrors({});
+    setMessage('');
+
+    const { currentProject, projectLink, customGradeScale, budgetAmount, budgetCurrency, countries, ...fields } = basics;
+    try {
+      const data = await profileRequest('PATCH', '', {
+        ...fields,
+        age: fields.age === '' ? null : parseInt(fields.age),
+        customGradeScale: parseCustomScale(customGradeScale),
+        applicationProgress: { currentProject, projectLink },
+        studyPreferences: {
+          budget: budgetAmount === '' ? null : { amount: Number(budgetAmount), currency: budgetCurrency.trim().toUpperCase() },
+          countries: countries.split(',').map(country => country.trim()).filter(Boolean)
+        }
+      });
+      onProfileChange(data);
+      setMessage('Profile saved.');
+      setMessageType('success');
+    } catch (err) {
+      setFieldErrors(err.fieldErrors || {});
+      setMessage(err.message);
+      setMessageType('error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const basicInput = (name, label, type = 'text') => (
+    <div>
+      <label htmlFor={name} className="block text-xs font-medium text-gray-700">{label}</label>
+      <input id={name} name={name} type={type} className={INPUT_CLASS} value={basics[name]} onChange={handleChange} />
+      {fieldErrors[name] && <p className="mt-1 text-xs text-red-600">{fieldErrors[name]}</p>}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-start justify-center overflow-y-auto z-50 py-10">
+      <div className="w-full max-w-3xl bg-white rounded-xl shadow-xl p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-2xl font-bold text-gray-800">Edit Profile</h2>
+          <button onClick={onClose} className="px-3 py-1 text-sm bg-gray-100 rounded-md hover:bg-gray-200">Close</button>
+        </div>
+
+        <form onSubmit={handleSaveBasics} className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {basicInput('firstName', 'First Name')}
+          {basicInput('lastName', 'Last Name')}
+          {basicInput('age', 'Age', 'number')}
+          {basicInput('school', 'School')}
+          <div>
+            <label htmlFor="grade" className="block text-xs font-medium text-gray-700">Grade/Year</label>
+            <select id="grade" name="grade" className={INPUT_CLASS} value={basics.grade} onChange={handleChange}>
+              <option value="">Select Grade</option>
+              {GRADE_OPTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="gradingScale" className="block text-xs font-medium text-gray-700">Grading System</label>
+            <select id="gradingScale" name="gradingScale" className={INPUT_CLASS} value={basics.gradingScale} onChange={handleChange}>
+              {GRADING_SCALE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </div>
+          {basics.gradingScale === 'custom' ? (
+            <div>
+              <label htmlFor="customGradeScale" className="block text-xs font-medium text-gray-700">Grade Points (out of 4)</label>
+              <input
+                id="customGradeScale"
+                name="customGradeScale"
+                className={INPUT_CLASS}
+                placeholder="Excellent=4, Good=3, Pass=2"
+                value={basics.customGradeScale}
+                onChange={handleChange}
+              />
+              {Object.keys(fieldErrors).some(key => key.startsWith('customGradeScale')) && (
+                <p className="mt-1 text-xs text-red-600">Use grade=points pairs with points between 0 and 4.</p>
+              )}
+            </div>
+          ) : <div />}
+          {basicInput('currentProject', 'Current Project')}
+          {basicInput('projectLink', 'Project Link')}
+          <div>
+            <label htmlFor="budgetAmount" className="block text-xs font-medium text-gray-700">Yearly Tuition Budget</label>
+            <div className="flex space-x-2">
+              <input
+                id="budgetAmount"
+                name="budgetAmount"
+                type="number"
+                min="0"
+                className={INPUT_CLASS}
+                value={basics.budgetAmount}
+                onChange={handleChange}
+              />
+              <input
+                name="budgetCurrency"
+                aria-label="Budget currency"
+                maxLength={3}
+                className={`${INPUT_CLASS} w-20`}
+                value={basics.budgetCurrency}
+                onChange={handleChange}
+              />
+            </div>
+            {Object.keys(fieldErrors).some(key => key.startsWith('studyPreferences.budget')) && (
+              <p className="mt-1 text-xs text-red-600">Enter a positive amount and a 3-letter currency code.</p>
+            )}
+          </div>
+          {basicInput('countries', 'Preferred Countries (comma-separated)')}
+          <div className="sm:col-span-2 flex items-center space-x-3">
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Save profile
+            </button>
+            {message && (
+              <span className={`text-sm ${messageType === 'error' ? 'text-red-600' : 'text-green-600'}`}>{message}</span>
+            )}
+          </div>
+        </form>
+
+        {SECTIONS.map(section => (
+          <SectionEditor
+            key={section.key}
+            section={section}
+            items={profile[section.key]}
+            onProfileChange={onProfileChange}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ProfileEditor;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { apiFetch } from '../api';
+
+const SECTIONS = [
+  { key: 'profile', label: 'Profile' },
+  { key: 'gpa', label: 'Grades & GPA by term' },
+  { key: 'achievements', label: 'Achievements' },
+  { key: 'interests', label: 'Interests' },
+  { key: 'applications', label: 'Applications & checklists' },
+  { key: 'conversations', label: 'Recent advisor conversations', selfOnly: true }
+];
+
+// Printable PDF of a student's dashboard. Only the student can include their advisor conversations.
+function ProgressReportPanel({ studentId, isSelf }) {
+  const [selected, setSelected] = useState(SECTIONS.filter(section => !section.selfOnly).map(section => section.key));
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [isBuilding, setIsBuilding] = useState(false);
+
+  const sections = SECTIONS.filter(section => isSelf || !section.selfOnly);
+
+  const toggle = (key) => {
+    setSelected(prev => prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]);
+  };
+
+  const handleDownload = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    setMessage('');
+    if (selected.length === 0) {
+      setMessage('Choose at least one section.');
+      return;
+    }
+
+    const params = new URLSearchParams({ sections: selected.join(',') });
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    setIsBuilding(true);
+    try {
+      const response = await apiFetch(`/api/students/${studentId}/report?${params}`);
+      if (!response.ok) {
+        const data = await response.json();
+        if (data.errors) setErrors(data.errors);
+        else setMessage(data.message);
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `progress-report-${new Date().toISOString().slice(0, 10)}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading progress report:', err);
+      setMessage('Failed to build the report.');
+    } finally {
+      setIsBuilding(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-2">Progress Report</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Download a printable PDF, e.g. for a parent meeting. The date range limits achievements, application deadlines and conversations.
+      </p>
+      <form onSubmit={handleDownload} className="space-y-3">
+        <fieldset className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {sections.map(section => (
+            <label key={section.key} className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={selected.includes(section.key)}
+                onChange={() => toggle(section.key)}
+                className="rounded border-gray-300 text-indigo-600"
+              />
+              <span>{section.label}</span>
+            </label>
+          ))}
+        </fieldset>
+        {errors.sections && <p className="text-xs text-red-600">{errors.sections}</p>}
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label htmlFor="reportFrom" className="block text-sm text-gray-700 mb-1">From</label>
+            <input type="date" id="reportFrom" value={from} onChange={(e) => setFrom(e.target.value)} className="w-full p-2 border rounded-md text-sm" />
+            {errors.from && <p className="mt-1 text-xs text-red-600">{errors.from}</p>}
+          </div>
+          <div>
+            <label htmlFor="reportTo" className="block text-sm text-gray-700 mb-1">To</label>
+            <input type="date" id="reportTo" value={to} onChange={(e) => setTo(e.target.value)} className="w-full p-2 border rounded-md text-sm" />
+            {errors.to && <p className="mt-1 text-xs text-red-600">{errors.to}</p>}
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={isBuilding}
+          className="px-3 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {isBuilding ? 'Building...' : 'Download PDF'}
+        </button>
+      </form>
+      {message && <p className="mt-3 text-sm text-gray-700">{message}</p>}
+    </div>
+  );
+}
+
+export default ProgressReportPanel;
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const BUCKETS = [
+  { key: 'reach', label: 'Reach' },
+  { key: 'match', label: 'Match' },
+  { key: 'safety', label: 'Safety' }
+];
+
+const MISSING_LABELS = {
+  grades: 'your grades',
+  interests: 'your interests or the interest assessment',
+  budget: 'a tuition budget',
+  countries: 'preferred countries'
+};
+
+function RecommendationItem({ recommendation, onApply }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [deadline, setDeadline] = useState('');
+  const { program } = recommendation;
+
+  return (
+    <li className="p-3 border border-gray-200 rounded-lg">
+      <div className="flex justify-between items-start">
+        <div>
+          <p className="font-medium text-gray-800">{program.name}</p>
+          <p className="text-sm text-gray-600">{program.universityName} · {program.country}</p>
+        </div>
+        <span className="text-sm font-semibold text-indigo-600 whitespace-nowrap">
+          {recommendation.score === null ? '—' : `${recommendation.score}/100`}
+        </span>
+      </div>
+
+      <button onClick={() => setIsExpanded(!isExpanded)} className="mt-1 text-xs text-indigo-600 hover:text-indigo-700">
+        {isExpanded ? 'Hide details' : 'Why this program?'}
+      </button>
+      {isExpanded && (
+        <div className="mt-2 space-y-2">
+          <p className="text-xs text-gray-700">{recommendation.bucketReason}</p>
+          <ul className="space-y-1">
+            {recommendation.factors.map(factor => (
+              <li key={factor.factor} className="text-xs text-gray-600">
+                <span className="font-medium text-gray-800">{factor.label}</span>
+                {factor.score !== null && <span className="text-gray-500"> · {factor.score}%</span>}
+                <span> — {factor.explanation}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="mt-2 flex items-center space-x-2">
+        {!program.nextDeadline && (
+          <input
+            type="date"
+            className="p-1 border rounded-md text-xs"
+            value={deadline}
+            onChange={(e) => setDeadline(e.target.value)}
+            aria-label="Application deadline"
+          />
+        )}
+        <button
+          onClick={() => onApply(program, deadline)}
+          disabled={!program.nextDeadline && !deadline}
+          className="px-3 py-1 text-xs bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Add to my applications
+        </button>
+      </div>
+    </li>
+  );
+}
+
+function RecommendationsPanel({ user, onProfileChange }) {
+  const [buckets, setBuckets] = useState(null);
+  const [missing, setMissing] = useState([]);
+  const [coverage, setCoverage] = useState(null);
+  const [activeBucket, setActiveBucket] = useState('match');
+  const [message, setMessage] = useState('');
+  const [messageType, setMessageType] = useState('success');
+
+  // Applied programs drop out of the list, so refresh whenever the applications change
+  const applicationCount = user.universityApplications?.length || 0;
+
+  useEffect(() => {
+    const fetchRecommendations = async () => {
+      try {
+        const response = await apiFetch('/api/recommendations');
+        if (!response.ok) return;
+        const data = await response.json();
+        setBuckets(data.buckets);
+        setMissing(data.missing);
+        setCoverage(data.truncated ? { considered: data.considered, available: data.available } : null);
+      } catch (err) {
+        console.error('Error fetching recommendations:', err);
+      }
+    };
+    fetchRecommendations();
+  }, [applicationCount]);
+
+  const handleApply = async (program, deadline) => {
+    setMessage('');
+    try {
+      const response = await apiFetch('/api/user/profile/universityApplications', {
+        method: 'POST',
+        body: JSON.stringify({
+          universityId: program.university,
+          programId: program._id,
+          ...(deadline && { deadline })
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        const detail = data.errors ? Object.values(data.errors)[0] : null;
+        setMessage(detail || data.message || 'Failed to add application');
+        setMessageType('error');
+        return;
+      }
+      onProfileChange(data.profile);
+      setMessage(`Added ${program.universityName} – ${program.name} to your applications`);
+      setMessageType('success');
+    } catch (err) {
+      console.error('Error adding application:', err);
+      setMessage('Failed to add application');
+      setMessageType('error');
+    }
+  };
+
+  if (!buckets) return null;
+
+  const items = buckets[activeBucket] || [];
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-1">Recommended Programs</h3>
+      {missing.length > 0 && (
+        <p className="text-xs text-gray-500 mb-3">
+          Add {missing.map(key => MISSING_LABELS[key]).join(', ')} to your profile for sharper recommendations.
+        </p>
+      )}
+      {coverage && (
+        <p className="text-xs text-gray-500 mb-3">
+          Based on {coverage.considered} of {coverage.available} programs, favoring your preferred countries. Search the catalog to see the rest.
+        </p>
+      )}
+
+      <div className="flex space-x-1 mb-3">
+        {BUCKETS.map(bucket => (
+          <button
+            key={bucket.key}
+            onClick={() => setActiveBucket(bucket.key)}
+            className={`flex-1 px-2 py-1 text-sm rounded-md ${
+              activeBucket === bucket.key ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {bucket.label} ({buckets[bucket.key]?.length || 0})
+          </button>
+        ))}
+      </div>
+
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-500">No {activeBucket} programs in the catalog right now.</p>
+      ) : (
+        <ul className="space-y-2">
+          {items.map(recommendation => (
+            <RecommendationItem key={recommendation.program._id} recommendation={recommendation} onApply={handleApply} />
+          ))}
+        </ul>
+      )}
+
+      {message && (
+        <p className={`mt-2 text-sm ${messageType === 'error' ? 'text-red-600' : 'text-green-600'}`}>{message}</p>
+      )}
+    </div>
+  );
+}
+
+export default RecommendationsPanel;
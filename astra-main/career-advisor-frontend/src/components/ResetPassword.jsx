@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { API_BASE_URL } from '../api';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [messageType, setMessageType] = useState(''); // 'success' or 'error'
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setMessageType('');
+
+    if (password !== confirmPassword) {
+      setMessage('Passwords do not match.');
+      setMessageType('error');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, password }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage('Your password has been reset. Redirecting to login...');
+        setMessageType('success');
+        setTimeout(() => {
+          navigate('/login');
+        }, 2000);
+      } else {
+        setMessage(data.errors?.password || data.message || 'Password reset failed. Please try again.');
+        setMessageType('error');
+      }
+    } catch (error) {
+      console.error('Reset password error:', error);
+      setMessage('Network error. Please try again later.');
+      setMessageType('error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2 className="auth-title">Reset Your Password</h2>
+          <div className="alert-error">This reset link is incomplete. Please use the link from your email.</div>
+          <p className="mt-8 text-center text-base text-gray-600">
+            <Link to="/forgot-password" className="link-primary">Request a new link</Link>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2 className="auth-title">Choose a New Password</h2>
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="password" className="form-label">New Password</label>
+            <input
+              type="password"
+              id="password"
+              className="form-input"
+              placeholder="••••••••"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="confirmPassword" className="form-label">Confirm New Password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              className="form-input"
+              placeholder="••••••••"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+            />
+          </div>
+          {message && (
+            <div className={messageType === 'success' ? 'alert-success' : 'alert-error'}>
+              {message}
+            </div>
+          )}
+          <button
+            type="submit"
+            className={isLoading ? 'btn-primary-disabled' : 'btn-primary'}
+            disabled={isLoading}
+          >
+            {isLoading ? 'Saving...' : 'Reset Password'}
+          </button>
+        </form>
+        <p className="mt-8 text-center text-base text-gray-600">
+          Link expired?{' '}
+          <Link to="/forgot-password" className="link-primary">
+            Request a new one
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
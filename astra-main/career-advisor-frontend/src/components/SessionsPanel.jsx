@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+// Rough device label from the browser's user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name));
+  const os = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+  return [browser === 'Edg' ? 'Edge' : browser, os && `on ${os}`].filter(Boolean).join(' ') || 'Unknown device';
+};
+
+function SessionsPanel({ onLogoutAll }) {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  const fetchSessions = async () => {
+    try {
+      const response = await apiFetch('/api/auth/sessions');
+      if (!response.ok) {
+        throw new Error('Failed to load sessions');
+      }
+      setSessions(await response.json());
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setError('');
+    try {
+      const response = await apiFetch(`/api/auth/sessions/${session.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error('Failed to sign out device');
+      }
+      await fetchSessions();
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      setError('Failed to sign out that device.');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of all devices, including this one?')) return;
+    await onLogoutAll();
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-2">Signed-in Devices</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Devices where you're currently logged in. Sign out any you don't recognise.
+      </p>
+
+      <ul className="divide-y mb-4">
+        {sessions.map(session => (
+          <li key={session.id} className="py-2 flex justify-between items-center">
+            <div>
+              <p className="text-sm font-medium text-gray-800">
+                {describeDevice(session.userAgent)}
+                {session.current && <span className="ml-2 text-xs text-green-600">This device</span>}
+              </p>
+              <p className="text-xs text-gray-500">
+                Last active {new Date(session.lastUsedAt).toLocaleString()}
+              </p>
+            </div>
+            {!session.current && (
+              <button onClick={() => handleRevoke(session)} className="text-xs text-red-600 hover:text-red-700">
+                Sign out
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <button onClick={handleLogoutAll} className="px-3 py-2 text-sm bg-red-50 text-red-600 rounded-md hover:bg-red-100">
+        Log out of all devices
+      </button>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+export default SessionsPanel;
@@ -1,5 +1,8 @@
 import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
+import { storeSession } from '../api';
+import InterestPicker from './InterestPicker';
+import { useInterestTaxonomy, interestColor } from '../interestTaxonomy';
 
 function Signup({ onSignupSuccess }) {
   const [formData, setFormData] = useState({
@@ -10,14 +13,26 @@ function Signup({ onSignupSuccess }) {
     lastName: '',
     age: '',
     school: '',
-    grade: ''
+    grade: '',
+    role: 'student'
   });
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState(''); // 'success' or 'error'
   const [isLoading, setIsLoading] = useState(false);
   const [showOptionalFields, setShowOptionalFields] = useState(false);
+  const [interests, setInterests] = useState([]);
+  const categories = useInterestTaxonomy();
   const navigate = useNavigate();
 
+  const handleAddInterest = (interest) => {
+    if (interests.some(existing => existing.name.toLowerCase() === interest.name.toLowerCase())) return;
+    setInterests(prev => [...prev, interest]);
+  };
+
+  const handleRemoveInterest = (name) => {
+    setInterests(prev => prev.filter(interest => interest.name !== name));
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -48,12 +63,15 @@ function Signup({ onSignupSuccess }) {
     setIsLoading(true);
 
     try {
-      const { confirmPassword, ...signupData } = formData;
+      const { confirmPassword: _confirmPassword, ...signupData } = formData;
       
       // Convert age to number if provided
       if (signupData.age) {
         signupData.age = parseInt(signupData.age);
       }
+      if (signupData.role === 'student' && interests.length > 0) {
+        signupData.interests = interests.map(({ name, topic }) => (topic ? { name, topic } : { name }));
+      }
 
       const response = await fetch('http://localhost:5000/api/auth/signup', {
         method: 'POST',
@@ -66,23 +84,23 @@ function Signup({ onSignupSuccess }) {
       const data = await response.json();
 
       if (response.ok) {
-        setMessage(`Welcome ${data.user.firstName}! Account created successfully. Redirecting...`);
+        setMessage(`Welcome ${data.user.firstName}! Account created. We've emailed you a link to confirm your address. Redirecting...`);
         setMessageType('success');
         
         // Store token and user data
-        localStorage.setItem('authToken', data.token);
-        localStorage.setItem('userData', JSON.stringify(data.user));
+        storeSession(data.token, data.refreshToken, data.user);
         
         // Call the parent's onSignupSuccess if it exists
         if (onSignupSuccess) {
-          onSignupSuccess(data.token, data.user);
+          onSignupSuccess(data.token, data.user, data.refreshToken);
         }
         
         setTimeout(() => {
           navigate('/dashboard');
         }, 2000);
       } else {
-        setMessage(data.message || 'Signup failed. Please try again.');
+        const detail = data.errors ? Object.values(data.errors)[0] : null;
+        setMessage(detail || data.message || 'Signup failed. Please try again.');
         setMessageType('error');
       }
     } catch (error) {
@@ -133,6 +151,24 @@ function Signup({ onSignupSuccess }) {
             </div>
           </div>
 
+          {/* Account Type */}
+          <div>
+            <label htmlFor="role" className="block text-sm font-medium text-gray-700 mb-2">
+              I am a
+            </label>
+            <select
+              id="role"
+              name="role"
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-base transition-all duration-200"
+              value={formData.role}
+              onChange={handleChange}
+            >
+              <option value="student">Student</option>
+              <option value="parent">Parent</option>
+              <option value="counselor">School counselor</option>
+            </select>
+          </div>
+
           {/* Email Field */}
           <div>
             <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
@@ -258,6 +294,36 @@ function Signup({ onSignupSuccess }) {
                   <option value="Other">Other</option>
                 </select>
               </div>
+              {formData.role === 'student' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Interests & Hobbies</label>
+                  <InterestPicker
+                    onSelect={handleAddInterest}
+                    inputClassName="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-base transition-all duration-200 placeholder-gray-400"
+                  />
+                  {interests.length > 0 && (
+                    <div className="mt-2 flex flex-wrap gap-2">
+                      {interests.map(interest => (
+                        <span key={interest.name} className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-gray-100 text-gray-700">
+                          <span
+                            className="inline-block w-2.5 h-2.5 rounded-full mr-2"
+                            style={{ backgroundColor: interestColor(categories, interest.category) }}
+                          ></span>
+                          {interest.name}
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveInterest(interest.name)}
+                            className="ml-2 text-gray-400 hover:text-gray-600"
+                            aria-label={`Remove ${interest.name}`}
+                          >
+                            ×
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           )}
 
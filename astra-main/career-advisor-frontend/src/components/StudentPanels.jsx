@@ -0,0 +1,328 @@
+import React from 'react';
+import { useInterestTaxonomy, interestColor } from '../interestTaxonomy';
+
+// Read-only dashboard panels for one student's profile. Shared by the student's own
+// dashboard and the counselor/parent view of a linked student.
+
+// Helper function to get user initials
+const getInitials = (user) => `${user.firstName?.[0] || ''}${user.lastName?.[0] || ''}`.toUpperCase() || 'U';
+
+// Helper function to format deadline
+const formatDeadline = (date) => {
+  const deadline = new Date(date);
+  const options = { month: 'short', day: 'numeric' };
+  return deadline.toLocaleDateString('en-US', options);
+};
+
+// Helper function to get status color
+const getStatusColor = (status) => {
+  const colors = {
+    'Not Started': 'text-gray-600',
+    'In Progress': 'text-yellow-600',
+    'Submitted': 'text-green-600',
+    'Accepted': 'text-green-700 font-bold',
+    'Rejected': 'text-red-600'
+  };
+  return colors[status] || 'text-gray-600';
+};
+
+// Name, basics, interests and achievements. `onEdit` adds an Edit Profile button.
+export function ProfileCard({ user, onEdit }) {
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <div className="flex justify-between items-start mb-4">
+        <div className="flex items-center space-x-4">
+          <div className="w-16 h-16 bg-orange-400 rounded-full flex items-center justify-center">
+            <div className="w-12 h-12 bg-orange-300 rounded-full flex items-center justify-center">
+              <span className="text-white font-bold text-lg">{getInitials(user)}</span>
+            </div>
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">
+              {user.firstName} {user.lastName}
+            </h2>
+            {user.age && <p className="text-gray-600">{user.age} years old</p>}
+            {user.school && <p className="text-gray-600">{user.school}</p>}
+            {user.grade && <p className="text-gray-600">{user.grade}</p>}
+          </div>
+        </div>
+        {onEdit && (
+          <button
+            onClick={onEdit}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 text-sm"
+          >
+            Edit Profile
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-4">
+        {/* Interests & Hobbies */}
+        {user.interests && user.interests.length > 0 && (
+          <div>
+            <h3 className="font-semibold text-gray-800 mb-2">Interests & Hobbies</h3>
+            <ul className="list-disc list-inside text-gray-600 space-y-1">
+              {user.interests.map((interest, index) => (
+                <li key={index}>
+                  {interest.name}
+                  {interest.category && <span className="ml-1 text-xs text-gray-400">· {interest.category}</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Achievements */}
+        {user.achievements && user.achievements.length > 0 && (
+          <div>
+            <h3 className="font-semibold text-gray-800 mb-2">Achievements</h3>
+            {user.achievements.map((achievement, index) => (
+              <div key={index} className="bg-yellow-50 p-4 rounded-lg border border-yellow-200 mb-2">
+                <p className="text-yellow-700">
+                  {achievement.icon || '🏆'} {achievement.title}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const COURSE_LEVEL_LABELS = { honors: 'Honors', ap: 'AP', ib_hl: 'HL' };
+
+// "3.65" or "3.65 (4.15 weighted)" when honors/AP boosts make a difference
+const formatGpa = (breakdown) => {
+  if (breakdown.unweighted === null) return 'N/A';
+  return breakdown.weighted !== breakdown.unweighted
+    ? `${breakdown.unweighted.toFixed(2)} (${breakdown.weighted.toFixed(2)} weighted)`
+    : breakdown.unweighted.toFixed(2);
+};
+
+export function AcademicProgressCard({ user }) {
+  if (!user.academicProgress || user.academicProgress.length === 0) return null;
+  const gpa = user.gpa;
+  const termBreakdown = gpa ? gpa.terms.filter(term => term.term) : [];
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-4">Academic Progress</h3>
+
+      {gpa && gpa.unweighted !== null && (
+        <div className="mb-4 p-4 bg-indigo-50 rounded-lg border border-indigo-100">
+          <div className="flex justify-between items-baseline">
+            <span className="text-sm text-gray-600">GPA (4.0 scale)</span>
+            <span className="font-bold text-gray-800">{formatGpa(gpa)}</span>
+          </div>
+          {termBreakdown.length > 1 && (
+            <ul className="mt-2 space-y-1 text-xs text-gray-600">
+              {termBreakdown.map(term => (
+                <li key={term.term} className="flex justify-between">
+                  <span>{term.term}</span>
+                  <span>{formatGpa(term)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {gpa && gpa.unrecognized.length > 0 && (
+        <p className="mb-4 text-xs text-yellow-700">
+          Not counted in the GPA: {gpa.unrecognized.map(course => `${course.subject} (${course.grade})`).join(', ')}.
+          Check the grading system in your profile.
+        </p>
+      )}
+
+      <div className="space-y-3">
+        {user.academicProgress.map((course, index) => (
+          <div key={index} className="flex justify-between">
+            <span className="text-gray-600">
+              {course.subject}
+              {COURSE_LEVEL_LABELS[course.level] && (
+                <span className="ml-1 px-1.5 py-0.5 text-xs bg-purple-100 text-purple-700 rounded">{COURSE_LEVEL_LABELS[course.level]}</span>
+              )}
+              {course.term && <span className="text-xs text-gray-400"> · {course.term}</span>}
+            </span>
+            <span className="font-semibold text-gray-800">{course.grade}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export function ProfileStatsCard({ user }) {
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <div className="grid grid-cols-3 gap-4 text-center">
+        <div>
+          <p className="text-sm text-gray-600 mb-1">Age</p>
+          <p className="text-xl font-bold">{user.age || 'N/A'}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-600 mb-1">Achievements</p>
+          <p className="text-xl font-bold">{user.achievements?.length || 0}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-600 mb-1">Average Grade</p>
+          <p className="text-xl font-bold">{user.gpa?.average || 'N/A'}</p>
+        </div>
+      </div>
+
+      <div className="mt-6">
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-600">Progress</span>
+          <span className="font-semibold text-gray-800">
+            {user.applicationProgress?.averageCompletion || 0}%
+          </span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div
+            className="bg-orange-400 rounded-full h-2 transition-all duration-300"
+            style={{ width: `${user.applicationProgress?.averageCompletion || 0}%` }}
+          ></div>
+        </div>
+      </div>
+
+      {user.interests && user.interests.length > 0 && (
+        <div className="mt-4 grid grid-cols-2 gap-2 text-sm">
+          {user.interests.slice(0, 4).map((interest, index) => (
+            <div key={index} className="text-blue-600">{interest.name}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Interests Chart Visualization
+export function InterestsChartCard({ user }) {
+  const categories = useInterestTaxonomy();
+  if (!user.interests || user.interests.length === 0) return null;
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-4">Interests & Hobbies</h3>
+      <div className="space-y-3">
+        {user.interests.map((interest, index) => {
+          const color = interestColor(categories, interest.category);
+          const heights = [8, 12, 16, 10, 14, 18];
+          return (
+            <div key={index} className="flex items-center justify-between">
+              <span className="text-gray-600" title={interest.category}>{interest.name}</span>
+              <div className="flex space-x-1">
+                {[...Array(Math.min(3, index + 1))].map((_, i) => (
+                  <div
+                    key={i}
+                    className="w-8 rounded"
+                    style={{ height: `${heights[i * 2]}px`, backgroundColor: color, opacity: 0.6 + i * 0.2 }}
+                  ></div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const RIASEC_LABELS = {
+  R: 'Realistic',
+  I: 'Investigative',
+  A: 'Artistic',
+  S: 'Social',
+  E: 'Enterprising',
+  C: 'Conventional'
+};
+
+// One bar per RIASEC dimension, with the Holland Code letters highlighted
+export function RiasecScoreBars({ scores, code }) {
+  return (
+    <div className="space-y-2">
+      {Object.keys(RIASEC_LABELS).map(dimension => (
+        <div key={dimension} className="flex items-center space-x-3">
+          <span className={`w-28 text-sm ${code?.includes(dimension) ? 'font-semibold text-gray-800' : 'text-gray-600'}`}>
+            {RIASEC_LABELS[dimension]}
+          </span>
+          <div className="flex-1 bg-gray-200 rounded-full h-2">
+            <div
+              className={`h-2 rounded-full ${code?.includes(dimension) ? 'bg-indigo-600' : 'bg-indigo-300'}`}
+              style={{ width: `${scores[dimension] || 0}%` }}
+            ></div>
+          </div>
+          <span className="w-10 text-right text-xs text-gray-500">{scores[dimension] || 0}%</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Latest interest assessment result; students get a link to take or retake it
+export function CareerInterestsCard({ user, onTakeAssessment }) {
+  const profile = user.interestProfile;
+  if (!profile && !onTakeAssessment) return null;
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold text-gray-800">Career Interests</h3>
+        {onTakeAssessment && (
+          <button onClick={onTakeAssessment} className="text-sm text-indigo-600 hover:text-indigo-700">
+            {profile ? 'Retake assessment' : 'Take assessment'}
+          </button>
+        )}
+      </div>
+      {profile ? (
+        <>
+          <p className="text-sm text-gray-600 mb-3">
+            Holland Code <span className="font-semibold text-gray-800">{profile.code}</span>
+            {' '}· taken {formatDeadline(profile.completedAt)}
+          </p>
+          <RiasecScoreBars scores={profile.scores} code={profile.code} />
+          <div className="mt-4">
+            <p className="text-sm font-medium text-gray-700 mb-1">Matching career clusters</p>
+            <ul className="space-y-1">
+              {profile.clusters.map(cluster => (
+                <li key={cluster.name} className="text-sm text-gray-600">
+                  <span className="text-gray-800">{cluster.name}</span> — {cluster.careers.slice(0, 3).join(', ')}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-gray-600">
+          Answer a few questions about activities you enjoy to discover which career areas suit you.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export function UniversityApplicationsCard({ user }) {
+  if (!user.universityApplications || user.universityApplications.length === 0) return null;
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-4">University Applications</h3>
+      <div className="space-y-4">
+        {user.universityApplications.map((app, index) => (
+          <div key={index} className="border-b pb-4 last:border-b-0">
+            <div className="flex justify-between items-center mb-2">
+              <h4 className="font-semibold">{app.universityName}</h4>
+              <span className="text-sm text-red-600">
+                Deadline: {formatDeadline(app.deadline)}
+              </span>
+            </div>
+            <p className="text-gray-600">{app.program}</p>
+            <p className={`text-sm mt-1 ${getStatusColor(app.status)}`}>
+              Status: {app.status}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import React, { useState, useRef } from 'react';
+import { apiFetch } from '../api';
+
+const hasErrors = (row) => Object.keys(row.errors).length > 0;
+
+// Upload a CSV/XLSX transcript, review the parsed rows, then merge them into (or replace)
+// the student's grades
+function TranscriptImport({ studentId, onImported }) {
+  const [preview, setPreview] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [isWorking, setIsWorking] = useState(false);
+  const [message, setMessage] = useState('');
+  const [messageType, setMessageType] = useState('success');
+  const fileInputRef = useRef(null);
+
+  const showMessage = (text, type = 'success') => {
+    setMessage(text);
+    setMessageType(type);
+  };
+
+  const reset = () => {
+    setPreview(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setMessage('');
+    setIsWorking(true);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await apiFetch(`/api/students/${studentId}/transcript/preview`, {
+        method: 'POST',
+        body: formData
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        showMessage(data.message || 'Could not read the transcript.', 'error');
+        reset();
+        return;
+      }
+      setPreview(data);
+    } catch (err) {
+      console.error('Error previewing transcript:', err);
+      showMessage('Could not read the transcript.', 'error');
+      reset();
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    const rows = preview.rows
+      .filter(row => !hasErrors(row))
+      .map(({ subject, grade, term, credits }) => ({ subject, grade, term, credits }));
+    if (mode === 'replace' && !window.confirm('Replace all existing grades with the imported ones?')) return;
+    setIsWorking(true);
+
+    try {
+      const response = await apiFetch(`/api/students/${studentId}/transcript/commit`, {
+        method: 'POST',
+        body: JSON.stringify({ rows, mode })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        showMessage(data.message || 'Import failed.', 'error');
+        return;
+      }
+      showMessage(`Imported ${data.added} new and ${data.updated} updated grade${data.added + data.updated === 1 ? '' : 's'}.`);
+      reset();
+      onImported(data.profile);
+    } catch (err) {
+      console.error('Error importing transcript:', err);
+      showMessage('Import failed.', 'error');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-2">Import Transcript</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Upload a CSV or Excel (.xlsx) export from your school system. We look for subject, grade, term and credits columns.
+      </p>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".csv,.xlsx"
+        onChange={handleFileChange}
+        disabled={isWorking}
+        className="block w-full text-sm text-gray-700 file:mr-3 file:px-3 file:py-2 file:rounded-md file:border-0 file:bg-gray-100 file:text-gray-800 hover:file:bg-gray-200"
+      />
+
+      {preview && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-700 mb-2">
+            {preview.summary.valid} of {preview.summary.total} rows ready
+            ({preview.summary.add} new, {preview.summary.update} updated)
+            {preview.summary.invalid > 0 && <span className="text-red-600">; {preview.summary.invalid} will be skipped</span>}
+          </p>
+
+          <div className="max-h-72 overflow-y-auto border rounded-md">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                <tr>
+                  <th className="p-2 text-left">Row</th>
+                  <th className="p-2 text-left">Subject</th>
+                  <th className="p-2 text-left">Grade</th>
+                  <th className="p-2 text-left">Term</th>
+                  <th className="p-2 text-left">Credits</th>
+                  <th className="p-2 text-left">Result</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {preview.rows.map(row => (
+                  <tr key={row.row} className={hasErrors(row) ? 'bg-red-50' : ''}>
+                    <td className="p-2 text-gray-500">{row.row}</td>
+                    <td className="p-2">{row.subject}</td>
+                    <td className="p-2">{row.grade}</td>
+                    <td className="p-2">{row.term}</td>
+                    <td className="p-2">{row.credits}</td>
+                    <td className="p-2">
+                      {hasErrors(row)
+                        ? <span className="text-red-600">{Object.values(row.errors).join(' ')}</span>
+                        : <span className="text-gray-600">{row.action === 'update' ? 'Update' : 'New'}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 mt-3">
+            <select value={mode} onChange={(e) => setMode(e.target.value)} className="p-2 border rounded-md text-sm">
+              <option value="merge">Merge with existing grades</option>
+              <option value="replace">Replace existing grades</option>
+            </select>
+            <button
+              onClick={handleImport}
+              disabled={isWorking || preview.summary.valid === 0}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 text-sm disabled:opacity-50"
+            >
+              Import {preview.summary.valid} row{preview.summary.valid === 1 ? '' : 's'}
+            </button>
+            <button onClick={reset} className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-sm">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <p className={`mt-3 text-sm ${messageType === 'error' ? 'text-red-600' : 'text-green-600'}`}>{message}</p>
+      )}
+    </div>
+  );
+}
+
+export default TranscriptImport;
@@ -0,0 +1,328 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { apiFetch } from '../api';
+
+const PAGE_SIZE = 20;
+
+const INPUT_CLASS = 'p-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+const DEGREE_LABELS = {
+  certificate: 'Certificate',
+  associate: 'Associate',
+  bachelor: "Bachelor's",
+  master: "Master's",
+  doctorate: 'Doctorate'
+};
+
+const FIT_BADGES = {
+  meets: { label: 'Meets requirements', className: 'bg-green-100 text-green-700' },
+  below: { label: 'Below requirements', className: 'bg-red-100 text-red-700' },
+  unknown: { label: 'Fit unknown', className: 'bg-gray-100 text-gray-600' }
+};
+
+const EMPTY_FILTERS = { q: '', country: '', field: '', degree: '', maxTuition: '', currency: 'USD', eligible: false };
+
+const formatTuition = (tuition) => (tuition
+  ? `${new Intl.NumberFormat(undefined, { style: 'currency', currency: tuition.currency, maximumFractionDigits: 0 }).format(tuition.amount)} / year`
+  : 'Tuition not listed');
+
+const formatDate = (date) => new Date(date).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+function ProgramResult({ program, canApply, applied, onApply }) {
+  const [deadline, setDeadline] = useState('');
+  const fit = FIT_BADGES[program.fit.status];
+  const requirements = program.requirements || {};
+
+  return (
+    <li className="p-4 border border-gray-200 rounded-lg">
+      <div className="flex justify-between items-start">
+        <div>
+          <h4 className="font-semibold text-gray-800">{program.name}</h4>
+          <p className="text-sm text-gray-600">
+            {program.universityName} · {[program.city, program.country].filter(Boolean).join(', ')}
+          </p>
+        </div>
+        <span className={`text-xs px-2 py-1 rounded-full whitespace-nowrap ${fit.className}`}>{fit.label}</span>
+      </div>
+
+      <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1 text-sm text-gray-700">
+        <p>{DEGREE_LABELS[program.degree]}{program.durationYears ? ` · ${program.durationYears} years` : ''}</p>
+        <p>{formatTuition(program.tuition)}</p>
+        <p>
+          Minimum GPA: {requirements.minGpa ?? 'not listed'}
+          {program.fit.studentGpa !== null && requirements.minGpa !== undefined && ` (yours: ${program.fit.studentGpa.toFixed(2)})`}
+        </p>
+        <p>
+          {program.nextDeadline
+            ? `Next deadline: ${program.nextDeadline.label}, ${formatDate(program.nextDeadline.date)}`
+            : 'No upcoming deadline listed'}
+        </p>
+        {requirements.requiredSubjects?.length > 0 && (
+          <p className="sm:col-span-2">Required subjects: {requirements.requiredSubjects.join(', ')}</p>
+        )}
+        {requirements.tests?.length > 0 && (
+          <p className="sm:col-span-2">Tests: {requirements.tests.join(', ')}</p>
+        )}
+        {requirements.language && <p className="sm:col-span-2">Language: {requirements.language}</p>}
+      </div>
+
+      {program.fit.missingSubjects.length > 0 && (
+        <p className="mt-2 text-xs text-red-600">Missing from your grades: {program.fit.missingSubjects.join(', ')}</p>
+      )}
+      {program.subjectAreas?.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-1">
+          {program.subjectAreas.map(area => (
+            <span key={area} className="text-xs px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700">{area}</span>
+          ))}
+        </div>
+      )}
+
+      {canApply && (
+        <div className="mt-3 flex items-center space-x-2">
+          {applied ? (
+            <span className="text-sm text-green-700">✓ In your applications</span>
+          ) : (
+            <>
+              {!program.nextDeadline && (
+                <input
+                  type="date"
+                  className={INPUT_CLASS}
+                  value={deadline}
+                  onChange={(e) => setDeadline(e.target.value)}
+                  aria-label="Application deadline"
+                />
+              )}
+              <button
+                onClick={() => onApply(program, deadline)}
+                disabled={!program.nextDeadline && !deadline}
+                className="px-3 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Add to applications
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </li>
+  );
+}
+
+function UniversityCatalog() {
+  const navigate = useNavigate();
+  const [facets, setFacets] = useState({ countries: [], subjectAreas: [], currencies: [], degrees: [] });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [programs, setPrograms] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [profile, setProfile] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [messageType, setMessageType] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [facetsResponse, profileResponse, programsResponse] = await Promise.all([
+          apiFetch('/api/catalog/facets'),
+          apiFetch('/api/user/profile'),
+          apiFetch(`/api/catalog/programs?limit=${PAGE_SIZE}`)
+        ]);
+        if (facetsResponse.ok) setFacets(await facetsResponse.json());
+        if (profileResponse.ok) setProfile(await profileResponse.json());
+        if (programsResponse.ok) {
+          const data = await programsResponse.json();
+          setPrograms(data.programs);
+          setTotal(data.total);
+        }
+      } catch (err) {
+        console.error('Error loading catalog:', err);
+      }
+    };
+    load();
+  }, []);
+
+  const showMessage = (text, type) => {
+    setMessage(text);
+    setMessageType(type);
+  };
+
+  const searchPrograms = async (activeFilters, offset = 0) => {
+    setIsLoading(true);
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+      ['q', 'country', 'field', 'degree', 'maxTuition'].forEach(key => {
+        if (activeFilters[key]) params.set(key, activeFilters[key]);
+      });
+      if (activeFilters.maxTuition) params.set('currency', activeFilters.currency);
+      if (activeFilters.eligible) params.set('fit', 'eligible');
+
+      const response = await apiFetch(`/api/catalog/programs?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        showMessage(data.message || 'Failed to search the catalog', 'error');
+        return;
+      }
+      setPrograms(prev => (offset === 0 ? data.programs : [...prev, ...data.programs]));
+      setTotal(data.total);
+      setMessage('');
+    } catch (err) {
+      console.error('Error searching catalog:', err);
+      showMessage('Failed to search the catalog', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFilters(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    searchPrograms(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    searchPrograms(EMPTY_FILTERS);
+  };
+
+  const handleApply = async (program, deadline) => {
+    try {
+      const response = await apiFetch('/api/user/profile/universityApplications', {
+        method: 'POST',
+        body: JSON.stringify({
+          universityId: program.university,
+          programId: program._id,
+          ...(deadline && { deadline })
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        const detail = data.errors ? Object.values(data.errors)[0] : null;
+        showMessage(detail || data.message || 'Failed to add application', 'error');
+        return;
+      }
+      setProfile(data.profile);
+      showMessage(`Added ${program.universityName} – ${program.name} to your applications`, 'success');
+    } catch (err) {
+      console.error('Error adding application:', err);
+      showMessage('Failed to add application', 'error');
+    }
+  };
+
+  const appliedProgramIds = new Set((profile?.universityApplications || [])
+    .map(app => app.programId)
+    .filter(Boolean));
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-5xl mx-auto mb-6 flex justify-between items-center">
+        <h1 className="text-3xl font-bold text-gray-800">Universities &amp; Programs</h1>
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-sm"
+        >
+          Back to dashboard
+        </button>
+      </div>
+
+      <div className="max-w-5xl mx-auto space-y-6">
+        <form onSubmit={handleSearch} className="bg-white p-6 rounded-xl shadow-md border border-gray-200 space-y-3">
+          <input
+            type="text"
+            name="q"
+            placeholder="Search by university, program or subject..."
+            className={`${INPUT_CLASS} w-full`}
+            value={filters.q}
+            onChange={handleFilterChange}
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+            <select name="country" className={INPUT_CLASS} value={filters.country} onChange={handleFilterChange}>
+              <option value="">Any country</option>
+              {facets.countries.map(country => <option key={country} value={country}>{country}</option>)}
+            </select>
+            <select name="field" className={INPUT_CLASS} value={filters.field} onChange={handleFilterChange}>
+              <option value="">Any field</option>
+              {facets.subjectAreas.map(area => <option key={area} value={area}>{area}</option>)}
+            </select>
+            <select name="degree" className={INPUT_CLASS} value={filters.degree} onChange={handleFilterChange}>
+              <option value="">Any degree</option>
+              {facets.degrees.map(degree => <option key={degree} value={degree}>{DEGREE_LABELS[degree] || degree}</option>)}
+            </select>
+            <div className="flex space-x-2">
+              <input
+                type="number"
+                name="maxTuition"
+                min="0"
+                placeholder="Max tuition / year"
+                className={`${INPUT_CLASS} flex-1 min-w-0`}
+                value={filters.maxTuition}
+                onChange={handleFilterChange}
+              />
+              <select name="currency" className={INPUT_CLASS} value={filters.currency} onChange={handleFilterChange}>
+                {(facets.currencies.length > 0 ? facets.currencies : ['USD']).map(currency => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input type="checkbox" name="eligible" checked={filters.eligible} onChange={handleFilterChange} />
+              <span>Only programs whose minimum GPA I meet</span>
+            </label>
+            <div className="space-x-2">
+              <button type="button" onClick={handleReset} className="px-3 py-2 text-sm bg-gray-100 rounded-md hover:bg-gray-200">
+                Reset
+              </button>
+              <button type="submit" className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+                Search
+              </button>
+            </div>
+          </div>
+        </form>
+
+        {message && (
+          <div className={`p-3 rounded-md text-sm ${messageType === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+            {message}
+          </div>
+        )}
+
+        <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+          <h3 className="text-xl font-semibold text-gray-800 mb-4">
+            {total} {total === 1 ? 'program' : 'programs'}
+          </h3>
+          {programs.length === 0 && !isLoading ? (
+            <p className="text-sm text-gray-500">
+              No programs match these filters. You can still add a custom application from your profile.
+            </p>
+          ) : (
+            <ul className="space-y-3">
+              {programs.map(program => (
+                <ProgramResult
+                  key={program._id}
+                  program={program}
+                  canApply={profile?.role === 'student'}
+                  applied={appliedProgramIds.has(program._id)}
+                  onApply={handleApply}
+                />
+              ))}
+            </ul>
+          )}
+          {programs.length < total && (
+            <button
+              onClick={() => searchPrograms(filters, programs.length)}
+              disabled={isLoading}
+              className="mt-4 block mx-auto text-sm text-indigo-600 hover:text-indigo-700 disabled:opacity-50"
+            >
+              {isLoading ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default UniversityCatalog;
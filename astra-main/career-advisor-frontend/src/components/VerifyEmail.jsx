@@ -0,0 +1,55 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { API_BASE_URL } from '../api';
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete. Please use the link from your email.');
+  // Tokens are single-use, so don't send it twice (React StrictMode runs effects twice in development)
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/verify-email`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ token }),
+        });
+        const data = await response.json();
+        setStatus(response.ok ? 'verified' : 'error');
+        setMessage(response.ok ? `${data.email} is confirmed. Thanks!` : data.message);
+      } catch (error) {
+        console.error('Email verification error:', error);
+        setStatus('error');
+        setMessage('Network error. Please try again later.');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2 className="auth-title">Email Verification</h2>
+        {status === 'verifying' && <p className="text-center text-gray-600">Confirming your email address...</p>}
+        {status !== 'verifying' && (
+          <div className={status === 'verified' ? 'alert-success' : 'alert-error'}>{message}</div>
+        )}
+        <p className="mt-8 text-center text-base text-gray-600">
+          <Link to="/dashboard" className="link-primary">Go to Dashboard</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
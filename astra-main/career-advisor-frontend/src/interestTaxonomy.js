@@ -0,0 +1,72 @@
+import { useState, useEffect } from 'react';
+import { API_BASE_URL } from './api';
+
+// Color for interests whose category isn't in the taxonomy
+const FALLBACK_COLOR = '#9ca3af';
+
+let taxonomyRequest = null;
+
+// The interest taxonomy rarely changes, so every component shares one request per page load.
+// It's public because signup offers it before there is a session.
+export const fetchInterestTaxonomy = () => {
+  if (!taxonomyRequest) {
+    taxonomyRequest = fetch(`${API_BASE_URL}/api/interests`)
+      .then(response => {
+        if (!response.ok) throw new Error('Failed to load interests');
+        return response.json();
+      })
+      .catch(err => {
+        taxonomyRequest = null;
+        throw err;
+      });
+  }
+  return taxonomyRequest;
+};
+
+// The taxonomy's categories, or an empty list until (or unless) it loads
+export const useInterestTaxonomy = () => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    fetchInterestTaxonomy()
+      .then(data => { if (active) setCategories(data.categories); })
+      .catch(err => console.error('Error fetching interest taxonomy:', err));
+    return () => { active = false; };
+  }, []);
+
+  return categories;
+};
+
+export const interestColor = (categories, categoryName) =>
+  categories.find(category => category.name === categoryName)?.color || FALLBACK_COLOR;
+
+const normalize = (text) => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// Taxonomy entries whose name or a synonym starts a word with the query, best first:
+// name matches before synonym matches, subcategories before categories
+export const suggestInterests = (categories, query, limit = 8) => {
+  const text = normalize(query);
+  if (!text) return [];
+
+  const entries = categories.flatMap(category => [
+    ...category.subcategories.map(subcategory => ({ ...subcategory, category })),
+    { ...category, category }
+  ]);
+
+  const wordStart = (term) => {
+    const normalized = normalize(term);
+    return normalized.startsWith(text) || normalized.includes(` ${text}`);
+  };
+
+  return entries
+    .map(entry => {
+      if (wordStart(entry.name)) return { entry, rank: 0, synonym: null };
+      const synonym = entry.synonyms.find(wordStart);
+      return synonym ? { entry, rank: 1, synonym } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, limit)
+    .map(({ entry, synonym }) => ({ ...entry, synonym }));
+};